@@ -0,0 +1,139 @@
+/**
+ * src/backend.js
+ * Picks where the CRM keeps its data and who is signed in.
+ *
+ * Every backend implements the same adapter, so stateManager, workspaces.js
+ * and the sign-in screen never talk to Firestore directly:
+ *
+ *   name, label, needsNetwork
+ *   currentUser()                          -> { uid, email, emailVerified } | null
+ *   onAuthChange(cb)                       -> unsubscribe; cb(user | null), also once on attach
+ *   signIn(email, password) / signUp(email, password) / signOut()
+ *   sendPasswordReset(email)               -> emails a reset link (local: rejects, no mail)
+ *   sendVerificationEmail() / reloadUser() -> verify link for the signed-in address / fresh user
+ *   reauthenticate(password)               -> required shortly before the three below
+ *   changeEmail(email)                     -> { pendingVerification } (cloud: after the link is opened)
+ *   changePassword(password) / deleteAccount()
+ *   mfaFactors()                           -> [{ uid, displayName, enrolledAt }] TOTP second factors of the signed-in user
+ *   startTotpEnrollment(issuer)            -> { secretKey, uri, digits, period, algorithm } (after reauthenticate)
+ *   finishTotpEnrollment(pending, code, displayName) / unenrollFactor(uid)
+ *   With a second factor enrolled, signIn and reauthenticate reject with code
+ *   'auth/multi-factor-auth-required' and `error.mfa` = { hints: [{ uid, displayName }], resolve(uid, code) };
+ *   resolve() with a current code from that factor completes them (see mfa.js).
+ *
+ *   Paths are arrays of segments: even length = document, odd = collection.
+ *   load(path)                             -> document data | null
+ *   query(path, { where: [[field, op, value]], orderBy: [field, 'asc'|'desc'], limit, after })
+ *                                          -> { docs: [{ id, data }], cursor }   (pass `cursor` as `after` for the next page)
+ *   save(path, data, { merge })            -> set a document (merge = nested maps merge)
+ *   update(path, patch)                    -> 'a.b' keys; rejects when the document is missing
+ *   remove(path)
+ *   subscribe(path, onChange, onError)     -> unsubscribe
+ *       document:   onChange({ exists, data, pending })
+ *       collection: onChange({ docs: [{ id, data }], changes: [{ type: 'added'|'modified'|'removed', id, data, pending }] })
+ *       `pending` marks this device's own writes echoing back before they are stored.
+ *   transaction(writes)                    -> [{ path, data, merge } | { path, remove: true }], all or nothing
+ *   deleteField(), arrayUnion(...values), arrayRemove(...values)  -> sentinels for save/update
+ *   files                                  -> Firebase Storage helpers, or null (no uploads/backups)
+ *
+ * Backends:
+ *   firestore  Firebase Auth + Firestore + Storage (the default)
+ *   local      everything in this browser's localStorage; a demo that needs no network
+ *   memory     the same, kept in memory only (gone on reload; automated tests)
+ *
+ * The choice comes from the URL (?backend=local, this page load only), then
+ * the one saved on this device (Settings > Storage Backend), then firestore.
+ * The Firestore adapter is imported on demand, so the local ones never load
+ * the Firebase SDK.
+ */
+
+export const BACKENDS = {
+  firestore: {
+    label: 'Cloud (Firestore)',
+    hint: 'Shared workspaces, sync across devices, file uploads and backups.'
+  },
+  local: {
+    label: 'Local demo (this browser)',
+    hint: 'No network or account needed. Data stays in this browser only.'
+  },
+  memory: {
+    label: 'In-memory (throwaway)',
+    hint: 'Like local, but everything is gone on reload.'
+  }
+};
+
+export const DEFAULT_BACKEND = 'firestore';
+
+const PREFERENCE_KEY = 'summitcrm_backend';
+const URL_FLAG = 'backend';
+
+let active = null;
+
+function urlBackend() {
+  try {
+    const value = new URLSearchParams(window.location.search).get(URL_FLAG);
+    return BACKENDS[value] ? value : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function savedBackend() {
+  try {
+    const value = localStorage.getItem(PREFERENCE_KEY);
+    return BACKENDS[value] ? value : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Which backend this page load uses, and whether the URL forced it.
+ * Returns { name, fromUrl }.
+ */
+export function backendChoice() {
+  const fromUrl = urlBackend();
+  return { name: fromUrl || savedBackend() || DEFAULT_BACKEND, fromUrl: !!fromUrl };
+}
+
+/**
+ * Remembers `name` for this device; takes effect on the next load.
+ */
+export function setBackendPreference(name) {
+  if (!BACKENDS[name]) throw new Error(`Unknown storage backend "${name}".`);
+  try {
+    if (name === DEFAULT_BACKEND) localStorage.removeItem(PREFERENCE_KEY);
+    else localStorage.setItem(PREFERENCE_KEY, name);
+  } catch (_) {
+    throw new Error('This browser does not allow saving the choice (storage blocked).');
+  }
+}
+
+/**
+ * Loads and activates a backend (once, before sign-in). Defaults to backendChoice().
+ */
+export async function loadBackend(name = backendChoice().name) {
+  if (name === 'firestore') {
+    const { firestoreBackend } = await import('./backends/firestoreBackend.js');
+    return useBackend(firestoreBackend);
+  }
+
+  const { createLocalBackend } = await import('./backends/localBackend.js');
+  return useBackend(createLocalBackend({ persist: name === 'local' }));
+}
+
+/**
+ * Activates an adapter directly (tests pass a fresh createLocalBackend()).
+ */
+export function useBackend(adapter) {
+  active = adapter;
+  return active;
+}
+
+/**
+ * The active adapter.
+ */
+export function backend() {
+  if (!active) throw new Error('No storage backend loaded yet.');
+  return active;
+}
@@ -0,0 +1,286 @@
+/**
+ * src/backends/firestoreBackend.js
+ * The cloud backend: Firebase Auth for sign-in, Firestore for documents and
+ * Storage for files. Implements the adapter described in backend.js.
+ *
+ * Only loaded by loadBackend('firestore'), so the local backends run without
+ * the Firebase SDK.
+ */
+import { auth, db, storage } from '../firebase.js';
+import {
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signOut,
+  onAuthStateChanged,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  reload,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  verifyBeforeUpdateEmail,
+  updatePassword,
+  deleteUser,
+  multiFactor,
+  getMultiFactorResolver,
+  TotpMultiFactorGenerator
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import {
+  doc,
+  collection,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  onSnapshot,
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import {
+  ref,
+  uploadString,
+  uploadBytesResumable,
+  getDownloadURL,
+  listAll,
+  getMetadata,
+  getBytes,
+  deleteObject
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
+
+function signedInUser() {
+  if (!auth.currentUser) throw Object.assign(new Error('Sign in first.'), { code: 'auth/no-current-user' });
+  return auth.currentUser;
+}
+
+function factorInfo(info) {
+  return { uid: info.uid, displayName: info.displayName || '', enrolledAt: info.enrollmentTime || null };
+}
+
+// A second factor is required: attach the adapter's `mfa` (backend.js) around
+// Firebase's resolver so callers never touch the SDK
+function withMfa(error) {
+  if (error?.code !== 'auth/multi-factor-auth-required') return error;
+  const resolver = getMultiFactorResolver(auth, error);
+  error.mfa = {
+    hints: resolver.hints
+      .filter(hint => hint.factorId === TotpMultiFactorGenerator.FACTOR_ID)
+      .map(factorInfo),
+    async resolve(uid, code) {
+      await resolver.resolveSignIn(TotpMultiFactorGenerator.assertionForSignIn(uid, code));
+    }
+  };
+  return error;
+}
+
+function isCollectionPath(path) {
+  return path.length % 2 === 1;
+}
+
+function docRef(path) {
+  return doc(db, ...path.map(String));
+}
+
+function collectionRef(path) {
+  return collection(db, ...path.map(String));
+}
+
+function buildQuery(path, { where: filters = [], orderBy: order = null, limit: max = null, after = null } = {}) {
+  const constraints = filters.map(([field, op, value]) => where(field, op, value));
+  if (order) constraints.push(orderBy(order[0], order[1] || 'asc'));
+  if (after) constraints.push(startAfter(after));
+  if (max) constraints.push(limit(max));
+  return query(collectionRef(path), ...constraints);
+}
+
+function subscribeCollection(path, onChange, onError) {
+  return onSnapshot(
+    collectionRef(path),
+    (snap) => {
+      onChange({
+        docs: snap.docs.map(d => ({ id: d.id, data: d.data() || {} })),
+        changes: snap.docChanges().map(change => ({
+          type: change.type,
+          id: change.doc.id,
+          data: change.type === 'removed' ? null : change.doc.data() || {},
+          pending: change.doc.metadata.hasPendingWrites
+        }))
+      });
+    },
+    onError
+  );
+}
+
+function subscribeDocument(path, onChange, onError) {
+  return onSnapshot(
+    docRef(path),
+    (snap) => {
+      onChange({
+        exists: snap.exists(),
+        data: snap.exists() ? snap.data() || {} : null,
+        pending: snap.metadata.hasPendingWrites
+      });
+    },
+    onError
+  );
+}
+
+export const firestoreBackend = {
+  name: 'firestore',
+  label: 'Cloud (Firestore)',
+  needsNetwork: true,
+
+  currentUser() {
+    return auth.currentUser;
+  },
+
+  onAuthChange(callback) {
+    return onAuthStateChanged(auth, callback);
+  },
+
+  async signIn(email, password) {
+    try {
+      await signInWithEmailAndPassword(auth, email, password);
+    } catch (error) {
+      throw withMfa(error);
+    }
+  },
+
+  async signUp(email, password) {
+    await createUserWithEmailAndPassword(auth, email, password);
+  },
+
+  async signOut() {
+    await signOut(auth);
+  },
+
+  async sendPasswordReset(email) {
+    await sendPasswordResetEmail(auth, email);
+  },
+
+  async sendVerificationEmail() {
+    await sendEmailVerification(signedInUser());
+  },
+
+  // emailVerified only updates on reload (after the link was opened elsewhere);
+  // the fresh token carries it to the security rules
+  async reloadUser() {
+    if (!auth.currentUser) return null;
+    await reload(auth.currentUser);
+    if (auth.currentUser.emailVerified) await auth.currentUser.getIdToken(true);
+    return auth.currentUser;
+  },
+
+  async reauthenticate(password) {
+    const user = signedInUser();
+    try {
+      await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+    } catch (error) {
+      throw withMfa(error);
+    }
+  },
+
+  // Firebase switches the address once the link sent to it is opened
+  async changeEmail(newEmail) {
+    await verifyBeforeUpdateEmail(signedInUser(), newEmail);
+    return { pendingVerification: true };
+  },
+
+  async changePassword(newPassword) {
+    await updatePassword(signedInUser(), newPassword);
+  },
+
+  async deleteAccount() {
+    await deleteUser(signedInUser());
+  },
+
+  mfaFactors() {
+    return auth.currentUser ? multiFactor(auth.currentUser).enrolledFactors.map(factorInfo) : [];
+  },
+
+  // Keeps Firebase's TotpSecret on the pending enrollment for finishTotpEnrollment
+  async startTotpEnrollment(issuer) {
+    const user = signedInUser();
+    const secret = await TotpMultiFactorGenerator.generateSecret(await multiFactor(user).getSession());
+    return {
+      secretKey: secret.secretKey,
+      uri: secret.generateQrCodeUrl(user.email, issuer),
+      digits: secret.codeLength,
+      period: secret.codeIntervalSeconds,
+      algorithm: secret.hashingAlgorithm,
+      secret
+    };
+  },
+
+  async finishTotpEnrollment(pending, code, displayName) {
+    const assertion = TotpMultiFactorGenerator.assertionForEnrollment(pending.secret, code);
+    await multiFactor(signedInUser()).enroll(assertion, displayName);
+  },
+
+  async unenrollFactor(uid) {
+    await multiFactor(signedInUser()).unenroll(uid);
+  },
+
+  async load(path) {
+    const snap = await getDoc(docRef(path));
+    return snap.exists() ? snap.data() || {} : null;
+  },
+
+  async query(path, options = {}) {
+    const snap = await getDocs(buildQuery(path, options));
+    return {
+      docs: snap.docs.map(d => ({ id: d.id, data: d.data() || {} })),
+      cursor: snap.docs.length ? snap.docs[snap.docs.length - 1] : null
+    };
+  },
+
+  async save(path, data, { merge = false } = {}) {
+    await setDoc(docRef(path), data, { merge });
+  },
+
+  async update(path, patch) {
+    await updateDoc(docRef(path), patch);
+  },
+
+  async remove(path) {
+    await deleteDoc(docRef(path));
+  },
+
+  subscribe(path, onChange, onError) {
+    return isCollectionPath(path)
+      ? subscribeCollection(path, onChange, onError)
+      : subscribeDocument(path, onChange, onError);
+  },
+
+  // One batch: Firestore applies every write or none (max 500 per call)
+  async transaction(writes) {
+    const batch = writeBatch(db);
+    writes.forEach((w) => {
+      if (w.remove) batch.delete(docRef(w.path));
+      else batch.set(docRef(w.path), w.data, { merge: !!w.merge });
+    });
+    await batch.commit();
+  },
+
+  deleteField,
+  arrayUnion,
+  arrayRemove,
+
+  files: {
+    storage,
+    ref,
+    uploadString,
+    uploadBytesResumable,
+    getDownloadURL,
+    listAll,
+    getMetadata,
+    getBytes,
+    deleteObject
+  }
+};
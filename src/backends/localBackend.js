@@ -0,0 +1,530 @@
+/**
+ * src/backends/localBackend.js
+ * Backends that never leave the browser: `local` keeps its documents and
+ * demo accounts in localStorage, `memory` only until the page reloads.
+ * Implements the adapter described in backend.js.
+ *
+ * Documents live in one map keyed by their path ("workspaces/ws_1/deals/d1"),
+ * so the cloud layout (and every path stateManager builds) is unchanged.
+ * Writes apply all at once, then listeners hear about them the way Firestore
+ * reports them: this device's own writes come back marked `pending`, and with
+ * `local`, writes from other tabs arrive as remote changes.
+ *
+ * Accounts are demo accounts: email + a salted SHA-256 of the password,
+ * stored next to the data. Nothing here is meant to protect real secrets.
+ * There is no mail to send, so addresses count as verified and password
+ * reset rejects with 'auth/operation-not-supported-in-this-environment';
+ * changing the email or password and deleting the account work in place.
+ * Authenticator (TOTP) factors are checked here with totp.js; their secrets
+ * sit on the account like the password digest.
+ */
+import { generateSecret, verifyTotp, otpauthUri, TOTP_DEFAULTS } from '../totp.js';
+
+const STORE_KEY = 'summitcrm_local_backend';
+const SESSION_KEY = 'summitcrm_local_session';
+const MIN_PASSWORD_LENGTH = 6;
+
+const SENTINEL = Symbol('localBackendField');
+
+function makeId(prefix) {
+  try {
+    if (crypto?.randomUUID) return `${prefix}_${crypto.randomUUID()}`;
+  } catch (_) {}
+  return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !value[SENTINEL];
+}
+
+function pathKey(path) {
+  return path.map(String).join('/');
+}
+
+function parentKey(key) {
+  return key.split('/').slice(0, -1).join('/');
+}
+
+function lastSegment(key) {
+  return key.split('/').pop();
+}
+
+function sentinel(kind, values = []) {
+  return { [SENTINEL]: kind, values: clone(values) };
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// The value a field ends up with; `undefined` = field removed
+function resolveField(current, value) {
+  const kind = value?.[SENTINEL];
+  if (!kind) return clone(value);
+  if (kind === 'delete') return undefined;
+
+  const list = Array.isArray(current) ? [...current] : [];
+  if (kind === 'union') {
+    value.values.forEach((v) => { if (!list.some(x => sameJson(x, v))) list.push(v); });
+    return list;
+  }
+  return list.filter(x => !value.values.some(v => sameJson(x, v)));
+}
+
+function setField(target, field, value) {
+  if (value === undefined) delete target[field];
+  else target[field] = value;
+}
+
+function mergeInto(current, data) {
+  const out = { ...(current || {}) };
+  Object.entries(data || {}).forEach(([field, value]) => {
+    if (isPlainObject(value)) out[field] = mergeInto(isPlainObject(out[field]) ? out[field] : {}, value);
+    else setField(out, field, resolveField(out[field], value));
+  });
+  return out;
+}
+
+function replaceWith(data) {
+  return mergeInto({}, data);
+}
+
+// update(): 'a.b' paths replace the value there, creating maps on the way
+function patchInto(current, patch) {
+  const out = clone(current) || {};
+  Object.entries(patch || {}).forEach(([fieldPath, value]) => {
+    const parts = fieldPath.split('.');
+    let node = out;
+    parts.slice(0, -1).forEach((part) => {
+      if (!isPlainObject(node[part])) node[part] = {};
+      node = node[part];
+    });
+    const field = parts[parts.length - 1];
+    setField(node, field, resolveField(node[field], value));
+  });
+  return out;
+}
+
+function readField(data, fieldPath) {
+  return String(fieldPath).split('.').reduce((node, part) => (node == null ? undefined : node[part]), data);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const FILTERS = {
+  '==': (v, x) => sameJson(v, x),
+  '!=': (v, x) => !sameJson(v, x),
+  '<': (v, x) => v !== undefined && compareValues(v, x) < 0,
+  '<=': (v, x) => v !== undefined && compareValues(v, x) <= 0,
+  '>': (v, x) => v !== undefined && compareValues(v, x) > 0,
+  '>=': (v, x) => v !== undefined && compareValues(v, x) >= 0,
+  'in': (v, x) => (x || []).some(item => sameJson(v, item)),
+  'array-contains': (v, x) => Array.isArray(v) && v.some(item => sameJson(item, x))
+};
+
+function browserStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function digestPassword(salt, password) {
+  const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`));
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+/**
+ * A fresh backend. `persist: true` is the `local` backend (localStorage,
+ * shared with other tabs); false is `memory`.
+ */
+export function createLocalBackend({ persist = false } = {}) {
+  const storage = persist ? browserStorage() : null;
+
+  let docs = new Map();
+  let accounts = {};
+  let user = null;
+  const docListeners = new Set();
+  const collectionListeners = new Set();
+  const authListeners = new Set();
+
+  function readStore() {
+    if (!storage) return;
+    try {
+      const saved = JSON.parse(storage.getItem(STORE_KEY) || 'null');
+      docs = new Map(Object.entries(saved?.docs || {}));
+      accounts = saved?.accounts || {};
+    } catch (e) {
+      console.warn('[LocalBackend] Saved data unreadable; starting empty:', e);
+    }
+  }
+
+  function writeStore(nextDocs, nextAccounts) {
+    if (!storage) return;
+    try {
+      storage.setItem(STORE_KEY, JSON.stringify({ version: 1, docs: Object.fromEntries(nextDocs), accounts: nextAccounts }));
+    } catch (e) {
+      throw new Error('This browser\'s storage is full, so the change was not saved. Export a snapshot and clear some data.');
+    }
+  }
+
+  function restoreSession() {
+    if (!storage) return;
+    const uid = storage.getItem(SESSION_KEY);
+    const account = Object.values(accounts).find(a => a.uid === uid);
+    user = account ? sessionUser(account) : null;
+  }
+
+  function sessionUser(account) {
+    return { uid: account.uid, email: account.email, emailVerified: true };
+  }
+
+  function currentAccount() {
+    const account = user ? Object.values(accounts).find(a => a.uid === user.uid) : null;
+    if (!account) throw authError('auth/no-current-user', 'Sign in first.');
+    return account;
+  }
+
+  function saveAccounts(nextAccounts) {
+    syncFromStore();
+    writeStore(docs, nextAccounts);
+    accounts = nextAccounts;
+  }
+
+  function publicFactors(account) {
+    return (account?.mfa || []).map(({ uid, displayName, enrolledAt }) => ({ uid, displayName, enrolledAt }));
+  }
+
+  async function checkPassword(account, password) {
+    if (!account || account.digest !== await digestPassword(account.salt, String(password ?? ''))) {
+      throw authError('auth/invalid-credential', 'Invalid email or password.');
+    }
+  }
+
+  // Password was right, a second factor is still owed: the adapter's `mfa`
+  function mfaRequired(account, onResolved) {
+    const error = authError('auth/multi-factor-auth-required', 'Enter the code from your authenticator app.');
+    error.mfa = {
+      hints: publicFactors(account),
+      async resolve(uid, code) {
+        const factor = (Object.values(accounts).find(a => a.uid === account.uid)?.mfa || []).find(f => f.uid === uid);
+        if (!factor || !await verifyTotp(factor.secret, code)) {
+          throw authError('auth/invalid-verification-code', 'That code is not valid.');
+        }
+        onResolved();
+      }
+    };
+    return error;
+  }
+
+  function assertPassword(password) {
+    if (String(password ?? '').length < MIN_PASSWORD_LENGTH) {
+      throw authError('auth/weak-password', `Password should be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+  }
+
+  function setUser(next) {
+    user = next;
+    if (storage) {
+      try {
+        if (next) storage.setItem(SESSION_KEY, next.uid);
+        else storage.removeItem(SESSION_KEY);
+      } catch (_) {}
+    }
+    authListeners.forEach(cb => cb(user));
+  }
+
+  function collectionDocs(key) {
+    const out = [];
+    docs.forEach((data, docKey) => {
+      if (parentKey(docKey) === key) out.push({ id: lastSegment(docKey), data: clone(data) });
+    });
+    return out;
+  }
+
+  // Tell listeners what changed; `written` = [{ key, before, after }]
+  function emit(written, pending) {
+    const changed = written.filter(w => !sameJson(w.before, w.after));
+    if (!changed.length) return;
+
+    queueMicrotask(() => {
+      docListeners.forEach((l) => {
+        const hit = changed.filter(w => w.key === l.key).pop();
+        if (hit) l.onChange({ exists: !!hit.after, data: clone(hit.after) || null, pending });
+      });
+
+      collectionListeners.forEach((l) => {
+        const mine = changed.filter(w => parentKey(w.key) === l.key);
+        if (!mine.length) return;
+        l.onChange({
+          docs: collectionDocs(l.key),
+          changes: mine.map(w => ({
+            type: !w.before ? 'added' : !w.after ? 'removed' : 'modified',
+            id: lastSegment(w.key),
+            data: clone(w.after) || null,
+            pending
+          }))
+        });
+      });
+    });
+  }
+
+  // Catches up with what other tabs stored and reports it as remote changes.
+  // Their storage events can arrive after this tab's next write, and
+  // writing over a stale copy would lose what they wrote.
+  function syncFromStore() {
+    if (!storage) return;
+    const previous = docs;
+    readStore();
+    const keys = new Set([...previous.keys(), ...docs.keys()]);
+    emit([...keys].map(key => ({ key, before: previous.get(key) || null, after: docs.get(key) || null })), false);
+  }
+
+  // Applies writes to a copy of the stored documents, stores it, then swaps
+  // it in (all or nothing)
+  function commit(writes) {
+    syncFromStore();
+    const next = new Map(docs);
+    const written = writes.map((w) => {
+      const key = pathKey(w.path);
+      const before = next.get(key) || null;
+      let after;
+      if (w.remove) after = null;
+      else if (w.patch) {
+        if (!before) throw Object.assign(new Error(`No document to update: ${key}`), { code: 'not-found' });
+        after = patchInto(before, w.patch);
+      } else after = w.merge ? mergeInto(before, w.data) : replaceWith(w.data);
+
+      if (after) next.set(key, after);
+      else next.delete(key);
+      return { key, before, after };
+    });
+
+    writeStore(next, accounts);
+    docs = next;
+    emit(written, true);
+  }
+
+  // Another tab wrote
+  function onStorageEvent(e) {
+    if (e.key === STORE_KEY) syncFromStore();
+  }
+
+  readStore();
+  restoreSession();
+  if (storage && typeof window !== 'undefined') window.addEventListener('storage', onStorageEvent);
+
+  return {
+    name: persist ? 'local' : 'memory',
+    label: persist ? 'Local demo (this browser)' : 'In-memory (throwaway)',
+    needsNetwork: false,
+
+    currentUser() {
+      return user;
+    },
+
+    onAuthChange(callback) {
+      authListeners.add(callback);
+      queueMicrotask(() => { if (authListeners.has(callback)) callback(user); });
+      return () => authListeners.delete(callback);
+    },
+
+    async signIn(email, password) {
+      const account = accounts[normalizeEmail(email)];
+      await checkPassword(account, password);
+      if (account.mfa?.length) throw mfaRequired(account, () => setUser(sessionUser(account)));
+      setUser(sessionUser(account));
+    },
+
+    async signUp(email, password) {
+      const address = normalizeEmail(email);
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw authError('auth/invalid-email', 'Enter a valid email address.');
+      if (accounts[address]) throw authError('auth/email-already-in-use', 'That email is already registered.');
+      assertPassword(password);
+
+      const salt = makeId('salt');
+      const account = {
+        uid: makeId('local'),
+        email: address,
+        salt,
+        digest: await digestPassword(salt, String(password)),
+        createdAt: new Date().toISOString()
+      };
+      saveAccounts({ ...accounts, [address]: account });
+      setUser(sessionUser(account));
+    },
+
+    async signOut() {
+      setUser(null);
+    },
+
+    async sendPasswordReset() {
+      throw authError('auth/operation-not-supported-in-this-environment', 'Password reset needs the cloud backend.');
+    },
+
+    async sendVerificationEmail() {},
+
+    async reloadUser() {
+      return user;
+    },
+
+    async reauthenticate(password) {
+      const account = currentAccount();
+      await checkPassword(account, password);
+      if (account.mfa?.length) throw mfaRequired(account, () => {});
+    },
+
+    async changeEmail(newEmail) {
+      const account = currentAccount();
+      const address = normalizeEmail(newEmail);
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw authError('auth/invalid-email', 'Enter a valid email address.');
+      if (accounts[address]) throw authError('auth/email-already-in-use', 'That email is already registered.');
+
+      const next = { ...accounts };
+      delete next[account.email];
+      next[address] = { ...account, email: address };
+      saveAccounts(next);
+      setUser(sessionUser(next[address]));
+      return { pendingVerification: false };
+    },
+
+    async changePassword(newPassword) {
+      const account = currentAccount();
+      assertPassword(newPassword);
+
+      const salt = makeId('salt');
+      const updated = { ...account, salt, digest: await digestPassword(salt, String(newPassword)) };
+      saveAccounts({ ...accounts, [account.email]: updated });
+    },
+
+    async deleteAccount() {
+      const account = currentAccount();
+      const next = { ...accounts };
+      delete next[account.email];
+      saveAccounts(next);
+      setUser(null);
+    },
+
+    mfaFactors() {
+      return user ? publicFactors(Object.values(accounts).find(a => a.uid === user.uid)) : [];
+    },
+
+    async startTotpEnrollment(issuer) {
+      const account = currentAccount();
+      const secretKey = generateSecret();
+      return {
+        secretKey,
+        uri: otpauthUri(secretKey, { accountName: account.email, issuer }),
+        ...TOTP_DEFAULTS
+      };
+    },
+
+    async finishTotpEnrollment(pending, code, displayName) {
+      const account = currentAccount();
+      if (!await verifyTotp(pending.secretKey, code, pending)) {
+        throw authError('auth/invalid-verification-code', 'That code is not valid.');
+      }
+
+      const factor = { uid: makeId('mfa'), displayName, enrolledAt: new Date().toISOString(), secret: pending.secretKey };
+      saveAccounts({ ...accounts, [account.email]: { ...account, mfa: [...(account.mfa || []), factor] } });
+    },
+
+    async unenrollFactor(uid) {
+      const account = currentAccount();
+      const mfa = (account.mfa || []).filter(f => f.uid !== uid);
+      saveAccounts({ ...accounts, [account.email]: { ...account, mfa } });
+    },
+
+    async load(path) {
+      return clone(docs.get(pathKey(path))) || null;
+    },
+
+    async query(path, { where: filters = [], orderBy: order = null, limit: max = null, after = null } = {}) {
+      let list = collectionDocs(pathKey(path))
+        .filter(d => filters.every(([field, op, value]) => FILTERS[op]?.(readField(d.data, field), value)));
+
+      const direction = order?.[1] === 'desc' ? -1 : 1;
+      const compare = (a, b) => (order ? compareValues(readField(a.data, order[0]), readField(b.data, order[0])) * direction : 0)
+        || compareValues(a.id, b.id);
+      list.sort(compare);
+
+      if (after) list = list.filter(d => compare(d, after) > 0);
+      if (max) list = list.slice(0, max);
+
+      return { docs: list, cursor: list.length ? list[list.length - 1] : null };
+    },
+
+    async save(path, data, { merge = false } = {}) {
+      commit([{ path, data, merge }]);
+    },
+
+    async update(path, patch) {
+      commit([{ path, patch }]);
+    },
+
+    async remove(path) {
+      commit([{ path, remove: true }]);
+    },
+
+    subscribe(path, onChange, onError) {
+      const listener = { key: pathKey(path), onChange, onError };
+      const isCollection = path.length % 2 === 1;
+      (isCollection ? collectionListeners : docListeners).add(listener);
+
+      // First snapshot: everything there is, like Firestore's initial load
+      queueMicrotask(() => {
+        if (isCollection) {
+          if (!collectionListeners.has(listener)) return;
+          const current = collectionDocs(listener.key);
+          onChange({ docs: current, changes: current.map(d => ({ type: 'added', id: d.id, data: d.data, pending: false })) });
+        } else if (docListeners.has(listener)) {
+          const data = clone(docs.get(listener.key)) || null;
+          onChange({ exists: !!data, data, pending: false });
+        }
+      });
+
+      return () => {
+        collectionListeners.delete(listener);
+        docListeners.delete(listener);
+      };
+    },
+
+    async transaction(writes) {
+      commit(writes);
+    },
+
+    deleteField() {
+      return sentinel('delete');
+    },
+
+    arrayUnion(...values) {
+      return sentinel('union', values);
+    },
+
+    arrayRemove(...values) {
+      return sentinel('remove', values);
+    },
+
+    files: null
+  };
+}
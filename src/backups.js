@@ -0,0 +1,279 @@
+/**
+ * src/backups.js
+ * Reading JSON backups (the Settings "Download Snapshot" file) back in.
+ *
+ * parseBackup(text) checks the file's shape, drops records it cannot use and
+ * brings older snapshots up to the current schema with the same migrations
+ * that run on load (migrations.js). planRestore(state, backup, mode) then
+ * diffs it against the live data, per collection:
+ *   merge    backup records are added or overwrite the live copy;
+ *            records that only exist here are kept
+ *   replace  as merge, and live records missing from the backup go to Trash
+ * Settings from the backup are laid over the current ones in both modes,
+ * except the workspace's encryption setup (its key must match the data).
+ * Activities are this workspace's log and are never restored.
+ *
+ * Both functions are pure; stateManager.restoreBackup() applies a plan as
+ * one undoable step.
+ *
+ * Automatic snapshots (utils/backupManager.js) are the same JSON, named by
+ * their UTC time (snapshotFileName). planRetention() decides which of them to
+ * keep: the newest snapshot of each of the last 7 days, 4 ISO weeks and 12
+ * months that have one; everything else is pruned.
+ */
+import { SCHEMA_VERSION, planMigrations } from './migrations.js';
+import { validateRecord } from './schemas.js';
+
+export const RESTORE_COLLECTIONS = [
+  'deals', 'properties', 'investors', 'contacts', 'tasks', 'llcs',
+  'projects', 'vault', 'uploads', 'crexiPresets', 'trash'
+];
+
+export const BACKUP_RETENTION = { daily: 7, weekly: 4, monthly: 12 };
+
+// Belong to the workspace, not to a snapshot of its data
+const WORKSPACE_SETTINGS = ['encryption'];
+
+// Written by sync, not by people; differences here alone are not "changed"
+const SYNC_FIELDS = ['updatedAt', 'updatedBy', 'updatedByEmail'];
+
+/**
+ * Thrown by parseBackup when the file cannot be restored at all.
+ */
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasId(record) {
+  const id = record?.id;
+  return (typeof id === 'string' && id.trim() !== '') || (typeof id === 'number' && Number.isFinite(id));
+}
+
+// Key order differs between devices; compare with sorted keys
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sameContent(a, b) {
+  const strip = (r) => {
+    const out = { ...(r || {}) };
+    SYNC_FIELDS.forEach(f => delete out[f]);
+    return stableStringify(out);
+  };
+  return strip(a) === strip(b);
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+/**
+ * Parses and checks a backup file's text.
+ * Returns { collections: { [category]: records }, settings, schemaVersion,
+ * migrated (records changed by migrations), warnings: [string] }.
+ * Throws a BackupError when the file is unusable.
+ */
+export function parseBackup(text) {
+  let raw;
+  try {
+    raw = JSON.parse(String(text ?? ''));
+  } catch (_) {
+    throw new BackupError('This file is not valid JSON.');
+  }
+
+  if (!isPlainObject(raw) || !RESTORE_COLLECTIONS.some(c => Array.isArray(raw[c]))) {
+    throw new BackupError('This file does not look like a CRM backup (no deals, properties or other collections found).');
+  }
+
+  const schemaVersion = Number(raw._meta?.schemaVersion) || 1;
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new BackupError(`This backup was written by a newer version of the app (schema v${schemaVersion}). Reload the app to update it, then try again.`);
+  }
+
+  const warnings = [];
+  const collections = {};
+
+  RESTORE_COLLECTIONS.forEach((category) => {
+    if (raw[category] === undefined) return;
+    if (!Array.isArray(raw[category])) throw new BackupError(`"${category}" in this backup is not a list.`);
+
+    const seen = new Set();
+    let dropped = 0;
+    let duplicates = 0;
+
+    collections[category] = raw[category].filter((record) => {
+      if (!isPlainObject(record) || !hasId(record)) {
+        dropped += 1;
+        return false;
+      }
+      const id = String(record.id);
+      if (seen.has(id)) {
+        duplicates += 1;
+        return false;
+      }
+      seen.add(id);
+      return true;
+    });
+
+    if (dropped) warnings.push(`${category}: skipped ${plural(dropped, 'record')} without an id.`);
+    if (duplicates) warnings.push(`${category}: skipped ${plural(duplicates, 'duplicate id')}.`);
+  });
+
+  // Older snapshots: run the migrations they have not had yet
+  const plan = planMigrations({ ...collections, _meta: raw._meta });
+  plan.changes.forEach((change) => {
+    const list = collections[change.category];
+    const i = list.findIndex(r => String(r.id) === String(change.id));
+    if (i !== -1) list[i] = change.after;
+  });
+
+  // Legacy values pass the same way they do in the live data; just say so
+  Object.entries(collections).forEach(([category, records]) => {
+    const invalid = records.filter(r => validateRecord(category, r).length).length;
+    if (invalid) warnings.push(`${category}: ${plural(invalid, 'record')} ${invalid === 1 ? 'does' : 'do'} not pass the current field rules; restored as-is.`);
+  });
+
+  return {
+    collections,
+    settings: isPlainObject(raw.settings) ? raw.settings : null,
+    schemaVersion,
+    migrated: plan.changes.length,
+    warnings
+  };
+}
+
+/**
+ * What restoring `backup` (from parseBackup) in `mode` ('merge' | 'replace') would do.
+ * Returns {
+ *   mode,
+ *   collections: [{ category, added, changed: [{ before, after }], deleted, unchanged }],
+ *   settings: { fields: [key], after } | null,
+ *   total
+ * }
+ * Collections missing from the backup are left alone, even when replacing.
+ */
+export function planRestore(state, backup, mode = 'merge') {
+  const collections = Object.entries(backup?.collections || {}).map(([category, records]) => {
+    const live = Array.isArray(state?.[category]) ? state[category] : [];
+    const liveById = new Map(live.map(r => [String(r?.id), r]));
+    const backupIds = new Set(records.map(r => String(r.id)));
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    records.forEach((record) => {
+      const current = liveById.get(String(record.id));
+      if (!current) added.push(record);
+      else if (!sameContent(current, record)) changed.push({ before: current, after: record });
+      else unchanged += 1;
+    });
+
+    // Trash is never trashed; replacing only adds what the backup had there
+    const deleted = mode === 'replace' && category !== 'trash'
+      ? live.filter(r => !backupIds.has(String(r?.id)))
+      : [];
+
+    return { category, added, changed, deleted, unchanged };
+  });
+
+  let settings = null;
+  if (backup?.settings) {
+    const incoming = { ...backup.settings };
+    WORKSPACE_SETTINGS.forEach(k => delete incoming[k]);
+    const fields = Object.keys(incoming)
+      .filter(k => JSON.stringify(incoming[k]) !== JSON.stringify(state?.settings?.[k]));
+    if (fields.length) settings = { fields, after: { ...(state?.settings || {}), ...incoming } };
+  }
+
+  const total = collections.reduce((sum, c) => sum + c.added.length + c.changed.length + c.deleted.length, 0)
+    + (settings ? 1 : 0);
+
+  return { mode, collections, settings, total };
+}
+
+/**
+ * Records per collection in `state` (activities included), for labelling a snapshot.
+ */
+export function recordCounts(state) {
+  const counts = {};
+  [...RESTORE_COLLECTIONS, 'activities'].forEach((category) => {
+    if (Array.isArray(state?.[category])) counts[category] = state[category].length;
+  });
+  return counts;
+}
+
+/**
+ * backup_2026-10-18T03-00-00-000Z.json: sorts by time, no characters Storage escapes.
+ */
+export function snapshotFileName(date = new Date()) {
+  return `backup_${date.toISOString().replace(/[:.]/g, '-')}.json`;
+}
+
+/**
+ * The time encoded by snapshotFileName, or null for any other name.
+ */
+export function snapshotDate(fileName) {
+  const m = String(fileName ?? '').match(/^backup_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/);
+  if (!m) return null;
+  const date = new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Monday-based ISO week, e.g. "2026-W42"
+function isoWeekKey(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((d.getTime() - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const RETENTION_BUCKETS = {
+  daily: date => date.toISOString().slice(0, 10),
+  weekly: isoWeekKey,
+  monthly: date => date.toISOString().slice(0, 7)
+};
+
+/**
+ * Splits snapshots ([{ name, ... }]) into { keep, drop } per BACKUP_RETENTION.
+ * Names that are not snapshot names are never dropped.
+ */
+export function planRetention(snapshots, retention = BACKUP_RETENTION) {
+  const dated = (snapshots || [])
+    .map(s => ({ snapshot: s, date: snapshotDate(s?.name) }))
+    .filter(s => s.date)
+    .sort((a, b) => b.date - a.date);
+
+  const keep = new Set((snapshots || []).filter(s => !snapshotDate(s?.name)));
+
+  Object.entries(RETENTION_BUCKETS).forEach(([rule, bucketOf]) => {
+    const limit = Math.max(0, Number(retention?.[rule]) || 0);
+    const seen = new Set();
+    for (const { snapshot, date } of dated) {
+      if (seen.size >= limit) break;
+      const bucket = bucketOf(date);
+      if (seen.has(bucket)) continue;
+      seen.add(bucket);
+      keep.add(snapshot);
+    }
+  });
+
+  return {
+    keep: (snapshots || []).filter(s => keep.has(s)),
+    drop: (snapshots || []).filter(s => !keep.has(s))
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * src/fieldCrypto.js
+ * Field-level encryption for sensitive values (EINs, SSN/TIN, bank numbers,
+ * investor notes), with WebCrypto only.
+ *
+ * A workspace key is derived from a passphrase (PBKDF2-SHA-256 -> AES-GCM
+ * 256). Only the salt, iteration count and a sealed check value are stored
+ * (settings.encryption), so the passphrase can be verified without keeping
+ * it anywhere. Members type it once per session.
+ *
+ * A sealed value stays a string, so schemas, sync and backups carry it as-is:
+ *   enc1.<hint>.<iv>.<ciphertext>       (base64url parts)
+ * `hint` is the last four characters for identifiers, so a masked value
+ * (•••-••1234) can be shown without the key; free text has no hint.
+ *
+ * Which fields are sensitive is declared in schemas.js (`sensitive: true`).
+ */
+
+const SEALED_PREFIX = 'enc1.';
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 10;
+const CHECK_TEXT = 'summitcrm:field-key';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Wrong passphrase, missing key or a value that does not decrypt.
+ */
+export class EncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const b64 = String(text).replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+export function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+// Last four letters/digits, for the masked display
+function hintFor(value, mask) {
+  if (mask === 'hidden') return '';
+  return String(value).replace(/[^a-zA-Z0-9]/g, '').slice(-4);
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey('raw', encoder.encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    base,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypts `value` (a string); `mask` is the field's schema mask ('last4' | 'hidden').
+ */
+export async function sealValue(key, value, mask = 'last4') {
+  const text = String(value);
+  const iv = randomBytes(12);
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text));
+  return `${SEALED_PREFIX}${toBase64Url(encoder.encode(hintFor(text, mask)))}.${toBase64Url(iv)}.${toBase64Url(cipher)}`;
+}
+
+/**
+ * Decrypts a sealed value; anything else is returned unchanged.
+ */
+export async function openValue(key, value) {
+  if (!isSealed(value)) return value;
+  if (!key) throw new EncryptionError('Unlock encrypted fields first.');
+
+  const [, , iv, cipher] = value.split('.');
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64Url(iv) }, key, fromBase64Url(cipher));
+    return decoder.decode(plain);
+  } catch (_) {
+    throw new EncryptionError('This value could not be decrypted with the current key.');
+  }
+}
+
+function sealedHint(value) {
+  try {
+    return decoder.decode(fromBase64Url(value.split('.')[1] || ''));
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * What to show instead of a sensitive value (sealed or not): •••-••1234, or
+ * dots only for free text. Blank stays blank.
+ */
+export function maskValue(value, mask = 'last4') {
+  if (value === undefined || value === null || String(value).trim() === '') return '';
+  if (mask === 'hidden') return '••••••';
+  const tail = isSealed(value) ? sealedHint(value) : hintFor(value, mask);
+  return `•••-••${tail}`;
+}
+
+/**
+ * New workspace key from `passphrase`. Returns { config, key }; `config` is
+ * what goes into settings.encryption.
+ */
+export async function createKeyConfig(passphrase, { createdByEmail = null } = {}) {
+  if (String(passphrase ?? '').length < MIN_PASSPHRASE_LENGTH) {
+    throw new EncryptionError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+
+  const salt = randomBytes(16);
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const config = {
+    version: 1,
+    salt: toBase64Url(salt),
+    iterations: PBKDF2_ITERATIONS,
+    check: await sealValue(key, CHECK_TEXT, 'hidden'),
+    createdAt: new Date().toISOString(),
+    createdByEmail
+  };
+  return { config, key };
+}
+
+/**
+ * Derives the key for `config` and checks it; rejects with an EncryptionError
+ * when the passphrase is wrong.
+ */
+export async function unlockKey(config, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64Url(config.salt), Number(config.iterations) || PBKDF2_ITERATIONS);
+  let check = null;
+  try {
+    check = await openValue(key, config.check);
+  } catch (_) {}
+  if (check !== CHECK_TEXT) throw new EncryptionError('That passphrase does not unlock this workspace.');
+  return key;
+}
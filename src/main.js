@@ -1,37 +1,80 @@
 /**
  * src/main.js
- * Central command: auth + router + module render orchestration.
+ * Central command: storage backend + auth + router + module render orchestration.
+ *
+ * Each view module lists the collections it reads in `dependsOn`; the open
+ * view re-renders only when one of those changes (or on a full 'all'
+ * refresh), and such re-renders keep scroll, focus and open panels.
+ *
+ * View modules are imported on first visit (VIEW_LOADERS), so only auth and
+ * the shell load before the login screen.
  */
 
 import { stateManager } from './state.js';
+import { loadBackend } from './backend.js';
 import { router } from './router.js';
 import { authModule } from './modules/auth.js';
+import { conflictDialog } from './utils/conflictDialog.js';
+import { toast } from './utils/toast.js';
+import { modalManager } from './utils/modals.js';
+import { preserveViewState } from './utils/viewState.js';
+import { backupManager } from './utils/backupManager.js';
+import { revealField } from './utils/sensitiveField.js';
+import { checkRoute } from './routeGuards.js';
+import { mfaStatus, meetsMfaPolicy } from './mfa.js';
+import { downloadSnapshot } from './utils/snapshotDownload.js';
+import { shortcuts } from './utils/shortcuts.js';
 
-import { dashboard } from './modules/dashboard.js';
-import { analytics } from './modules/analytics.js';
-import { settingsModule } from './modules/settings.js';
-import { vault } from './modules/vault.js';
+// view name (router) -> its module, imported on first visit (router.setLoaders).
+// Each module has render(state) + dependsOn.
+const VIEW_LOADERS = {
+  dashboard: () => import('./modules/dashboard.js').then(m => m.dashboard),
+  analytics: () => import('./modules/analytics.js').then(m => m.analytics),
 
-// IMPORTANT: GitHub Pages is case-sensitive — your filename is publicportfolio.js
-import { publicPortfolio } from './modules/publicportfolio.js';
+  deals: () => import('./modules/deals.js').then(m => m.deals),
+  properties: () => import('./modules/properties.js').then(m => m.properties),
+  projects: () => import('./modules/projects.js').then(m => m.projects),
 
-import { investorPortal } from './modules/investorPortal.js';
+  'investor-portal': () => import('./modules/investorPortal.js').then(m => m.investorPortal),
+  investors: () => import('./modules/investors.js').then(m => m.investors),
+  contacts: () => import('./modules/contacts.js').then(m => m.contacts),
+  // IMPORTANT: GitHub Pages is case-sensitive — your filename is publicportfolio.js
+  'public-portfolio': () => import('./modules/publicportfolio.js').then(m => m.publicPortfolio),
 
-import { deals, showAddDealModal } from './modules/deals.js';
-import { properties, showAddPropertyModal } from './modules/properties.js';
-import { projects, showAddProjectModal } from './modules/projects.js';
-import { investors, showAddInvestorModal } from './modules/investors.js';
-import { contacts, showAddContactModal } from './modules/contacts.js';
-import { tasks, showAddTaskModal } from './modules/tasks.js';
-import { llcs, showAddLLCModal } from './modules/llcs.js';
+  'deal-analyzer': () => import('./modules/deal-analyzer.js').then(m => m.dealAnalyzer),
+  'market-analysis': () => import('./modules/market-analysis.js').then(m => m.marketAnalysis),
+  crexi: () => import('./modules/crexi.js').then(m => m.crexi),
+  'equity-waterfall': () => import('./modules/equity-waterfall.js').then(m => m.equityWaterfall),
 
-import { uploads } from './modules/uploads.js';
-import { calendar } from './modules/calendar.js';
-import { activity } from './modules/activity.js';
-import { dealAnalyzer } from './modules/deal-analyzer.js';
-import { marketAnalysis } from './modules/market-analysis.js';
-import { crexi } from './modules/crexi.js';
-import { equityWaterfall } from './modules/equity-waterfall.js';
+  vault: () => import('./modules/vault.js').then(m => m.vault),
+  uploads: () => import('./modules/uploads.js').then(m => m.uploads),
+  calendar: () => import('./modules/calendar.js').then(m => m.calendar),
+  activity: () => import('./modules/activity.js').then(m => m.activity),
+  trash: () => import('./modules/trash.js').then(m => m.trash),
+
+  tasks: () => import('./modules/tasks.js').then(m => m.tasks),
+  llcs: () => import('./modules/llcs.js').then(m => m.llcs),
+  settings: () => import('./modules/settings.js').then(m => m.settingsModule),
+
+  // #deals/:id, #properties/:id, ... (router ROUTES)
+  record: () => import('./modules/recordDetail.js').then(m => m.recordDetail),
+
+  // where route guards send refused navigations (routeGuards.js)
+  login: () => Promise.resolve(authModule),
+  denied: () => import('./modules/accessDenied.js').then(m => m.accessDenied)
+};
+
+// "Add" actions anywhere in the UI: the view whose module opens the form
+const ADD_ACTIONS = {
+  'deal-add': { view: 'deals', method: 'showAddDealModal', category: 'deals', label: 'Add deal', icon: 'fa-rocket' },
+  'property-add': { view: 'properties', method: 'showAddPropertyModal', category: 'properties', label: 'Add property', icon: 'fa-building-user' },
+  'project-add': { view: 'projects', method: 'showAddProjectModal', category: 'projects', label: 'Add CapEx project', icon: 'fa-helmet-safety' },
+  'investor-add': { view: 'investors', method: 'showAddInvestorModal', category: 'investors', label: 'Add investor', icon: 'fa-users-viewfinder' },
+  'contact-add': { view: 'contacts', method: 'showAddContactModal', category: 'contacts', label: 'Add contact', icon: 'fa-address-book' },
+  'task-add': { view: 'tasks', method: 'showAddTaskModal', category: 'tasks', label: 'Add task', icon: 'fa-list-check' },
+  'vault-add': { view: 'vault', method: 'showAddModal', category: 'vault', label: 'Add document to vault', icon: 'fa-vault' },
+  'llc-add': { view: 'llcs', method: 'showAddLLCModal', category: 'llcs', label: 'Add entity (LLC)', icon: 'fa-scale-balanced' }
+};
 
 /**
  * Sidebar helpers
@@ -67,11 +110,89 @@ function toggleSidebar() {
 /**
  * 1) Init
  */
+// Firestore unless Settings or a ?backend= link picked a local one (backend.js)
+await loadBackend();
+
+// View code is imported on first visit; guards (routeGuards.js) send a
+// refused link to #login or #denied. A record page counts as its
+// collection's view.
+router.setLoaders(VIEW_LOADERS);
+router.setGuard((view, params) => checkRoute(routeContext(), view, params));
+
 authModule.init();
 router.init();
 
-stateManager.subscribe((newState) => {
-  refreshCurrentView(router.getCurrentView(), newState);
+// Workspace roles, feature switches and the two-step verification policy
+// decide which views open and which nav links show
+stateManager.onWorkspace(applyWorkspaceRole);
+stateManager.subscribe(['settings'], () => {
+  applyNavVisibility();
+  router.recheck();
+});
+
+// Sync conflicts: another device changed the same field we did.
+// Local edits on those records are held until the user picks a side.
+stateManager.onConflict((list) => conflictDialog.show(list));
+
+// Sidebar sync indicator: synced / pending N changes / offline / error
+stateManager.onSyncStatus(renderSyncStatus);
+
+// Daily / every-N-changes snapshots to Storage (owners' devices only)
+backupManager.start();
+
+function renderSyncStatus({ status, pending, lastSyncedAt, error }) {
+  const el = document.getElementById('sync-status');
+  if (!el) return;
+
+  const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+  const views = {
+    synced: { icon: 'fa-circle-check', cls: 'text-emerald-400', label: 'All changes synced' },
+    pending: { icon: 'fa-arrows-rotate fa-spin', cls: 'text-amber-400', label: pending ? `${changes} pending` : 'Connecting…' },
+    offline: { icon: 'fa-plug-circle-xmark', cls: 'text-slate-400', label: pending ? `Offline · ${changes} pending` : 'Offline' },
+    error: { icon: 'fa-triangle-exclamation', cls: 'text-red-400', label: pending ? `Sync error · ${changes} pending` : 'Sync error' }
+  };
+  const view = views[status] || views.pending;
+
+  const lastSync = lastSyncedAt ? `Last synced ${new Date(lastSyncedAt).toLocaleString()}` : 'Not synced yet';
+  el.title = status === 'error' && error ? `${error} (click to retry)` : lastSync;
+  el.className = `w-full flex items-center px-4 py-2 mb-2 rounded-xl text-[11px] font-bold hover:bg-slate-800 transition-all ${view.cls}`;
+  el.innerHTML = `<i class="fa ${view.icon} w-6"></i>${view.label}`;
+}
+
+function routeContext() {
+  return {
+    authReady: authModule.ready,
+    user: authModule.user,
+    mfaEnabled: !!authModule.user && mfaStatus().enabled,
+    canView: (view) => stateManager.canView(view),
+    settings: stateManager.get().settings
+  };
+}
+
+function applyNavVisibility() {
+  document.querySelectorAll('[data-action="nav-link"][data-view]').forEach((link) => {
+    link.classList.toggle('hidden', !router.canNavigate(link.dataset.view));
+  });
+}
+
+function applyWorkspaceRole(workspace) {
+  applyNavVisibility();
+
+  const label = document.getElementById('workspace-label');
+  if (label) {
+    label.textContent = workspace?.name ? `${workspace.name} · ${workspace.roleLabel}` : '';
+    label.classList.toggle('hidden', !workspace?.name);
+  }
+
+  router.recheck();
+}
+
+// Mutations the member's role does not allow reject with a PermissionError;
+// anything not already shown in a modal surfaces as a toast.
+window.addEventListener('unhandledrejection', (e) => {
+  if (e.reason?.name !== 'PermissionError') return;
+  e.preventDefault();
+  toast.show(e.reason.message, { tone: 'error' });
 });
 
 /**
@@ -97,68 +218,168 @@ document.addEventListener('click', (e) => {
     return;
   }
 
-  // Add actions
+  // Add actions (the form lives in the view's module, loaded on demand)
+  if (ADD_ACTIONS[action]) {
+    openAddForm(action);
+    return;
+  }
+
   switch (action) {
-    case 'deal-add': showAddDealModal(); return;
-    case 'property-add': showAddPropertyModal(); return;
-    case 'project-add': showAddProjectModal(); return;
-    case 'investor-add': showAddInvestorModal(); return;
-    case 'contact-add': showAddContactModal(); return;
-    case 'task-add': showAddTaskModal(); return;
-    case 'vault-add': vault.showAddModal(); return;
-    case 'llc-add': showAddLLCModal(); return;
     case 'logout': authModule.logout(); return;
+    case 'sync-now': stateManager.syncNow(); return;
+    case 'reveal-field': revealField(target); return;
+    case 'view-retry': router.retry(); return;
   }
 
   // Example quick toggles (keep yours as needed)
   if (action === 'task-toggle') {
     const t = (state.tasks || []).find(x => x.id === id);
     if (!t) return;
-    stateManager.update('tasks', id, { completed: !t.completed });
+    stateManager.update('tasks', id, { completed: !t.completed })
+      .catch(err => toast.show(err?.message || 'That task could not be updated.', { tone: 'error' }));
   }
 });
 
-// Click backdrop to close sidebar on mobile
-document.getElementById('sidebarBackdrop')?.addEventListener('click', () => closeSidebar());
+function openAddForm(action) {
+  const { view, method } = ADD_ACTIONS[action];
+  return router.load(view)
+    .then(module => module[method]())
+    .catch((err) => {
+      console.error(`${action} failed`, err);
+      toast.show('That form could not be loaded. Check your connection and try again.', { tone: 'error' });
+    });
+}
+
+// Commands the palette lists next to its "Go to" entries
+function paletteActions() {
+  const adds = Object.entries(ADD_ACTIONS)
+    .filter(([, a]) => router.canNavigate(a.view) && stateManager.can(a.category, 'add'))
+    .map(([action, a]) => ({ id: action, label: a.label, icon: a.icon, keywords: 'new create', run: () => openAddForm(action) }));
+
+  return [
+    ...adds,
+    { id: 'export', label: 'Export backup', icon: 'fa-download', hint: 'Download a JSON snapshot of this workspace', keywords: 'download snapshot json', run: downloadSnapshot },
+    { id: 'shortcuts', label: 'Keyboard shortcuts', icon: 'fa-keyboard', hint: 'Press ? anywhere', keywords: 'help keys', run: () => shortcuts.showCheatSheet() },
+    { id: 'sync', label: 'Sync now', icon: 'fa-arrows-rotate', keywords: 'refresh', run: () => stateManager.syncNow() },
+    { id: 'logout', label: 'Log out', icon: 'fa-power-off', keywords: 'sign out', run: () => authModule.logout() }
+  ];
+}
+
+// Ctrl+K / Cmd+K: search everything (loaded on first use)
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || String(e.key).toLowerCase() !== 'k') return;
+  // Shut, like every view but Settings, until the two-step policy is met
+  if (!authModule.user || !meetsMfaPolicy(stateManager.get().settings)) return;
+
+  e.preventDefault();
+  import('./utils/commandPalette.js')
+    .then(({ commandPalette }) => commandPalette.toggle({ actions: paletteActions() }))
+    .catch(err => console.error('command palette failed to load', err));
+});
 
 /**
- * 3) Rendering
+ * Keyboard shortcuts (utils/shortcuts.js; "?" lists them). Views register
+ * their own "/" when they have a search box.
  */
-function refreshCurrentView(view, state) {
-  const wrapper = document.getElementById('view-container-wrapper');
-  if (wrapper) wrapper.scrollTop = 0;
+const GO_SHORTCUTS = {
+  'g h': 'dashboard',
+  'g a': 'analytics',
+  'g d': 'deals',
+  'g p': 'properties',
+  'g i': 'investors',
+  'g c': 'contacts',
+  'g e': 'llcs',
+  'g t': 'tasks',
+  'g v': 'vault',
+  'g s': 'settings'
+};
 
-  switch (view) {
-    case 'dashboard': dashboard.render(); break;
-    case 'analytics': analytics.render(); break;
+function navLabel(view) {
+  const link = document.querySelector(`[data-action="nav-link"][data-view="${view}"]`);
+  return link?.textContent.trim() || view;
+}
+
+Object.entries(GO_SHORTCUTS).forEach(([keys, view]) => {
+  shortcuts.register({ keys, group: 'Navigation', label: `Go to ${navLabel(view)}`, run: () => router.navigate(view) });
+});
 
-    case 'deals': deals.render(); break;
-    case 'properties': properties.render(); break;
-    case 'projects': projects.render(); break;
+Object.entries(ADD_ACTIONS).forEach(([action, a]) => {
+  shortcuts.register({
+    keys: 'n',
+    view: a.view,
+    label: a.label,
+    run: () => {
+      if (!stateManager.can(a.category, 'add')) {
+        toast.show('Your role cannot add records here.', { tone: 'error' });
+        return;
+      }
+      openAddForm(action);
+    }
+  });
+});
 
-    case 'investor-portal': investorPortal.render(); break;
-    case 'investors': investors.render(); break;
-    case 'contacts': contacts.render(); break;
-    case 'public-portfolio': publicPortfolio.render(); break;
+shortcuts.register({ keys: '?', label: 'Show keyboard shortcuts', run: () => shortcuts.showCheatSheet() });
+shortcuts.register({ keys: 'Ctrl+K', label: 'Search records and commands' });
+shortcuts.register({ keys: 'Ctrl+Z', label: 'Undo' });
+shortcuts.register({ keys: 'Ctrl+Shift+Z', label: 'Redo' });
+shortcuts.start();
+
+// Click backdrop to close sidebar on mobile
+document.getElementById('sidebarBackdrop')?.addEventListener('click', () => closeSidebar());
 
-    case 'deal-analyzer': dealAnalyzer.render(); break;
-    case 'market-analysis': marketAnalysis.render(); break;
-    case 'crexi': crexi.render(); break;
-    case 'equity-waterfall': equityWaterfall.render(); break;
+// Global undo/redo: Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS).
+// Text fields keep their native undo; nothing happens behind an open modal.
+document.addEventListener('keydown', async (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || String(e.key).toLowerCase() !== 'z') return;
+  if (e.target?.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+  if (modalManager.isOpen()) return;
 
-    case 'vault': vault.render(); break;
-    case 'uploads': uploads.render(); break;
-    case 'calendar': calendar.render(); break;
-    case 'activity': activity.render(); break;
+  e.preventDefault();
+  const entry = e.shiftKey ? await stateManager.redo() : await stateManager.undo();
+  if (!entry) {
+    toast.show(e.shiftKey ? 'Nothing to redo' : 'Nothing to undo');
+    return;
+  }
+  toast.show(`${e.shiftKey ? 'Redone' : 'Undone'}: ${entry.label}`);
+});
 
-    case 'tasks': tasks.render(); break;
-    case 'llcs': llcs.render(); break;
-    case 'settings': settingsModule.render(); break;
+/**
+ * 3) Rendering
+ */
+function refreshCurrentView(view, state, { preserve = false } = {}) {
+  const module = router.getModule(view);
+  if (!module) return;
+  const render = () => module.render(state);
 
-    default: dashboard.render(); break;
+  if (preserve) {
+    preserveViewState(document.getElementById(`view-${view}`), render);
+    return;
   }
+
+  const wrapper = document.getElementById('view-container-wrapper');
+  if (wrapper) wrapper.scrollTop = 0;
+  render();
+}
+
+// A view starts listening for its collections the first time it opens
+const watchedViews = new Set();
+
+function watchView(view, module) {
+  if (watchedViews.has(view)) return;
+  watchedViews.add(view);
+
+  let subscribed = false;
+  stateManager.subscribe(module.dependsOn || null, (newState) => {
+    if (subscribed && router.getCurrentView() === view) refreshCurrentView(view, newState, { preserve: true });
+  });
+  subscribed = true;
 }
 
 window.addEventListener('view-changed', (e) => {
-  refreshCurrentView(e.detail.view, stateManager.get());
+  const { view } = e.detail;
+  const module = router.getModule(view);
+  if (!module) return;
+
+  watchView(view, module);
+  refreshCurrentView(view, stateManager.get());
 });
@@ -0,0 +1,185 @@
+/**
+ * src/mfa.js
+ * Two-step verification: an authenticator app (TOTP) as second factor,
+ * one-time recovery codes, and the workspace policy that requires it.
+ *
+ * Everything rides on the backend's TOTP factors (backend.js), so the cloud
+ * backend has Firebase enforce the second step at sign-in.
+ *
+ * A recovery code is the key of an extra TOTP factor that no app ever scans.
+ * It is shown once; signing in with it computes that factor's current code
+ * here. Recovery factors are named RECOVERY_PREFIX + a fingerprint of their
+ * key, which is how a typed code finds its factor among the sign-in hints.
+ *
+ * Each code works once, and the backend enforces that: the sign-in (or
+ * re-authentication) that used a code unenrolls its factor before it counts.
+ * If the unenroll fails, the session is signed out again, so a code is never
+ * left accepted but still enrolled. Firebase may also end the session when the
+ * factor it signed in with goes; resolveChallenge reports both as .signedOut.
+ *
+ * Policy: settings.security.requireMfa (owners, Settings > Two-Step
+ * Verification). Until a member meets it (meetsMfaPolicy), stateManager loads
+ * none of the workspace's records, the `mfa` route guard keeps them on
+ * Settings and the command palette stays shut. firestore.rules holds the same
+ * line on the server: records need a session signed in with a second factor
+ * (request.auth.token.firebase.sign_in_second_factor), so a member who has just
+ * set one up signs in again (authModule.mfaSetupDone).
+ */
+import { backend } from './backend.js';
+import { totpCode, fromBase32 } from './totp.js';
+
+export const AUTHENTICATOR_NAME = 'Authenticator app';
+export const RECOVERY_PREFIX = 'Recovery code ';
+
+// Firebase allows five second factors: the app and four codes
+export const RECOVERY_CODE_COUNT = 4;
+
+const ISSUER = 'Summit CRM';
+
+export function isRecoveryFactor(factor) {
+  return String(factor?.displayName || '').startsWith(RECOVERY_PREFIX);
+}
+
+/**
+ * { enabled, authenticator, recoveryLeft } for the signed-in user.
+ */
+export function mfaStatus(factors = backend().mfaFactors()) {
+  const authenticator = factors.find(f => !isRecoveryFactor(f)) || null;
+  return {
+    enabled: !!authenticator,
+    authenticator,
+    recoveryLeft: factors.filter(isRecoveryFactor).length
+  };
+}
+
+export function requiresMfa(settings) {
+  return settings?.security?.requireMfa === true;
+}
+
+// False while `settings` require two-step verification and the user has no factor
+export function meetsMfaPolicy(settings) {
+  return !requiresMfa(settings) || mfaStatus().enabled;
+}
+
+// "abcd-efgh ijkl" -> "ABCDEFGHIJKL"
+function normalizeCode(text) {
+  return String(text ?? '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function formatRecoveryCode(key) {
+  return normalizeCode(key).match(/.{1,4}/g).join('-');
+}
+
+async function fingerprint(key) {
+  const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeCode(key)));
+  return [...new Uint8Array(bytes).slice(0, 4)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * First half of turning on two-step verification: a new secret to show as a
+ * QR code (`uri`) or as a key to type (`secretKey`). Needs a recent sign-in.
+ */
+export async function startAuthenticatorSetup() {
+  if (mfaStatus().enabled) throw new Error('Two-step verification is already on. Turn it off first to switch apps.');
+  return backend().startTotpEnrollment(ISSUER);
+}
+
+/**
+ * Second half: `code` from the app proves it was added. Returns the new
+ * recovery codes, which are never shown again.
+ */
+export async function finishAuthenticatorSetup(pending, code) {
+  await backend().finishTotpEnrollment(pending, String(code ?? '').replace(/\s/g, ''), AUTHENTICATOR_NAME);
+  return createRecoveryCodes();
+}
+
+/**
+ * Replaces any earlier recovery codes with RECOVERY_CODE_COUNT new ones.
+ * The old ones go first, so the five-factor limit is never in the way.
+ */
+export async function createRecoveryCodes() {
+  if (!mfaStatus().enabled) throw new Error('Set up an authenticator app first.');
+
+  for (const factor of backend().mfaFactors().filter(isRecoveryFactor)) {
+    await backend().unenrollFactor(factor.uid);
+  }
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const pending = await backend().startTotpEnrollment(ISSUER);
+    const name = `${RECOVERY_PREFIX}${await fingerprint(pending.secretKey)}`;
+    await backend().finishTotpEnrollment(pending, await totpCode(pending.secretKey, pending), name);
+    codes.push(formatRecoveryCode(pending.secretKey));
+  }
+  return codes;
+}
+
+/**
+ * Removes the app and every recovery code. Refused while the workspace
+ * requires two-step verification. Returns { signedOut }: the app, the factor
+ * this session signed in with, goes last, and on Firebase removing it can end
+ * the session.
+ */
+export async function turnOffMfa(settings) {
+  if (requiresMfa(settings)) throw new Error('This workspace requires two-step verification, so it cannot be turned off.');
+
+  const factors = backend().mfaFactors();
+  const ordered = [...factors.filter(isRecoveryFactor), ...factors.filter(f => !isRecoveryFactor(f))];
+  for (const factor of ordered) {
+    try {
+      await backend().unenrollFactor(factor.uid);
+    } catch (error) {
+      // The factor is gone along with the session (auth/user-token-expired)
+      if (factor === ordered[ordered.length - 1] && !backend().currentUser()) return { signedOut: true };
+      throw error;
+    }
+  }
+  return { signedOut: !backend().currentUser() };
+}
+
+/**
+ * Completes a sign-in or re-authentication that asked for a second factor
+ * (`error.mfa`, backend.js) with a code from the app or a recovery code.
+ * Returns { usedRecoveryCode }.
+ *
+ * A recovery code's factor is unenrolled as part of this. Errors after the
+ * backend accepted the code carry `signedOut: true`: the session has ended
+ * and the user has to sign in again.
+ */
+export async function resolveChallenge(mfa, input) {
+  const typed = normalizeCode(input);
+  if (!typed) throw new Error('Enter the code from your authenticator app, or a recovery code.');
+
+  if (/^\d{6,8}$/.test(typed)) {
+    const hint = mfa.hints.find(h => !isRecoveryFactor(h));
+    if (!hint) throw new Error('No authenticator app is set up for this account. Enter a recovery code.');
+    await mfa.resolve(hint.uid, typed);
+    return { usedRecoveryCode: false };
+  }
+
+  const invalid = () => new Error('That recovery code is not valid, or it was already used.');
+  try {
+    fromBase32(typed);
+  } catch (_) {
+    throw invalid();
+  }
+
+  const name = `${RECOVERY_PREFIX}${await fingerprint(typed)}`;
+  const hint = mfa.hints.find(h => h.displayName === name);
+  if (!hint) throw invalid();
+
+  await mfa.resolve(hint.uid, await totpCode(typed));
+  try {
+    await backend().unenrollFactor(hint.uid);
+  } catch (error) {
+    if (backend().currentUser()) {
+      // Still enrolled, so it must not have opened a session
+      await backend().signOut();
+      throw Object.assign(new Error('Signing in with that recovery code could not be finished. Check your connection and try the same code again.'), { signedOut: true, cause: error });
+    }
+  }
+  if (!backend().currentUser()) {
+    throw Object.assign(new Error('That recovery code is now used up, and the session it started has ended. Sign in again with your authenticator app or another recovery code.'), { signedOut: true });
+  }
+  return { usedRecoveryCode: true };
+}
@@ -0,0 +1,166 @@
+/**
+ * src/migrations.js
+ * Schema versioning + load-time data migrations.
+ *
+ * Each migration normalizes one legacy shape into the canonical one:
+ *   deals:     price -> purchase_price, rehab -> total_capex
+ *   all:       created_at -> createdAt
+ *   llcs:      registeredAt -> createdAt
+ *
+ * Migrations are pure (record in, record out) so the same code produces the
+ * dry-run report and the real run. stateManager applies them on load and
+ * records each id in _meta.migrations so it only runs once per workspace.
+ */
+
+// Version 1 = the original mixed-alias data.
+const BASE_SCHEMA_VERSION = 1;
+
+function has(record, key) {
+  return Object.prototype.hasOwnProperty.call(record, key);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function isZero(value) {
+  const n = typeof value === 'string' ? Number(value.replace(/,/g, '').trim()) : Number(value);
+  return Number.isFinite(n) && n === 0;
+}
+
+/**
+ * Folds `aliases` into `canonical` and removes them.
+ * Keeps the first non-blank, non-zero value in priority order (canonical first),
+ * falling back to the first non-blank one (so an explicit 0 survives).
+ */
+function foldAliases(record, canonical, aliases) {
+  const keys = [canonical, ...aliases].filter(k => has(record, k) && !isBlank(record[k]));
+  const pick = keys.find(k => !isZero(record[k])) ?? keys[0];
+
+  const out = { ...record };
+  if (pick !== undefined) out[canonical] = record[pick];
+  aliases.forEach((k) => { delete out[k]; });
+  return out;
+}
+
+export const MIGRATIONS = [
+  {
+    id: '001-deal-price-aliases',
+    version: 2,
+    description: 'Deals: fold price into purchase_price and rehab into total_capex',
+    collections: ['deals'],
+    migrate(record) {
+      const out = foldAliases(record, 'purchase_price', ['price']);
+      return foldAliases(out, 'total_capex', ['rehab']);
+    }
+  },
+  {
+    id: '002-created-at',
+    version: 2,
+    description: 'All records: fold created_at into createdAt',
+    collections: ['deals', 'properties', 'investors', 'contacts', 'tasks', 'llcs', 'projects', 'vault', 'uploads', 'crexiPresets'],
+    migrate(record) {
+      return foldAliases(record, 'createdAt', ['created_at']);
+    }
+  },
+  {
+    id: '003-llc-registered-at',
+    version: 2,
+    description: 'LLCs: fold registeredAt into createdAt',
+    collections: ['llcs'],
+    migrate(record) {
+      // createdAt wins when both exist; registeredAt only fills a gap
+      const out = { ...record };
+      if (isBlank(out.createdAt) && !isBlank(out.registeredAt)) out.createdAt = out.registeredAt;
+      delete out.registeredAt;
+      return out;
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.reduce((v, m) => Math.max(v, m.version), BASE_SCHEMA_VERSION);
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function fieldDiff(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter(k => !sameJson(before?.[k], after?.[k]))
+    .map(k => ({ field: k, before: before?.[k], after: after?.[k] }));
+}
+
+/**
+ * Computes what the pending migrations would change, without touching `state`.
+ *
+ * Returns {
+ *   fromVersion, toVersion,
+ *   pending: [{ id, version, description }],
+ *   changes: [{ migrationIds, category, id, name, inTrash, before, after, fields: [{ field, before, after }] }]
+ * }
+ * With `{ all: true }` every migration is considered, even ones already recorded.
+ */
+export function planMigrations(state, opts = {}) {
+  const applied = new Set((state?._meta?.migrations || []).map(m => m?.id));
+  const pending = MIGRATIONS.filter(m => opts.all || !applied.has(m.id));
+
+  // Run every pending migration over a record in order; one change entry per record
+  const migrateOne = (category, record) => {
+    let current = record;
+    const ids = [];
+    pending.forEach((m) => {
+      if (!m.collections.includes(category)) return;
+      const next = m.migrate(current);
+      if (!sameJson(next, current)) ids.push(m.id);
+      current = next;
+    });
+    return { after: current, ids };
+  };
+
+  const changes = [];
+  const categories = new Set(pending.flatMap(m => m.collections));
+
+  categories.forEach((category) => {
+    const list = Array.isArray(state?.[category]) ? state[category] : [];
+    list.forEach((record) => {
+      if (!record || typeof record !== 'object') return;
+      const { after, ids } = migrateOne(category, record);
+      if (!ids.length) return;
+      changes.push({
+        migrationIds: ids,
+        category,
+        id: record.id,
+        name: record.name || record.title || record.id,
+        inTrash: false,
+        before: record,
+        after,
+        fields: fieldDiff(record, after)
+      });
+    });
+  });
+
+  // Trashed copies get the same treatment so a restore brings back the canonical shape
+  (Array.isArray(state?.trash) ? state.trash : []).forEach((entry) => {
+    if (!entry?.record || !categories.has(entry.category)) return;
+    const { after, ids } = migrateOne(entry.category, entry.record);
+    if (!ids.length) return;
+    changes.push({
+      migrationIds: ids,
+      category: 'trash',
+      id: entry.id,
+      name: entry.name || entry.id,
+      inTrash: true,
+      before: entry,
+      after: { ...entry, record: after },
+      fields: fieldDiff(entry.record, after)
+    });
+  });
+
+  return {
+    fromVersion: Number(state?._meta?.schemaVersion) || BASE_SCHEMA_VERSION,
+    toVersion: SCHEMA_VERSION,
+    pending: pending.map(({ id, version, description }) => ({ id, version, description })),
+    changes
+  };
+}
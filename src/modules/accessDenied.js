@@ -0,0 +1,80 @@
+/**
+ * src/modules/accessDenied.js
+ * Where route guards send a link the member may not open
+ * (#denied?reason=role|feature|mfa&from=<refused hash>, see routeGuards.js).
+ *
+ * Says why (role, a feature turned off, or two-step verification the
+ * workspace requires) and offers the way out; the router returns to `from`
+ * by itself once the role, the feature or the member's setup changes.
+ */
+
+import { stateManager } from '../state.js';
+import { router } from '../router.js';
+import { FEATURES } from '../routeGuards.js';
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+// "deals/abc?x=1" -> "deals"; a record page counts as its collection
+function refusedView(from) {
+  return String(from || '').split('?')[0].split('/')[0];
+}
+
+function pageLabel(view) {
+  if (FEATURES[view]) return FEATURES[view].label;
+  return view ? view.replace(/-/g, ' ') : 'this page';
+}
+
+export const accessDenied = {
+  dependsOn: [],
+
+  render() {
+    const container = document.getElementById('view-denied');
+    if (!container) return;
+
+    const { reason, from } = router.getQuery('denied');
+    const view = refusedView(from);
+    const label = pageLabel(view);
+    const workspace = stateManager.getWorkspace();
+    const isFeature = reason === 'feature';
+    const isMfa = reason === 'mfa';
+
+    const message = isMfa
+      ? `${workspace?.name ? `"${workspace.name}"` : 'This workspace'} requires two-step verification. Set up an authenticator app in Settings › Two-Step Verification to open ${label}.`
+      : isFeature
+        ? `${label} is turned off for this workspace.${stateManager.canManageWorkspace()
+          ? ' You can turn it back on in Settings › Features.'
+          : ' A workspace owner can turn it back on in Settings › Features.'}`
+        : `Your role${workspace?.roleLabel ? ` (${workspace.roleLabel})` : ''} cannot open ${label}. Ask a workspace owner for access.`;
+    const icon = isMfa ? 'fa-shield-halved' : isFeature ? 'fa-toggle-off' : 'fa-lock';
+    const heading = isMfa ? 'Two-step verification required' : isFeature ? 'Feature turned off' : 'No access';
+
+    container.innerHTML = `
+      <div class="max-w-xl mx-auto py-16 text-center">
+        <div class="inline-flex items-center justify-center w-16 h-16 bg-slate-100 text-slate-400 rounded-full mb-6">
+          <i class="fa ${icon} text-2xl"></i>
+        </div>
+        <h2 class="text-2xl font-black text-slate-900 tracking-tight">${heading}</h2>
+        <p class="text-sm font-semibold text-slate-500 mt-3">${escapeHtml(message)}</p>
+        <div class="flex justify-center gap-3 mt-8">
+          ${isMfa ? '' : `
+            <a href="#dashboard"
+              class="px-5 py-2.5 rounded-xl bg-slate-900 text-white text-[10px] font-black uppercase tracking-widest hover:bg-slate-800">
+              <i class="fa fa-house mr-1"></i>Dashboard
+            </a>`}
+          ${isMfa || (isFeature && stateManager.canManageWorkspace()) ? `
+            <a href="#settings"
+              class="px-5 py-2.5 rounded-xl bg-white border border-slate-200 text-slate-600 text-[10px] font-black uppercase tracking-widest hover:border-orange-500 hover:text-orange-600">
+              <i class="fa fa-gear mr-1"></i>Settings
+            </a>` : ''}
+        </div>
+      </div>
+    `;
+  }
+};
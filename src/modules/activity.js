@@ -81,6 +81,8 @@ export function createActivityEntry(text, type = 'general') {
  * Export the object main.js expects: activity.render(state)
  */
 export const activity = {
+  dependsOn: ['activities'],
+
   createActivityEntry,
 
   /**
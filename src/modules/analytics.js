@@ -1,9 +1,15 @@
 /**
  * src/modules/analytics.js
  * Portfolio analytics + charts + filter row (with debounced inputs).
+ * The filter row becomes a stateManager.query() spec, so the filtered list,
+ * its metrics and the LLC exposure are memoized until properties change.
+ * The filters live in the URL (#analytics?llc=…&mincap=6), so a filtered
+ * analysis can be bookmarked or sent on.
  */
 import { stateManager } from '../state.js';
 import { formatters } from '../utils/formatters.js';
+import { readFilters, writeFilters } from '../utils/urlFilters.js';
+import { shortcuts, focusField } from '../utils/shortcuts.js';
 
 function num(v) {
   const n = typeof v === 'string' ? Number(v.replace(/,/g, '').trim()) : Number(v);
@@ -16,11 +22,6 @@ function clamp(n, min, max) {
   return Math.max(min, Math.min(max, x));
 }
 
-function avg(arr) {
-  if (!arr.length) return 0;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
-}
-
 function debounce(fn, wait = 250) {
   let t = null;
   return (...args) => {
@@ -29,19 +30,19 @@ function debounce(fn, wait = 250) {
   };
 }
 
+const FILTER_DEFAULTS = { q: '', owning_llc: 'all', min_occ: 0, min_cap: 0, min_noi: 0 };
+
+// filter -> hash query name
+const FILTER_PARAMS = { q: 'q', owning_llc: 'llc', min_occ: 'minocc', min_cap: 'mincap', min_noi: 'minnoi' };
+
 export const analytics = {
+  dependsOn: ['properties', 'llcs'],
   _charts: {
     exposure: null,
     capitalStack: null
   },
 
-  _filters: {
-    q: '',
-    owning_llc: 'all',
-    min_occ: 0,
-    min_cap: 0, // %
-    min_noi: 0  // $
-  },
+  _filters: { ...FILTER_DEFAULTS }, // min_cap in %, min_noi in $
 
   _bound: false,
 
@@ -52,6 +53,8 @@ export const analytics = {
     const container = document.getElementById('view-analytics');
     if (!container) return;
 
+    this._filters = readFilters('analytics', FILTER_DEFAULTS, FILTER_PARAMS);
+
     const state = stateManager.get();
     const allProps = Array.isArray(state?.properties) ? state.properties : [];
 
@@ -59,8 +62,9 @@ export const analytics = {
       new Set(allProps.map(p => (p.owning_llc || '').toString().trim()).filter(Boolean))
     ).sort((a, b) => a.localeCompare(b));
 
-    const filtered = this.applyFilters(allProps, this._filters);
-    const metrics = this.calculateMetrics(filtered);
+    const spec = this.filterSpec(this._filters);
+    const filtered = stateManager.query('properties', spec);
+    const metrics = stateManager.select('propertyTotals', spec);
 
     container.innerHTML = `
       <div class="p-8 space-y-8">
@@ -149,7 +153,7 @@ export const analytics = {
           </div>
           <div class="bg-white p-6 rounded-2xl border border-gray-100 shadow-sm">
             <p class="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-1">Total Valuation</p>
-            <p class="text-2xl font-black text-blue-600">${formatters.compact(metrics.totalValuation)}</p>
+            <p class="text-2xl font-black text-blue-600">${formatters.compact(metrics.valuation)}</p>
           </div>
           <div class="bg-white p-6 rounded-2xl border border-gray-100 shadow-sm">
             <p class="text-[10px] font-black text-gray-400 uppercase tracking-widest mb-1">Debt to Equity</p>
@@ -202,7 +206,7 @@ export const analytics = {
     `;
 
     this.bindFilterEvents(container);
-    requestAnimationFrame(() => this.initCharts(filtered));
+    requestAnimationFrame(() => this.initCharts(spec));
   },
 
   bindFilterEvents(container) {
@@ -221,21 +225,25 @@ export const analytics = {
       // Debounced fields
       if (t.id === 'an-q') {
         this._filters.q = t.value || '';
+        this._saveFilters();
         this._debouncedApply();
         return;
       }
       if (t.id === 'an-occ') {
         this._filters.min_occ = clamp(t.value, 0, 100);
+        this._saveFilters();
         this._debouncedApply();
         return;
       }
       if (t.id === 'an-cap') {
         this._filters.min_cap = clamp(t.value, 0, 100);
+        this._saveFilters();
         this._debouncedApply();
         return;
       }
       if (t.id === 'an-noi') {
         this._filters.min_noi = Math.max(0, num(t.value));
+        this._saveFilters();
         this._debouncedApply();
         return;
       }
@@ -248,6 +256,7 @@ export const analytics = {
 
       if (t.id === 'an-llc') {
         this._filters.owning_llc = t.value || 'all';
+        this._saveFilters();
         this.render();
       }
     });
@@ -257,58 +266,32 @@ export const analytics = {
       const btn = e.target.closest('#an-reset');
       if (!btn) return;
 
-      this._filters = { q: '', owning_llc: 'all', min_occ: 0, min_cap: 0, min_noi: 0 };
+      this._filters = { ...FILTER_DEFAULTS };
+      this._saveFilters();
       this.render();
     });
   },
 
-  applyFilters(properties, filters) {
-    const q = (filters.q || '').toLowerCase().trim();
-    const llc = filters.owning_llc || 'all';
-    const minOcc = clamp(filters.min_occ, 0, 100);
-    const minCap = Math.max(0, num(filters.min_cap));
-    const minNoi = Math.max(0, num(filters.min_noi));
-
-    return (properties || []).filter(p => {
-      const name = (p.name || '').toString().toLowerCase();
-      const owning = (p.owning_llc || '').toString();
-      const occ = num(p.occupancy);
-
-      const valuation = num(p.valuation);
-      const noi = num(p.actual_noi);
-      const cap = (valuation > 0 && noi > 0) ? ((noi / valuation) * 100) : 0;
-
-      if (q && !name.includes(q)) return false;
-      if (llc !== 'all' && owning !== llc) return false;
-      if (occ < minOcc) return false;
-      if (noi < minNoi) return false;
-      if (cap < minCap) return false;
-
-      return true;
-    });
+  // The URL is updated on every keystroke; the render itself is debounced
+  _saveFilters() {
+    writeFilters('analytics', this._filters, FILTER_DEFAULTS, FILTER_PARAMS);
   },
 
-  calculateMetrics(properties) {
-    const props = Array.isArray(properties) ? properties : [];
-
-    const capRates = props
-      .map(p => {
-        const val = num(p.valuation);
-        const noi = num(p.actual_noi);
-        if (val <= 0 || noi <= 0) return null;
-        return (noi / val) * 100;
-      })
-      .filter(v => typeof v === 'number' && Number.isFinite(v));
-
-    const totalValuation = props.reduce((sum, p) => sum + num(p.valuation), 0);
-    const totalDebt = props.reduce((sum, p) => sum + num(p.loan_balance), 0);
-    const totalEquity = Math.max(totalValuation - totalDebt, 0);
-    const debtToEquity = totalEquity > 0 ? (totalDebt / totalEquity) : 0;
+  /**
+   * Filter row -> query spec (see selectors.js). Blank minimums still drop
+   * negative NOI, like the row always has.
+   */
+  filterSpec(filters) {
+    const llc = filters.owning_llc || 'all';
 
     return {
-      avgCapRate: capRates.length ? avg(capRates) : 0,
-      totalValuation,
-      debtToEquity
+      search: { text: String(filters.q || '').trim(), fields: ['name'] },
+      where: {
+        owning_llc: llc !== 'all' ? llc : undefined,
+        occupancy: { gte: clamp(filters.min_occ, 0, 100) },
+        actual_noi: { gte: Math.max(0, num(filters.min_noi)) },
+        cap_rate: { gte: Math.max(0, num(filters.min_cap)) }
+      }
     };
   },
 
@@ -337,7 +320,7 @@ export const analytics = {
     }).join('');
   },
 
-  initCharts(properties) {
+  initCharts(spec) {
     if (typeof Chart === 'undefined') {
       console.warn("Chart.js not loaded. Please ensure the CDN script is in index.html");
       return;
@@ -352,20 +335,12 @@ export const analytics = {
       this._charts.capitalStack = null;
     }
 
-    const props = Array.isArray(properties) ? properties : [];
+    const exposure = stateManager.select('llcTotals', spec).filter(row => row.count > 0);
 
-    const map = {};
-    props.forEach(p => {
-      const llc = (p.owning_llc || 'Unknown').toString().trim() || 'Unknown';
-      map[llc] = (map[llc] || 0) + num(p.valuation);
-    });
+    const labels = exposure.length ? exposure.map(row => row.name) : ['No Data'];
+    const data = exposure.length ? exposure.map(row => row.valuation) : [1];
 
-    const labels = Object.keys(map).length ? Object.keys(map) : ['No Data'];
-    const data = Object.keys(map).length ? Object.values(map) : [1];
-
-    const totalValuation = props.reduce((sum, p) => sum + num(p.valuation), 0);
-    const totalDebt = props.reduce((sum, p) => sum + num(p.loan_balance), 0);
-    const totalEquity = Math.max(totalValuation - totalDebt, 0);
+    const { debt: totalDebt, equity: totalEquity } = stateManager.select('propertyTotals', spec);
     const stackTotal = totalDebt + totalEquity;
 
     const debtPct = stackTotal > 0 ? (totalDebt / stackTotal) * 100 : 0;
@@ -444,3 +419,5 @@ export const analytics = {
     return this.escapeHtml(s);
   }
 };
+
+shortcuts.register({ keys: '/', view: 'analytics', label: 'Search properties', run: () => focusField('an-q') });
@@ -1,53 +1,267 @@
 /**
  * src/modules/auth.js
  * Handles user authentication, registration, and session state.
+ *
+ * - Sign-in screen modes: sign in, register, "Forgot password" (reset link)
+ *   and "Verify your email"; errors show in the form, not in alert()s
+ * - Data only loads once the address is verified (local demo accounts count
+ *   as verified); a new account gets its verification email right away
+ * - Settings calls changeEmail/changePassword/deleteAccount, each of which
+ *   asks for the current password again (re-authentication) first
+ * - Two-step verification (mfa.js): with an authenticator app set up, sign-in
+ *   continues on a "challenge" screen that takes an app code or a recovery
+ *   code, and re-authentication asks for one too
  */
 
-import { auth } from '../firebase.js';
-import {
-  signInWithEmailAndPassword,
-  createUserWithEmailAndPassword,
-  signOut,
-  onAuthStateChanged
-} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
-
+import { backend } from '../backend.js';
 import { stateManager } from '../state.js';
 import { router } from '../router.js';
+import { toast } from '../utils/toast.js';
+import { modalManager } from '../utils/modals.js';
+import {
+  mfaStatus,
+  resolveChallenge,
+  startAuthenticatorSetup,
+  finishAuthenticatorSetup,
+  createRecoveryCodes,
+  turnOffMfa
+} from '../mfa.js';
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+const MODES = {
+  signIn: { subtitle: 'Real Estate Investment Management', submit: 'Sign In' },
+  register: { subtitle: 'Create your professional account', submit: 'Create Account' },
+  reset: { subtitle: 'Reset your password', submit: 'Send Reset Link' },
+  verify: { subtitle: 'Verify your email address', submit: 'I\'ve Verified My Email' },
+  challenge: { subtitle: 'Two-step verification', submit: 'Verify' }
+};
+
+const NOTICE_TONES = {
+  error: 'bg-red-50 border-red-100 text-red-700',
+  success: 'bg-emerald-50 border-emerald-100 text-emerald-700'
+};
 
 export const authModule = {
-  isRegistering: false,
+  mode: 'signIn',
+  notice: null,        // { tone, text } above the form, survives a re-render
+  challenge: null,     // backend's `error.mfa` while a sign-in waits for its second step
+  dependsOn: [],
+
+  // Session as last reported by the backend; `ready` once it has answered.
+  // `user` is only set once the address is verified; until then it is `unverifiedUser`.
+  user: null,
+  unverifiedUser: null,
+  ready: false,
+  signingIn: false,
 
   init() {
-    onAuthStateChanged(auth, async (user) => {
-      const existingOverlay = document.getElementById('auth-overlay');
+    backend().onAuthChange(async (user) => {
+      this.ready = true;
+      // The challenge form finishes its own sign-in once the code checks out
+      if (user && this.mode === 'challenge') return;
+      await this.handleUser(user);
+    });
+  },
+
+  async handleUser(user) {
+    // Already started (e.g. by the challenge form before this event arrived)
+    if (user && this.user?.uid === user.uid) return;
 
-      if (user) {
-        console.log("👤 User Authenticated:", user.email);
-        if (existingOverlay) existingOverlay.remove();
+    if (user && !user.emailVerified) {
+      console.log("✉️ Email not verified yet:", user.email);
+      this.user = null;
+      this.unverifiedUser = user;
+      this.setMode('verify');
+      router.recheck();
+      return;
+    }
 
-        await stateManager.init();
+    this.unverifiedUser = null;
+    this.user = user || null;
 
-        if (window.location.hash === '#login' || !window.location.hash || window.location.hash === '#') {
-          router.navigate('dashboard');
-        }
-      } else {
-        console.log("🔒 No active session.");
-        if (!existingOverlay) this.renderLogin();
-      }
-    });
+    if (user) {
+      console.log("👤 User Authenticated:", user.email);
+      await this.startSession();
+    } else {
+      console.log("🔒 No active session.");
+      if (this.mode === 'verify') this.setMode('signIn');
+      else this.renderLogin();
+      router.recheck();
+    }
+  },
+
+  async startSession() {
+    document.getElementById('auth-overlay')?.remove();
+    this.notice = null;
+    this.challenge = null;
+    if (this.mode === 'challenge') this.mode = 'signIn';
+
+    this.signingIn = true;
+    try {
+      await stateManager.init();
+    } finally {
+      this.signingIn = false;
+    }
+
+    // Back to the page the login redirect came from, if any
+    router.recheck();
+    if (router.getCurrentView() === 'login' || !window.location.hash || window.location.hash === '#') {
+      router.navigate('dashboard', true, { replace: true });
+    }
+  },
+
+  /**
+   * The #login view: the sign-in overlay covers the app until a session exists.
+   */
+  render() {
+    // Already signed in: nothing to do here
+    if (this.user && !this.signingIn) {
+      router.navigate('dashboard', true, { replace: true });
+      return;
+    }
+
+    const container = document.getElementById('view-login');
+    if (container) {
+      container.innerHTML = this.user ? `
+        <div class="py-24 text-center">
+          <p class="text-[10px] font-black text-slate-400 uppercase tracking-widest">
+            <i class="fa fa-circle-notch fa-spin mr-2"></i>Signing in…
+          </p>
+        </div>
+      ` : '';
+    }
+    if (this.ready && !this.user) this.renderLogin();
+  },
+
+  setMode(mode, notice = null) {
+    this.mode = MODES[mode] ? mode : 'signIn';
+    this.notice = notice;
+    if (this.mode !== 'challenge') this.challenge = null;
+    this.renderLogin();
   },
 
+  // Creates the overlay, or redraws it for the current mode
   renderLogin() {
-    if (document.getElementById('auth-overlay')) return;
+    let overlay = document.getElementById('auth-overlay');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'auth-overlay';
+      overlay.className = 'fixed inset-0 bg-slate-900 z-[100] flex items-center justify-center p-6';
+      document.body.appendChild(overlay);
+    }
 
-    const container = document.body;
-    const loginOverlay = document.createElement('div');
-    loginOverlay.id = 'auth-overlay';
-    loginOverlay.className = 'fixed inset-0 bg-slate-900 z-[100] flex items-center justify-center p-6';
+    this.updateOverlayHTML(overlay);
+    this.setupListeners(overlay);
+  },
+
+  noticeHtml() {
+    const tone = NOTICE_TONES[this.notice?.tone] || NOTICE_TONES.error;
+    return `
+      <div id="auth-notice" role="alert"
+        class="${this.notice ? '' : 'hidden'} mb-4 rounded-lg border px-4 py-3 text-sm font-semibold ${tone}">
+        ${escapeHtml(this.notice?.text || '')}
+      </div>
+    `;
+  },
 
-    this.updateOverlayHTML(loginOverlay);
-    container.appendChild(loginOverlay);
-    this.setupListeners(loginOverlay);
+  showNotice(overlay, text, tone = 'error') {
+    this.notice = { tone, text };
+    const el = overlay.querySelector('#auth-notice');
+    if (!el) return;
+    el.className = `mb-4 rounded-lg border px-4 py-3 text-sm font-semibold ${NOTICE_TONES[tone] || NOTICE_TONES.error}`;
+    el.textContent = text;
+  },
+
+  formHtml() {
+    const submit = `
+      <button type="submit" id="auth-submit-btn" class="w-full bg-slate-900 text-white font-bold py-3 rounded-lg hover:bg-slate-800 transition-all shadow-lg flex items-center justify-center">
+        ${escapeHtml(MODES[this.mode].submit)}
+      </button>
+    `;
+
+    if (this.mode === 'verify') {
+      return `
+        <form id="auth-form" class="space-y-4">
+          <p class="text-sm text-gray-600">
+            We sent a verification link to <span class="font-bold text-gray-800">${escapeHtml(this.unverifiedUser?.email || 'your email')}</span>.
+            Open it, then continue here. Your data loads once the address is verified.
+          </p>
+          ${submit}
+        </form>
+        <div class="mt-6 flex items-center justify-between text-sm">
+          <button type="button" data-auth-action="resend" class="text-gray-500 hover:text-orange-600 transition-colors">Resend email</button>
+          <button type="button" data-auth-action="sign-out" class="text-gray-500 hover:text-orange-600 transition-colors">Use another account</button>
+        </div>
+      `;
+    }
+
+    if (this.mode === 'challenge') {
+      return `
+        <form id="auth-form" class="space-y-4">
+          <p class="text-sm text-gray-600">Enter the 6-digit code from your authenticator app.</p>
+          <input type="text" id="auth-code" required autocomplete="one-time-code" autocapitalize="characters" spellcheck="false"
+            class="w-full px-4 py-3 rounded-lg border border-gray-200 focus:ring-2 focus:ring-orange-500 outline-none transition-all text-center text-lg font-bold tracking-[0.3em]">
+          <p class="text-xs text-gray-400">No phone at hand? Enter one of your recovery codes instead. Each works once.</p>
+          ${submit}
+        </form>
+        <div class="mt-6 text-center">
+          <button type="button" data-auth-mode="signIn" class="text-sm text-gray-500 hover:text-orange-600 transition-colors">
+            <i class="fa fa-arrow-left mr-1"></i> Back to <span class="font-bold">Sign in</span>
+          </button>
+        </div>
+      `;
+    }
+
+    const emailField = `
+      <div>
+        <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Email Address</label>
+        <input type="email" id="auth-email" required autocomplete="email" class="w-full px-4 py-3 rounded-lg border border-gray-200 focus:ring-2 focus:ring-orange-500 outline-none transition-all">
+      </div>
+    `;
+
+    if (this.mode === 'reset') {
+      return `
+        <form id="auth-form" class="space-y-4">
+          <p class="text-sm text-gray-600">Enter your account's email and we'll send a link to choose a new password.</p>
+          ${emailField}
+          ${submit}
+        </form>
+        <div class="mt-6 text-center">
+          <button type="button" data-auth-mode="signIn" class="text-sm text-gray-500 hover:text-orange-600 transition-colors">
+            <i class="fa fa-arrow-left mr-1"></i> Back to <span class="font-bold">Sign in</span>
+          </button>
+        </div>
+      `;
+    }
+
+    const registering = this.mode === 'register';
+    return `
+      <form id="auth-form" class="space-y-4">
+        ${emailField}
+        <div>
+          <div class="flex items-center justify-between mb-1">
+            <label class="block text-xs font-bold text-gray-400 uppercase">Password</label>
+            ${registering ? '' : '<button type="button" data-auth-mode="reset" class="text-xs font-bold text-gray-400 hover:text-orange-600">Forgot password?</button>'}
+          </div>
+          <input type="password" id="auth-password" required minlength="6" autocomplete="${registering ? 'new-password' : 'current-password'}" class="w-full px-4 py-3 rounded-lg border border-gray-200 focus:ring-2 focus:ring-orange-500 outline-none transition-all">
+        </div>
+        ${submit}
+      </form>
+
+      <div class="mt-6 text-center">
+        <button type="button" data-auth-mode="${registering ? 'signIn' : 'register'}" class="text-sm text-gray-500 hover:text-orange-600 transition-colors">
+          ${registering ? 'Already have an account? <span class="font-bold">Sign in</span>' : 'Need an account? <span class="font-bold">Register here</span>'}
+        </button>
+      </div>
+    `;
   },
 
   updateOverlayHTML(overlay) {
@@ -55,49 +269,52 @@ export const authModule = {
       <div class="bg-white rounded-2xl shadow-2xl max-w-md w-full p-8 transform transition-all">
         <div class="text-center mb-8">
           <div class="inline-flex items-center justify-center w-16 h-16 bg-orange-100 text-orange-600 rounded-full mb-4">
-            <i class="fa fa-mountain-sun text-3xl"></i>
+            <i class="fa ${this.mode === 'verify' ? 'fa-envelope-circle-check' : this.mode === 'challenge' ? 'fa-shield-halved' : 'fa-mountain-sun'} text-3xl"></i>
           </div>
           <h2 class="text-2xl font-bold text-gray-800">Summit CRM</h2>
-          <p class="text-gray-500 text-sm">${this.isRegistering ? 'Create your professional account' : 'Real Estate Investment Management'}</p>
+          <p class="text-gray-500 text-sm">${escapeHtml(MODES[this.mode].subtitle)}</p>
         </div>
 
-        <form id="auth-form" class="space-y-4">
-          <div>
-            <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Email Address</label>
-            <input type="email" id="auth-email" required class="w-full px-4 py-3 rounded-lg border border-gray-200 focus:ring-2 focus:ring-orange-500 outline-none transition-all">
-          </div>
-          <div>
-            <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Password</label>
-            <input type="password" id="auth-password" required minlength="6" class="w-full px-4 py-3 rounded-lg border border-gray-200 focus:ring-2 focus:ring-orange-500 outline-none transition-all">
+        ${backend().needsNetwork ? '' : `
+          <div class="mb-6 rounded-lg bg-amber-50 border border-amber-100 px-4 py-3 text-xs font-semibold text-amber-800">
+            <i class="fa fa-flask mr-1"></i> ${backend().label}: register any email to try the CRM. Accounts and data stay in this browser.
           </div>
-          <button type="submit" id="auth-submit-btn" class="w-full bg-slate-900 text-white font-bold py-3 rounded-lg hover:bg-slate-800 transition-all shadow-lg flex items-center justify-center">
-            ${this.isRegistering ? 'Create Account' : 'Sign In'}
-          </button>
-        </form>
+        `}
 
-        <div class="mt-6 text-center">
-          <button id="toggle-auth-mode" class="text-sm text-gray-500 hover:text-orange-600 transition-colors">
-            ${this.isRegistering ? 'Already have an account? <span class="font-bold">Sign in</span>' : 'Need an account? <span class="font-bold">Register here</span>'}
-          </button>
-        </div>
+        ${this.noticeHtml()}
+        ${this.formHtml()}
       </div>
     `;
   },
 
   setupListeners(overlay) {
     const form = overlay.querySelector('#auth-form');
-    const toggleBtn = overlay.querySelector('#toggle-auth-mode');
 
-    toggleBtn.onclick = () => {
-      this.isRegistering = !this.isRegistering;
-      this.updateOverlayHTML(overlay);
-      this.setupListeners(overlay);
+    overlay.onclick = async (e) => {
+      const modeBtn = e.target.closest('[data-auth-mode]');
+      if (modeBtn) {
+        this.setMode(modeBtn.dataset.authMode);
+        return;
+      }
+
+      const action = e.target.closest('[data-auth-action]')?.dataset.authAction;
+      try {
+        if (action === 'resend') {
+          await backend().sendVerificationEmail();
+          this.showNotice(overlay, `Sent a new link to ${this.unverifiedUser?.email || 'your email'}.`, 'success');
+        } else if (action === 'sign-out') {
+          await backend().signOut();
+        }
+      } catch (error) {
+        console.error("Auth Error:", error.code || error);
+        this.showNotice(overlay, this.errorMessage(error));
+      }
     };
 
     form.onsubmit = async (e) => {
       e.preventDefault();
-      const email = overlay.querySelector('#auth-email').value;
-      const password = overlay.querySelector('#auth-password').value;
+      const email = overlay.querySelector('#auth-email')?.value;
+      const password = overlay.querySelector('#auth-password')?.value;
       const submitBtn = overlay.querySelector('#auth-submit-btn');
 
       const originalText = submitBtn.innerText;
@@ -105,31 +322,239 @@ export const authModule = {
       submitBtn.innerHTML = `<i class="fa fa-circle-notch fa-spin mr-2"></i> Processing...`;
 
       try {
-        if (this.isRegistering) {
-          await createUserWithEmailAndPassword(auth, email, password);
+        if (this.mode === 'register') {
+          await backend().signUp(email, password);
+          await backend().sendVerificationEmail();
+        } else if (this.mode === 'reset') {
+          await backend().sendPasswordReset(email);
+          this.setMode('signIn', { tone: 'success', text: `If an account exists for ${email}, a reset link is on its way. Check your inbox.` });
+          return;
+        } else if (this.mode === 'verify') {
+          await this.checkVerified(overlay);
+        } else if (this.mode === 'challenge') {
+          await this.completeChallenge(overlay);
         } else {
-          await signInWithEmailAndPassword(auth, email, password);
+          await backend().signIn(email, password);
         }
       } catch (error) {
-        console.error("Auth Error:", error.code);
-        alert(this.getFriendlyError(error.code));
+        if (error?.code === 'auth/multi-factor-auth-required' && error.mfa) {
+          this.challenge = error.mfa;
+          this.setMode('challenge');
+          overlay.querySelector('#auth-code')?.focus();
+          return;
+        }
+        console.error("Auth Error:", error.code || error);
+        this.showNotice(overlay, this.errorMessage(error));
+      }
+
+      if (submitBtn.isConnected) {
         submitBtn.disabled = false;
         submitBtn.innerText = originalText;
       }
     };
   },
 
+  // "I've verified": the backend only reports it after a reload
+  async checkVerified(overlay) {
+    const user = await backend().reloadUser();
+    if (!user?.emailVerified) {
+      this.showNotice(overlay, 'This address is not verified yet. Open the link in the email, then try again.');
+      return;
+    }
+
+    this.unverifiedUser = null;
+    this.user = user;
+    this.mode = 'signIn';
+    await this.startSession();
+  },
+
+  // Second step of a sign-in. A wrong code can be retried here; once a
+  // recovery code was accepted but the session ended (mfa.js), it is back to
+  // the password.
+  async completeChallenge(overlay) {
+    let result;
+    try {
+      result = await resolveChallenge(this.challenge, overlay.querySelector('#auth-code')?.value);
+    } catch (error) {
+      if (!error.signedOut) throw error;
+      console.error("Auth Error:", error.code || error);
+      this.setMode('signIn', { tone: 'error', text: this.errorMessage(error) });
+      return;
+    }
+
+    this.mode = 'signIn';
+    await this.handleUser(backend().currentUser());
+    if (result.usedRecoveryCode) this.warnRecoveryCodeUsed();
+  },
+
   getFriendlyError(code) {
     switch (code) {
-      case 'auth/invalid-credential': return 'Invalid email or password.';
+      case 'auth/invalid-credential':
+      case 'auth/wrong-password':
+      case 'auth/user-not-found': return 'Invalid email or password.';
       case 'auth/email-already-in-use': return 'That email is already registered.';
       case 'auth/weak-password': return 'Password should be at least 6 characters.';
+      case 'auth/invalid-email': return 'Enter a valid email address.';
+      case 'auth/missing-email': return 'Enter your email address.';
+      case 'auth/too-many-requests': return 'Too many attempts. Wait a few minutes and try again.';
+      case 'auth/network-request-failed': return 'No connection. Check your network and try again.';
+      case 'auth/requires-recent-login': return 'For your security, sign in again and retry.';
+      case 'auth/operation-not-supported-in-this-environment': return 'This needs the cloud backend; local demo accounts have no email.';
+      case 'auth/no-current-user': return 'Your session ended. Sign in again.';
+      case 'auth/invalid-verification-code': return 'That code is not valid. Check the time on your phone and try again.';
+      case 'auth/multi-factor-auth-required': return 'Enter the code from your authenticator app, or a recovery code.';
+      case 'auth/maximum-second-factor-count-exceeded': return 'This account already has the most second factors allowed.';
+      case 'auth/unverified-email': return 'Verify your email address before turning on two-step verification.';
       default: return 'Authentication failed. Please try again.';
     }
   },
 
-  async logout() {
-    await signOut(auth);
+  // Backend errors carry an auth/* code; anything else (e.g. from stateManager) is already readable
+  errorMessage(error) {
+    return String(error?.code || '').startsWith('auth/')
+      ? this.getFriendlyError(error.code)
+      : error?.message || this.getFriendlyError(null);
+  },
+
+  // Re-authenticates (with `code` as the second step when one is set up), then
+  // runs `fn`; failures reject with a readable message
+  async withPassword(password, fn, code = '') {
+    try {
+      try {
+        await backend().reauthenticate(password);
+      } catch (error) {
+        if (error?.code !== 'auth/multi-factor-auth-required' || !error.mfa) throw error;
+        if (!String(code).trim()) throw error;
+        const { usedRecoveryCode } = await resolveChallenge(error.mfa, code);
+        if (usedRecoveryCode) this.warnRecoveryCodeUsed();
+      }
+      return await fn();
+    } catch (error) {
+      console.error("Account Error:", error.code || error);
+      throw new Error(this.errorMessage(error));
+    }
+  },
+
+  /**
+   * { pendingVerification }: the cloud backend switches the address once the
+   * link sent to it is opened.
+   */
+  async changeEmail(password, newEmail, code) {
+    return this.withPassword(password, () => backend().changeEmail(String(newEmail || '').trim()), code);
+  },
+
+  async changePassword(password, newPassword, code) {
+    return this.withPassword(password, () => backend().changePassword(newPassword), code);
+  },
+
+  /**
+   * Erases the account's data (stateManager.deleteAccountData), then the
+   * account itself, and reloads to the sign-in screen.
+   */
+  async deleteAccount(password, code) {
+    await this.withPassword(password, async () => {
+      await stateManager.deleteAccountData();
+      await backend().deleteAccount();
+    }, code);
+    localStorage.removeItem('summit_crm_data');
+    window.location.reload();
+  },
+
+  /**
+   * Two-step verification setup (Settings): startMfaSetup returns the secret
+   * to show, finishMfaSetup checks the app's first code and returns the
+   * recovery codes. The route guards re-check, since a workspace may require it.
+   * mfaSetupDone follows once the codes are saved.
+   */
+  async startMfaSetup(password) {
+    return this.withPassword(password, () => startAuthenticatorSetup());
+  },
+
+  async finishMfaSetup(pending, code) {
+    try {
+      const codes = await finishAuthenticatorSetup(pending, code);
+      router.recheck();
+      return codes;
+    } catch (error) {
+      console.error("Account Error:", error.code || error);
+      throw new Error(this.errorMessage(error));
+    }
+  },
+
+  /**
+   * A workspace that required the factor holds its records back until a
+   * session signed in with it (state.js, firestore.rules), so the member signs
+   * in again; everyone else carries on with `onDone`.
+   */
+  async mfaSetupDone(onDone) {
+    if (!stateManager.isHeldForMfa()) {
+      onDone?.();
+      return;
+    }
+    await stateManager.clearSession();
+    await backend().signOut();
+    this.user = null;
+    this.setMode('signIn', { tone: 'success', text: 'Two-step verification is on. Sign in again with your authenticator app to open the workspace.' });
+    router.recheck();
+  },
+
+  async newRecoveryCodes(password, code) {
+    return this.withPassword(password, () => createRecoveryCodes(), code);
+  },
+
+  /**
+   * { signedOut }: true when removing the factor the session signed in with
+   * ended it (Firebase); the sign-in screen then says so.
+   */
+  async turnOffMfa(password, code) {
+    const { signedOut } = await this.withPassword(password, () => turnOffMfa(stateManager.get().settings), code);
+    if (signedOut) {
+      await stateManager.clearSession();
+      this.user = null;
+      this.setMode('signIn', { tone: 'success', text: 'Two-step verification is off. Sign in again with your password.' });
+    }
+    router.recheck();
+    return { signedOut };
+  },
+
+  warnRecoveryCodeUsed() {
+    const left = mfaStatus().recoveryLeft;
+    toast.show(
+      `Recovery code used (${left} left). Create new ones in Settings › Two-Step Verification.`,
+      { tone: 'error', actionLabel: 'Settings', onAction: () => router.navigate('settings'), duration: 15000 }
+    );
+  },
+
+  /**
+   * Signs out and clears this device's copy of the workspace
+   * (stateManager.clearSession). Queued writes get one more push first; any
+   * still queued after it are only dropped once the user agrees.
+   */
+  async logout({ discardUnsynced = false } = {}) {
+    if (stateManager.getSyncStatus().pending) {
+      await stateManager.syncNow().catch(e => console.warn('[Auth] Last sync before sign-out failed:', e));
+    }
+
+    const { pending } = stateManager.getSyncStatus();
+    if (pending && !discardUnsynced) {
+      modalManager.show(
+        'Unsynced changes',
+        `<p class="text-sm font-semibold text-slate-700">
+          ${pending} change${pending === 1 ? ' has' : 's have'} not reached the cloud yet. Signing out now deletes
+          ${pending === 1 ? 'it' : 'them'} from this device along with everything else.
+        </p>`,
+        async () => {
+          await this.logout({ discardUnsynced: true });
+          return false;
+        },
+        { submitLabel: 'Sign Out Anyway', cancelLabel: 'Stay Signed In', danger: true }
+      );
+      return;
+    }
+
+    // Close live listeners before the session (and its read permission) goes away
+    await stateManager.clearSession();
+    await backend().signOut();
     localStorage.removeItem('summit_crm_data');
     window.location.reload();
   }
@@ -28,6 +28,8 @@ function formatTime(d) {
 }
 
 export const calendar = {
+  dependsOn: [],
+
   /**
    * Main render function called by the router
    */
@@ -7,11 +7,26 @@
  * - Click email/phone line to copy-to-clipboard
  * - Delegated events (no rebinding on re-render)
  * - Edit + Delete via modalManager (danger delete)
- * - Filter row with debounced search only
+ * - Filter row with debounced search only; kept in the URL (#contacts?q=…&category=Lender)
+ * - Checkbox multi-select over the filtered list; bulk bar (change category, delete)
  */
 
 import { stateManager } from '../state.js';
+import { router } from '../router.js';
 import { modalManager } from '../utils/modals.js';
+import { showUndoToast } from '../utils/toast.js';
+import { readFilters, writeFilters } from '../utils/urlFilters.js';
+import {
+  selectBoxHtml,
+  bulkBarHtml,
+  handleSelectAction,
+  pruneSelection,
+  showBulkFieldModal,
+  confirmBulkDelete
+} from '../utils/bulkActions.js';
+import { shortcuts, focusField } from '../utils/shortcuts.js';
+
+const CONTACT_CATEGORIES = ['Broker', 'Lender', 'Attorney', 'Property Manager', 'Contractor', 'Insurance', 'General'];
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -57,26 +72,24 @@ function buildContactFormHtml(contact = null) {
   const email = contact?.email ?? '';
   const notes = contact?.notes ?? '';
 
-  const categories = ['Broker', 'Lender', 'Attorney', 'Property Manager', 'Contractor', 'Insurance', 'General'];
-
   return `
     <div class="grid grid-cols-2 gap-4">
       <div class="col-span-2">
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Full Name</label>
-        <input type="text" id="contact-name" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
+        <input type="text" id="contact-name" data-field="name" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           placeholder="e.g. Sarah Jenkins" value="${escapeHtml(name)}">
       </div>
 
       <div class="col-span-2">
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Company / Firm</label>
-        <input type="text" id="contact-company" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
+        <input type="text" id="contact-company" data-field="company" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           placeholder="e.g. CBRE or Chase Bank" value="${escapeHtml(company)}">
       </div>
 
       <div>
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Category</label>
-        <select id="contact-category" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
-          ${categories
+        <select id="contact-category" data-field="category" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
+          ${CONTACT_CATEGORIES
             .map((c) => `<option ${String(category) === c ? 'selected' : ''}>${escapeHtml(c)}</option>`)
             .join('')}
         </select>
@@ -84,19 +97,19 @@ function buildContactFormHtml(contact = null) {
 
       <div>
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Phone Number</label>
-        <input type="tel" id="contact-phone" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
+        <input type="tel" id="contact-phone" data-field="phone" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           placeholder="555-0123" value="${escapeHtml(phone)}">
       </div>
 
       <div class="col-span-2">
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Email Address</label>
-        <input type="email" id="contact-email" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
+        <input type="email" id="contact-email" data-field="email" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           value="${escapeHtml(email)}">
       </div>
 
       <div class="col-span-2">
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Notes</label>
-        <textarea id="contact-notes" rows="4"
+        <textarea id="contact-notes" data-field="notes" rows="4"
           class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           placeholder="Anything important: last convo, preferences, next follow-up...">${escapeHtml(notes)}</textarea>
       </div>
@@ -159,29 +172,39 @@ function showToast(message, tone = 'success') {
   );
 }
 
+const FILTER_DEFAULTS = { q: '', category: 'all' };
+const FILTER_PARAMS = { q: 'q', category: 'category' };
+
 export const contacts = {
+  dependsOn: ['contacts'],
   _lastState: null,
 
-  _filters: {
-    q: '',
-    category: 'all'
-  },
+  _filters: { ...FILTER_DEFAULTS },
 
   _bound: false,
   _debouncedSearch: null,
+  _selected: new Set(),
+  _visibleIds: [],
 
   render(state) {
     const container = document.getElementById('view-contacts');
     if (!container) return;
 
     this._lastState = state;
+    this._filters = readFilters('contacts', FILTER_DEFAULTS, FILTER_PARAMS);
 
     const allContacts = Array.isArray(state?.contacts) ? state.contacts : [];
     const filtered = this.applyFilters(allContacts, this._filters);
+    this._visibleIds = filtered.map((c) => c?.id);
+    pruneSelection(this._selected, this._visibleIds);
 
     const categories = Array.from(
       new Set(allContacts.map((c) => String(c?.category || 'General').trim()).filter(Boolean))
     ).sort((a, b) => a.localeCompare(b));
+    // A shared link may name a category no contact has (yet); keep it selectable
+    if (this._filters.category !== 'all' && !categories.includes(this._filters.category)) {
+      categories.push(this._filters.category);
+    }
 
     container.innerHTML = `
       <div class="p-6">
@@ -243,6 +266,16 @@ export const contacts = {
           </div>
         </div>
 
+        ${bulkBarHtml({
+          prefix: 'contact',
+          count: this._selected.size,
+          total: filtered.length,
+          actions: [
+            { action: 'contact-bulk-category', label: 'Change Category', icon: 'fa-tag' },
+            { action: 'contact-bulk-delete', label: 'Delete', icon: 'fa-trash', danger: true }
+          ]
+        })}
+
         <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 2xl:grid-cols-4 gap-6">
           ${this.renderContactCards(filtered)}
         </div>
@@ -309,9 +342,12 @@ export const contacts = {
           <div class="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden hover:shadow-md transition-shadow group">
             <div class="p-5">
               <div class="flex justify-between items-start mb-4">
-                <span class="px-2 py-0.5 rounded text-[10px] font-bold uppercase ${categoryClass}">
-                  ${escapeHtml(categoryText)}
-                </span>
+                <div class="flex items-center gap-2">
+                  ${selectBoxHtml('contact', contact?.id, this._selected.has(String(contact?.id)))}
+                  <span class="px-2 py-0.5 rounded text-[10px] font-bold uppercase ${categoryClass}">
+                    ${escapeHtml(categoryText)}
+                  </span>
+                </div>
                 <div class="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
                   <button data-action="contact-edit" data-id="${escapeHtml(contact.id)}" class="text-gray-400 hover:text-slate-600" title="Edit">
                     <i class="fa fa-pen text-xs"></i>
@@ -326,7 +362,7 @@ export const contacts = {
                 <div class="w-16 h-16 rounded-full bg-slate-100 text-slate-600 flex items-center justify-center text-xl font-bold mx-auto mb-2 border-2 border-white shadow-sm">
                   ${escapeHtml(initials)}
                 </div>
-                <h3 class="font-bold text-gray-900 text-lg">${escapeHtml(contact?.name || 'Unnamed')}</h3>
+                <h3 class="font-bold text-gray-900 text-lg"><a href="${escapeHtml(router.recordHref('contacts', contact?.id))}" class="hover:text-orange-600">${escapeHtml(contact?.name || 'Unnamed')}</a></h3>
                 <p class="text-xs text-gray-500 font-medium">${escapeHtml(contact?.company || 'Independent')}</p>
               </div>
 
@@ -407,7 +443,7 @@ export const contacts = {
 
       const resetBtn = e.target.closest('#contacts-reset');
       if (resetBtn) {
-        this._filters = { q: '', category: 'all' };
+        writeFilters('contacts', FILTER_DEFAULTS, FILTER_DEFAULTS, FILTER_PARAMS);
         this.render(this._lastState);
         return;
       }
@@ -428,10 +464,24 @@ export const contacts = {
       const action = actionBtn.dataset.action;
       const id = actionBtn.dataset.id;
 
+      if (handleSelectAction('contact', action, id, this._selected, this._visibleIds)) {
+        this.render(this._lastState);
+        return;
+      }
+
       if (action === 'contact-delete') {
         this.confirmDelete(id);
       } else if (action === 'contact-edit') {
         this.openEditById(id);
+      } else if (action === 'contact-bulk-category') {
+        this.showBulkCategoryModal();
+      } else if (action === 'contact-bulk-delete') {
+        confirmBulkDelete({
+          category: 'contacts',
+          ids: [...this._selected],
+          noun: 'contact',
+          onDone: () => this.clearSelection()
+        });
       }
     });
 
@@ -442,6 +492,7 @@ export const contacts = {
 
       if (t.id === 'contacts-q') {
         this._filters.q = t.value || '';
+        writeFilters('contacts', this._filters, FILTER_DEFAULTS, FILTER_PARAMS);
         this._debouncedSearch(); // debounce only search
       }
     });
@@ -452,6 +503,7 @@ export const contacts = {
 
       if (t.id === 'contacts-category') {
         this._filters.category = t.value || 'all';
+        writeFilters('contacts', this._filters, FILTER_DEFAULTS, FILTER_PARAMS);
         this.render(this._lastState);
       }
     });
@@ -474,12 +526,34 @@ export const contacts = {
     this.showEditContactModal(contact);
   },
 
+  clearSelection() {
+    this._selected.clear();
+    this.render(stateManager.get());
+  },
+
+  showBulkCategoryModal() {
+    const ids = [...this._selected];
+    if (!ids.length) return;
+
+    showBulkFieldModal({
+      title: `Change category · ${ids.length} contact${ids.length === 1 ? '' : 's'}`,
+      label: 'Category',
+      options: CONTACT_CATEGORIES.map((c) => ({ value: c, label: c })),
+      onApply: async (category) => {
+        await stateManager.bulkUpdate('contacts', ids, { category });
+        this.clearSelection();
+        showUndoToast(`Moved ${ids.length} contact${ids.length === 1 ? '' : 's'} to ${category}`);
+      }
+    });
+  },
+
   confirmDelete(id) {
     modalManager.show(
       'Delete contact',
-      `<p class="text-sm font-semibold text-slate-700">Delete this contact permanently? This cannot be undone.</p>`,
-      () => {
-        stateManager.delete('contacts', id);
+      `<p class="text-sm font-semibold text-slate-700">Delete this contact? It moves to Trash, where you can restore it.</p>`,
+      async () => {
+        await stateManager.delete('contacts', id);
+        showUndoToast('Contact deleted');
         return true;
       },
       {
@@ -496,7 +570,7 @@ export const contacts = {
     modalManager.show(
       'Add New Contact',
       formHtml,
-      () => {
+      async () => {
         const name = String(document.getElementById('contact-name')?.value ?? '').trim();
         const company = String(document.getElementById('contact-company')?.value ?? '').trim();
         const category = String(document.getElementById('contact-category')?.value ?? 'General').trim();
@@ -504,10 +578,8 @@ export const contacts = {
         const email = String(document.getElementById('contact-email')?.value ?? '').trim();
         const notes = String(document.getElementById('contact-notes')?.value ?? '').trim();
 
-        if (!name) throw new Error('Name is required.');
-
         const newContact = { name, company, category, phone, email, notes };
-        stateManager.add('contacts', newContact);
+        await stateManager.add('contacts', newContact);
         return true;
       },
       {
@@ -523,7 +595,7 @@ export const contacts = {
     modalManager.show(
       'Edit Contact',
       formHtml,
-      () => {
+      async () => {
         const name = String(document.getElementById('contact-name')?.value ?? '').trim();
         const company = String(document.getElementById('contact-company')?.value ?? '').trim();
         const category = String(document.getElementById('contact-category')?.value ?? 'General').trim();
@@ -531,10 +603,8 @@ export const contacts = {
         const email = String(document.getElementById('contact-email')?.value ?? '').trim();
         const notes = String(document.getElementById('contact-notes')?.value ?? '').trim();
 
-        if (!name) throw new Error('Name is required.');
-
         const patch = { name, company, category, phone, email, notes };
-        stateManager.update('contacts', contact.id, patch);
+        await stateManager.update('contacts', contact.id, patch);
         return true;
       },
       {
@@ -558,3 +628,5 @@ export const contacts = {
 
 // Compatibility: main.js expects a named export helper
 export const showAddContactModal = () => contacts.showAddContactModal();
+
+shortcuts.register({ keys: '/', view: 'contacts', label: 'Search contacts', run: () => focusField('contacts-q') });
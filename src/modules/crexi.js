@@ -208,6 +208,7 @@ const DEFAULT_TEMPLATES = [
 ];
 
 export const crexi = {
+  dependsOn: ['crexiPresets', 'settings'],
   _bound: false,
   _editingId: null,
   _lastParse: null,
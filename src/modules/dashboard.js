@@ -10,6 +10,7 @@
  * - Occupancy always numeric
  * - Better activity icon mapping
  * - Uses requestAnimationFrame instead of setTimeout
+ * - Headline numbers + pipeline buckets come from the shared memoized selectors
  */
 import { stateManager } from '../state.js';
 import { formatters } from '../utils/formatters.js';
@@ -59,6 +60,7 @@ function getActivityIcon(act) {
 }
 
 export const dashboard = {
+  dependsOn: ['properties', 'deals', 'projects', 'tasks', 'activities', 'settings'],
   _charts: {
     allocation: null,
     pipeline: null
@@ -69,7 +71,7 @@ export const dashboard = {
     if (!container) return;
 
     const state = stateManager.get();
-    const stats = this.calculateStats(state);
+    const stats = this.calculateStats();
 
     container.innerHTML = `
       <div class="p-8 space-y-8">
@@ -189,26 +191,14 @@ export const dashboard = {
 
     // --- 2) Pipeline Bar (dynamic stages) ---
     const pipelineCtx = document.getElementById('pipelineChart');
-    const deals = Array.isArray(state?.deals) ? state.deals : [];
 
     if (pipelineCtx) {
-      // Build stage buckets dynamically from deal data
-      const counts = {};
-      deals.forEach(d => {
-        const stage = String(d?.stage || 'Unstaged').trim() || 'Unstaged';
-        counts[stage] = (counts[stage] || 0) + 1;
-      });
-
-      // Sort stages by count desc, then name asc (stable, readable)
-      const stages = Object.keys(counts).sort((a, b) => {
-        const dc = (counts[b] || 0) - (counts[a] || 0);
-        if (dc !== 0) return dc;
-        return a.localeCompare(b);
-      });
+      // Stage buckets come from the deal data (count desc, then name)
+      const stages = stateManager.select('dealsByStage');
 
       // If no deals, show empty baseline
-      const labels = stages.length ? stages : ['No Deals'];
-      const data = stages.length ? stages.map(s => counts[s]) : [0];
+      const labels = stages.length ? stages.map(s => s.stage) : ['No Deals'];
+      const data = stages.length ? stages.map(s => s.count) : [0];
 
       this._charts.pipeline = new Chart(pipelineCtx, {
         type: 'bar',
@@ -236,24 +226,14 @@ export const dashboard = {
     }
   },
 
-  calculateStats(state) {
-    const props = Array.isArray(state?.properties) ? state.properties : [];
-    const deals = Array.isArray(state?.deals) ? state.deals : [];
-    const projects = Array.isArray(state?.projects) ? state.projects : [];
-
-    const aum = props.reduce((sum, p) => sum + safeNumber(p?.valuation), 0);
-    const pipeline = deals.reduce((sum, d) => sum + safeNumber(d?.value), 0);
-    const capex = projects.reduce((sum, p) => sum + safeNumber(p?.budget), 0);
-
-    const occAvg = props.length
-      ? props.reduce((sum, p) => sum + safeNumber(p?.occupancy), 0) / props.length
-      : 0;
+  calculateStats() {
+    const portfolio = stateManager.select('portfolio');
 
     return {
-      aum,
-      pipeline,
-      capex,
-      occupancy: round1(occAvg)
+      aum: portfolio.valuation,
+      pipeline: portfolio.pipelineValue,
+      capex: portfolio.capexBudget,
+      occupancy: round1(portfolio.avgOccupancy)
     };
   },
 
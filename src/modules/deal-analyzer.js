@@ -8,11 +8,13 @@
  * - Run (updates selected deal OR updates draft + results)
  * - Save to Deals (creates/updates state.deals and navigates to 'deals')
  * - Waterfall (simplified pref + promote) calculator panel
+ * - Schema rejections from stateManager (e.g. negative price) shown in a modal
  */
 
 import { formatters } from '../utils/formatters.js';
 import { stateManager } from '../state.js';
 import { router } from '../router.js';
+import { modalManager } from '../utils/modals.js';
 
 function toNumber(v, fallback = 0) {
   const n = parseFloat(v);
@@ -37,6 +39,7 @@ function safeJsonParse(str, fallback = null) {
 }
 
 export const dealAnalyzer = {
+  dependsOn: ['deals'],
   _bound: false,
   _activeDealId: null,
 
@@ -44,6 +47,10 @@ export const dealAnalyzer = {
   // Selection + draft
   // -----------------------
   _getSelectedDealId() {
+    // A #deal-analyzer/:id link wins over the session selection
+    const fromRoute = router.getCurrentView() === 'deal-analyzer' ? router.getParams().id : null;
+    if (fromRoute) return String(fromRoute);
+
     try {
       const id = sessionStorage.getItem('selected_deal_id');
       return id ? String(id) : null;
@@ -128,7 +135,7 @@ export const dealAnalyzer = {
   },
 
   _pipelineFieldsFromDeal(deal) {
-    // Ensure the deal shows in your pipeline cards even if those cards use "price/rehab".
+    // Pipeline card fields (canonical purchase_price/total_capex + NOI).
     const metrics = this.analyze(deal);
     return {
       name: deal.name || 'Unnamed Deal',
@@ -136,9 +143,8 @@ export const dealAnalyzer = {
       units: Number.isFinite(deal.units) ? deal.units : toInt(deal.units, 0),
       stage: deal.stage || 'Sourced',
 
-      // pipeline aliases
-      price: toNumber(deal.purchase_price ?? deal.price, 0),
-      rehab: toNumber(deal.total_capex ?? deal.rehab, 0),
+      purchase_price: toNumber(deal.purchase_price ?? deal.price, 0),
+      total_capex: toNumber(deal.total_capex ?? deal.rehab, 0),
       closing_costs: toNumber(deal.closing_costs ?? 0, 0),
       loan_amount: toNumber(deal.loan_amount ?? 0, 0),
 
@@ -435,6 +441,11 @@ export const dealAnalyzer = {
     set('da_closing_costs', mapped.closing_costs);
   },
 
+  _showSaveError(err) {
+    const list = Array.isArray(err?.errors) ? err.errors.map(e => `• ${e.message}`).join('\n') : (err?.message || 'Unable to save this deal.');
+    modalManager.alert({ title: 'Deal not saved', message: this._escapeHtml(list) });
+  },
+
   // -----------------------
   // Bind events
   // -----------------------
@@ -479,7 +490,12 @@ export const dealAnalyzer = {
             closing_costs: patch.closing_costs
           };
 
-          await stateManager.update('deals', deal.id, updatePatch);
+          try {
+            await stateManager.update('deals', deal.id, updatePatch);
+          } catch (err) {
+            this._showSaveError(err);
+            return;
+          }
           this._clearDraft();
           this.render(stateManager.get());
         } else {
@@ -507,15 +523,20 @@ export const dealAnalyzer = {
         const merged = { ...(existing || {}), ...patch };
         const pipelineFields = this._pipelineFieldsFromDeal(merged);
 
-        if (existing) {
-          await stateManager.update('deals', existing.id, { ...pipelineFields, ...patch });
-          this._clearDraft();
-          this._setSelectedDealId(existing.id);
-        } else {
-          await stateManager.add('deals', { ...pipelineFields, ...patch });
-          const newId = stateManager.get()?.deals?.[0]?.id;
-          if (newId) this._setSelectedDealId(newId);
-          this._clearDraft();
+        try {
+          if (existing) {
+            await stateManager.update('deals', existing.id, { ...pipelineFields, ...patch });
+            this._clearDraft();
+            this._setSelectedDealId(existing.id);
+          } else {
+            await stateManager.add('deals', { ...pipelineFields, ...patch });
+            const newId = stateManager.get()?.deals?.[0]?.id;
+            if (newId) this._setSelectedDealId(newId);
+            this._clearDraft();
+          }
+        } catch (err) {
+          this._showSaveError(err);
+          return;
         }
 
         // Go to pipeline
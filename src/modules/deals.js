@@ -6,9 +6,13 @@
  * - Event delegation (single handler; no rebinding issues)
  * - Delete uses modalManager (danger button) instead of confirm()
  * - "Analyze Deal" stores selected deal id + navigates to deal-analyzer view (with safe fallback)
- * - created_at added (while remaining compatible with stateManager.createdAt behavior)
+ * - Canonical purchase_price/total_capex (legacy price/rehab still read until migrated)
  * - Escapes user-entered fields to prevent HTML injection/broken layouts
  * - Adds optional Edit modal (small but very useful)
+ * - History button opens the per-record audit trail (field-level revert)
+ * - Delete modal lists linked tasks that follow the deal to Trash
+ * - Add/Edit validated by the deals schema (errors shown next to the inputs)
+ * - Checkbox multi-select with a bulk bar (change stage, delete) via stateManager.bulk*
  *
  * Compatibility note:
  * main.js currently calls renderDeals(state.deals) (an ARRAY), so this module accepts either:
@@ -19,6 +23,18 @@ import { stateManager } from '../state.js';
 import { router } from '../router.js';
 import { formatters } from '../utils/formatters.js';
 import { modalManager } from '../utils/modals.js';
+import { showUndoToast } from '../utils/toast.js';
+import { historyPanel } from '../utils/historyPanel.js';
+import { DEAL_STAGES } from '../schemas.js';
+import { deleteImpactHtml, showDeleteBlocked } from '../utils/deleteImpact.js';
+import {
+  selectBoxHtml,
+  bulkBarHtml,
+  handleSelectAction,
+  pruneSelection,
+  showBulkFieldModal,
+  confirmBulkDelete
+} from '../utils/bulkActions.js';
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -45,8 +61,10 @@ function getDealsFromArg(stateOrDeals) {
 }
 
 export const deals = {
+  dependsOn: ['deals'],
   _bound: false,
   _lastDeals: [],
+  _selected: new Set(),
 
   /**
    * Main render function called by main.js
@@ -58,8 +76,9 @@ export const deals = {
 
     const dealList = getDealsFromArg(stateOrDeals);
     this._lastDeals = dealList;
+    pruneSelection(this._selected, dealList.map(d => d?.id));
 
-    const totalVolume = dealList.reduce((sum, d) => sum + toNumber(d?.price, 0), 0);
+    const totalVolume = dealList.reduce((sum, d) => sum + toNumber(d?.purchase_price ?? d?.price, 0), 0);
 
     container.innerHTML = `
       <div class="p-6">
@@ -77,6 +96,16 @@ export const deals = {
           </button>
         </div>
 
+        ${bulkBarHtml({
+          prefix: 'deal',
+          count: this._selected.size,
+          total: dealList.length,
+          actions: [
+            { action: 'deal-bulk-stage', label: 'Change Stage', icon: 'fa-arrow-right' },
+            { action: 'deal-bulk-delete', label: 'Delete', icon: 'fa-trash', danger: true }
+          ]
+        })}
+
         <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 2xl:grid-cols-4 gap-6">
           ${this.renderDealCards(dealList)}
         </div>
@@ -98,8 +127,8 @@ export const deals = {
 
     return dealList
       .map((deal) => {
-        const price = toNumber(deal?.price, 0);
-        const rehab = toNumber(deal?.rehab, 0);
+        const price = toNumber(deal?.purchase_price ?? deal?.price, 0);
+        const rehab = toNumber(deal?.total_capex ?? deal?.rehab, 0);
         const closing = toNumber(deal?.closing_costs, 0);
         const units = toInt(deal?.units, 0);
         const proformaNoi = toNumber(deal?.proforma_noi, 0);
@@ -116,11 +145,19 @@ export const deals = {
           <div class="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden hover:border-orange-300 transition-all group">
             <div class="p-5">
               <div class="flex justify-between items-start mb-4">
-                <span class="px-2 py-1 rounded text-[10px] font-bold uppercase ${this.getStageClass(deal?.stage)}">
-                  ${stageLabel}
-                </span>
+                <div class="flex items-center gap-2">
+                  ${selectBoxHtml('deal', deal?.id, this._selected.has(String(deal?.id)))}
+                  <span class="px-2 py-1 rounded text-[10px] font-bold uppercase ${this.getStageClass(deal?.stage)}">
+                    ${stageLabel}
+                  </span>
+                </div>
 
                 <div class="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button data-action="deal-history" data-id="${escapeHtml(deal?.id)}"
+                    class="text-gray-400 hover:text-slate-700" title="History">
+                    <i class="fa fa-clock-rotate-left text-xs"></i>
+                  </button>
+
                   <button data-action="deal-edit" data-id="${escapeHtml(deal?.id)}"
                     class="text-gray-400 hover:text-slate-700" title="Edit">
                     <i class="fa fa-pen text-xs"></i>
@@ -133,7 +170,7 @@ export const deals = {
                 </div>
               </div>
 
-              <h3 class="font-bold text-gray-900 text-lg mb-1 truncate">${name}</h3>
+              <h3 class="font-bold text-gray-900 text-lg mb-1 truncate"><a href="${escapeHtml(router.recordHref('deals', deal?.id))}" class="hover:text-orange-600">${name}</a></h3>
               <p class="text-xs text-gray-500 mb-4 truncate">
                 <i class="fa fa-map-marker-alt mr-1"></i>${address}
               </p>
@@ -200,6 +237,31 @@ export const deals = {
         return;
       }
 
+      if (action === 'deal-history') {
+        historyPanel.show('deals', id);
+        return;
+      }
+
+      if (handleSelectAction('deal', action, id, this._selected, this._lastDeals.map(d => d?.id))) {
+        this.render(this._lastDeals);
+        return;
+      }
+
+      if (action === 'deal-bulk-stage') {
+        this.showBulkStageModal();
+        return;
+      }
+
+      if (action === 'deal-bulk-delete') {
+        confirmBulkDelete({
+          category: 'deals',
+          ids: [...this._selected],
+          noun: 'deal',
+          onDone: () => this.clearSelection()
+        });
+        return;
+      }
+
       if (action === 'deal-details') {
         this.openAnalyzer(id);
         return;
@@ -210,12 +272,20 @@ export const deals = {
   confirmDelete(id) {
     const deal = (this._lastDeals || []).find((d) => String(d?.id) === String(id));
     const label = deal?.name ? `“${deal.name}”` : 'this deal';
+    const plan = stateManager.getDeletePlan('deals', id);
+
+    if (plan.blocked.length) {
+      showDeleteBlocked(label, plan);
+      return;
+    }
 
     modalManager.show(
       'Delete deal',
-      `<p class="text-sm font-semibold text-slate-700">Delete ${escapeHtml(label)} from the pipeline? This cannot be undone.</p>`,
-      () => {
-        stateManager.delete('deals', id);
+      `<p class="text-sm font-semibold text-slate-700">Delete ${escapeHtml(label)} from the pipeline? It moves to Trash, where you can restore it.</p>
+      ${deleteImpactHtml(plan)}`,
+      async () => {
+        await stateManager.delete('deals', id);
+        showUndoToast(`Deleted ${deal?.name || 'deal'}`);
         return true;
       },
       {
@@ -226,6 +296,27 @@ export const deals = {
     );
   },
 
+  clearSelection() {
+    this._selected.clear();
+    this.render(stateManager.get());
+  },
+
+  showBulkStageModal() {
+    const ids = [...this._selected];
+    if (!ids.length) return;
+
+    showBulkFieldModal({
+      title: `Change stage · ${ids.length} deal${ids.length === 1 ? '' : 's'}`,
+      label: 'Pipeline Stage',
+      options: DEAL_STAGES.map(s => ({ value: s, label: s })),
+      onApply: async (stage) => {
+        await stateManager.bulkUpdate('deals', ids, { stage });
+        this.clearSelection();
+        showUndoToast(`Moved ${ids.length} deal${ids.length === 1 ? '' : 's'} to ${stage}`);
+      }
+    });
+  },
+
   openAnalyzer(id) {
     // Store selection for deal-analyzer view
     try {
@@ -237,8 +328,8 @@ export const deals = {
     // Dispatch an event so deal-analyzer (or main.js) can react if it wants
     window.dispatchEvent(new CustomEvent('deal-analyzer:select', { detail: { id: String(id) } }));
 
-    // Navigate to analyzer view (if main.js has a case for it, it will render)
-    router.navigate('deal-analyzer');
+    // Navigate to the analyzer's link for this deal (#deal-analyzer/:id)
+    router.go('deal-analyzer/:id', { id });
 
     // Safe fallback: if the view isn't wired yet, show a quick modal summary
     // (This avoids "blank screen" confusion during integration.)
@@ -250,8 +341,8 @@ export const deals = {
       const deal = (this._lastDeals || []).find((d) => String(d?.id) === String(id));
       if (!deal) return;
 
-      const price = toNumber(deal?.price, 0);
-      const rehab = toNumber(deal?.rehab, 0);
+      const price = toNumber(deal?.purchase_price ?? deal?.price, 0);
+      const rehab = toNumber(deal?.total_capex ?? deal?.rehab, 0);
       const closing = toNumber(deal?.closing_costs, 0);
       const units = toInt(deal?.units, 0);
       const noi = toNumber(deal?.proforma_noi, 0);
@@ -321,16 +412,9 @@ export const deals = {
     modalManager.show(
       'Add New Opportunity',
       formHtml,
-      () => {
-        const data = this.readDealFormData();
-
-        if (!data.name) throw new Error('Deal name is required.');
-
-        // Add both snake_case and camelCase timestamps (stateManager will also add createdAt)
-        data.created_at = new Date().toISOString();
-        data.createdAt = data.created_at;
-
-        stateManager.add('deals', data);
+      async () => {
+        // Schema errors (see schemas.js) reject here and show inline in the modal
+        await stateManager.add('deals', this.readDealFormData());
         return true;
       },
       {
@@ -346,15 +430,13 @@ export const deals = {
     modalManager.show(
       'Edit Deal',
       formHtml,
-      () => {
+      async () => {
         const patch = this.readDealFormData();
 
-        if (!patch.name) throw new Error('Deal name is required.');
-
         patch.updated_at = new Date().toISOString();
         patch.updatedAt = patch.updated_at;
 
-        stateManager.update('deals', deal.id, patch);
+        await stateManager.update('deals', deal.id, patch);
         return true;
       },
       {
@@ -369,9 +451,9 @@ export const deals = {
 
     const name = escapeHtml(deal?.name || '');
     const address = escapeHtml(deal?.address || '');
-    const price = toNumber(deal?.price, 0);
+    const price = toNumber(deal?.purchase_price ?? deal?.price, 0);
     const stage = escapeHtml(deal?.stage || 'Sourced');
-    const rehab = toNumber(deal?.rehab, 0);
+    const rehab = toNumber(deal?.total_capex ?? deal?.rehab, 0);
     const closing = toNumber(deal?.closing_costs, 0);
     const units = toInt(deal?.units, 0);
     const noi = toNumber(deal?.proforma_noi, 0);
@@ -380,29 +462,29 @@ export const deals = {
       <div class="grid grid-cols-2 gap-4">
         <div class="col-span-2">
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Deal Name</label>
-          <input type="text" id="deal-name"
+          <input type="text" id="deal-name" data-field="name"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             placeholder="e.g. Phoenix Portfolio" value="${name}">
         </div>
 
         <div class="col-span-2">
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Address</label>
-          <input type="text" id="deal-address"
+          <input type="text" id="deal-address" data-field="address"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             placeholder="123 Investment St." value="${address}">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Purchase Price</label>
-          <input type="number" id="deal-price"
+          <input type="number" id="deal-price" data-field="purchase_price"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${price}">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Pipeline Stage</label>
-          <select id="deal-stage" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
-            ${['Sourced', 'Underwriting', 'LOI Sent', 'Closing']
+          <select id="deal-stage" data-field="stage" class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
+            ${DEAL_STAGES
               .map((s) => `<option ${stage === s ? 'selected' : ''}>${escapeHtml(s)}</option>`)
               .join('')}
           </select>
@@ -412,28 +494,28 @@ export const deals = {
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Rehab Budget</label>
-          <input type="number" id="deal-rehab"
+          <input type="number" id="deal-rehab" data-field="total_capex"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${rehab}" placeholder="0">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Closing Costs</label>
-          <input type="number" id="deal-closing_costs"
+          <input type="number" id="deal-closing_costs" data-field="closing_costs"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${closing}" placeholder="0">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Total Units</label>
-          <input type="number" id="deal-units"
+          <input type="number" id="deal-units" data-field="units"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${units}">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Pro-Forma NOI (Annual)</label>
-          <input type="number" id="deal-proforma_noi"
+          <input type="number" id="deal-proforma_noi" data-field="proforma_noi"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${noi}">
         </div>
@@ -451,9 +533,9 @@ export const deals = {
     return {
       name: String(document.getElementById('deal-name')?.value ?? '').trim(),
       address: String(document.getElementById('deal-address')?.value ?? '').trim(),
-      price: toNumber(document.getElementById('deal-price')?.value, 0),
+      purchase_price: toNumber(document.getElementById('deal-price')?.value, 0),
       stage: String(document.getElementById('deal-stage')?.value ?? 'Sourced').trim(),
-      rehab: toNumber(document.getElementById('deal-rehab')?.value, 0),
+      total_capex: toNumber(document.getElementById('deal-rehab')?.value, 0),
       closing_costs: toNumber(document.getElementById('deal-closing_costs')?.value, 0),
       units: toInt(document.getElementById('deal-units')?.value, 0),
       proforma_noi: toNumber(document.getElementById('deal-proforma_noi')?.value, 0)
@@ -119,6 +119,7 @@ function calculateDistributions(investedCapital, totalProfit, terms) {
 }
 
 export const equityWaterfall = {
+  dependsOn: ['deals'],
   _bound: false,
   _selectedDealId: null,
 
@@ -5,9 +5,10 @@
  * Full overwrite updates included:
  * - Safe array guards (no runtime crashes when state arrays missing)
  * - Active investor selection:
- *    1) state.session?.investor_id
- *    2) sessionStorage.active_investor_id
- *    3) first investor (fallback)
+ *    1) the #investor-portal/:id link
+ *    2) state.session?.investor_id
+ *    3) sessionStorage.active_investor_id
+ *    4) first investor (fallback)
  * - Improved investor-to-property matching:
  *    - Supports tags in property.notes: "investors: John Smith | Mary Jones"
  *    - Supports optional property.investors array (future-proof)
@@ -16,8 +17,11 @@
  * - Accredited badge is conditional (uses activeInvestor.accredited if present)
  * - Stake + yield configurable per investor (assumed_stake/assumed_yield), with defaults
  * - Buttons wired: open modal “Coming soon” and dispatch events for future integrations
+ * - Matching lives in the memoized investorHoldings selector (selectors.js)
  */
 
+import { stateManager } from '../state.js';
+import { router } from '../router.js';
 import { formatters } from '../utils/formatters.js';
 import { modalManager } from '../utils/modals.js';
 
@@ -49,6 +53,9 @@ function getFirstName(fullName) {
 }
 
 function getActiveInvestorId(state) {
+  const fromRoute = router.getCurrentView() === 'investor-portal' ? router.getParams().id : null;
+  if (fromRoute) return String(fromRoute);
+
   const fromState = state?.session?.investor_id;
   if (fromState !== undefined && fromState !== null && String(fromState).trim() !== '') {
     return String(fromState);
@@ -64,30 +71,6 @@ function getActiveInvestorId(state) {
   return null;
 }
 
-function parseInvestorTags(notesText) {
-  // Supports: "investors: John Smith | Mary Jones"
-  const notes = String(notesText ?? '');
-  const m = notes.match(/investors\s*:\s*([^\n\r]+)/i);
-  if (!m) return [];
-  return m[1]
-    .split('|')
-    .map((x) => x.trim())
-    .filter(Boolean);
-}
-
-function includesNameToken(list, name) {
-  const n = String(name ?? '').trim().toLowerCase();
-  if (!n) return false;
-  return list.some((x) => String(x ?? '').trim().toLowerCase() === n);
-}
-
-function fuzzyIncludes(hay, needle) {
-  const h = String(hay ?? '').toLowerCase();
-  const n = String(needle ?? '').toLowerCase();
-  if (!h || !n) return false;
-  return h.includes(n);
-}
-
 function showComingSoon(title, body, extra = '') {
   modalManager.show(
     title,
@@ -106,6 +89,7 @@ function showComingSoon(title, body, extra = '') {
 }
 
 export const investorPortal = {
+  dependsOn: ['investors', 'properties'],
   _bound: false,
   _lastState: null,
 
@@ -115,7 +99,6 @@ export const investorPortal = {
 
     this._lastState = state;
 
-    const properties = Array.isArray(state?.properties) ? state.properties : [];
     const investors = Array.isArray(state?.investors) ? state.investors : [];
 
     if (investors.length === 0) {
@@ -148,35 +131,8 @@ export const investorPortal = {
     const assumedStake = normalizeRate(activeInvestor?.assumed_stake, 0.10);
     const assumedYield = normalizeRate(activeInvestor?.assumed_yield, 0.075);
 
-    // Compute "investments" by matching investor to properties:
-    // 1) property.investors array contains exact name or id
-    // 2) property.notes includes "investors:" tags
-    // 3) fallback fuzzy matching (legacy)
-    const investorName = String(activeInvestor?.name || '').trim();
-    const investorId = String(activeInvestor?.id ?? '').trim();
-
-    const investments = properties.filter((p) => {
-      // (1) property.investors array (future-proof)
-      if (Array.isArray(p?.investors)) {
-        // allow either ids or names
-        const asStrings = p.investors.map((x) => String(x ?? '').trim()).filter(Boolean);
-        if (investorId && asStrings.includes(investorId)) return true;
-        if (investorName && includesNameToken(asStrings, investorName)) return true;
-      }
-
-      // (2) tagged investors in notes
-      const tags = parseInvestorTags(p?.notes);
-      if (investorName && includesNameToken(tags, investorName)) return true;
-
-      // (3) legacy fuzzy: investor name appears in notes or owning_llc
-      if (investorName && (fuzzyIncludes(p?.notes, investorName) || fuzzyIncludes(p?.owning_llc, investorName))) {
-        return true;
-      }
-
-      return false;
-    });
-
-    const aum = investments.reduce((sum, p) => sum + toNumber(p?.valuation, 0), 0);
+    // Properties this investor is in (ids/names on the property, notes tags, legacy fuzzy match)
+    const { properties: investments, aum } = stateManager.select('investorHoldings', activeInvestor?.id);
 
     // Placeholder: assume investor has a stake in each investment
     const investorEquity = aum * assumedStake;
@@ -406,10 +362,8 @@ export const investorPortal = {
           sessionStorage.setItem('active_investor_id', id);
         } catch (_) {}
 
-        // Re-render with new selection
-        this._bound = false; // allow bindEvents to attach once per view lifetime? (kept false to avoid double-binding)
-        // Better: keep bound; we don't need to rebind. Do not change _bound.
-        this.render(this._lastState);
+        // The link follows the selection (re-renders via view-changed)
+        router.go('investor-portal/:id', { id });
 
         return true;
       },
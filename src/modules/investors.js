@@ -10,15 +10,41 @@
  * - Add/Edit modals return true and validate required fields
  * - Portal integration:
  *    - sets sessionStorage.active_investor_id
- *    - navigates via router.navigate('investor-portal')
+ *    - navigates to the investor's portal link (#investor-portal/:id)
  * - Defensive initials rendering (no crash if name missing)
  * - deal_count no longer faked from invested amount; remains 0 unless you track allocations
+ * - History button opens the per-record audit trail (field-level revert)
+ * - Add/Edit validated by the investors schema (name, email, ranges shown inline)
+ * - Checkbox multi-select; bulk bar (change type, delete)
+ * - SSN/TIN, bank numbers and notes are sensitive: masked on the card with an
+ *   audited reveal, never prefilled in the edit form (blank keeps the saved value)
  */
 
 import { stateManager } from '../state.js';
 import { router } from '../router.js';
 import { formatters } from '../utils/formatters.js';
 import { modalManager } from '../utils/modals.js';
+import { showUndoToast } from '../utils/toast.js';
+import { historyPanel } from '../utils/historyPanel.js';
+import { sensitiveValueHtml } from '../utils/sensitiveField.js';
+import { maskValue } from '../fieldCrypto.js';
+import {
+  selectBoxHtml,
+  bulkBarHtml,
+  handleSelectAction,
+  pruneSelection,
+  showBulkFieldModal,
+  confirmBulkDelete
+} from '../utils/bulkActions.js';
+
+const INVESTOR_TYPES = ['LP', 'GP', 'JV'];
+
+// Sensitive fields: [field, input id, label, placeholder]
+const SENSITIVE_INPUTS = [
+  ['tin', 'inv-tin', 'SSN / TIN', '123-45-6789'],
+  ['bank_routing', 'inv-bank-routing', 'Bank Routing #', '9 digits'],
+  ['bank_account', 'inv-bank-account', 'Bank Account #', '4 to 17 digits']
+];
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -49,13 +75,6 @@ function initials(name) {
   return (parts[0].slice(0, 1) + parts[parts.length - 1].slice(0, 1)).toUpperCase();
 }
 
-function basicEmailOk(email) {
-  const e = String(email ?? '').trim();
-  if (!e) return true; // optional
-  // Light validation: contains @ and dot after @
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
-}
-
 function getInvestorFormHtml(inv = null) {
   const isEdit = !!inv;
 
@@ -74,42 +93,42 @@ function getInvestorFormHtml(inv = null) {
     <div class="grid grid-cols-2 gap-4">
       <div class="col-span-2">
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Investor Name</label>
-        <input type="text" id="inv-name"
+        <input type="text" id="inv-name" data-field="name"
           class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           placeholder="e.g. John Smith" value="${name}">
       </div>
 
       <div class="col-span-2">
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Email</label>
-        <input type="email" id="inv-email"
+        <input type="email" id="inv-email" data-field="email"
           class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           placeholder="john@email.com" value="${email}">
       </div>
 
       <div>
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Phone</label>
-        <input type="tel" id="inv-phone"
+        <input type="tel" id="inv-phone" data-field="phone"
           class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           placeholder="555-0123" value="${phone}">
       </div>
 
       <div>
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Type</label>
-        <select id="inv-type"
+        <select id="inv-type" data-field="type"
           class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
-          ${['LP', 'GP', 'JV'].map(t => `<option ${t === type ? 'selected' : ''}>${escapeHtml(t)}</option>`).join('')}
+          ${INVESTOR_TYPES.map(t => `<option ${t === type ? 'selected' : ''}>${escapeHtml(t)}</option>`).join('')}
         </select>
       </div>
 
       <div class="col-span-2">
         <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Total Invested</label>
-        <input type="number" id="inv-total-invested"
+        <input type="number" id="inv-total-invested" data-field="total_invested"
           class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
           value="${totalInvested}" min="0" step="1000">
       </div>
 
       <div class="col-span-2 flex items-center gap-3">
-        <input type="checkbox" id="inv-accredited" ${accredited ? 'checked' : ''} class="w-4 h-4">
+        <input type="checkbox" id="inv-accredited" data-field="accredited" ${accredited ? 'checked' : ''} class="w-4 h-4">
         <label for="inv-accredited" class="text-sm font-semibold text-slate-700">Accredited Investor</label>
       </div>
 
@@ -118,13 +137,13 @@ function getInvestorFormHtml(inv = null) {
         <div class="grid grid-cols-2 gap-4">
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Assumed Stake (%)</label>
-            <input type="number" id="inv-assumed-stake"
+            <input type="number" id="inv-assumed-stake" data-field="assumed_stake"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
               value="${assumedStake * 100}" min="0" step="0.1">
           </div>
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Assumed Yield (%)</label>
-            <input type="number" id="inv-assumed-yield"
+            <input type="number" id="inv-assumed-yield" data-field="assumed_yield"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
               value="${assumedYield * 100}" min="0" step="0.1">
           </div>
@@ -134,6 +153,27 @@ function getInvestorFormHtml(inv = null) {
         </p>
       </div>
 
+      <div class="col-span-2">
+        <div class="text-[11px] font-black text-slate-400 uppercase tracking-widest mb-2">
+          <i class="fa fa-lock mr-1"></i>Sensitive Details
+        </div>
+        <div class="grid grid-cols-3 gap-4">
+          ${SENSITIVE_INPUTS.map(([field, id, label, placeholder]) => `
+            <div>
+              <label class="block text-xs font-bold text-gray-400 uppercase mb-1">${label}</label>
+              <input type="text" id="${id}" data-field="${field}" autocomplete="off"
+                class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none font-mono"
+                placeholder="${escapeHtml(inv?.[field] ? `Saved ${maskValue(inv[field])}` : placeholder)}">
+            </div>
+          `).join('')}
+        </div>
+        <label class="block text-xs font-bold text-gray-400 uppercase mb-1 mt-4">Investor Notes</label>
+        <textarea id="inv-notes" data-field="notes" rows="3"
+          class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
+          placeholder="${inv?.notes ? 'Saved notes are hidden. Type here to replace them.' : 'Private notes about this investor'}"></textarea>
+        ${isEdit ? `<p class="mt-2 text-[11px] font-semibold text-slate-400">Leave a sensitive field blank to keep its saved value.</p>` : ''}
+      </div>
+
       ${
         isEdit
           ? `<p class="col-span-2 text-[11px] font-semibold text-slate-400 mt-1">Edits sync automatically after saving.</p>`
@@ -158,12 +198,24 @@ function readInvestorForm() {
   const assumed_stake = normalizeRate(assumed_stake_pct, 0.10);
   const assumed_yield = normalizeRate(assumed_yield_pct, 0.075);
 
-  return { name, email, phone, type, total_invested, accredited, assumed_stake, assumed_yield };
+  const data = { name, email, phone, type, total_invested, accredited, assumed_stake, assumed_yield };
+
+  // Blank sensitive inputs mean "unchanged" (saved values are never put back into the form)
+  SENSITIVE_INPUTS.forEach(([field, id]) => {
+    const value = String(document.getElementById(id)?.value ?? '').trim();
+    if (value) data[field] = value;
+  });
+  const notes = String(document.getElementById('inv-notes')?.value ?? '').trim();
+  if (notes) data.notes = notes;
+
+  return data;
 }
 
 export const investors = {
+  dependsOn: ['investors'],
   _bound: false,
   _lastState: null,
+  _selected: new Set(),
 
   render(state) {
     const container = document.getElementById('view-investors');
@@ -173,6 +225,7 @@ export const investors = {
 
     const investorList = Array.isArray(state?.investors) ? state.investors : [];
     const totalAUM = investorList.reduce((sum, inv) => sum + toNumber(inv?.total_invested, 0), 0);
+    pruneSelection(this._selected, investorList.map((inv) => inv?.id));
 
     container.innerHTML = `
       <div class="p-6">
@@ -190,6 +243,16 @@ export const investors = {
           </button>
         </div>
 
+        ${bulkBarHtml({
+          prefix: 'investor',
+          count: this._selected.size,
+          total: investorList.length,
+          actions: [
+            { action: 'investor-bulk-type', label: 'Change Type', icon: 'fa-tag' },
+            { action: 'investor-bulk-delete', label: 'Delete', icon: 'fa-trash', danger: true }
+          ]
+        })}
+
         <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 2xl:grid-cols-4 gap-6">
           ${this.renderInvestorCards(investorList)}
         </div>
@@ -223,9 +286,12 @@ export const investors = {
           <div class="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden hover:shadow-md transition-shadow group">
             <div class="p-5">
               <div class="flex justify-between items-start mb-4">
-                <span class="px-2 py-0.5 rounded text-[10px] font-bold uppercase ${this.getInvestorTypeClass(type)}">
-                  ${type}
-                </span>
+                <div class="flex items-center gap-2">
+                  ${selectBoxHtml('investor', inv?.id, this._selected.has(String(inv?.id)))}
+                  <span class="px-2 py-0.5 rounded text-[10px] font-bold uppercase ${this.getInvestorTypeClass(type)}">
+                    ${type}
+                  </span>
+                </div>
 
                 <div class="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
                   <button data-action="investor-open-portal" data-id="${invId}"
@@ -233,6 +299,11 @@ export const investors = {
                     <i class="fa fa-door-open text-xs"></i>
                   </button>
 
+                  <button data-action="investor-history" data-id="${invId}"
+                    class="text-gray-400 hover:text-slate-700" title="History">
+                    <i class="fa fa-clock-rotate-left text-xs"></i>
+                  </button>
+
                   <button data-action="investor-edit" data-id="${invId}"
                     class="text-gray-400 hover:text-slate-700" title="Edit">
                     <i class="fa fa-pen text-xs"></i>
@@ -249,7 +320,7 @@ export const investors = {
                 <div class="w-16 h-16 rounded-full bg-slate-100 text-slate-600 flex items-center justify-center text-xl font-bold mx-auto mb-2 border-2 border-white shadow-sm">
                   ${escapeHtml(initials(inv?.name))}
                 </div>
-                <h3 class="font-bold text-gray-900 text-lg">${name}</h3>
+                <h3 class="font-bold text-gray-900 text-lg"><a href="${escapeHtml(router.recordHref('investors', inv?.id))}" class="hover:text-orange-600">${name}</a></h3>
                 <p class="text-xs text-gray-500 font-medium">${email || (phone ? phone : '—')}</p>
 
                 ${
@@ -266,6 +337,14 @@ export const investors = {
                   <span class="text-gray-500 font-semibold">Total Invested</span>
                   <span class="font-black text-slate-900">${formatters.dollars(invested)}</span>
                 </div>
+                ${[...SENSITIVE_INPUTS.map(([field, , label]) => [field, label]), ['notes', 'Notes']]
+                  .filter(([field]) => inv?.[field])
+                  .map(([field, label]) => `
+                    <div class="flex items-center justify-between text-xs">
+                      <span class="text-gray-500 font-semibold">${label}</span>
+                      <span class="font-bold text-slate-700">${sensitiveValueHtml('investors', inv, field)}</span>
+                    </div>
+                  `).join('')}
               </div>
             </div>
 
@@ -314,8 +393,55 @@ export const investors = {
         return;
       }
 
+      if (action === 'investor-history') {
+        historyPanel.show('investors', id);
+        return;
+      }
+
       if (action === 'investor-open-portal') {
         this.openPortalForInvestor(id);
+        return;
+      }
+
+      const ids = (Array.isArray(this._lastState?.investors) ? this._lastState.investors : []).map((inv) => inv?.id);
+      if (handleSelectAction('investor', action, id, this._selected, ids)) {
+        this.render(this._lastState);
+        return;
+      }
+
+      if (action === 'investor-bulk-type') {
+        this.showBulkTypeModal();
+        return;
+      }
+
+      if (action === 'investor-bulk-delete') {
+        confirmBulkDelete({
+          category: 'investors',
+          ids: [...this._selected],
+          noun: 'investor',
+          onDone: () => this.clearSelection()
+        });
+      }
+    });
+  },
+
+  clearSelection() {
+    this._selected.clear();
+    this.render(stateManager.get());
+  },
+
+  showBulkTypeModal() {
+    const ids = [...this._selected];
+    if (!ids.length) return;
+
+    showBulkFieldModal({
+      title: `Change type · ${ids.length} investor${ids.length === 1 ? '' : 's'}`,
+      label: 'Investor Type',
+      options: INVESTOR_TYPES.map((t) => ({ value: t, label: t })),
+      onApply: async (type) => {
+        await stateManager.bulkUpdate('investors', ids, { type });
+        this.clearSelection();
+        showUndoToast(`Set ${ids.length} investor${ids.length === 1 ? '' : 's'} to ${type}`);
       }
     });
   },
@@ -327,9 +453,10 @@ export const investors = {
 
     modalManager.show(
       'Delete investor',
-      `<p class="text-sm font-semibold text-slate-700">Delete ${escapeHtml(label)}? This cannot be undone.</p>`,
-      () => {
-        stateManager.delete('investors', id);
+      `<p class="text-sm font-semibold text-slate-700">Delete ${escapeHtml(label)}? It moves to Trash, where you can restore it.</p>`,
+      async () => {
+        await stateManager.delete('investors', id);
+        showUndoToast(`Deleted ${inv?.name || 'investor'}`);
         return true;
       },
       { submitLabel: 'Delete', cancelLabel: 'Cancel', danger: true }
@@ -361,7 +488,7 @@ export const investors = {
     // Also dispatch an event so other parts can react if desired
     window.dispatchEvent(new CustomEvent('investors:open-portal', { detail: { investorId: String(id) } }));
 
-    router.navigate('investor-portal');
+    router.go('investor-portal/:id', { id });
   },
 
   showAddInvestorModal() {
@@ -370,19 +497,13 @@ export const investors = {
     modalManager.show(
       'Add Investor',
       formHtml,
-      () => {
+      async () => {
         const data = readInvestorForm();
 
-        if (!data.name) throw new Error('Investor name is required.');
-        if (!basicEmailOk(data.email)) throw new Error('Please enter a valid email address.');
-
         // Do not fake deal_count. Keep 0 unless you implement allocations.
         data.deal_count = 0;
 
-        data.created_at = new Date().toISOString();
-        data.createdAt = data.created_at;
-
-        stateManager.add('investors', data);
+        await stateManager.add('investors', data);
         return true;
       },
       { submitLabel: 'Add', cancelLabel: 'Cancel' }
@@ -395,19 +516,16 @@ export const investors = {
     modalManager.show(
       'Edit Investor',
       formHtml,
-      () => {
+      async () => {
         const patch = readInvestorForm();
 
-        if (!patch.name) throw new Error('Investor name is required.');
-        if (!basicEmailOk(patch.email)) throw new Error('Please enter a valid email address.');
-
         patch.updated_at = new Date().toISOString();
         patch.updatedAt = patch.updated_at;
 
         // Keep deal_count unchanged unless explicitly tracked elsewhere
         delete patch.deal_count;
 
-        stateManager.update('investors', inv.id, patch);
+        await stateManager.update('investors', inv.id, patch);
         return true;
       },
       { submitLabel: 'Save', cancelLabel: 'Cancel' }
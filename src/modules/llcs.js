@@ -13,11 +13,23 @@
  *    - dropdown of properties
  *    - sets property.llc_id = llc.id
  *    - also sets property.owning_llc = llc.name for backward compatibility
- * - Adds created_at/createdAt alongside registeredAt for consistency
+ * - createdAt timestamp (legacy registeredAt/created_at are migrated on load)
+ * - History button opens the per-record audit trail (field-level revert)
+ * - De-register is blocked while properties are still titled to the LLC
+ * - Register form validated by the llcs schema (name, state code, EIN format)
+ * - Titled assets + per-entity valuation come from the memoized llcTotals selector
+ * - EIN shows masked (encrypted at rest once the workspace has a key); reveal is audited
  */
 
 import { stateManager } from '../state.js';
+import { router } from '../router.js';
+import { isOwnedBy } from '../selectors.js';
+import { formatters } from '../utils/formatters.js';
 import { modalManager } from '../utils/modals.js';
+import { showUndoToast } from '../utils/toast.js';
+import { historyPanel } from '../utils/historyPanel.js';
+import { deleteImpactHtml, showDeleteBlocked } from '../utils/deleteImpact.js';
+import { sensitiveValueHtml } from '../utils/sensitiveField.js';
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -49,6 +61,7 @@ function getProperties(state) {
 }
 
 export const llcs = {
+  dependsOn: ['llcs', 'properties'],
   _bound: false,
   _lastState: null,
 
@@ -62,7 +75,6 @@ export const llcs = {
     this._lastState = state;
 
     const entities = getEntities(state);
-    const properties = getProperties(state);
 
     container.innerHTML = `
       <div class="p-6">
@@ -79,7 +91,7 @@ export const llcs = {
         </div>
 
         <div class="grid grid-cols-1 xl:grid-cols-2 gap-6" id="llc-grid">
-          ${this.renderLLCCards(entities, properties)}
+          ${this.renderLLCCards(entities)}
         </div>
       </div>
     `;
@@ -94,20 +106,10 @@ export const llcs = {
    *  - property.owning_llc matches llc.name (case/trim-safe)
    */
   isPropertyOwnedByLLC(p, llc) {
-    const pLlcId = p?.llc_id;
-    const llcId = llc?.id;
-
-    if (idEq(pLlcId, llcId) && String(pLlcId ?? '') !== '') return true;
-
-    const owning = normalizeKey(p?.owning_llc);
-    const llcName = normalizeKey(llc?.name);
-
-    if (owning && llcName && owning === llcName) return true;
-
-    return false;
+    return isOwnedBy(p, llc);
   },
 
-  renderLLCCards(entitiesList, allProperties) {
+  renderLLCCards(entitiesList) {
     if (!entitiesList || entitiesList.length === 0) {
       return `
         <div class="col-span-full py-20 text-center text-slate-400 border-2 border-dashed border-slate-200 rounded-2xl bg-white">
@@ -117,11 +119,14 @@ export const llcs = {
         </div>`;
     }
 
+    const totalsById = new Map(stateManager.select('llcTotals').filter(row => row.llc).map(row => [row.key, row]));
+
     return entitiesList.map(llc => {
-      const ownedProperties = (allProperties || []).filter(p => this.isPropertyOwnedByLLC(p, llc));
+      const totals = totalsById.get(String(llc?.id ?? ''));
+      const ownedProperties = totals?.properties || [];
 
       const name = escapeHtml(llc?.name || 'Unnamed LLC');
-      const ein = escapeHtml(llc?.ein || 'PENDING');
+      const ein = sensitiveValueHtml('llcs', llc, 'ein', { empty: 'PENDING' });
       const stateOfInc = escapeHtml(llc?.state_of_inc || 'DE');
       const manager = escapeHtml(llc?.manager || 'Corporate GP');
 
@@ -180,7 +185,7 @@ export const llcs = {
         <div class="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden hover:border-slate-400 transition-all group">
           <div class="p-5 border-b border-slate-100 flex justify-between items-start bg-slate-50/50">
             <div>
-              <h3 class="font-black text-slate-900 uppercase tracking-tight">${name}</h3>
+              <h3 class="font-black text-slate-900 uppercase tracking-tight"><a href="${escapeHtml(router.recordHref('llcs', llc?.id))}" class="hover:text-orange-600">${name}</a></h3>
               <div class="flex items-center gap-3 mt-1">
                 <p class="text-[10px] text-slate-500 font-bold uppercase tracking-wider">
                   EIN: <span class="text-slate-900">${ein}</span>
@@ -200,7 +205,9 @@ export const llcs = {
           </div>
 
           <div class="p-5">
-            <h4 class="text-[10px] font-black text-slate-400 uppercase mb-3 tracking-[0.15em]">Titled Portfolio Assets</h4>
+            <h4 class="text-[10px] font-black text-slate-400 uppercase mb-3 tracking-[0.15em]">
+              Titled Portfolio Assets${ownedProperties.length ? ` · ${escapeHtml(formatters.compact(totals.valuation))}` : ''}
+            </h4>
             <div class="space-y-2">
               ${ownedProperties.length > 0 ? ownedProperties.map(p => `
                 <div class="flex items-center justify-between p-3 rounded-xl bg-slate-50 border border-slate-100 hover:bg-white hover:shadow-sm transition-all cursor-default">
@@ -233,6 +240,11 @@ export const llcs = {
                 <i class="fa fa-fingerprint mr-2"></i> Tax ID
               </button>
 
+              <button data-action="llc-history" data-id="${escapeHtml(llc?.id)}"
+                class="flex items-center text-[10px] font-black text-slate-600 uppercase bg-white border border-slate-200 px-3 py-1.5 rounded-lg hover:border-orange-500 hover:text-orange-600 transition-all shadow-sm">
+                <i class="fa fa-clock-rotate-left mr-2"></i> History
+              </button>
+
               <!-- NEW: Assign Property action -->
               <button data-action="llc-assign-property" data-id="${escapeHtml(llc?.id)}"
                 class="flex items-center text-[10px] font-black text-slate-600 uppercase bg-white border border-slate-200 px-3 py-1.5 rounded-lg hover:border-orange-500 hover:text-orange-600 transition-all shadow-sm">
@@ -273,6 +285,11 @@ export const llcs = {
         this.showAssignPropertyModal(id);
         return;
       }
+
+      if (action === 'llc-history') {
+        historyPanel.show('llcs', id);
+        return;
+      }
     });
   },
 
@@ -280,15 +297,23 @@ export const llcs = {
     const entities = getEntities(this._lastState);
     const llc = entities.find(x => idEq(x?.id, id));
     const label = llc?.name ? `“${llc.name}”` : 'this entity';
+    const plan = stateManager.getDeletePlan('llcs', id);
+
+    // Assets titled to the LLC must be reassigned first (restrict rule)
+    if (plan.blocked.length) {
+      showDeleteBlocked(label, plan);
+      return;
+    }
 
     modalManager.show(
       'De-register entity',
       `<p class="text-sm font-semibold text-slate-700">
-        De-register ${escapeHtml(label)}?
-        <br><span class="text-slate-500">Ensure no assets are titled to this LLC before proceeding.</span>
-      </p>`,
-      () => {
-        stateManager.delete('llcs', id);
+        De-register ${escapeHtml(label)}? It moves to Trash, where you can restore it.
+      </p>
+      ${deleteImpactHtml(plan)}`,
+      async () => {
+        await stateManager.delete('llcs', id);
+        showUndoToast(`De-registered ${llc?.name || 'entity'}`);
         return true;
       },
       { submitLabel: 'De-register', cancelLabel: 'Cancel', danger: true }
@@ -348,7 +373,7 @@ export const llcs = {
     modalManager.show(
       'Assign Property',
       formHtml,
-      () => {
+      async () => {
         const sel = document.getElementById('llc-assign-property-id');
         const propertyId = sel?.value ? String(sel.value) : '';
 
@@ -357,7 +382,7 @@ export const llcs = {
         // Update property linkage:
         // - llc_id is the canonical link
         // - owning_llc is kept in sync for legacy matching / readability
-        stateManager.update('properties', propertyId, {
+        await stateManager.update('properties', propertyId, {
           llc_id: llc.id,
           owning_llc: llc.name
         });
@@ -373,7 +398,7 @@ export const llcs = {
       <div class="space-y-5">
         <div>
           <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Entity Full Legal Name</label>
-          <input type="text" id="llc-name"
+          <input type="text" id="llc-name" data-field="name"
             class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-slate-900 transition-all"
             placeholder="e.g. 123 Main St Holdings, LLC">
         </div>
@@ -381,7 +406,7 @@ export const llcs = {
         <div class="grid grid-cols-2 gap-4">
           <div>
             <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">State of Org.</label>
-            <select id="llc-state" class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+            <select id="llc-state" data-field="state_of_inc" class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
               <option value="DE">Delaware</option>
               <option value="TX">Texas</option>
               <option value="FL">Florida</option>
@@ -391,7 +416,7 @@ export const llcs = {
           </div>
           <div>
             <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">EIN / Tax ID</label>
-            <input type="text" id="llc-ein"
+            <input type="text" id="llc-ein" data-field="ein"
               class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none"
               placeholder="00-0000000">
           </div>
@@ -399,7 +424,7 @@ export const llcs = {
 
         <div>
           <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Designated Managing Member</label>
-          <input type="text" id="llc-manager"
+          <input type="text" id="llc-manager" data-field="manager"
             class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none"
             placeholder="e.g. Summit Capital Management, LLC">
         </div>
@@ -415,7 +440,7 @@ export const llcs = {
     modalManager.show(
       "Register Legal Entity",
       formHtml,
-      () => {
+      async () => {
         const name = normalizeStr(document.getElementById('llc-name')?.value);
         const state_of_inc = normalizeStr(document.getElementById('llc-state')?.value) || 'DE';
         const ein = normalizeStr(document.getElementById('llc-ein')?.value);
@@ -428,18 +453,10 @@ export const llcs = {
           state_of_inc,
           ein,
           manager,
-
-          // Keep old field for backward compatibility
-          registeredAt: now,
-
-          // Add consistent timestamps
-          created_at: now,
           createdAt: now
         };
 
-        if (!data.name) throw new Error('Entity name is required.');
-
-        stateManager.add('llcs', data);
+        await stateManager.add('llcs', data);
         return true;
       },
       { submitLabel: 'Register', cancelLabel: 'Cancel' }
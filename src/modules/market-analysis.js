@@ -14,6 +14,7 @@
 
 import { formatters } from '../utils/formatters.js';
 import { modalManager } from '../utils/modals.js';
+import { shortcuts, focusField } from '../utils/shortcuts.js';
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -111,6 +112,7 @@ function avg(list, key) {
 }
 
 export const marketAnalysis = {
+  dependsOn: [],
   _bound: false,
   _lastZip: '',
 
@@ -382,3 +384,5 @@ export const marketAnalysis = {
     return `${spreadBps.toFixed(0)} bps`;
   }
 };
+
+shortcuts.register({ keys: '/', view: 'market-analysis', label: 'Look up a zip code', run: () => focusField('market-zip-search') });
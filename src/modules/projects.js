@@ -8,6 +8,7 @@
  * - Fully working "Manage Spend" (edit) modal
  * - Array guards + safe percent math (no divide-by-zero)
  * - Modal save callbacks return true (close reliably)
+ * - Add/Manage Spend validated by the projects schema (ranges shown inline, not clamped)
  * - escapeHtml on displayed fields (prevents layout break / injection)
  *
  * Compatibility:
@@ -15,8 +16,10 @@
  */
 
 import { stateManager } from '../state.js';
+import { router } from '../router.js';
 import { formatters } from '../utils/formatters.js';
 import { modalManager } from '../utils/modals.js';
+import { showUndoToast } from '../utils/toast.js';
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -47,6 +50,7 @@ function getProperties(state) {
 }
 
 export const projects = {
+  dependsOn: ['projects', 'properties'],
   _bound: false,
   _lastState: null,
 
@@ -153,7 +157,7 @@ export const projects = {
               </div>
             </div>
 
-            <h3 class="font-bold text-gray-900 text-lg mb-1 truncate">${name}</h3>
+            <h3 class="font-bold text-gray-900 text-lg mb-1 truncate"><a href="${escapeHtml(router.recordHref('projects', proj?.id))}" class="hover:text-orange-600">${name}</a></h3>
             <p class="text-xs text-gray-500 mb-4 truncate">
               <i class="fa fa-building mr-1"></i>${property}
             </p>
@@ -241,9 +245,10 @@ export const projects = {
 
     modalManager.show(
       'Cancel project',
-      `<p class="text-sm font-semibold text-slate-700">Cancel ${escapeHtml(label)}? This cannot be undone.</p>`,
-      () => {
-        stateManager.delete('projects', id);
+      `<p class="text-sm font-semibold text-slate-700">Cancel ${escapeHtml(label)}? It moves to Trash, where you can restore it.</p>`,
+      async () => {
+        await stateManager.delete('projects', id);
+        showUndoToast(`Cancelled ${proj?.name || 'project'}`);
         return true;
       },
       { submitLabel: 'Cancel Project', cancelLabel: 'Keep', danger: true }
@@ -274,14 +279,14 @@ export const projects = {
       <div class="space-y-5">
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Project Name</label>
-          <input type="text" id="proj-name"
+          <input type="text" id="proj-name" data-field="name"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             placeholder="e.g. Unit Turns - Phase 1">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Property</label>
-          <select id="proj-property"
+          <select id="proj-property" data-field="property"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
             <option value="">Unassigned</option>
             ${props.map(p => `<option value="${escapeHtml(p?.name)}">${escapeHtml(p?.name || 'Unnamed Property')}</option>`).join('')}
@@ -291,13 +296,13 @@ export const projects = {
         <div class="grid grid-cols-2 gap-4">
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Budget</label>
-            <input type="number" id="proj-budget"
+            <input type="number" id="proj-budget" data-field="budget"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
               value="0" min="0" step="1000">
           </div>
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Spent</label>
-            <input type="number" id="proj-spent"
+            <input type="number" id="proj-spent" data-field="spent"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
               value="0" min="0" step="1000">
           </div>
@@ -306,13 +311,13 @@ export const projects = {
         <div class="grid grid-cols-2 gap-4">
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Lead</label>
-            <input type="text" id="proj-lead"
+            <input type="text" id="proj-lead" data-field="lead"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
               placeholder="e.g. PM / GC / Owner">
           </div>
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Status</label>
-            <select id="proj-status"
+            <select id="proj-status" data-field="status"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
               ${['Active', 'Paused', 'Completed', 'Cancelled'].map(s => `<option>${escapeHtml(s)}</option>`).join('')}
             </select>
@@ -321,7 +326,7 @@ export const projects = {
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Percent Complete</label>
-          <input type="number" id="proj-percent"
+          <input type="number" id="proj-percent" data-field="percent_complete"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="0" min="0" max="100" step="1">
         </div>
@@ -331,16 +336,11 @@ export const projects = {
     modalManager.show(
       'Add Project',
       formHtml,
-      () => {
+      async () => {
         const data = this.readProjectFormData();
+        data.createdAt = new Date().toISOString();
 
-        if (!data.name) throw new Error('Project name is required.');
-
-        const now = new Date().toISOString();
-        data.created_at = now;
-        data.createdAt = now;
-
-        stateManager.add('projects', data);
+        await stateManager.add('projects', data);
         return true;
       },
       { submitLabel: 'Add', cancelLabel: 'Cancel' }
@@ -366,14 +366,14 @@ export const projects = {
       <div class="space-y-5">
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Project Name</label>
-          <input type="text" id="proj-name"
+          <input type="text" id="proj-name" data-field="name"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${name}">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Property</label>
-          <select id="proj-property"
+          <select id="proj-property" data-field="property"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
             <option value="">Unassigned</option>
             ${props.map(p => {
@@ -387,13 +387,13 @@ export const projects = {
         <div class="grid grid-cols-2 gap-4">
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Budget</label>
-            <input type="number" id="proj-budget"
+            <input type="number" id="proj-budget" data-field="budget"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
               value="${budget}" min="0" step="1000">
           </div>
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Spent</label>
-            <input type="number" id="proj-spent"
+            <input type="number" id="proj-spent" data-field="spent"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
               value="${spent}" min="0" step="1000">
           </div>
@@ -402,13 +402,13 @@ export const projects = {
         <div class="grid grid-cols-2 gap-4">
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Lead</label>
-            <input type="text" id="proj-lead"
+            <input type="text" id="proj-lead" data-field="lead"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
               value="${lead}" placeholder="e.g. PM / GC / Owner">
           </div>
           <div>
             <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Status</label>
-            <select id="proj-status"
+            <select id="proj-status" data-field="status"
               class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
               ${['Active', 'Paused', 'Completed', 'Cancelled'].map(s => {
                 const sel = s === status ? 'selected' : '';
@@ -420,7 +420,7 @@ export const projects = {
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Percent Complete</label>
-          <input type="number" id="proj-percent"
+          <input type="number" id="proj-percent" data-field="percent_complete"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${percent}" min="0" max="100" step="1">
         </div>
@@ -440,23 +440,19 @@ export const projects = {
     modalManager.show(
       'Manage Spend',
       formHtml,
-      () => {
+      async () => {
         const patch = this.readProjectFormData();
 
-        if (!patch.name) throw new Error('Project name is required.');
-
         // If status is completed, force percent to 100
         if (normalizeKey(patch.status) === 'completed') {
           patch.percent_complete = 100;
-        } else {
-          patch.percent_complete = clamp(patch.percent_complete, 0, 100);
         }
 
         const now = new Date().toISOString();
         patch.updated_at = now;
         patch.updatedAt = now;
 
-        stateManager.update('projects', proj.id, patch);
+        await stateManager.update('projects', proj.id, patch);
         return true;
       },
       { submitLabel: 'Save', cancelLabel: 'Cancel' }
@@ -488,7 +484,7 @@ export const projects = {
       spent: toNumber(document.getElementById('proj-spent')?.value, 0),
       lead: String(document.getElementById('proj-lead')?.value ?? '').trim(),
       status: String(document.getElementById('proj-status')?.value ?? 'Active').trim(),
-      percent_complete: clamp(toNumber(document.getElementById('proj-percent')?.value, 0), 0, 100)
+      percent_complete: toNumber(document.getElementById('proj-percent')?.value, 0)
     };
   },
 
@@ -14,11 +14,31 @@
  * - Filter row:
  *    - Debounced search ONLY
  *    - Min Cap Rate (%), Min NOI, Min Occupancy (%), Min Units, LLC filter
+ *    - Kept in the URL (#properties?llc=…&mincap=6.5): bookmarkable, survives reload
+ * - History button opens the per-record audit trail (field-level revert)
+ * - Add/Edit validated by the properties schema (errors shown next to the inputs)
+ * - Checkbox multi-select over the filtered list; bulk bar (assign LLC, delete)
+ * - Delete is blocked while projects point at the property; linked vault docs are unlinked
+ * - Header totals come from the shared memoized propertyTotals selector
  */
 
 import { stateManager } from '../state.js';
+import { router } from '../router.js';
 import { formatters } from '../utils/formatters.js';
 import { modalManager } from '../utils/modals.js';
+import { showUndoToast } from '../utils/toast.js';
+import { historyPanel } from '../utils/historyPanel.js';
+import { readFilters, writeFilters } from '../utils/urlFilters.js';
+import { deleteImpactHtml, showDeleteBlocked } from '../utils/deleteImpact.js';
+import {
+  selectBoxHtml,
+  bulkBarHtml,
+  handleSelectAction,
+  pruneSelection,
+  showBulkFieldModal,
+  confirmBulkDelete
+} from '../utils/bulkActions.js';
+import { shortcuts, focusField } from '../utils/shortcuts.js';
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -76,31 +96,54 @@ function debounce(fn, wait = 250) {
   };
 }
 
+const FILTER_DEFAULTS = {
+  q: '',
+  minCap: '',
+  minNoi: '',
+  minOcc: '',
+  minUnits: '',
+  llcId: ''
+};
+
+// filter -> hash query name
+const FILTER_PARAMS = {
+  q: 'q',
+  minCap: 'mincap',
+  minNoi: 'minnoi',
+  minOcc: 'minocc',
+  minUnits: 'minunits',
+  llcId: 'llc'
+};
+
+// filter input id -> filter
+const FILTER_INPUTS = {
+  'prop-filter-q': 'q',
+  'prop-filter-mincap': 'minCap',
+  'prop-filter-minnoi': 'minNoi',
+  'prop-filter-minocc': 'minOcc',
+  'prop-filter-minunits': 'minUnits',
+  'prop-filter-llc': 'llcId'
+};
+
 export const properties = {
+  dependsOn: ['properties', 'llcs'],
   _bound: false,
   _lastState: null,
-  _filters: {
-    q: '',
-    minCap: '',
-    minNoi: '',
-    minOcc: '',
-    minUnits: '',
-    llcId: ''
-  },
+  _selected: new Set(),
+  _filters: { ...FILTER_DEFAULTS },
 
   render(state) {
     const container = document.getElementById('view-properties');
     if (!container) return;
 
     this._lastState = state;
+    this._filters = readFilters('properties', FILTER_DEFAULTS, FILTER_PARAMS);
 
-    const list = getProperties(state);
+    const totals = stateManager.select('propertyTotals');
 
-    const totalValuation = list.reduce((sum, p) => sum + toNumber(p?.valuation, 0), 0);
-    const totalLoan = list.reduce((sum, p) => sum + toNumber(p?.loan_balance, 0), 0);
-    const totalUnits = list.reduce((sum, p) => sum + toInt(p?.units, 0), 0);
-    const avgOcc =
-      list.length > 0 ? list.reduce((sum, p) => sum + toNumber(p?.occupancy, 0), 0) / list.length : 0;
+    // Selection only spans what the filters show
+    const visible = this.getFilteredList();
+    pruneSelection(this._selected, visible.map(p => p?.id));
 
     container.innerHTML = `
       <div class="p-6">
@@ -108,7 +151,7 @@ export const properties = {
           <div>
             <h2 class="text-2xl font-bold text-gray-900">Asset Management Portfolio</h2>
             <p class="text-sm text-gray-500 font-medium">
-              ${list.length} properties • Valuation: ${formatters.dollars(totalValuation)} • Loan: ${formatters.dollars(totalLoan)} • Units: ${totalUnits} • Avg Occ: ${avgOcc.toFixed(1)}%
+              ${totals.count} properties • Valuation: ${formatters.dollars(totals.valuation)} • Loan: ${formatters.dollars(totals.debt)} • Units: ${totals.units} • Avg Occ: ${totals.avgOccupancy.toFixed(1)}%
             </p>
           </div>
 
@@ -120,8 +163,18 @@ export const properties = {
 
         ${this.renderFilterRow()}
 
+        ${bulkBarHtml({
+          prefix: 'prop',
+          count: this._selected.size,
+          total: visible.length,
+          actions: [
+            { action: 'prop-bulk-llc', label: 'Assign LLC', icon: 'fa-scale-balanced' },
+            { action: 'prop-bulk-delete', label: 'Delete', icon: 'fa-trash', danger: true }
+          ]
+        })}
+
         <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 2xl:grid-cols-4 gap-6" id="property-grid">
-          ${this.renderPropertyCards(this.getFilteredList())}
+          ${this.renderPropertyCards(visible)}
         </div>
       </div>
     `;
@@ -277,11 +330,19 @@ export const properties = {
         <div class="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden hover:shadow-md transition-shadow group">
           <div class="p-5">
             <div class="flex justify-between items-start mb-3">
-              <span class="px-2 py-1 rounded text-[10px] font-bold uppercase bg-slate-100 text-slate-600">
-                ${units} UNITS
-              </span>
+              <div class="flex items-center gap-2">
+                ${selectBoxHtml('prop', prop?.id, this._selected.has(String(prop?.id)))}
+                <span class="px-2 py-1 rounded text-[10px] font-bold uppercase bg-slate-100 text-slate-600">
+                  ${units} UNITS
+                </span>
+              </div>
 
               <div class="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button data-action="prop-history" data-id="${id}"
+                  class="text-gray-400 hover:text-slate-700" title="History">
+                  <i class="fa fa-clock-rotate-left text-xs"></i>
+                </button>
+
                 <button data-action="prop-edit" data-id="${id}"
                   class="text-gray-400 hover:text-slate-700" title="Edit">
                   <i class="fa fa-pen text-xs"></i>
@@ -294,7 +355,7 @@ export const properties = {
               </div>
             </div>
 
-            <h3 class="font-bold text-gray-900 text-lg mb-1 truncate">${name}</h3>
+            <h3 class="font-bold text-gray-900 text-lg mb-1 truncate"><a href="${escapeHtml(router.recordHref('properties', prop?.id))}" class="hover:text-orange-600">${name}</a></h3>
             <p class="text-xs text-gray-500 mb-4 truncate">
               <i class="fa fa-landmark mr-1"></i>${llcLabel}
             </p>
@@ -361,43 +422,108 @@ export const properties = {
         return;
       }
 
+      if (action === 'prop-history') {
+        historyPanel.show('properties', id);
+        return;
+      }
+
+      if (handleSelectAction('prop', action, id, this._selected, this.getFilteredList().map(p => p?.id))) {
+        this.render(this._lastState);
+        return;
+      }
+
+      if (action === 'prop-bulk-llc') {
+        this.showBulkAssignLlcModal();
+        return;
+      }
+
+      if (action === 'prop-bulk-delete') {
+        confirmBulkDelete({
+          category: 'properties',
+          ids: [...this._selected],
+          noun: 'property',
+          plural: 'properties',
+          onDone: () => this.clearSelection()
+        });
+        return;
+      }
+
       if (action === 'prop-filter-clear') {
-        this._filters = { q: '', minCap: '', minNoi: '', minOcc: '', minUnits: '', llcId: '' };
+        writeFilters('properties', FILTER_DEFAULTS, FILTER_DEFAULTS, FILTER_PARAMS);
         this.render(this._lastState);
       }
     });
 
-    // Filter input bindings (debounce ONLY the search box)
-    const qEl = document.getElementById('prop-filter-q');
-    const capEl = document.getElementById('prop-filter-mincap');
-    const noiEl = document.getElementById('prop-filter-minnoi');
-    const occEl = document.getElementById('prop-filter-minocc');
-    const unitsEl = document.getElementById('prop-filter-minunits');
-    const llcEl = document.getElementById('prop-filter-llc');
-
+    // Filter inputs (delegated: the row is rebuilt on every render).
+    // The URL is updated at once; only the search box debounces the render.
     const apply = () => this.render(this._lastState);
     const applyDebounced = debounce(apply, 250);
 
-    if (qEl) qEl.addEventListener('input', () => { this._filters.q = qEl.value; applyDebounced(); });
+    const onFilter = (e) => {
+      const key = FILTER_INPUTS[e.target?.id];
+      if (!key) return;
+      this._filters = { ...this._filters, [key]: e.target.value };
+      writeFilters('properties', this._filters, FILTER_DEFAULTS, FILTER_PARAMS);
+      if (key === 'q') applyDebounced();
+      else apply();
+    };
+
+    container.addEventListener('input', (e) => {
+      if (e.target?.id !== 'prop-filter-llc') onFilter(e);
+    });
+    container.addEventListener('change', (e) => {
+      if (e.target?.id === 'prop-filter-llc') onFilter(e);
+    });
+  },
+
+  clearSelection() {
+    this._selected.clear();
+    this.render(stateManager.get());
+  },
+
+  showBulkAssignLlcModal() {
+    const ids = [...this._selected];
+    if (!ids.length) return;
+    const llcs = getLLCs(this._lastState);
 
-    // Non-debounced filters
-    if (capEl) capEl.addEventListener('input', () => { this._filters.minCap = capEl.value; apply(); });
-    if (noiEl) noiEl.addEventListener('input', () => { this._filters.minNoi = noiEl.value; apply(); });
-    if (occEl) occEl.addEventListener('input', () => { this._filters.minOcc = occEl.value; apply(); });
-    if (unitsEl) unitsEl.addEventListener('input', () => { this._filters.minUnits = unitsEl.value; apply(); });
-    if (llcEl) llcEl.addEventListener('change', () => { this._filters.llcId = llcEl.value; apply(); });
+    showBulkFieldModal({
+      title: `Assign LLC · ${ids.length} propert${ids.length === 1 ? 'y' : 'ies'}`,
+      label: 'Owning LLC',
+      options: [
+        { value: '', label: 'Unassigned' },
+        ...llcs.map(l => ({ value: String(l?.id ?? ''), label: l?.name || 'Unnamed LLC' }))
+      ],
+      onApply: async (llcId) => {
+        const llc = llcs.find(l => idEq(l?.id, llcId));
+        // Same pair the edit form writes: llc_id (canonical) + owning_llc (legacy)
+        await stateManager.bulkUpdate('properties', ids, {
+          llc_id: llc ? String(llc.id) : '',
+          owning_llc: llc ? String(llc.name || '').trim() : ''
+        });
+        this.clearSelection();
+        showUndoToast(`Assigned ${ids.length} propert${ids.length === 1 ? 'y' : 'ies'} to ${llc?.name || 'no LLC'}`);
+      }
+    });
   },
 
   confirmDelete(id) {
     const list = getProperties(this._lastState);
     const prop = list.find(p => idEq(p?.id, id));
     const label = prop?.name ? `“${prop.name}”` : 'this property';
+    const plan = stateManager.getDeletePlan('properties', id);
+
+    if (plan.blocked.length) {
+      showDeleteBlocked(label, plan);
+      return;
+    }
 
     modalManager.show(
       'Delete property',
-      `<p class="text-sm font-semibold text-slate-700">Delete ${escapeHtml(label)}? This cannot be undone.</p>`,
-      () => {
-        stateManager.delete('properties', id);
+      `<p class="text-sm font-semibold text-slate-700">Delete ${escapeHtml(label)}? It moves to Trash, where you can restore it.</p>
+      ${deleteImpactHtml(plan)}`,
+      async () => {
+        await stateManager.delete('properties', id);
+        showUndoToast(`Deleted ${prop?.name || 'property'}`);
         return true;
       },
       { submitLabel: 'Delete', cancelLabel: 'Cancel', danger: true }
@@ -429,16 +555,11 @@ export const properties = {
     modalManager.show(
       'Add Property',
       formHtml,
-      () => {
+      async () => {
         const data = this.readPropertyFormData(llcs);
+        data.createdAt = new Date().toISOString();
 
-        if (!data.name) throw new Error('Property name is required.');
-
-        const now = new Date().toISOString();
-        data.created_at = now;
-        data.createdAt = now;
-
-        stateManager.add('properties', data);
+        await stateManager.add('properties', data);
         return true;
       },
       { submitLabel: 'Add', cancelLabel: 'Cancel' }
@@ -453,16 +574,14 @@ export const properties = {
     modalManager.show(
       'Edit Property',
       formHtml,
-      () => {
+      async () => {
         const patch = this.readPropertyFormData(llcs);
 
-        if (!patch.name) throw new Error('Property name is required.');
-
         const now = new Date().toISOString();
         patch.updated_at = now;
         patch.updatedAt = now;
 
-        stateManager.update('properties', prop.id, patch);
+        await stateManager.update('properties', prop.id, patch);
         return true;
       },
       { submitLabel: 'Save', cancelLabel: 'Cancel' }
@@ -485,14 +604,14 @@ export const properties = {
       <div class="grid grid-cols-2 gap-4">
         <div class="col-span-2">
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Property Name</label>
-          <input type="text" id="prop-name"
+          <input type="text" id="prop-name" data-field="name"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             placeholder="e.g. Bella Rosa" value="${name}">
         </div>
 
         <div class="col-span-2">
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Owning LLC</label>
-          <select id="prop-llc-id"
+          <select id="prop-llc-id" data-field="llc_id"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
             <option value="">Unassigned</option>
             ${llcs.map(l => {
@@ -508,35 +627,35 @@ export const properties = {
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Valuation</label>
-          <input type="number" id="prop-val"
+          <input type="number" id="prop-val" data-field="valuation"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${valuation}">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Loan Balance</label>
-          <input type="number" id="prop-loan"
+          <input type="number" id="prop-loan" data-field="loan_balance"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${loan}">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Units</label>
-          <input type="number" id="prop-units"
+          <input type="number" id="prop-units" data-field="units"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${units}">
         </div>
 
         <div>
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Occupancy %</label>
-          <input type="number" id="prop-occ"
+          <input type="number" id="prop-occ" data-field="occupancy"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${occ}">
         </div>
 
         <div class="col-span-2">
           <label class="block text-xs font-bold text-gray-400 uppercase mb-1">Actual NOI (Annual)</label>
-          <input type="number" id="prop-noi"
+          <input type="number" id="prop-noi" data-field="actual_noi"
             class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none"
             value="${noi}">
         </div>
@@ -568,7 +687,8 @@ export const properties = {
       valuation: toNumber(document.getElementById('prop-val')?.value, 0),
       loan_balance: toNumber(document.getElementById('prop-loan')?.value, 0),
       units: toInt(document.getElementById('prop-units')?.value, 0),
-      occupancy: clamp(toNumber(document.getElementById('prop-occ')?.value, 0), 0, 100),
+      // Out-of-range occupancy is rejected by the schema (0–100), not silently clamped
+      occupancy: toNumber(document.getElementById('prop-occ')?.value, 0),
       actual_noi: toNumber(document.getElementById('prop-noi')?.value, 0)
     };
   }
@@ -577,3 +697,5 @@ export const properties = {
 // Compatibility exports (if main.js imports named functions)
 export const renderProperties = (state) => properties.render(state);
 export const showAddPropertyModal = () => properties.showAddPropertyModal();
+
+shortcuts.register({ keys: '/', view: 'properties', label: 'Search assets', run: () => focusField('prop-filter-q') });
@@ -8,6 +8,7 @@
  * - Safer clipboard copy (try/catch + fallback modal/prompt)
  * - Bind-once listener guard (consistent with other modules)
  * - Keep avgOcc numeric (clamped) for bar width + display
+ * - Aggregate stats come from the shared memoized propertyTotals selector
  */
 
 import { stateManager } from '../state.js';
@@ -40,6 +41,7 @@ function clamp(n, min, max) {
 }
 
 export const publicPortfolio = {
+  dependsOn: ['properties', 'settings'],
   _bound: false,
 
   /**
@@ -54,15 +56,12 @@ export const publicPortfolio = {
 
     const companyName = escapeHtml(state?.settings?.companyName || 'Summit Capital');
 
-    // Calculate Public Stats (Sanitized & Aggregated)
-    const totalUnits = properties.reduce((sum, p) => sum + toInt(p?.units, 0), 0);
-    const portfolioValue = properties.reduce((sum, p) => sum + toNumber(p?.valuation, 0), 0);
+    // Public Stats (Sanitized & Aggregated)
+    const totals = stateManager.select('propertyTotals');
+    const totalUnits = totals.units;
+    const portfolioValue = totals.valuation;
 
-    const avgOccNum = properties.length
-      ? properties.reduce((sum, p) => sum + toNumber(p?.occupancy, 0), 0) / properties.length
-      : 0;
-
-    const avgOcc = clamp(avgOccNum, 0, 100);
+    const avgOcc = clamp(totals.avgOccupancy, 0, 100);
     const avgOccLabel = avgOcc.toFixed(1);
 
     container.innerHTML = `
@@ -0,0 +1,253 @@
+/**
+ * src/modules/recordDetail.js
+ * The detail page behind record links (#deals/:id, #properties/:id, ...).
+ *
+ * - One record's fields (schema labels; sensitive ones masked with Reveal)
+ * - Everything linked to it: related records (each a link to its own page),
+ *   tasks, vault documents, uploads and its activity (selectors.recordLinks)
+ * - Deals open in the Analyzer, investors in the Portal, both by link
+ * - A record that only exists in Trash shows read-only with a Restore button
+ */
+
+import { stateManager } from '../state.js';
+import { router } from '../router.js';
+import { SCHEMAS } from '../schemas.js';
+import { formatters } from '../utils/formatters.js';
+import { historyPanel } from '../utils/historyPanel.js';
+import { sensitiveValueHtml } from '../utils/sensitiveField.js';
+import { toast } from '../utils/toast.js';
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+const CATEGORY_META = {
+  deals: { label: 'Deal', listLabel: 'Deals', icon: 'fa-handshake' },
+  properties: { label: 'Property', listLabel: 'Properties', icon: 'fa-building' },
+  investors: { label: 'Investor', listLabel: 'Investors', icon: 'fa-piggy-bank' },
+  contacts: { label: 'Contact', listLabel: 'Contacts', icon: 'fa-address-book' },
+  llcs: { label: 'Entity', listLabel: 'Entities', icon: 'fa-scale-balanced' },
+  projects: { label: 'Project', listLabel: 'Projects', icon: 'fa-helmet-safety' }
+};
+
+// Shown as links under "Linked records" instead of as raw values
+const LINK_FIELDS = new Set(['llc_id', 'owning_llc']);
+
+function recordName(record) {
+  return String(record?.name || record?.title || 'Untitled');
+}
+
+function fieldValueHtml(category, record, field, rule) {
+  if (rule.sensitive) return sensitiveValueHtml(category, record, field);
+
+  const value = record?.[field];
+  if (value === undefined || value === null || value === '') return '<span class="text-slate-300">—</span>';
+  if (rule.type === 'boolean') return value ? 'Yes' : 'No';
+  if (rule.type === 'date') return escapeHtml(formatters.date(value));
+  if (rule.percent) return escapeHtml(formatters.percent(Number(value) * 100, 1));
+  if (rule.type === 'number' || rule.type === 'integer') {
+    const n = Number(String(value).replace(/,/g, ''));
+    return escapeHtml(Number.isFinite(n) ? n.toLocaleString('en-US') : value);
+  }
+  return escapeHtml(value);
+}
+
+function sectionHtml(title, count, body) {
+  return `
+    <section class="bg-white rounded-2xl border border-slate-200 shadow-sm">
+      <h3 class="px-5 py-3 border-b border-slate-100 text-[10px] font-black text-slate-400 uppercase tracking-[0.15em]">
+        ${escapeHtml(title)} <span class="text-slate-300">· ${count}</span>
+      </h3>
+      <div class="p-5">${body}</div>
+    </section>
+  `;
+}
+
+function emptyHtml(text) {
+  return `<p class="text-[10px] text-slate-400 font-bold uppercase italic">${escapeHtml(text)}</p>`;
+}
+
+function recordLinkHtml(category, record) {
+  const href = router.recordHref(category, record?.id);
+  const icon = CATEGORY_META[category]?.icon || 'fa-file';
+  const label = escapeHtml(recordName(record));
+  return `
+    <li>
+      ${href
+        ? `<a href="${escapeHtml(href)}" class="flex items-center gap-2 text-sm font-bold text-slate-700 hover:text-orange-600">`
+        : '<span class="flex items-center gap-2 text-sm font-bold text-slate-700">'}
+        <i class="fa ${icon} text-slate-400 text-xs w-4"></i>${label}
+      ${href ? '</a>' : '</span>'}
+    </li>
+  `;
+}
+
+export const recordDetail = {
+  dependsOn: ['deals', 'properties', 'investors', 'contacts', 'llcs', 'projects', 'tasks', 'vault', 'uploads', 'activities', 'trash'],
+  _bound: false,
+
+  render(state) {
+    const container = document.getElementById('view-record');
+    if (!container) return;
+
+    const { category, id } = router.getParams();
+    const meta = CATEGORY_META[category];
+    const links = stateManager.select('recordLinks', category, id);
+    const record = links.record;
+
+    if (!meta || !record) {
+      const loading = !stateManager.getWorkspace() && !(state?.[category] || []).length;
+      container.innerHTML = `
+        <div class="max-w-xl mx-auto py-16 text-center">
+          <p class="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-4">
+            ${loading ? '<i class="fa fa-circle-notch fa-spin mr-2"></i>Loading…' : `No ${escapeHtml(meta?.label.toLowerCase() || 'record')} with this link exists.`}
+          </p>
+          ${meta ? `<a href="${escapeHtml(router.viewHref(category))}" class="text-xs font-black text-orange-600 uppercase">Back to ${escapeHtml(meta.listLabel)}</a>` : ''}
+        </div>
+      `;
+      this.bindEvents();
+      return;
+    }
+
+    const fields = Object.entries(SCHEMAS[category] || {})
+      .filter(([field]) => field !== 'name' && !LINK_FIELDS.has(field));
+
+    container.innerHTML = `
+      <div class="space-y-6">
+        <div class="flex flex-col md:flex-row md:items-end justify-between gap-4">
+          <div>
+            <a href="${escapeHtml(router.viewHref(category))}" class="text-[10px] font-black text-slate-400 uppercase tracking-widest hover:text-orange-600">
+              <i class="fa fa-arrow-left mr-1"></i>${escapeHtml(meta.listLabel)}
+            </a>
+            <h2 class="text-2xl font-black text-slate-900 tracking-tight mt-1">
+              <i class="fa ${meta.icon} text-slate-300 mr-2"></i>${escapeHtml(recordName(record))}
+            </h2>
+            <p class="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">${escapeHtml(meta.label)}</p>
+          </div>
+          <div class="flex gap-2">
+            ${category === 'deals' && !links.trashed ? `
+              <a href="#deal-analyzer/${encodeURIComponent(String(record.id))}"
+                class="flex items-center text-[10px] font-black text-slate-600 uppercase bg-white border border-slate-200 px-3 py-2 rounded-lg hover:border-orange-500 hover:text-orange-600 shadow-sm">
+                <i class="fa fa-calculator mr-2"></i> Analyze
+              </a>` : ''}
+            ${category === 'investors' && !links.trashed ? `
+              <a href="#investor-portal/${encodeURIComponent(String(record.id))}"
+                class="flex items-center text-[10px] font-black text-slate-600 uppercase bg-white border border-slate-200 px-3 py-2 rounded-lg hover:border-orange-500 hover:text-orange-600 shadow-sm">
+                <i class="fa fa-id-card mr-2"></i> Portal
+              </a>` : ''}
+            <button data-action="record-history" data-category="${escapeHtml(category)}" data-id="${escapeHtml(record.id)}"
+              class="flex items-center text-[10px] font-black text-slate-600 uppercase bg-white border border-slate-200 px-3 py-2 rounded-lg hover:border-orange-500 hover:text-orange-600 shadow-sm">
+              <i class="fa fa-clock-rotate-left mr-2"></i> History
+            </button>
+          </div>
+        </div>
+
+        ${links.trashed ? `
+          <div class="flex items-center justify-between gap-4 p-4 rounded-2xl bg-amber-50 border border-amber-200">
+            <p class="text-xs font-bold text-amber-800">
+              <i class="fa fa-trash-can mr-2"></i>This ${escapeHtml(meta.label.toLowerCase())} is in Trash (deleted ${escapeHtml(formatters.date(links.trashed.deletedAt))}).
+            </p>
+            <button data-action="record-restore" data-id="${escapeHtml(links.trashed.id)}"
+              class="px-4 py-2 rounded-xl bg-slate-900 text-white text-[10px] font-black uppercase tracking-widest hover:bg-slate-800">
+              <i class="fa fa-rotate-left mr-1"></i>Restore
+            </button>
+          </div>
+        ` : ''}
+
+        <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div class="lg:col-span-2 space-y-6">
+            ${sectionHtml('Details', fields.length, `
+              <dl class="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3">
+                ${fields.map(([field, rule]) => `
+                  <div>
+                    <dt class="text-[10px] font-black text-slate-400 uppercase tracking-wider">${escapeHtml(rule.label || field)}</dt>
+                    <dd class="text-sm font-semibold text-slate-800 mt-0.5">${fieldValueHtml(category, record, field, rule)}</dd>
+                  </div>
+                `).join('')}
+              </dl>
+            `)}
+
+            ${links.related.map(group => sectionHtml(group.label, group.records.length, `
+              <ul class="space-y-2">${group.records.map(r => recordLinkHtml(group.category, r)).join('')}</ul>
+            `)).join('')}
+
+            ${sectionHtml('Tasks', links.tasks.length, links.tasks.length ? `
+              <ul class="space-y-2">
+                ${links.tasks.map(t => `
+                  <li class="flex items-center justify-between gap-3 text-sm">
+                    <span class="font-bold ${t?.completed ? 'line-through text-slate-400' : 'text-slate-700'}">${escapeHtml(t?.title || 'Untitled task')}</span>
+                    <span class="text-[10px] font-black text-slate-400 uppercase">${escapeHtml(formatters.date(t?.due_date))}</span>
+                  </li>
+                `).join('')}
+              </ul>
+            ` : emptyHtml('No linked tasks'))}
+
+            ${sectionHtml('Documents', links.documents.length + links.uploads.length, links.documents.length || links.uploads.length ? `
+              <ul class="space-y-2">
+                ${links.documents.map(d => `
+                  <li class="flex items-center justify-between gap-3 text-sm">
+                    <a href="${escapeHtml(d?.url || '#')}" target="_blank" rel="noopener" class="font-bold text-slate-700 hover:text-orange-600 truncate">
+                      <i class="fa fa-vault text-slate-400 text-xs mr-2"></i>${escapeHtml(d?.name || 'Untitled document')}
+                    </a>
+                    <span class="text-[10px] font-black text-slate-400 uppercase">${escapeHtml(d?.category || 'Vault')}</span>
+                  </li>
+                `).join('')}
+                ${links.uploads.map(u => `
+                  <li class="flex items-center justify-between gap-3 text-sm">
+                    <a href="${escapeHtml(u?.url || '#')}" target="_blank" rel="noopener" class="font-bold text-slate-700 hover:text-orange-600 truncate">
+                      <i class="fa fa-paperclip text-slate-400 text-xs mr-2"></i>${escapeHtml(u?.name || 'Untitled')}
+                    </a>
+                    <span class="text-[10px] font-black text-slate-400 uppercase">${u?.size ? `${Math.round(u.size / 1024)} KB` : 'Upload'}</span>
+                  </li>
+                `).join('')}
+              </ul>
+            ` : emptyHtml('No documents or uploads'))}
+          </div>
+
+          <div>
+            ${sectionHtml('Activity', links.activity.length, links.activity.length ? `
+              <ul class="space-y-3">
+                ${links.activity.map(a => `
+                  <li>
+                    <p class="text-sm font-semibold text-slate-700">${escapeHtml(a?.text)}</p>
+                    <p class="text-[10px] font-bold text-slate-400 uppercase">${escapeHtml(formatters.relativeDays(a?.at))}</p>
+                  </li>
+                `).join('')}
+              </ul>
+            ` : emptyHtml('No recent activity'))}
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.bindEvents();
+  },
+
+  bindEvents() {
+    const container = document.getElementById('view-record');
+    if (!container || this._bound) return;
+    this._bound = true;
+
+    container.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+
+      const action = btn.dataset.action;
+
+      if (action === 'record-history') {
+        historyPanel.show(btn.dataset.category, btn.dataset.id);
+        return;
+      }
+
+      if (action === 'record-restore') {
+        const restored = await stateManager.restoreFromTrash(btn.dataset.id);
+        if (restored) toast.show(`Restored ${restored.name || restored.title || 'item'}`, { tone: 'success' });
+      }
+    });
+  }
+};
@@ -11,12 +11,41 @@
  * - safe handling for missing/malformed settings
  * - Optional per-user settings stored in state.settings.settingsByUser[uid]
  *   while preserving top-level settings for backward compatibility.
+ * - Trash retention (days before deleted records are purged for good)
+ * - Data schema card: version, applied migrations, dry-run report
+ * - Link integrity card: orphan scan (links to missing records) + one-click repair
+ * - Team card: members + roles, email invitations (owners), your pending
+ *   invitations and the workspace switcher
+ * - Restore Snapshot (owners): previews a downloaded JSON backup, then merges or replaces
+ * - Field Encryption card: owners set the workspace passphrase (seals existing
+ *   sensitive values); members unlock/lock it on this device
+ * - Backups card (owners): automatic Storage snapshots with size + record
+ *   counts, "Back up now", the every-N-changes setting and one-click restore
+ * - Storage Backend card: cloud, local demo or in-memory for this device
+ *   (a ?backend= link overrides it for one visit)
+ * - Features card (owners): switch optional modules off for the workspace
+ *   (settings.features; enforced by the route guards)
+ * - Account (Operator Profile): change email or password and delete the
+ *   account with its data; each asks for the current password first
+ * - Two-Step Verification card: authenticator app setup, recovery codes and
+ *   (owners) the workspace policy that requires it (mfa.js)
  */
 
 import { stateManager } from '../state.js';
-import { auth } from '../firebase.js';
+import { backend, BACKENDS, backendChoice, setBackendPreference } from '../backend.js';
 import { modalManager } from '../utils/modals.js';
-import { signOut as fbSignOut } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { toast } from '../utils/toast.js';
+import { ROLES, ROLE_IDS } from '../permissions.js';
+import { workspaceManager, personalWorkspaceId } from '../workspaces.js';
+import { restoreDialog } from '../utils/restoreDialog.js';
+import { backupManager } from '../utils/backupManager.js';
+import { BACKUP_RETENTION } from '../backups.js';
+import { promptUnlock } from '../utils/sensitiveField.js';
+import { authModule } from './auth.js';
+import { mfaStatus, requiresMfa, RECOVERY_CODE_COUNT } from '../mfa.js';
+import { mfaDialog, mfaCodeField } from '../utils/mfaDialog.js';
+import { FEATURES, isFeatureEnabled } from '../routeGuards.js';
+import { downloadSnapshot } from '../utils/snapshotDownload.js';
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -44,20 +73,245 @@ function showError(title, msg) {
   }
 }
 
-async function safeSignOut() {
-  // Prefer modular signOut(auth)
-  try {
-    await fbSignOut(auth);
-    return;
-  } catch (_) {}
-
-  // Fallback if auth.signOut exists (older compat)
-  if (auth?.signOut) {
-    await auth.signOut();
-    return;
+function formatCell(value) {
+  if (value === undefined) return '—';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+const ORPHAN_REASONS = {
+  missing: 'points at a deleted record',
+  trashed: 'points at a record in Trash',
+  stale: 'half of the link is out of date'
+};
+
+// Orphan scan report body for the integrity modal
+function renderOrphanReport(orphans) {
+  if (!orphans.length) {
+    return `<p class="text-sm font-semibold text-slate-700">No broken links found. Every linked record points at something that exists.</p>`;
   }
 
-  throw new Error('No signOut handler found.');
+  const MAX_ROWS = 50;
+  const rows = orphans.slice(0, MAX_ROWS).map(o => `
+    <div class="rounded-xl border border-slate-200 p-3">
+      <p class="text-xs font-black text-slate-900 truncate">
+        ${escapeHtml(o.name)}
+        <span class="ml-1 text-[10px] uppercase tracking-widest text-slate-400">${escapeHtml(o.category)} · ${escapeHtml(ORPHAN_REASONS[o.reason] || o.reason)}</span>
+      </p>
+      ${o.fields.map(f => `
+        <p class="text-[11px] text-slate-600 font-mono">
+          ${escapeHtml(f.field)}: <span class="text-red-600">${escapeHtml(formatCell(f.before))}</span> → <span class="text-emerald-700">${escapeHtml(f.after === '' ? '(cleared)' : formatCell(f.after))}</span>
+        </p>
+      `).join('')}
+    </div>
+  `).join('');
+
+  return `
+    <div class="space-y-4">
+      <p class="text-sm font-semibold text-slate-700">
+        ${orphans.length} record${orphans.length === 1 ? ' has a link' : 's have links'} to nothing. Repair re-links where the other half still matches and clears the rest (undoable).
+      </p>
+      <div class="space-y-2">${rows}</div>
+      ${orphans.length > MAX_ROWS ? `<p class="text-[10px] font-bold text-slate-400 uppercase">+ ${orphans.length - MAX_ROWS} more</p>` : ''}
+    </div>
+  `;
+}
+
+// Dry-run report body for the schema modal
+function renderMigrationReport(plan) {
+  if (!plan.pending.length) {
+    return `<p class="text-sm font-semibold text-slate-700">No migrations defined.</p>`;
+  }
+
+  const perMigration = plan.pending.map((m) => {
+    const count = plan.changes.filter(c => c.migrationIds.includes(m.id)).length;
+    return `
+      <li class="flex items-start justify-between gap-3">
+        <span class="text-slate-700">${escapeHtml(m.description)}</span>
+        <span class="font-black ${count ? 'text-orange-600' : 'text-slate-400'} whitespace-nowrap">${count} record${count === 1 ? '' : 's'}</span>
+      </li>
+    `;
+  }).join('');
+
+  const MAX_ROWS = 50;
+  const rows = plan.changes.slice(0, MAX_ROWS).map(c => `
+    <div class="rounded-xl border border-slate-200 p-3">
+      <p class="text-xs font-black text-slate-900 truncate">
+        ${escapeHtml(c.name)}
+        <span class="ml-1 text-[10px] uppercase tracking-widest text-slate-400">${escapeHtml(c.inTrash ? `trash · ${c.before?.category || ''}` : c.category)}</span>
+      </p>
+      ${c.fields.map(f => `
+        <p class="text-[11px] text-slate-600 font-mono">
+          ${escapeHtml(f.field)}: <span class="text-red-600">${escapeHtml(formatCell(f.before))}</span> → <span class="text-emerald-700">${escapeHtml(formatCell(f.after))}</span>
+        </p>
+      `).join('')}
+    </div>
+  `).join('');
+
+  return `
+    <div class="space-y-4">
+      <p class="text-sm font-semibold text-slate-700">
+        Dry run only: nothing has been changed. ${plan.changes.length} record${plan.changes.length === 1 ? '' : 's'} would be normalized.
+      </p>
+      <ul class="text-xs space-y-2">${perMigration}</ul>
+      ${plan.changes.length ? `<div class="space-y-2">${rows}</div>` : ''}
+      ${plan.changes.length > MAX_ROWS ? `<p class="text-[10px] font-bold text-slate-400 uppercase">+ ${plan.changes.length - MAX_ROWS} more</p>` : ''}
+    </div>
+  `;
+}
+
+function roleOptions(selected) {
+  return ROLE_IDS.map(id => `<option value="${id}" ${id === selected ? 'selected' : ''}>${escapeHtml(ROLES[id].label)}</option>`).join('');
+}
+
+// Team card body; `team` = { workspace, uid, canManage, workspaces, invitations, myInvitations }
+function renderTeamPanel(team) {
+  const { workspace, uid, canManage, workspaces, invitations, myInvitations } = team;
+  const members = Object.entries(workspace?.members || {})
+    .sort(([, a], [, b]) => String(a?.email || '').localeCompare(String(b?.email || '')));
+
+  const myInvites = myInvitations.length ? `
+    <div class="rounded-2xl border border-orange-100 bg-orange-50 p-4 space-y-2">
+      <p class="text-[10px] font-black uppercase tracking-widest text-orange-700">Invitations for you</p>
+      ${myInvitations.map((inv, i) => `
+        <div class="flex items-center justify-between gap-3">
+          <p class="text-xs font-bold text-slate-700 truncate">
+            ${escapeHtml(inv.workspaceName || 'Workspace')} · ${escapeHtml(ROLES[inv.role]?.label || inv.role)}
+            <span class="text-slate-400 font-semibold">from ${escapeHtml(inv.invitedByEmail || 'an owner')}</span>
+          </p>
+          <div class="flex gap-2 flex-shrink-0">
+            <button data-team-action="accept" data-index="${i}" class="px-3 py-1.5 rounded-lg bg-slate-900 text-white text-[10px] font-black uppercase tracking-widest hover:bg-slate-800">Join</button>
+            <button data-team-action="decline" data-index="${i}" class="px-3 py-1.5 rounded-lg text-slate-500 text-[10px] font-black uppercase tracking-widest hover:bg-white">Decline</button>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  ` : '';
+
+  const switcher = workspaces.length > 1 ? `
+    <div class="flex items-center gap-2">
+      <select id="workspace-switch" class="flex-1 p-3 bg-slate-50 border border-slate-100 rounded-xl outline-none text-sm font-bold">
+        ${workspaces.map(w => `<option value="${escapeHtml(w.id)}" ${w.id === workspace?.id ? 'selected' : ''}>${escapeHtml(w.name)}</option>`).join('')}
+      </select>
+      <button data-team-action="switch" class="text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-5 py-3 rounded-xl hover:border-slate-900 transition-all">Open</button>
+    </div>
+  ` : '';
+
+  const memberRows = members.map(([memberUid, m]) => {
+    const self = memberUid === uid;
+    const roleCell = canManage
+      ? `<select data-member-role="${escapeHtml(memberUid)}" class="p-2 bg-slate-50 border border-slate-100 rounded-lg text-xs font-bold">${roleOptions(m?.role)}</select>`
+      : `<span class="text-[10px] font-black uppercase tracking-widest text-slate-500">${escapeHtml(ROLES[m?.role]?.label || m?.role || '—')}</span>`;
+    const canRemove = self ? workspace?.id !== personalWorkspaceId(uid) : canManage;
+
+    return `
+      <div class="flex items-center justify-between gap-3 py-2">
+        <p class="text-sm font-bold text-slate-900 truncate">${escapeHtml(m?.email || memberUid)}${self ? ' <span class="text-[10px] text-slate-400 uppercase">(you)</span>' : ''}</p>
+        <div class="flex items-center gap-2 flex-shrink-0">
+          ${roleCell}
+          ${canRemove ? `
+            <button data-team-action="remove" data-uid="${escapeHtml(memberUid)}" title="${self ? 'Leave workspace' : 'Remove member'}"
+              class="w-8 h-8 rounded-lg text-slate-400 hover:text-red-500 hover:bg-red-50"><i class="fa ${self ? 'fa-right-from-bracket' : 'fa-user-minus'} text-xs"></i></button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const inviteForm = canManage ? `
+    <div class="pt-4 border-t border-slate-50 space-y-3">
+      <p class="text-[10px] font-black uppercase tracking-widest text-slate-400">Invite by email</p>
+      <div class="flex flex-col md:flex-row gap-2">
+        <input id="invite-email" type="email" placeholder="analyst@firm.com"
+          class="flex-1 p-3 bg-slate-50 border border-slate-100 rounded-xl outline-none text-sm font-bold">
+        <select id="invite-role" class="p-3 bg-slate-50 border border-slate-100 rounded-xl outline-none text-sm font-bold">${roleOptions('read_only')}</select>
+        <button data-team-action="invite" class="bg-slate-900 text-white px-6 py-3 rounded-xl font-black text-[10px] uppercase tracking-widest hover:bg-orange-600 transition-all">Invite</button>
+      </div>
+      ${invitations.length ? `
+        <div class="space-y-1">
+          ${invitations.map((inv, i) => `
+            <div class="flex items-center justify-between gap-3 text-xs">
+              <span class="font-bold text-slate-600 truncate">${escapeHtml(inv.email)} · ${escapeHtml(ROLES[inv.role]?.label || inv.role)} <span class="text-slate-400">(pending)</span></span>
+              <button data-team-action="revoke" data-index="${i}" class="text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-red-500">Revoke</button>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    </div>
+  ` : '';
+
+  const legend = `
+    <details class="text-xs text-slate-500">
+      <summary class="cursor-pointer text-[10px] font-black uppercase tracking-widest text-slate-400">What each role can do</summary>
+      <ul class="mt-2 space-y-1">
+        ${ROLE_IDS.map(id => `<li><span class="font-black text-slate-700">${escapeHtml(ROLES[id].label)}:</span> ${escapeHtml(ROLES[id].description)}</li>`).join('')}
+      </ul>
+    </details>
+  `;
+
+  return `
+    ${myInvites}
+    ${switcher}
+    <div class="divide-y divide-slate-50">${memberRows || '<p class="text-sm text-slate-400">No members yet.</p>'}</div>
+    ${inviteForm}
+    ${legend}
+  `;
+}
+
+const BACKUP_TRIGGERS = {
+  daily: 'Daily',
+  changes: 'After changes',
+  manual: 'Manual'
+};
+
+function formatSize(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Backups card body; `backups` = { snapshots, every, error }
+function renderBackupsPanel({ snapshots, every, error }) {
+  const rows = snapshots.map((snap, i) => {
+    const breakdown = Object.entries(snap.counts)
+      .filter(([, n]) => Number(n) > 0)
+      .map(([category, n]) => `${category}: ${n}`)
+      .join('\n');
+
+    return `
+      <div class="flex items-center justify-between gap-3 py-2">
+        <div class="min-w-0">
+          <p class="text-sm font-bold text-slate-900 truncate">${escapeHtml(new Date(snap.createdAt).toLocaleString())}</p>
+          <p class="text-[11px] font-semibold text-slate-400" title="${escapeHtml(breakdown)}">
+            ${escapeHtml(BACKUP_TRIGGERS[snap.trigger] || snap.trigger)} · ${escapeHtml(formatSize(snap.size))} · ${snap.records} record${snap.records === 1 ? '' : 's'}
+          </p>
+        </div>
+        <button data-backup-action="restore" data-index="${i}" class="flex-shrink-0 text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-4 py-2 rounded-xl hover:border-slate-900 transition-all">Restore</button>
+      </div>
+    `;
+  }).join('');
+
+  const list = error
+    ? `<p class="text-sm font-semibold text-red-600">${escapeHtml(error)}</p>`
+    : `<div class="divide-y divide-slate-50">${rows || '<p class="text-sm text-slate-400">No backups yet. The first one is taken automatically today.</p>'}</div>`;
+
+  return `
+    <div class="flex flex-col md:flex-row md:items-center justify-between gap-3">
+      <div class="flex items-center gap-2">
+        <span class="text-[10px] font-black text-slate-400 uppercase tracking-widest">Also every</span>
+        <input id="backup-every" type="number" min="0" max="100000" step="1" value="${escapeHtml(every)}"
+          class="w-24 p-3 bg-slate-50 border border-slate-100 rounded-xl outline-none text-sm font-bold text-center">
+        <span class="text-[10px] font-black text-slate-400 uppercase tracking-widest">Changes</span>
+        <button data-backup-action="save-every" class="text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-4 py-3 rounded-xl hover:border-slate-900 transition-all">Apply</button>
+      </div>
+      <button data-backup-action="create" class="bg-slate-900 text-white px-6 py-3 rounded-xl font-black text-[10px] uppercase tracking-widest hover:bg-orange-600 transition-all">Back Up Now</button>
+    </div>
+    ${list}
+    <p class="text-[11px] font-semibold text-slate-400">
+      Keeps the newest backup of each of the last ${BACKUP_RETENTION.daily} days, ${BACKUP_RETENTION.weekly} weeks and ${BACKUP_RETENTION.monthly} months. Set changes to 0 for daily backups only.
+    </p>
+  `;
 }
 
 const DEFAULTS = {
@@ -66,6 +320,8 @@ const DEFAULTS = {
 };
 
 export const settingsModule = {
+  dependsOn: ['settings'],
+
   /**
    * Main render function for the Settings View
    */
@@ -74,7 +330,7 @@ export const settingsModule = {
     if (!container) return;
 
     const state = stateManager.get();
-    const user = auth.currentUser;
+    const user = backend().currentUser();
 
     const rawSettings = safeObj(state?.settings) || {};
     const settingsByUser = safeObj(rawSettings.settingsByUser) || {};
@@ -83,6 +339,13 @@ export const settingsModule = {
     // Merge defaults -> global -> per-user override (optional)
     const perUser = userKey ? (safeObj(settingsByUser[userKey]) || {}) : {};
     const config = { ...DEFAULTS, ...rawSettings, ...perUser };
+    const schema = stateManager.getSchemaInfo();
+    const workspace = stateManager.getWorkspace();
+    const canManage = stateManager.canManageWorkspace();
+    const encryption = stateManager.getEncryptionStatus();
+    const storageChoice = backendChoice();
+    const mfa = mfaStatus();
+    const mfaRequired = requiresMfa(rawSettings);
 
     container.innerHTML = `
             <div class="p-8 max-w-5xl mx-auto space-y-8">
@@ -108,11 +371,26 @@ export const settingsModule = {
                                     ${escapeHtml(user?.email?.charAt(0).toUpperCase() || 'U')}
                                 </div>
                                 <p class="text-sm font-black text-slate-900 truncate">${escapeHtml(user?.email || 'Authenticated User')}</p>
-                                <p class="text-[10px] font-bold text-slate-400 mt-1 uppercase tracking-tighter">Access Level: Administrator</p>
-                                
-                                <button id="btn-logout" class="mt-6 w-full py-2.5 rounded-xl border border-red-100 text-red-600 text-xs font-black uppercase hover:bg-red-50 transition-colors">
+                                <p class="text-[10px] font-bold text-slate-400 mt-1 uppercase tracking-tighter">Access Level: ${escapeHtml(workspace?.roleLabel || 'Loading…')}</p>
+                                ${user?.emailVerified ? `
+                                <span class="inline-flex items-center gap-1 mt-2 px-2 py-0.5 rounded-full bg-emerald-50 border border-emerald-100 text-[9px] font-black text-emerald-700 uppercase tracking-widest">
+                                    <i class="fa fa-circle-check"></i> Email verified
+                                </span>` : ''}
+
+                                <div class="mt-6 grid grid-cols-2 gap-2">
+                                    <button id="account-change-email" class="py-2 rounded-xl border border-slate-200 text-slate-600 text-[10px] font-black uppercase hover:border-orange-500 hover:text-orange-600 transition-colors">
+                                        Change Email
+                                    </button>
+                                    <button id="account-change-password" class="py-2 rounded-xl border border-slate-200 text-slate-600 text-[10px] font-black uppercase hover:border-orange-500 hover:text-orange-600 transition-colors">
+                                        Change Password
+                                    </button>
+                                </div>
+                                <button id="btn-logout" class="mt-2 w-full py-2.5 rounded-xl border border-red-100 text-red-600 text-xs font-black uppercase hover:bg-red-50 transition-colors">
                                     End Session
                                 </button>
+                                <button id="account-delete" class="mt-4 text-[10px] font-black text-slate-400 uppercase tracking-widest hover:text-red-600 transition-colors">
+                                    Delete Account
+                                </button>
                             </div>
                         </div>
 
@@ -163,18 +441,231 @@ export const settingsModule = {
                             </form>
                         </div>
 
+                        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm overflow-hidden">
+                            <div class="p-6 border-b border-slate-50">
+                                <h3 class="font-black text-slate-900 text-xs uppercase tracking-widest">Team · ${escapeHtml(workspace?.name || 'Workspace')}</h3>
+                            </div>
+                            <div id="team-panel" class="p-8 space-y-6">
+                                <p class="text-xs font-bold text-slate-400 uppercase tracking-widest text-center">
+                                    <i class="fa fa-circle-notch fa-spin mr-2"></i>Loading team…
+                                </p>
+                            </div>
+                        </div>
+
                         <div class="bg-white rounded-3xl border border-slate-200 shadow-sm p-8 flex flex-col md:flex-row items-center justify-between gap-6">
                             <div class="flex items-center gap-4">
                                 <div class="w-12 h-12 bg-orange-50 text-orange-600 rounded-xl flex items-center justify-center text-xl">
                                     <i class="fa fa-database"></i>
                                 </div>
                                 <div>
-                                    <h3 class="font-black text-slate-900 text-sm uppercase">Legacy Data Export</h3>
-                                    <p class="text-xs text-slate-400 mt-1">Download raw JSON schema for external auditing or backup.</p>
+                                    <h3 class="font-black text-slate-900 text-sm uppercase">Data Export + Restore</h3>
+                                    <p class="text-xs text-slate-400 mt-1">Download raw JSON for external auditing or backup, or restore a downloaded snapshot.</p>
                                 </div>
                             </div>
-                            <button id="export-data" class="w-full md:w-auto text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
-                                Download Snapshot
+                            <div class="flex flex-col md:flex-row gap-2 w-full md:w-auto">
+                                <button id="export-data" class="w-full md:w-auto text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                    Download Snapshot
+                                </button>
+                                ${canManage ? `
+                                    <button id="restore-data" class="w-full md:w-auto text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                        Restore Snapshot
+                                    </button>
+                                    <input id="restore-file" type="file" accept=".json,application/json" class="hidden">
+                                ` : ''}
+                            </div>
+                        </div>
+
+                        ${canManage && backend().files ? `
+                            <div class="bg-white rounded-3xl border border-slate-200 shadow-sm overflow-hidden">
+                                <div class="p-6 border-b border-slate-50">
+                                    <h3 class="font-black text-slate-900 text-xs uppercase tracking-widest">Backups</h3>
+                                    <p class="text-xs text-slate-400 mt-1">Automatic snapshots of this workspace in cloud storage.</p>
+                                </div>
+                                <div id="backups-panel" class="p-8 space-y-6">
+                                    <p class="text-xs font-bold text-slate-400 uppercase tracking-widest text-center">
+                                        <i class="fa fa-circle-notch fa-spin mr-2"></i>Loading backups…
+                                    </p>
+                                </div>
+                            </div>
+                        ` : ''}
+
+                        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm p-8 flex flex-col md:flex-row items-center justify-between gap-6">
+                            <div class="flex items-center gap-4">
+                                <div class="w-12 h-12 bg-emerald-50 text-emerald-600 rounded-xl flex items-center justify-center text-xl">
+                                    <i class="fa ${encryption.enabled && !encryption.unlocked ? 'fa-lock' : 'fa-lock-open'}"></i>
+                                </div>
+                                <div>
+                                    <h3 class="font-black text-slate-900 text-sm uppercase">Field Encryption</h3>
+                                    <p class="text-xs text-slate-400 mt-1">
+                                        ${encryption.enabled
+                                          ? `EINs, SSN/TINs, bank numbers and investor notes are encrypted with the workspace passphrase. ${encryption.unlocked ? 'Unlocked on this device.' : 'Locked on this device.'}`
+                                          : `EINs, SSN/TINs, bank numbers and investor notes are stored unencrypted.${canManage ? ' Set a passphrase to encrypt them.' : ' An owner can turn on encryption.'}`}
+                                    </p>
+                                </div>
+                            </div>
+                            ${encryption.enabled ? `
+                                <button id="encryption-toggle-lock" class="w-full md:w-auto text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                    ${encryption.unlocked ? 'Lock' : 'Unlock'}
+                                </button>
+                            ` : canManage ? `
+                                <button id="encryption-setup" class="w-full md:w-auto text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                    Set Passphrase
+                                </button>
+                            ` : ''}
+                        </div>
+
+                        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm p-8 flex flex-col md:flex-row items-center justify-between gap-6">
+                            <div class="flex items-center gap-4">
+                                <div class="w-12 h-12 bg-slate-100 text-slate-600 rounded-xl flex items-center justify-center text-xl">
+                                    <i class="fa fa-server"></i>
+                                </div>
+                                <div>
+                                    <h3 class="font-black text-slate-900 text-sm uppercase">Storage Backend</h3>
+                                    <p class="text-xs text-slate-400 mt-1">
+                                        ${escapeHtml(BACKENDS[storageChoice.name]?.hint || '')}
+                                        ${storageChoice.fromUrl ? ' Chosen by the link for this visit.' : ''}
+                                        Changing it reloads the app.
+                                    </p>
+                                </div>
+                            </div>
+                            <div class="flex items-center gap-2 w-full md:w-auto">
+                                <select id="storage-backend" class="p-3 bg-slate-50 border border-slate-100 rounded-xl outline-none text-sm font-bold">
+                                    ${Object.entries(BACKENDS).map(([id, b]) => `
+                                        <option value="${id}" ${id === storageChoice.name ? 'selected' : ''}>${escapeHtml(b.label)}</option>
+                                    `).join('')}
+                                </select>
+                                <button id="save-storage-backend" class="text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                    Switch
+                                </button>
+                            </div>
+                        </div>
+
+                        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm overflow-hidden">
+                            <div class="p-6 border-b border-slate-50 flex items-start justify-between gap-4">
+                                <div>
+                                    <h3 class="font-black text-slate-900 text-xs uppercase tracking-widest">Two-Step Verification</h3>
+                                    <p class="text-xs text-slate-400 mt-1">Sign-in also asks for a code from an authenticator app on your phone, so a leaked password alone cannot open investor and entity data.</p>
+                                </div>
+                                <span class="shrink-0 px-3 py-1 rounded-full text-[10px] font-black uppercase tracking-widest ${mfa.enabled ? 'bg-emerald-50 text-emerald-700 border border-emerald-100' : 'bg-slate-100 text-slate-500'}">
+                                    ${mfa.enabled ? 'On' : 'Off'}
+                                </span>
+                            </div>
+                            <div class="p-6 space-y-4">
+                                ${mfaRequired ? `
+                                    <p class="p-3 rounded-xl bg-amber-50 border border-amber-100 text-xs font-semibold text-amber-800">
+                                        <i class="fa fa-shield-halved mr-1"></i>This workspace requires two-step verification for every member.
+                                        ${mfa.enabled ? '' : 'Set it up to open the rest of the CRM.'}
+                                    </p>` : ''}
+                                ${mfa.enabled ? `
+                                    <p class="text-xs font-semibold text-slate-500">
+                                        Authenticator app added${mfa.authenticator.enrolledAt ? ` ${escapeHtml(new Date(mfa.authenticator.enrolledAt).toLocaleDateString())}` : ''}.
+                                        <span class="${mfa.recoveryLeft ? '' : 'text-red-600 font-bold'}">${mfa.recoveryLeft} of ${RECOVERY_CODE_COUNT} recovery codes left.</span>
+                                    </p>
+                                    <div class="flex flex-wrap gap-2">
+                                        <button id="mfa-recovery-codes" class="text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-5 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                            New Recovery Codes
+                                        </button>
+                                        ${mfaRequired ? '' : `
+                                            <button id="mfa-off" class="text-[10px] font-black uppercase tracking-widest bg-white border-2 border-red-100 text-red-600 px-5 py-3 rounded-xl hover:bg-red-50 transition-all">
+                                                Turn Off
+                                            </button>`}
+                                    </div>
+                                ` : `
+                                    <button id="mfa-setup" class="text-[10px] font-black uppercase tracking-widest bg-slate-900 text-white px-6 py-3 rounded-xl hover:bg-slate-800 transition-all">
+                                        <i class="fa fa-shield-halved mr-1"></i>Set Up Authenticator
+                                    </button>
+                                `}
+                                ${canManage ? `
+                                    <div class="pt-4 border-t border-slate-50 flex items-start justify-between gap-4">
+                                        <label class="flex items-start gap-3 cursor-pointer">
+                                            <input type="checkbox" id="mfa-require" ${mfaRequired ? 'checked' : ''} class="mt-0.5 accent-orange-500">
+                                            <span>
+                                                <span class="block text-xs font-black text-slate-800 uppercase">Require for all members</span>
+                                                <span class="block text-[11px] text-slate-400">Members without it can only open Settings until they set it up.</span>
+                                            </span>
+                                        </label>
+                                        <button id="save-mfa-policy" class="shrink-0 text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                            Save
+                                        </button>
+                                    </div>` : ''}
+                            </div>
+                        </div>
+
+                        ${canManage ? `
+                            <div class="bg-white rounded-3xl border border-slate-200 shadow-sm overflow-hidden">
+                                <div class="p-6 border-b border-slate-50 flex items-start justify-between gap-4">
+                                    <div>
+                                        <h3 class="font-black text-slate-900 text-xs uppercase tracking-widest">Features</h3>
+                                        <p class="text-xs text-slate-400 mt-1">Turned-off modules disappear from the sidebar for everyone in this workspace; their links open an access notice.</p>
+                                    </div>
+                                    <button id="save-features" class="shrink-0 text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                        Save
+                                    </button>
+                                </div>
+                                <div class="p-6 grid grid-cols-1 md:grid-cols-2 gap-3">
+                                    ${Object.entries(FEATURES).map(([view, feature]) => `
+                                        <label class="flex items-start gap-3 p-3 rounded-xl border border-slate-100 hover:border-slate-300 cursor-pointer">
+                                            <input type="checkbox" data-feature="${escapeHtml(view)}" ${isFeatureEnabled(rawSettings, view) ? 'checked' : ''} class="mt-0.5 accent-orange-500">
+                                            <span>
+                                                <span class="block text-xs font-black text-slate-800 uppercase">${escapeHtml(feature.label)}</span>
+                                                <span class="block text-[11px] text-slate-400">${escapeHtml(feature.hint)}</span>
+                                            </span>
+                                        </label>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        ` : ''}
+
+                        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm p-8 flex flex-col md:flex-row items-center justify-between gap-6">
+                            <div class="flex items-center gap-4">
+                                <div class="w-12 h-12 bg-red-50 text-red-500 rounded-xl flex items-center justify-center text-xl">
+                                    <i class="fa fa-trash-can"></i>
+                                </div>
+                                <div>
+                                    <h3 class="font-black text-slate-900 text-sm uppercase">Trash Retention</h3>
+                                    <p class="text-xs text-slate-400 mt-1">Deleted records stay restorable for this many days, then are purged permanently.</p>
+                                </div>
+                            </div>
+                            <div class="flex items-center gap-2 w-full md:w-auto">
+                                <input id="trash-retention" type="number" min="1" max="3650" step="1" value="${escapeHtml(stateManager.getTrashRetentionDays())}"
+                                    class="w-24 p-3 bg-slate-50 border border-slate-100 rounded-xl outline-none text-sm font-bold text-center">
+                                <span class="text-[10px] font-black text-slate-400 uppercase tracking-widest">Days</span>
+                                <button id="save-retention" class="text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                    Apply
+                                </button>
+                            </div>
+                        </div>
+
+                        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm p-8 flex flex-col md:flex-row items-center justify-between gap-6">
+                            <div class="flex items-center gap-4">
+                                <div class="w-12 h-12 bg-blue-50 text-blue-600 rounded-xl flex items-center justify-center text-xl">
+                                    <i class="fa fa-code-branch"></i>
+                                </div>
+                                <div>
+                                    <h3 class="font-black text-slate-900 text-sm uppercase">Data Schema v${escapeHtml(schema.schemaVersion ?? 1)}</h3>
+                                    <p class="text-xs text-slate-400 mt-1">
+                                        ${schema.migrations.length} migration${schema.migrations.length === 1 ? '' : 's'} applied${schema.schemaVersion !== schema.targetVersion ? ` · v${escapeHtml(schema.targetVersion)} pending` : ''}.
+                                        Preview re-checks all records for legacy fields.
+                                    </p>
+                                </div>
+                            </div>
+                            <button id="migrations-dry-run" class="w-full md:w-auto text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                Dry Run
+                            </button>
+                        </div>
+
+                        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm p-8 flex flex-col md:flex-row items-center justify-between gap-6">
+                            <div class="flex items-center gap-4">
+                                <div class="w-12 h-12 bg-amber-50 text-amber-600 rounded-xl flex items-center justify-center text-xl">
+                                    <i class="fa fa-link-slash"></i>
+                                </div>
+                                <div>
+                                    <h3 class="font-black text-slate-900 text-sm uppercase">Link Integrity</h3>
+                                    <p class="text-xs text-slate-400 mt-1">Find properties, tasks, documents and projects linked to records that no longer exist.</p>
+                                </div>
+                            </div>
+                            <button id="orphan-scan" class="w-full md:w-auto text-[10px] font-black uppercase tracking-widest bg-white border-2 border-slate-100 px-6 py-3 rounded-xl hover:border-slate-900 transition-all">
+                                Scan for Orphans
                             </button>
                         </div>
                     </div>
@@ -183,6 +674,184 @@ export const settingsModule = {
         `;
 
     this.initListeners();
+    this.loadTeam();
+    if (canManage) this.loadBackups();
+  },
+
+  /**
+   * Fills the Backups card (the list comes from Storage).
+   */
+  async loadBackups() {
+    const panel = document.getElementById('backups-panel');
+    if (!panel) return;
+
+    const backups = { snapshots: [], every: backupManager.everyChanges(), error: null };
+    try {
+      backups.snapshots = await backupManager.list();
+    } catch (err) {
+      console.warn('[Settings] Backups load failed:', err);
+      backups.error = 'Backups could not be listed. Check your connection and try again.';
+    }
+
+    if (!document.body.contains(panel)) return;
+    panel.innerHTML = renderBackupsPanel(backups);
+    this.bindBackupsPanel(panel, backups);
+  },
+
+  bindBackupsPanel(panel, backups) {
+    panel.onclick = async (e) => {
+      const btn = e.target.closest('[data-backup-action]');
+      if (!btn || btn.disabled) return;
+      const action = btn.dataset.backupAction;
+
+      if (action === 'create') {
+        btn.disabled = true;
+        try {
+          await backupManager.createNow();
+          toast.show('Backup saved', { tone: 'success' });
+        } catch (err) {
+          showError('Backup failed', err?.message || 'Unable to write the backup.');
+        }
+        this.loadBackups();
+        return;
+      }
+
+      if (action === 'save-every') {
+        try {
+          const every = Math.round(Number(document.getElementById('backup-every')?.value));
+          if (!Number.isFinite(every) || every < 0 || every > 100000) {
+            throw new Error('Enter a number of changes between 0 and 100000.');
+          }
+          await stateManager.updateSettings({ backupEveryChanges: every });
+          toast.show(every ? `Backing up every ${every} changes and daily` : 'Backing up daily', { tone: 'success' });
+        } catch (err) {
+          showError('Save failed', err?.message || 'Unable to update the backup schedule.');
+        }
+        return;
+      }
+
+      if (action === 'restore') {
+        const snapshot = backups.snapshots[Number(btn.dataset.index)];
+        if (!snapshot) return;
+        btn.disabled = true;
+        try {
+          await backupManager.restore(snapshot);
+        } catch (err) {
+          showError('Backup not restored', err?.message || 'Unable to download the backup.');
+        } finally {
+          btn.disabled = false;
+        }
+      }
+    };
+  },
+
+  /**
+   * Fills the Team card (invitations need a round trip, so it renders after the page).
+   */
+  async loadTeam() {
+    const panel = document.getElementById('team-panel');
+    const workspace = stateManager.getWorkspace();
+    const user = backend().currentUser();
+    if (!panel || !workspace?.id || !user) return;
+
+    const canManage = stateManager.canManageWorkspace();
+    const team = { workspace, uid: user.uid, canManage, workspaces: [], invitations: [], myInvitations: [] };
+
+    try {
+      const [workspaces, invitations, myInvitations] = await Promise.all([
+        stateManager.listWorkspaces(),
+        canManage ? stateManager.listInvitations() : [],
+        workspaceManager.listMyInvitations(user.email)
+      ]);
+      Object.assign(team, { workspaces, invitations, myInvitations });
+    } catch (err) {
+      console.warn('[Settings] Team load failed:', err);
+    }
+
+    if (!document.body.contains(panel)) return;
+    panel.innerHTML = renderTeamPanel(team);
+    this.bindTeamPanel(panel, team);
+  },
+
+  bindTeamPanel(panel, team) {
+    const run = async (title, fn) => {
+      try {
+        await fn();
+      } catch (err) {
+        showError(title, err?.message || 'Something went wrong.');
+      }
+      this.render();
+    };
+
+    panel.onchange = (e) => {
+      const select = e.target.closest('[data-member-role]');
+      if (!select) return;
+      run('Role not changed', async () => {
+        await stateManager.setMemberRole(select.dataset.memberRole, select.value);
+        toast.show('Role updated', { tone: 'success' });
+      });
+    };
+
+    panel.onclick = (e) => {
+      const btn = e.target.closest('[data-team-action]');
+      if (!btn) return;
+      const action = btn.dataset.teamAction;
+      const index = Number(btn.dataset.index);
+
+      if (action === 'invite') {
+        const email = document.getElementById('invite-email')?.value || '';
+        const role = document.getElementById('invite-role')?.value || 'read_only';
+        run('Invitation not sent', async () => {
+          const invitation = await stateManager.inviteMember(email, role);
+          toast.show(`Invitation sent to ${invitation.email}. They join from Settings after signing in with that address.`, { tone: 'success' });
+        });
+        return;
+      }
+
+      if (action === 'revoke') {
+        run('Invitation not revoked', () => stateManager.revokeInvitation(team.invitations[index]));
+        return;
+      }
+
+      if (action === 'accept') {
+        const invitation = team.myInvitations[index];
+        run('Could not join', async () => {
+          await workspaceManager.acceptInvitation(backend().currentUser(), invitation);
+          await stateManager.switchWorkspace(invitation.workspaceId);
+          toast.show(`Joined ${invitation.workspaceName || 'workspace'}`, { tone: 'success' });
+        });
+        return;
+      }
+
+      if (action === 'decline') {
+        run('Could not decline', () => workspaceManager.declineInvitation(team.myInvitations[index]));
+        return;
+      }
+
+      if (action === 'switch') {
+        const id = document.getElementById('workspace-switch')?.value;
+        run('Could not switch workspace', () => stateManager.switchWorkspace(id));
+        return;
+      }
+
+      if (action === 'remove') {
+        const uid = btn.dataset.uid;
+        const self = uid === team.uid;
+        const email = team.workspace.members?.[uid]?.email || 'this member';
+        modalManager.show(
+          self ? 'Leave workspace' : 'Remove member',
+          `<p class="text-sm font-semibold text-slate-700">${self
+            ? `Leave ${escapeHtml(team.workspace.name)}? You will need a new invitation to come back.`
+            : `Remove ${escapeHtml(email)} from ${escapeHtml(team.workspace.name)}? They lose access immediately.`}</p>`,
+          async () => {
+            await stateManager.removeMember(uid);
+            this.render();
+            return true;
+          },
+          { submitLabel: self ? 'Leave' : 'Remove', cancelLabel: 'Cancel', danger: true }
+        );
+      }
+    };
   },
 
   /**
@@ -198,7 +867,7 @@ export const settingsModule = {
 
         try {
           const state = stateManager.get();
-          const user = auth.currentUser;
+          const user = backend().currentUser();
 
           const rawSettings = safeObj(state?.settings) || {};
           const existingByUser = safeObj(rawSettings.settingsByUser) || {};
@@ -248,10 +917,9 @@ export const settingsModule = {
           `<p class="text-sm font-semibold text-slate-700">Terminate current session and log out?</p>`,
           async () => {
             try {
-              await safeSignOut();
-              try { localStorage.removeItem('summit_crm_data'); } catch (_) {}
-              window.location.reload();
-              return true;
+              // Reloads once signed out; may swap in a prompt about unsynced changes
+              await authModule.logout();
+              return false;
             } catch (err) {
               showError('Logout failed', err?.message || 'Unable to log out.');
               return false;
@@ -262,20 +930,362 @@ export const settingsModule = {
       };
     }
 
+    const changeEmailBtn = document.getElementById('account-change-email');
+    if (changeEmailBtn) {
+      changeEmailBtn.onclick = () => {
+        modalManager.show(
+          'Change email',
+          `
+            <div class="space-y-4">
+              <p class="text-sm font-semibold text-slate-700">Signed in as ${escapeHtml(backend().currentUser()?.email || '')}.</p>
+              <input type="email" id="account-new-email" data-field="email" autocomplete="email" placeholder="New email address"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+              <input type="password" id="account-email-password" data-field="password" autocomplete="current-password" placeholder="Current password"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+              ${mfaCodeField('account-email-code')}
+            </div>
+          `,
+          async (data) => {
+            const email = String(data['account-new-email'] || '').trim();
+            if (!email) throw new Error('Enter the new email address.');
+            const { pendingVerification } = await authModule.changeEmail(data['account-email-password'], email, data['account-email-code']);
+            if (pendingVerification) {
+              modalManager.alert({
+                title: 'Confirm the new address',
+                message: `We sent a link to ${escapeHtml(email)}. The change takes effect once you open it; until then, keep signing in with your current address.`
+              });
+              return false;
+            }
+            toast.show('Email changed', { tone: 'success' });
+            this.render();
+            return true;
+          },
+          { submitLabel: 'Change Email', cancelLabel: 'Cancel' }
+        );
+      };
+    }
+
+    const changePasswordBtn = document.getElementById('account-change-password');
+    if (changePasswordBtn) {
+      changePasswordBtn.onclick = () => {
+        modalManager.show(
+          'Change password',
+          `
+            <div class="space-y-4">
+              <input type="password" id="account-current-password" data-field="password" autocomplete="current-password" placeholder="Current password"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+              ${mfaCodeField('account-password-code')}
+              <input type="password" id="account-new-password" data-field="newPassword" autocomplete="new-password" placeholder="New password (6+ characters)"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+              <input type="password" id="account-confirm-password" data-field="confirm" autocomplete="new-password" placeholder="Repeat new password"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+            </div>
+          `,
+          async (data) => {
+            const next = data['account-new-password'] || '';
+            if (next !== (data['account-confirm-password'] || '')) throw new Error('The new passwords do not match.');
+            await authModule.changePassword(data['account-current-password'], next, data['account-password-code']);
+            toast.show('Password changed', { tone: 'success' });
+            return true;
+          },
+          { submitLabel: 'Change Password', cancelLabel: 'Cancel' }
+        );
+      };
+    }
+
+    const deleteAccountBtn = document.getElementById('account-delete');
+    if (deleteAccountBtn) {
+      deleteAccountBtn.onclick = async () => {
+        let plan;
+        try {
+          plan = await stateManager.getAccountDeletionPlan();
+        } catch (err) {
+          showError('Delete account', err?.message || 'Unable to look up your workspaces.');
+          return;
+        }
+
+        const names = list => list.map(ws => `<li>${escapeHtml(ws.name)}</li>`).join('');
+        if (plan.blocked.length) {
+          modalManager.alert({
+            title: 'Delete account',
+            message: `You are the last owner of these shared workspaces:<ul class="list-disc pl-5 my-2 font-bold">${names(plan.blocked)}</ul>Make another member an owner, or remove the other members, before deleting your account.`
+          });
+          return;
+        }
+
+        modalManager.show(
+          'Delete account',
+          `
+            <div class="space-y-4 text-sm text-slate-700">
+              <p class="font-semibold">This signs you out for good and cannot be undone.</p>
+              ${plan.remove.length ? `
+                <div>
+                  <p class="font-semibold">Deleted with every record, upload and backup:</p>
+                  <ul class="list-disc pl-5 mt-1 font-bold text-red-600">${names(plan.remove)}</ul>
+                </div>` : ''}
+              ${plan.leave.length ? `
+                <div>
+                  <p class="font-semibold">You leave these; their data stays with the other members:</p>
+                  <ul class="list-disc pl-5 mt-1 font-bold">${names(plan.leave)}</ul>
+                </div>` : ''}
+              <p class="text-xs font-semibold text-slate-500">Download a snapshot first if you may need this data again.</p>
+              <input type="text" id="account-delete-confirm" data-field="confirm" autocomplete="off" placeholder="Type DELETE"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+              <input type="password" id="account-delete-password" data-field="password" autocomplete="current-password" placeholder="Current password"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+              ${mfaCodeField('account-delete-code')}
+            </div>
+          `,
+          async (data) => {
+            if (String(data['account-delete-confirm'] || '').trim() !== 'DELETE') {
+              throw new Error('Type DELETE to confirm.');
+            }
+            await authModule.deleteAccount(data['account-delete-password'], data['account-delete-code']);
+            return true;
+          },
+          { submitLabel: 'Delete Account', cancelLabel: 'Cancel', danger: true }
+        );
+      };
+    }
+
+    const mfaSetupBtn = document.getElementById('mfa-setup');
+    if (mfaSetupBtn) mfaSetupBtn.onclick = () => mfaDialog.setup(() => this.render());
+
+    const mfaCodesBtn = document.getElementById('mfa-recovery-codes');
+    if (mfaCodesBtn) mfaCodesBtn.onclick = () => mfaDialog.newRecoveryCodes(() => this.render());
+
+    const mfaOffBtn = document.getElementById('mfa-off');
+    if (mfaOffBtn) {
+      mfaOffBtn.onclick = () => {
+        modalManager.show(
+          'Turn off two-step verification',
+          `
+            <div class="space-y-4">
+              <p class="text-sm font-semibold text-slate-700">Signing in will only need your password again, and your recovery codes stop working.</p>
+              <input type="password" id="mfa-off-password" data-field="password" autocomplete="current-password" placeholder="Current password"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+              ${mfaCodeField('mfa-off-code')}
+            </div>
+          `,
+          async (data) => {
+            const { signedOut } = await authModule.turnOffMfa(data['mfa-off-password'], data['mfa-off-code']);
+            if (signedOut) return true;
+            toast.show('Two-step verification is off', { tone: 'success' });
+            this.render();
+            return true;
+          },
+          { submitLabel: 'Turn Off', cancelLabel: 'Cancel', danger: true }
+        );
+      };
+    }
+
+    const mfaPolicyBtn = document.getElementById('save-mfa-policy');
+    if (mfaPolicyBtn) {
+      mfaPolicyBtn.onclick = async () => {
+        try {
+          if (!stateManager.canManageWorkspace()) throw new Error('Only workspace owners can change the two-step verification policy.');
+          const requireMfa = !!document.getElementById('mfa-require')?.checked;
+          if (requireMfa && !mfaStatus().enabled) throw new Error('Turn on two-step verification for yourself first.');
+
+          const current = safeObj(stateManager.get().settings?.security) || {};
+          await stateManager.updateSettings({ security: { ...current, requireMfa } });
+          toast.show(requireMfa ? 'Two-step verification is now required' : 'Two-step verification is optional again', { tone: 'success' });
+        } catch (err) {
+          showError('Policy not saved', err?.message || 'Unable to save the policy.');
+        }
+      };
+    }
+
+    const featuresBtn = document.getElementById('save-features');
+    if (featuresBtn) {
+      featuresBtn.onclick = async () => {
+        try {
+          if (!stateManager.canManageWorkspace()) throw new Error('Only workspace owners can turn features on or off.');
+          const features = {};
+          document.querySelectorAll('#view-settings [data-feature]').forEach((box) => {
+            features[box.dataset.feature] = box.checked;
+          });
+
+          await stateManager.updateSettings({ features });
+          toast.show('Features updated', { tone: 'success' });
+        } catch (err) {
+          showError('Save failed', err?.message || 'Unable to update features.');
+        }
+      };
+    }
+
+    const retentionBtn = document.getElementById('save-retention');
+    if (retentionBtn) {
+      retentionBtn.onclick = async () => {
+        try {
+          const input = document.getElementById('trash-retention');
+          if (!stateManager.canManageWorkspace()) throw new Error('Only workspace owners can change trash retention.');
+          const days = Math.round(Number(input?.value));
+          if (!Number.isFinite(days) || days < 1 || days > 3650) {
+            throw new Error('Retention must be between 1 and 3650 days.');
+          }
+
+          await stateManager.updateSettings({ trashRetentionDays: days });
+          const purged = await stateManager.purgeExpiredTrash();
+
+          modalManager.show(
+            'Trash retention updated',
+            `<p class="text-sm font-semibold text-slate-700">Deleted records are now kept for ${days} day${days === 1 ? '' : 's'}.${purged ? ` ${purged} expired item${purged === 1 ? ' was' : 's were'} purged.` : ''}</p>`,
+            () => true,
+            { submitLabel: 'OK', hideCancel: true }
+          );
+        } catch (err) {
+          showError('Save failed', err?.message || 'Unable to update trash retention.');
+        }
+      };
+    }
+
+    const dryRunBtn = document.getElementById('migrations-dry-run');
+    if (dryRunBtn) {
+      dryRunBtn.onclick = () => {
+        try {
+          const plan = stateManager.planMigrations({ all: true });
+
+          modalManager.show(
+            'Migration dry run',
+            renderMigrationReport(plan),
+            async () => {
+              if (!plan.changes.length) return true;
+              const applied = await stateManager.runMigrations({ all: true });
+              this.render();
+              modalManager.show(
+                'Migrations applied',
+                `<p class="text-sm font-semibold text-slate-700">${applied.changes.length} record${applied.changes.length === 1 ? '' : 's'} normalized to schema v${escapeHtml(applied.toVersion)}.</p>`,
+                () => true,
+                { submitLabel: 'OK', hideCancel: true }
+              );
+              return false;
+            },
+            plan.changes.length
+              ? { submitLabel: 'Apply Changes', cancelLabel: 'Close' }
+              : { submitLabel: 'OK', hideCancel: true }
+          );
+        } catch (err) {
+          showError('Dry run failed', err?.message || 'Unable to plan migrations.');
+        }
+      };
+    }
+
+    const orphanBtn = document.getElementById('orphan-scan');
+    if (orphanBtn) {
+      orphanBtn.onclick = () => {
+        try {
+          const orphans = stateManager.scanOrphans();
+
+          modalManager.show(
+            'Orphan scan',
+            renderOrphanReport(orphans),
+            async () => {
+              if (!orphans.length) return true;
+              const repaired = await stateManager.repairOrphans();
+              modalManager.show(
+                'Links repaired',
+                `<p class="text-sm font-semibold text-slate-700">${repaired} record${repaired === 1 ? '' : 's'} repaired. Use Ctrl+Z to undo.</p>`,
+                () => true,
+                { submitLabel: 'OK', hideCancel: true }
+              );
+              return false;
+            },
+            orphans.length
+              ? { submitLabel: 'Repair All', cancelLabel: 'Close' }
+              : { submitLabel: 'OK', hideCancel: true }
+          );
+        } catch (err) {
+          showError('Scan failed', err?.message || 'Unable to scan for orphaned links.');
+        }
+      };
+    }
+
+    const backendBtn = document.getElementById('save-storage-backend');
+    if (backendBtn) {
+      backendBtn.onclick = () => {
+        const name = document.getElementById('storage-backend')?.value;
+        if (!BACKENDS[name] || name === backend().name) return;
+
+        modalManager.show(
+          'Switch storage backend',
+          `<p class="text-sm font-semibold text-slate-700">
+            Reload with <b>${escapeHtml(BACKENDS[name].label)}</b>? Data is not copied between backends;
+            use Download Snapshot / Restore Snapshot to move it.
+          </p>`,
+          async () => {
+            setBackendPreference(name);
+            stateManager.stopSync();
+            // Drop a ?backend= flag, or it would win over the new choice
+            if (window.location.search) window.location.href = `${window.location.pathname}${window.location.hash}`;
+            else window.location.reload();
+            return true;
+          },
+          { submitLabel: 'Switch + Reload', cancelLabel: 'Cancel' }
+        );
+      };
+    }
+
+    const lockBtn = document.getElementById('encryption-toggle-lock');
+    if (lockBtn) {
+      lockBtn.onclick = () => {
+        if (stateManager.getEncryptionStatus().unlocked) {
+          stateManager.lockEncryption();
+          this.render();
+          return;
+        }
+        promptUnlock(() => this.render());
+      };
+    }
+
+    const setupBtn = document.getElementById('encryption-setup');
+    if (setupBtn) {
+      setupBtn.onclick = () => {
+        modalManager.show(
+          'Turn on field encryption',
+          `
+            <div class="space-y-4">
+              <p class="text-sm font-semibold text-slate-700">
+                Existing and future EINs, SSN/TINs, bank numbers and investor notes are encrypted in this browser before they sync.
+                Share the passphrase with your team yourself: nobody, including support, can recover it.
+              </p>
+              <input type="password" id="encryption-passphrase" data-field="passphrase" autocomplete="new-password" placeholder="Passphrase (10+ characters)"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+              <input type="password" id="encryption-confirm" data-field="confirm" autocomplete="new-password" placeholder="Repeat passphrase"
+                class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+            </div>
+          `,
+          async () => {
+            const passphrase = document.getElementById('encryption-passphrase')?.value || '';
+            if (passphrase !== (document.getElementById('encryption-confirm')?.value || '')) {
+              throw new Error('The passphrases do not match.');
+            }
+            const count = await stateManager.setupEncryption(passphrase);
+            toast.show(`Field encryption is on (${count} value${count === 1 ? '' : 's'} encrypted)`, { tone: 'success' });
+            this.render();
+            return true;
+          },
+          { submitLabel: 'Encrypt', cancelLabel: 'Cancel' }
+        );
+      };
+    }
+
+    const restoreBtn = document.getElementById('restore-data');
+    const restoreInput = document.getElementById('restore-file');
+    if (restoreBtn && restoreInput) {
+      restoreBtn.onclick = () => restoreInput.click();
+      restoreInput.onchange = () => {
+        const file = restoreInput.files?.[0];
+        restoreInput.value = '';
+        restoreDialog.open(file);
+      };
+    }
+
     const exportBtn = document.getElementById('export-data');
     if (exportBtn) {
       exportBtn.onclick = () => {
         try {
-          const state = stateManager.get();
-          const json = JSON.stringify(state, null, 2);
-          const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(json);
-
-          const a = document.createElement('a');
-          a.setAttribute('href', dataStr);
-          a.setAttribute('download', `summit_backup_${new Date().toISOString().split('T')[0]}.json`);
-          document.body.appendChild(a);
-          a.click();
-          a.remove();
+          downloadSnapshot();
         } catch (err) {
           showError('Export failed', err?.message || 'Unable to export snapshot.');
         }
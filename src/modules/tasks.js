@@ -9,11 +9,26 @@
  * - Delete uses modalManager (danger) instead of confirm()
  * - Escapes rendered fields (title + linked_deal)
  * - Modal saves return true (close reliably)
+ * - Title + deadline validated by the tasks schema (errors shown inline)
+ * - Checkbox multi-select; bulk bar (complete / reopen, change priority, delete)
+ * - Filter row (search, status, priority, deal), kept in the URL
+ *   (#tasks?status=overdue&priority=High) so it survives reload and can be shared
  */
 
 import { stateManager } from '../state.js';
 import { formatters } from '../utils/formatters.js';
 import { modalManager } from '../utils/modals.js';
+import { toast, showUndoToast } from '../utils/toast.js';
+import { readFilters, writeFilters } from '../utils/urlFilters.js';
+import {
+  selectBoxHtml,
+  bulkBarHtml,
+  handleSelectAction,
+  pruneSelection,
+  showBulkFieldModal,
+  confirmBulkDelete
+} from '../utils/bulkActions.js';
+import { shortcuts, focusField } from '../utils/shortcuts.js';
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -52,8 +67,61 @@ function parseDueDate(dueStr) {
   return d;
 }
 
+function plural(n, word = 'task') {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+function debounce(fn, wait = 250) {
+  let t = null;
+  return (...args) => {
+    clearTimeout(t);
+    t = setTimeout(() => fn(...args), wait);
+  };
+}
+
+const FILTER_DEFAULTS = { q: '', status: 'all', priority: 'all', deal: 'all' };
+const FILTER_PARAMS = { q: 'q', status: 'status', priority: 'priority', deal: 'deal' };
+
+// filter input id -> filter
+const FILTER_INPUTS = { 'tasks-q': 'q', 'tasks-status': 'status', 'tasks-priority': 'priority', 'tasks-deal': 'deal' };
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'open', label: 'Open' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'done', label: 'Completed' }
+];
+
+function isOverdueTask(task, today0) {
+  if (task?.completed) return false;
+  const due = parseDueDate(task?.due_date);
+  return !!due && due < today0;
+}
+
+function applyFilters(taskList, f) {
+  const q = String(f.q || '').trim().toLowerCase();
+  const deal = String(f.deal || 'all').trim().toLowerCase();
+  const today0 = startOfToday();
+
+  return taskList.filter((t) => {
+    if (q && !`${t?.title || ''} ${t?.linked_deal || ''}`.toLowerCase().includes(q)) return false;
+    if (f.status === 'open' && t?.completed) return false;
+    if (f.status === 'done' && !t?.completed) return false;
+    if (f.status === 'overdue' && !isOverdueTask(t, today0)) return false;
+    if (f.priority !== 'all' && String(t?.priority || '') !== f.priority) return false;
+    if (deal !== 'all' && String(t?.linked_deal || '').trim().toLowerCase() !== deal) return false;
+    return true;
+  });
+}
+
 export const tasks = {
+  dependsOn: ['tasks', 'deals'],
   _bound: false,
+  _lastState: null,
+  _selected: new Set(),
+  _filters: { ...FILTER_DEFAULTS },
+  _visibleIds: [],
+  _debouncedSearch: null,
 
   /**
    * Main render function
@@ -62,17 +130,19 @@ export const tasks = {
     const container = document.getElementById('view-tasks');
     if (!container) return;
 
+    this._lastState = state;
+    this._filters = readFilters('tasks', FILTER_DEFAULTS, FILTER_PARAMS);
+
     const taskList = getTasks(state);
+    const visible = applyFilters(taskList, this._filters);
+    this._visibleIds = visible.map(t => t?.id);
+    pruneSelection(this._selected, this._visibleIds);
 
     const today0 = startOfToday();
 
     // Stats Summary
     const pendingCount = taskList.filter(t => !t?.completed).length;
-    const overdueCount = taskList.filter(t => {
-      if (t?.completed) return false;
-      const due = parseDueDate(t?.due_date);
-      return !!due && due < today0;
-    }).length;
+    const overdueCount = taskList.filter(t => isOverdueTask(t, today0)).length;
 
     container.innerHTML = `
       <div class="p-6 max-w-5xl mx-auto">
@@ -96,8 +166,22 @@ export const tasks = {
           </button>
         </div>
 
+        ${this.renderFilterRow(state)}
+
+        ${bulkBarHtml({
+          prefix: 'task',
+          count: this._selected.size,
+          total: visible.length,
+          actions: [
+            { action: 'task-bulk-complete', label: 'Complete', icon: 'fa-check' },
+            { action: 'task-bulk-reopen', label: 'Reopen', icon: 'fa-rotate-left' },
+            { action: 'task-bulk-priority', label: 'Priority', icon: 'fa-flag' },
+            { action: 'task-bulk-delete', label: 'Delete', icon: 'fa-trash', danger: true }
+          ]
+        })}
+
         <div class="space-y-3" id="tasks-container">
-          ${this.renderTaskItems(taskList)}
+          ${this.renderTaskItems(visible, taskList.length > visible.length)}
         </div>
       </div>
     `;
@@ -105,11 +189,63 @@ export const tasks = {
     this.bindEvents();
   },
 
+  renderFilterRow(state) {
+    const f = this._filters;
+    const dealNames = Array.from(new Set(
+      getDeals(state).map(d => String(d?.name || '').trim()).filter(Boolean)
+    )).sort((a, b) => a.localeCompare(b));
+    // A shared link may name a deal this workspace does not have; keep it selectable
+    if (f.deal !== 'all' && !dealNames.includes(f.deal)) dealNames.push(f.deal);
+
+    const select = (id, value, options) => `
+      <select id="${id}"
+        class="w-full px-3 py-2.5 rounded-xl border border-slate-200 bg-white text-xs font-bold focus:outline-none focus:ring-2 focus:ring-slate-900/10">
+        ${options.map(o => `<option value="${escapeHtml(o.value)}" ${o.value === value ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+      </select>
+    `;
+
+    return `
+      <div class="bg-white border border-slate-200 rounded-2xl shadow-sm p-4 mb-6">
+        <div class="grid grid-cols-1 md:grid-cols-12 gap-3 items-end">
+          <div class="md:col-span-4">
+            <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Search</label>
+            <input id="tasks-q" type="text" value="${escapeHtml(f.q)}" placeholder="Title or deal…"
+              class="w-full px-3 py-2.5 rounded-xl border border-slate-200 bg-white text-xs font-bold focus:outline-none focus:ring-2 focus:ring-slate-900/10">
+          </div>
+          <div class="md:col-span-2">
+            <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Status</label>
+            ${select('tasks-status', f.status, STATUS_OPTIONS)}
+          </div>
+          <div class="md:col-span-2">
+            <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Priority</label>
+            ${select('tasks-priority', f.priority, [{ value: 'all', label: 'All' }, ...['Low', 'Medium', 'High'].map(p => ({ value: p, label: p }))])}
+          </div>
+          <div class="md:col-span-3">
+            <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1">Deal</label>
+            ${select('tasks-deal', f.deal, [{ value: 'all', label: 'All deals' }, ...dealNames.map(n => ({ value: n, label: n }))])}
+          </div>
+          <div class="md:col-span-1">
+            <button data-action="task-filter-clear"
+              class="w-full px-3 py-2.5 rounded-xl bg-slate-100 text-slate-700 text-[10px] font-black uppercase tracking-widest hover:bg-slate-200">
+              Clear
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
   /**
    * Renders individual task rows
    */
-  renderTaskItems(taskList) {
+  renderTaskItems(taskList, filtered = false) {
     const list = Array.isArray(taskList) ? taskList : [];
+    if (list.length === 0 && filtered) {
+      return `
+        <div class="py-16 text-center border-2 border-dashed border-slate-200 rounded-[2rem] bg-white">
+          <p class="text-slate-400 font-bold uppercase tracking-widest text-[10px]">No tasks match your filters.</p>
+        </div>`;
+    }
     if (list.length === 0) {
       return `
         <div class="py-24 text-center border-2 border-dashed border-slate-200 rounded-[2rem] bg-white">
@@ -143,6 +279,8 @@ export const tasks = {
 
       return `
         <div class="group bg-white p-5 rounded-2xl border ${task?.completed ? 'border-slate-100 opacity-60' : 'border-slate-200 shadow-sm'} flex items-center gap-5 transition-all hover:border-slate-400">
+          ${selectBoxHtml('task', task?.id, this._selected.has(String(task?.id)))}
+
           <button data-action="task-toggle" data-id="${escapeHtml(task?.id)}"
             class="flex-shrink-0 w-8 h-8 rounded-xl border-2 flex items-center justify-center transition-all ${task?.completed ? 'bg-emerald-500 border-emerald-500 text-white rotate-[360deg]' : 'border-slate-200 hover:border-slate-900 text-transparent'}">
             <i class="fa fa-check text-xs"></i>
@@ -202,12 +340,100 @@ export const tasks = {
         const state = stateManager.get();
         const taskList = getTasks(state);
         const t = taskList.find(x => String(x?.id) === String(id));
-        if (t) stateManager.update('tasks', id, { completed: !t.completed });
+        if (t) {
+          stateManager.update('tasks', id, { completed: !t.completed })
+            .catch(err => toast.show(err?.message || 'That task could not be updated.', { tone: 'error' }));
+        }
         return;
       }
 
       if (action === 'task-delete') {
         this.confirmDelete(id);
+        return;
+      }
+
+      if (handleSelectAction('task', action, id, this._selected, this._visibleIds)) {
+        this.render(this._lastState);
+        return;
+      }
+
+      if (action === 'task-filter-clear') {
+        writeFilters('tasks', FILTER_DEFAULTS, FILTER_DEFAULTS, FILTER_PARAMS);
+        this.render(this._lastState);
+        return;
+      }
+
+      if (action === 'task-bulk-complete' || action === 'task-bulk-reopen') {
+        this.bulkSetCompleted(action === 'task-bulk-complete');
+        return;
+      }
+
+      if (action === 'task-bulk-priority') {
+        this.showBulkPriorityModal();
+        return;
+      }
+
+      if (action === 'task-bulk-delete') {
+        confirmBulkDelete({
+          category: 'tasks',
+          ids: [...this._selected],
+          noun: 'task',
+          onDone: () => this.clearSelection()
+        });
+      }
+    });
+
+    // Filters: the URL changes at once, the search box re-renders debounced
+    this._debouncedSearch = debounce(() => this.render(this._lastState), 250);
+
+    const onFilter = (e) => {
+      const key = FILTER_INPUTS[e.target?.id];
+      if (!key) return;
+      this._filters = { ...this._filters, [key]: e.target.value };
+      writeFilters('tasks', this._filters, FILTER_DEFAULTS, FILTER_PARAMS);
+      if (key === 'q') this._debouncedSearch();
+      else this.render(this._lastState);
+    };
+
+    container.addEventListener('input', (e) => {
+      if (e.target?.id === 'tasks-q') onFilter(e);
+    });
+    container.addEventListener('change', (e) => {
+      if (e.target?.id !== 'tasks-q') onFilter(e);
+    });
+  },
+
+  clearSelection() {
+    this._selected.clear();
+    this.render(stateManager.get());
+  },
+
+  async bulkSetCompleted(completed) {
+    const ids = [...this._selected];
+    if (!ids.length) return;
+
+    try {
+      await stateManager.bulkUpdate('tasks', ids, { completed });
+    } catch (err) {
+      modalManager.alert({ title: 'Tasks not updated', message: escapeHtml(err?.message || 'Update failed.') });
+      return;
+    }
+    this.clearSelection();
+    showUndoToast(`${completed ? 'Completed' : 'Reopened'} ${plural(ids.length)}`);
+  },
+
+  showBulkPriorityModal() {
+    const ids = [...this._selected];
+    if (!ids.length) return;
+
+    showBulkFieldModal({
+      title: `Change priority · ${plural(ids.length)}`,
+      label: 'Priority',
+      options: ['Low', 'Medium', 'High'].map(p => ({ value: p, label: p })),
+      onApply: async (priority) => {
+        await stateManager.bulkUpdate('tasks', ids, { priority });
+        this.clearSelection();
+        showUndoToast(`Set ${plural(ids.length)} to ${priority} priority`);
       }
     });
   },
@@ -215,9 +441,10 @@ export const tasks = {
   confirmDelete(id) {
     modalManager.show(
       'Delete task',
-      `<p class="text-sm font-semibold text-slate-700">Permanently delete this task? This cannot be undone.</p>`,
-      () => {
-        stateManager.delete('tasks', id);
+      `<p class="text-sm font-semibold text-slate-700">Delete this task? It moves to Trash, where you can restore it.</p>`,
+      async () => {
+        await stateManager.delete('tasks', id);
+        showUndoToast('Task deleted');
         return true;
       },
       { submitLabel: 'Delete', cancelLabel: 'Cancel', danger: true }
@@ -241,17 +468,17 @@ export const tasks = {
       <div class="space-y-5">
         <div>
           <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1.5">Action Item</label>
-          <input type="text" id="task-title" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none focus:ring-2 focus:ring-slate-900 transition-all font-bold" placeholder="e.g. Confirm Deposit">
+          <input type="text" id="task-title" data-field="title" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none focus:ring-2 focus:ring-slate-900 transition-all font-bold" placeholder="e.g. Confirm Deposit">
         </div>
 
         <div class="grid grid-cols-2 gap-4">
           <div>
             <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1.5">Deadline</label>
-            <input type="date" id="task-date" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
+            <input type="date" id="task-date" data-field="due_date" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
           </div>
           <div>
             <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1.5">Priority</label>
-            <select id="task-priority" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
+            <select id="task-priority" data-field="priority" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
               <option value="Low">Low</option>
               <option value="Medium" selected>Medium</option>
               <option value="High">High</option>
@@ -261,7 +488,7 @@ export const tasks = {
 
         <div>
           <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1.5">Project/Deal Association</label>
-          <select id="task-link" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
+          <select id="task-link" data-field="linked_deal" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
             <option value="">General Overhead (No Link)</option>
             ${dealOptions}
           </select>
@@ -269,15 +496,12 @@ export const tasks = {
       </div>
     `;
 
-    modalManager.show('Add Task Milestone', formHtml, () => {
+    modalManager.show('Add Task Milestone', formHtml, async () => {
       const title = String(document.getElementById('task-title')?.value ?? '').trim();
       const due_date = String(document.getElementById('task-date')?.value ?? '').trim();
       const priority = String(document.getElementById('task-priority')?.value ?? 'Medium').trim();
       const linked_deal = String(document.getElementById('task-link')?.value ?? '').trim();
 
-      if (!title) throw new Error('Task title is required.');
-      if (!due_date || !parseDueDate(due_date)) throw new Error('A valid deadline is required.');
-
       const id = (globalThis.crypto?.randomUUID?.() || Date.now().toString());
 
       const data = {
@@ -289,7 +513,7 @@ export const tasks = {
         completed: false
       };
 
-      stateManager.add('tasks', data);
+      await stateManager.add('tasks', data);
       return true;
     });
   },
@@ -304,3 +528,5 @@ export const tasks = {
 
 export const renderTasks = (state) => tasks.render(state);
 export const showAddTaskModal = () => tasks.showAddTaskModal();
+
+shortcuts.register({ keys: '/', view: 'tasks', label: 'Search tasks', run: () => focusField('tasks-q') });
@@ -0,0 +1,249 @@
+/**
+ * src/modules/trash.js
+ * Deleted records across every collection, with restore + permanent purge.
+ *
+ * - Entries live in state.trash (see stateManager.delete)
+ * - Filter by original collection + search by name
+ * - One-click restore; "Delete forever" / "Empty trash" use danger modals
+ * - Shows when each item will be purged under the retention setting
+ */
+
+import { stateManager } from '../state.js';
+import { formatters } from '../utils/formatters.js';
+import { modalManager } from '../utils/modals.js';
+import { toast } from '../utils/toast.js';
+import { shortcuts, focusField } from '../utils/shortcuts.js';
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+function getTrash(state) {
+  return Array.isArray(state?.trash) ? state.trash : [];
+}
+
+const CATEGORY_META = {
+  deals: { label: 'Deal', icon: 'fa-handshake' },
+  properties: { label: 'Property', icon: 'fa-building' },
+  projects: { label: 'Project', icon: 'fa-helmet-safety' },
+  investors: { label: 'Investor', icon: 'fa-piggy-bank' },
+  contacts: { label: 'Contact', icon: 'fa-address-book' },
+  tasks: { label: 'Task', icon: 'fa-list-check' },
+  llcs: { label: 'Entity', icon: 'fa-scale-balanced' },
+  vault: { label: 'Document', icon: 'fa-vault' },
+  crexiPresets: { label: 'Crexi Preset', icon: 'fa-magnifying-glass-location' }
+};
+
+function categoryMeta(category) {
+  return CATEGORY_META[category] || { label: category || 'Record', icon: 'fa-file' };
+}
+
+function daysUntilPurge(entry, retentionDays) {
+  const at = new Date(entry?.deletedAt).getTime();
+  if (!Number.isFinite(at)) return null;
+  const remaining = at + retentionDays * 24 * 60 * 60 * 1000 - Date.now();
+  return Math.max(0, Math.ceil(remaining / (24 * 60 * 60 * 1000)));
+}
+
+export const trash = {
+  dependsOn: ['trash'],
+  _bound: false,
+  _filters: {
+    q: '',
+    category: 'all'
+  },
+
+  render(state = stateManager.get()) {
+    const container = document.getElementById('view-trash');
+    if (!container) return;
+
+    const entries = getTrash(state);
+    const retentionDays = stateManager.getTrashRetentionDays();
+
+    const categories = [...new Set(entries.map(t => t?.category).filter(Boolean))].sort();
+    if (this._filters.category !== 'all' && !categories.includes(this._filters.category)) {
+      this._filters.category = 'all';
+    }
+
+    const q = this._filters.q.trim().toLowerCase();
+    const visible = entries.filter((t) => {
+      if (this._filters.category !== 'all' && t?.category !== this._filters.category) return false;
+      if (q && !String(t?.name || '').toLowerCase().includes(q)) return false;
+      return true;
+    });
+
+    container.innerHTML = `
+      <div class="p-6 max-w-5xl mx-auto">
+        <div class="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-8">
+          <div>
+            <h2 class="text-2xl font-black text-slate-900 tracking-tight italic">Trash</h2>
+            <p class="text-[10px] font-black text-slate-400 uppercase tracking-widest mt-1">
+              ${entries.length} item${entries.length === 1 ? '' : 's'} · permanently deleted after ${retentionDays} day${retentionDays === 1 ? '' : 's'}
+            </p>
+          </div>
+          <button data-action="trash-empty" ${entries.length ? '' : 'disabled'}
+            class="px-5 py-2.5 rounded-xl border border-red-100 text-red-600 text-xs font-black uppercase tracking-widest hover:bg-red-50 transition-all disabled:opacity-40 disabled:cursor-not-allowed">
+            <i class="fa fa-dumpster mr-2"></i>Empty Trash
+          </button>
+        </div>
+
+        <div class="flex flex-col md:flex-row gap-3 mb-6">
+          <input id="trash-search" type="search" placeholder="Search deleted items…" value="${escapeHtml(this._filters.q)}"
+            class="flex-1 px-4 py-2.5 rounded-xl border border-slate-200 bg-white text-sm font-semibold outline-none focus:ring-2 focus:ring-slate-900">
+          <select id="trash-category" class="px-4 py-2.5 rounded-xl border border-slate-200 bg-white text-sm font-bold outline-none">
+            <option value="all">All collections</option>
+            ${categories.map(c => `
+              <option value="${escapeHtml(c)}" ${this._filters.category === c ? 'selected' : ''}>${escapeHtml(categoryMeta(c).label)}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="space-y-3">
+          ${this.renderEntries(visible, retentionDays)}
+        </div>
+      </div>
+    `;
+
+    this.bindEvents();
+  },
+
+  renderEntries(list, retentionDays) {
+    if (!list.length) {
+      return `
+        <div class="py-24 text-center border-2 border-dashed border-slate-200 rounded-[2rem] bg-white">
+          <div class="w-16 h-16 bg-slate-50 rounded-full flex items-center justify-center mx-auto mb-4">
+            <i class="fa fa-trash-can text-slate-200 text-2xl"></i>
+          </div>
+          <p class="text-slate-400 font-bold uppercase tracking-widest text-[10px]">Trash is empty.</p>
+        </div>`;
+    }
+
+    return list.map((t) => {
+      const meta = categoryMeta(t?.category);
+      const left = daysUntilPurge(t, retentionDays);
+      const who = t?.deletedByEmail || t?.deletedBy || 'unknown';
+
+      return `
+        <div class="bg-white p-5 rounded-2xl border border-slate-200 shadow-sm flex items-center gap-5">
+          <div class="w-10 h-10 rounded-xl bg-slate-50 flex items-center justify-center text-slate-400">
+            <i class="fa ${meta.icon}"></i>
+          </div>
+
+          <div class="flex-grow min-w-0">
+            <div class="flex items-center gap-3 mb-1">
+              <h4 class="font-black text-sm text-slate-900 truncate tracking-tight">${escapeHtml(t?.name || 'Untitled')}</h4>
+              <span class="px-2 py-0.5 rounded-lg text-[8px] font-black uppercase tracking-widest bg-slate-100 text-slate-500">
+                ${escapeHtml(meta.label)}
+              </span>
+            </div>
+            <p class="text-[10px] font-bold text-slate-400 uppercase tracking-tighter">
+              Deleted ${escapeHtml(formatters.date(t?.deletedAt))} by ${escapeHtml(who)}
+              ${left === null ? '' : ` · purges in ${left} day${left === 1 ? '' : 's'}`}
+            </p>
+          </div>
+
+          <button data-action="trash-restore" data-id="${escapeHtml(t?.id)}"
+            class="px-4 py-2 rounded-xl bg-slate-900 text-white text-[10px] font-black uppercase tracking-widest hover:bg-slate-800">
+            <i class="fa fa-rotate-left mr-1"></i>Restore
+          </button>
+          <button data-action="trash-purge" data-id="${escapeHtml(t?.id)}" title="Delete forever"
+            class="p-2 text-slate-300 hover:text-red-500 transition-all">
+            <i class="fa fa-trash-alt text-xs"></i>
+          </button>
+        </div>
+      `;
+    }).join('');
+  },
+
+  bindEvents() {
+    const container = document.getElementById('view-trash');
+    if (!container) return;
+
+    const search = document.getElementById('trash-search');
+    if (search) {
+      search.oninput = () => {
+        this._filters.q = search.value;
+        this.render();
+        const next = document.getElementById('trash-search');
+        if (next) {
+          next.focus();
+          next.setSelectionRange(next.value.length, next.value.length);
+        }
+      };
+    }
+
+    const category = document.getElementById('trash-category');
+    if (category) {
+      category.onchange = () => {
+        this._filters.category = category.value;
+        this.render();
+      };
+    }
+
+    if (this._bound) return;
+    this._bound = true;
+
+    container.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+
+      const action = btn.dataset.action;
+      const id = btn.dataset.id;
+
+      if (action === 'trash-restore') {
+        const restored = await stateManager.restoreFromTrash(id);
+        if (restored) toast.show(`Restored ${restored.name || restored.title || 'item'}`, { tone: 'success' });
+        return;
+      }
+
+      if (action === 'trash-purge') {
+        this.confirmPurge(id);
+        return;
+      }
+
+      if (action === 'trash-empty') {
+        this.confirmEmpty();
+      }
+    });
+  },
+
+  confirmPurge(id) {
+    const entry = getTrash(stateManager.get()).find(t => String(t?.id) === String(id));
+    const label = entry?.name ? `“${entry.name}”` : 'this item';
+
+    modalManager.show(
+      'Delete forever',
+      `<p class="text-sm font-semibold text-slate-700">Permanently delete ${escapeHtml(label)}? This cannot be undone.</p>`,
+      async () => {
+        await stateManager.purgeFromTrash(id);
+        return true;
+      },
+      { submitLabel: 'Delete Forever', cancelLabel: 'Cancel', danger: true }
+    );
+  },
+
+  confirmEmpty() {
+    const count = getTrash(stateManager.get()).length;
+    if (!count) return;
+
+    modalManager.show(
+      'Empty trash',
+      `<p class="text-sm font-semibold text-slate-700">Permanently delete all ${count} item${count === 1 ? '' : 's'} in the trash? This cannot be undone.</p>`,
+      async () => {
+        await stateManager.emptyTrash();
+        return true;
+      },
+      { submitLabel: 'Empty Trash', cancelLabel: 'Cancel', danger: true }
+    );
+  }
+};
+
+// Compatibility export
+export const renderTrash = (state) => trash.render(state);
+
+shortcuts.register({ keys: '/', view: 'trash', label: 'Search Trash', run: () => focusField('trash-search') });
@@ -37,7 +37,7 @@ function renderList(ctx) {
           <div class="min-w-0">
             <div class="font-bold text-slate-900 truncate">${escapeHtml(u.name || 'Untitled')}</div>
             <div class="text-xs text-slate-500 mt-0.5">
-              ${escapeHtml(u.type || '')} ${u.size ? `• ${Math.round(u.size/1024)} KB` : ''} ${u.created_at ? `• ${new Date(u.created_at).toLocaleString()}` : ''}
+              ${escapeHtml(u.type || '')} ${u.size ? `• ${Math.round(u.size/1024)} KB` : ''} ${(u.createdAt || u.created_at) ? `• ${new Date(u.createdAt || u.created_at).toLocaleString()}` : ''}
             </div>
             ${u.url ? `<a class="text-xs text-blue-600 hover:underline" href="${escapeHtml(u.url)}" target="_blank" rel="noopener noreferrer">Open</a>` : ''}
           </div>
@@ -71,6 +71,8 @@ function ensureBinds() {
 }
 
 export const uploads = {
+  dependsOn: ['uploads'],
+
   render() {
     ensureBinds();
 
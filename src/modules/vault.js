@@ -9,7 +9,7 @@
  * - modalManager delete confirmation (danger) instead of confirm()
  * - Safe revision sorting (newest-first by date)
  * - Safe add + revision flows:
- *    - validate required fields
+ *    - validate required fields (document fields via the vault schema, shown inline)
  *    - throw errors for modalManager to surface (no alert)
  *    - return true to close modals reliably
  * - rel="noopener noreferrer" on all target=_blank links
@@ -17,6 +17,7 @@
 
 import { stateManager } from '../state.js';
 import { modalManager } from '../utils/modals.js';
+import { showUndoToast } from '../utils/toast.js';
 
 function escapeHtml(s) {
   return String(s ?? '')
@@ -62,6 +63,8 @@ function sortedHistory(doc) {
 }
 
 export const vault = {
+  dependsOn: ['vault', 'properties'],
+
   _bound: false,
 
   render(state) {
@@ -234,7 +237,7 @@ export const vault = {
       <div class="space-y-5">
         <div>
           <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1.5">Document Name</label>
-          <input type="text" id="vault-name"
+          <input type="text" id="vault-name" data-field="name"
             class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none focus:ring-2 focus:ring-slate-900 transition-all font-bold"
             placeholder="e.g. T-12, Insurance Quote, PSA, Survey">
         </div>
@@ -242,7 +245,7 @@ export const vault = {
         <div class="grid grid-cols-2 gap-4">
           <div>
             <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1.5">Category</label>
-            <select id="vault-category" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
+            <select id="vault-category" data-field="category" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
               <option value="Due Diligence">Due Diligence</option>
               <option value="Legal">Legal</option>
               <option value="Operations">Operations</option>
@@ -253,7 +256,7 @@ export const vault = {
 
           <div>
             <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1.5">Link To (optional)</label>
-            <select id="vault-linked" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
+            <select id="vault-linked" data-field="linked_to" class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none font-bold">
               <option value="">Unlinked</option>
               ${propertyOptions}
             </select>
@@ -262,7 +265,7 @@ export const vault = {
 
         <div>
           <label class="block text-[10px] font-black text-slate-400 uppercase tracking-widest mb-1.5">Document URL</label>
-          <input type="url" id="vault-url"
+          <input type="url" id="vault-url" data-field="url"
             class="w-full p-4 bg-slate-50 border border-slate-100 rounded-2xl outline-none focus:ring-2 focus:ring-slate-900 transition-all font-bold"
             placeholder="https://...">
           <p class="text-[11px] font-semibold text-slate-400 mt-2">
@@ -275,15 +278,12 @@ export const vault = {
     modalManager.show(
       'Create Master Record',
       formHtml,
-      () => {
+      async () => {
         const name = String(document.getElementById('vault-name')?.value ?? '').trim();
         const category = String(document.getElementById('vault-category')?.value ?? 'General').trim();
         const linked_to = String(document.getElementById('vault-linked')?.value ?? '').trim();
         const url = String(document.getElementById('vault-url')?.value ?? '').trim();
 
-        if (!name) throw new Error('Document name is required.');
-        if (!url) throw new Error('Document URL is required.');
-
         const id = `vault_${globalThis.crypto?.randomUUID?.() || Date.now().toString()}`;
         const now = new Date().toISOString();
 
@@ -295,11 +295,10 @@ export const vault = {
           url,
           uploadedAt: now,
           createdAt: now,
-          created_at: now,
           revisions: [] // newest-first (enforced on render)
         };
 
-        stateManager.add('vault', data);
+        await stateManager.add('vault', data);
         stateManager.logActivity?.(`Vault Record Created: ${name}`);
 
         return true;
@@ -347,7 +346,7 @@ export const vault = {
     modalManager.show(
       'Commit Revision',
       formHtml,
-      () => {
+      async () => {
         const url = String(document.getElementById('rev-url')?.value ?? '').trim();
         const note = String(document.getElementById('rev-note')?.value ?? '').trim();
 
@@ -360,7 +359,7 @@ export const vault = {
         // Prepend new revision (newest-first); sort will also be enforced during render
         const nextRevisions = [{ url, note, date: now }, ...existing];
 
-        stateManager.update('vault', doc.id, { revisions: nextRevisions });
+        await stateManager.update('vault', doc.id, { revisions: nextRevisions });
         stateManager.logActivity?.(`Vault Revision Added: ${doc.name}`);
 
         return true;
@@ -442,16 +441,17 @@ export const vault = {
     }
 
     modalManager.show(
-      'Purge record',
+      'Delete record',
       `<p class="text-sm font-semibold text-slate-700">
-        Purge <span class="font-black">${escapeHtml(doc.name || 'this record')}</span> and all version history? This cannot be undone.
+        Delete <span class="font-black">${escapeHtml(doc.name || 'this record')}</span>? It moves to Trash with its version history, where you can restore it.
       </p>`,
-      () => {
-        stateManager.delete('vault', doc.id);
-        stateManager.logActivity?.(`Vault Record Purged: ${doc.name}`);
+      async () => {
+        await stateManager.delete('vault', doc.id);
+        stateManager.logActivity?.(`Vault Record Deleted: ${doc.name}`);
+        showUndoToast(`Deleted ${doc.name || 'record'}`);
         return true;
       },
-      { submitLabel: 'Purge', cancelLabel: 'Cancel', danger: true }
+      { submitLabel: 'Delete', cancelLabel: 'Cancel', danger: true }
     );
   }
 };
@@ -0,0 +1,128 @@
+/**
+ * src/offlineStore.js
+ * IndexedDB persistence for offline-first startup.
+ *
+ * Two object stores, both keyed by Firebase uid:
+ *   snapshots -> { uid, state, base, savedAt }  last known app state + cloud base copies
+ *   queue     -> { uid, records, settings, audit, savedAt }  writes not yet acknowledged by Firestore
+ *
+ * Every call resolves (never rejects): when IndexedDB is unavailable
+ * (private mode, old browsers) the app simply runs cloud-only.
+ */
+
+const DB_NAME = 'summitcrm-offline';
+const DB_VERSION = 1;
+const STORES = ['snapshots', 'queue'];
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        STORES.forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'uid' });
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[OfflineStore] IndexedDB unavailable:', req.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('[OfflineStore] IndexedDB unavailable:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+async function readEntry(storeName, uid) {
+  const db = await openDb();
+  if (!db || !uid) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const req = db.transaction(storeName, 'readonly').objectStore(storeName).get(uid);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => resolve(null);
+    } catch (_) {
+      resolve(null);
+    }
+  });
+}
+
+async function writeEntries(entries) {
+  const db = await openDb();
+  if (!db) return false;
+
+  // One transaction so the snapshot and its queue never disagree on disk
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(entries.map(e => e.store), 'readwrite');
+      entries.forEach(({ store, value }) => tx.objectStore(store).put(value));
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => {
+        console.warn('[OfflineStore] Save failed:', tx.error);
+        resolve(false);
+      };
+      tx.onabort = () => resolve(false);
+    } catch (error) {
+      console.warn('[OfflineStore] Save failed:', error);
+      resolve(false);
+    }
+  });
+}
+
+export const offlineStore = {
+  /**
+   * Loads the last saved snapshot + pending write queue for a user.
+   * Returns { snapshot, queue } (either may be null).
+   */
+  async load(uid) {
+    const [snapshot, queue] = await Promise.all([
+      readEntry('snapshots', uid),
+      readEntry('queue', uid)
+    ]);
+    return { snapshot, queue };
+  },
+
+  /**
+   * Persists state, cloud base copies and the write queue (incl. audit entries) atomically.
+   */
+  async save(uid, { state, base, records, settings, audit }) {
+    if (!uid) return false;
+    const savedAt = new Date().toISOString();
+
+    return writeEntries([
+      { store: 'snapshots', value: { uid, state, base, savedAt } },
+      { store: 'queue', value: { uid, records, settings: !!settings, audit: audit || [], savedAt } }
+    ]);
+  },
+
+  /**
+   * Drops everything stored for a user (e.g. account deletion).
+   */
+  async clear(uid) {
+    const db = await openDb();
+    if (!db || !uid) return false;
+
+    return new Promise((resolve) => {
+      try {
+        const tx = db.transaction(STORES, 'readwrite');
+        STORES.forEach(name => tx.objectStore(name).delete(uid));
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => resolve(false);
+      } catch (_) {
+        resolve(false);
+      }
+    });
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * src/permissions.js
+ * Workspace roles: which views a member can open and which stateManager
+ * mutations they can perform.
+ *
+ * A role lists its views ('*' = every view) and, per collection, the
+ * mutations it may perform ('*' = add, update and delete). `settings` stands
+ * for updateSettings(). Only owners manage members, invitations and the
+ * maintenance jobs (migrations, trash retention).
+ *
+ * Everything here is pure; stateManager checks it before a mutation and
+ * throws a PermissionError, the router checks it before showing a view.
+ * The client checks are for the UI; firestore.rules (repo root) mirrors this
+ * table on the server, so a change here belongs there too.
+ */
+
+const ALL = '*';
+
+export const ROLES = {
+  owner: {
+    label: 'Owner',
+    description: 'Everything, plus members, invitations and workspace settings.',
+    views: ALL,
+    write: ALL
+  },
+  acquisitions: {
+    label: 'Acquisitions',
+    description: 'Sources and underwrites deals; keeps contacts and deal tasks current.',
+    views: [
+      'dashboard', 'analytics', 'deals', 'properties', 'contacts', 'public-portfolio',
+      'deal-analyzer', 'market-analysis', 'crexi', 'vault', 'uploads', 'calendar',
+      'activity', 'trash', 'tasks', 'settings'
+    ],
+    // Crexi place labels live in settings, so acquisitions can update those too
+    write: { deals: ALL, contacts: ALL, tasks: ALL, vault: ALL, uploads: ALL, crexiPresets: ALL, settings: ['update'] }
+  },
+  asset_manager: {
+    label: 'Asset Manager',
+    description: 'Runs owned properties, CapEx projects and day-to-day operations.',
+    views: [
+      'dashboard', 'analytics', 'deals', 'properties', 'projects', 'contacts', 'public-portfolio',
+      'vault', 'uploads', 'calendar', 'activity', 'trash', 'tasks', 'llcs', 'settings'
+    ],
+    write: { properties: ALL, projects: ALL, contacts: ALL, tasks: ALL, vault: ALL, uploads: ALL }
+  },
+  bookkeeper: {
+    label: 'Bookkeeper',
+    description: 'Maintains entities, investor records and financial documents.',
+    views: [
+      'dashboard', 'analytics', 'properties', 'projects', 'investors', 'investor-portal',
+      'equity-waterfall', 'vault', 'uploads', 'calendar', 'activity', 'trash', 'llcs', 'settings'
+    ],
+    write: { llcs: ALL, investors: ALL, vault: ALL, uploads: ALL, properties: ['update'], projects: ['update'] }
+  },
+  read_only: {
+    label: 'Read-only',
+    description: 'Sees the whole portfolio; cannot change anything.',
+    views: ALL,
+    write: {}
+  }
+};
+
+export const ROLE_IDS = Object.keys(ROLES);
+
+const VERBS = { add: 'add', update: 'edit', delete: 'delete', reveal: 'reveal sensitive fields in' };
+
+export function roleLabel(role) {
+  return ROLES[role]?.label || 'Unknown role';
+}
+
+export function canView(role, view) {
+  const views = ROLES[role]?.views;
+  if (!views) return false;
+  return views === ALL || views.includes(view);
+}
+
+/**
+ * True when `role` may perform `action` ('add' | 'update' | 'delete') on `category`.
+ */
+export function canWrite(role, category, action) {
+  const write = ROLES[role]?.write;
+  if (!write) return false;
+  if (write === ALL) return true;
+
+  const allowed = write[category];
+  if (!allowed) return false;
+  return allowed === ALL || allowed.includes(action);
+}
+
+/**
+ * Members, invitations, migrations and retention purges.
+ */
+export function canManageWorkspace(role) {
+  return role === 'owner';
+}
+
+/**
+ * Thrown by stateManager when the member's role does not allow a mutation.
+ */
+export class PermissionError extends Error {
+  constructor(role, category, action) {
+    const who = ROLES[role] ? `${ROLES[role].label} members` : 'Your role';
+    const what = category === 'settings'
+      ? 'change settings'
+      : category === 'workspace'
+        ? 'manage this workspace'
+        : `${VERBS[action] || action} ${category}`;
+
+    super(`${who} cannot ${what}.`);
+    this.name = 'PermissionError';
+    this.role = role;
+    this.category = category;
+    this.action = action;
+  }
+}
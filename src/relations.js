@@ -0,0 +1,198 @@
+/**
+ * src/relations.js
+ * Relationship registry: which records point at which, and what a delete does to them.
+ *
+ * Links are stored on the child record, by id and/or by name (older records
+ * only carry the name):
+ *   properties.llc_id / owning_llc -> llcs        restrict (reassign properties first)
+ *   tasks.linked_deal              -> deals       cascade  (tasks follow the deal to Trash)
+ *   vault.linked_to                -> properties  nullify  (documents stay, link is cleared)
+ *   projects.property              -> properties  restrict (projects must be moved first)
+ *
+ * Everything here is pure (state in, plan out); stateManager applies the plans
+ * so deletes, cascades and repairs stay undoable and audited.
+ */
+
+export const RELATIONS = [
+  {
+    id: 'llc-properties',
+    parent: 'llcs',
+    child: 'properties',
+    idField: 'llc_id',
+    nameField: 'owning_llc',
+    onDelete: 'restrict',
+    label: 'Properties owned by this entity',
+    parentLabel: 'Owning entity'
+  },
+  {
+    id: 'deal-tasks',
+    parent: 'deals',
+    child: 'tasks',
+    nameField: 'linked_deal',
+    onDelete: 'cascade',
+    label: 'Tasks linked to this deal',
+    parentLabel: 'Deal'
+  },
+  {
+    id: 'property-vault',
+    parent: 'properties',
+    child: 'vault',
+    nameField: 'linked_to',
+    onDelete: 'nullify',
+    label: 'Vault documents linked to this property',
+    parentLabel: 'Linked property'
+  },
+  {
+    id: 'property-projects',
+    parent: 'properties',
+    child: 'projects',
+    nameField: 'property',
+    onDelete: 'restrict',
+    label: 'Projects at this property',
+    parentLabel: 'Property'
+  }
+];
+
+function normalizeKey(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function listOf(state, category) {
+  return Array.isArray(state?.[category]) ? state[category] : [];
+}
+
+function linkFields(relation) {
+  return [relation.idField, relation.nameField].filter(Boolean);
+}
+
+function recordLabel(record) {
+  return String(record?.name || record?.title || record?.id || 'Untitled');
+}
+
+/**
+ * True when `child` points at `parent` through `relation` (by id or by name).
+ */
+export function isLinked(relation, child, parent) {
+  if (!child || !parent) return false;
+
+  if (relation.idField) {
+    const value = String(child[relation.idField] ?? '').trim();
+    if (value && value === String(parent.id ?? '').trim()) return true;
+  }
+
+  if (relation.nameField) {
+    const value = normalizeKey(child[relation.nameField]);
+    if (value && value === normalizeKey(parent.name)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Field values that clear the link (what a "nullify" writes).
+ */
+export function unlinkPatch(relation) {
+  return Object.fromEntries(linkFields(relation).map(f => [f, '']));
+}
+
+/**
+ * Works out what deleting `category/id` would do, following cascades.
+ *
+ * Returns {
+ *   blocked: [{ relation, records }],     restrict rules that stop the delete
+ *   cascade: [{ relation, category, record }],
+ *   nullify: [{ relation, category, record, patch, previous }]
+ * }
+ */
+export function planDelete(state, category, id) {
+  const plan = { blocked: [], cascade: [], nullify: [] };
+  const visited = new Set();
+
+  const walk = (cat, record) => {
+    const key = `${cat}:${record.id}`;
+    if (visited.has(key)) return;
+    visited.add(key);
+
+    RELATIONS.filter(r => r.parent === cat).forEach((relation) => {
+      const dependents = listOf(state, relation.child).filter(c => isLinked(relation, c, record));
+      if (!dependents.length) return;
+
+      if (relation.onDelete === 'restrict') {
+        plan.blocked.push({ relation, records: dependents });
+        return;
+      }
+
+      dependents.forEach((child) => {
+        if (relation.onDelete === 'cascade') {
+          if (visited.has(`${relation.child}:${child.id}`)) return;
+          plan.cascade.push({ relation, category: relation.child, record: child });
+          walk(relation.child, child);
+          return;
+        }
+
+        const previous = Object.fromEntries(linkFields(relation).map(f => [f, child[f] ?? '']));
+        plan.nullify.push({ relation, category: relation.child, record: child, patch: unlinkPatch(relation), previous });
+      });
+    });
+  };
+
+  const record = listOf(state, category).find(r => String(r?.id) === String(id));
+  if (record) walk(category, record);
+  return plan;
+}
+
+/**
+ * Finds child records whose link points at nothing.
+ *
+ * A link is dangling when its id/name matches no live parent. When one half of
+ * an id+name pair still resolves, the repair re-links the other half instead of
+ * clearing it (e.g. a renamed LLC).
+ *
+ * Returns [{ relation, category, id, name, reason, fields: [{ field, before, after }], patch }]
+ * reason: 'missing' | 'trashed' (the parent only exists in Trash) | 'stale' (re-linkable)
+ */
+export function scanOrphans(state) {
+  const orphans = [];
+  const trash = listOf(state, 'trash');
+
+  RELATIONS.forEach((relation) => {
+    const parents = listOf(state, relation.parent);
+    const trashedParents = trash.filter(t => t?.category === relation.parent && t.record).map(t => t.record);
+
+    const byId = value => parents.find(p => String(p?.id ?? '').trim() === value);
+    const byName = value => parents.find(p => normalizeKey(p?.name) === value);
+
+    listOf(state, relation.child).forEach((child) => {
+      if (!child) return;
+
+      const idValue = relation.idField ? String(child[relation.idField] ?? '').trim() : '';
+      const nameValue = relation.nameField ? normalizeKey(child[relation.nameField]) : '';
+      if (!idValue && !nameValue) return;
+
+      const idParent = idValue ? byId(idValue) : null;
+      const nameParent = nameValue ? byName(nameValue) : null;
+      const idDangling = !!idValue && !idParent;
+      const nameDangling = !!nameValue && !nameParent;
+      if (!idDangling && !nameDangling) return;
+
+      const resolved = idParent || nameParent || null;
+      const patch = {};
+      if (idDangling) patch[relation.idField] = resolved ? resolved.id : '';
+      if (nameDangling) patch[relation.nameField] = resolved ? String(resolved.name ?? '') : '';
+
+      const inTrash = trashedParents.some(p => isLinked(relation, child, p));
+
+      orphans.push({
+        relation,
+        category: relation.child,
+        id: child.id,
+        name: recordLabel(child),
+        reason: resolved ? 'stale' : inTrash ? 'trashed' : 'missing',
+        fields: Object.keys(patch).map(f => ({ field: f, before: child[f], after: patch[f] })),
+        patch
+      });
+    });
+  });
+
+  return orphans;
+}
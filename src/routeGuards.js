@@ -0,0 +1,70 @@
+/**
+ * src/routeGuards.js
+ * Who may open which route, checked by the router before a view loads.
+ *
+ * Every view runs the guards listed for it in ROUTE_GUARDS (DEFAULT_GUARDS
+ * when it has no entry), in order; the first one that refuses decides where
+ * the router sends the visitor instead:
+ *   signedIn  no session             -> #login   (back to the page after sign-in)
+ *   mfa       the workspace requires two-step verification (mfa.js) and
+ *             this member has not set it up -> #denied?reason=mfa
+ *   role      workspace role (permissions.js)            -> #denied?reason=role
+ *   feature   turned off in Settings > Features (owners) -> #denied?reason=feature
+ * A record page (#deals/:id) is guarded as its collection's view.
+ *
+ * Everything here is pure; main.js builds the context from the session,
+ * stateManager and the workspace settings.
+ */
+
+// Optional modules an owner can switch off for the whole workspace
+export const FEATURES = {
+  'deal-analyzer': { label: 'Deal Analyzer', hint: 'Underwriting worksheet with spreadsheet import.' },
+  'market-analysis': { label: 'Market Analysis', hint: 'Submarket research and comps.' },
+  crexi: { label: 'Crexi Search', hint: 'Saved Crexi searches and place labels.' },
+  'equity-waterfall': { label: 'Equity Waterfall', hint: 'Distribution tiers per deal.' },
+  'investor-portal': { label: 'Investor Portal', hint: 'LP-facing snapshot per investor.' },
+  'public-portfolio': { label: 'Public Portfolio', hint: 'Shareable portfolio page.' }
+};
+
+export const DEFAULT_GUARDS = ['signedIn', 'mfa', 'role', 'feature'];
+
+// Views that must open for anyone, or there is nowhere to send them
+// (Settings is where two-step verification is set up)
+export const ROUTE_GUARDS = {
+  login: [],
+  denied: [],
+  settings: ['signedIn']
+};
+
+/**
+ * True unless the workspace settings turn `view` off.
+ */
+export function isFeatureEnabled(settings, view) {
+  return !FEATURES[view] || settings?.features?.[view] !== false;
+}
+
+/**
+ * Each guard: (context, view) -> true | redirect hash.
+ * context = { authReady, user, mfaEnabled, canView(view), settings }
+ */
+export const GUARDS = {
+  // Until the first auth answer nothing is refused; main.js re-checks then
+  signedIn: (ctx) => !ctx.authReady || !!ctx.user || 'login',
+  mfa: (ctx) => ctx.settings?.security?.requireMfa !== true || !!ctx.mfaEnabled || 'denied?reason=mfa',
+  role: (ctx, view) => ctx.canView(view) || 'denied?reason=role',
+  feature: (ctx, view) => isFeatureEnabled(ctx.settings, view) || 'denied?reason=feature'
+};
+
+/**
+ * Runs `view`'s guards. Returns true, or the hash to redirect to.
+ */
+export function checkRoute(ctx, view, params = {}) {
+  const guarded = params.category || view;
+  const names = ROUTE_GUARDS[view] || DEFAULT_GUARDS;
+
+  for (const name of names) {
+    const verdict = GUARDS[name](ctx, guarded);
+    if (verdict !== true) return verdict;
+  }
+  return true;
+}
@@ -2,6 +2,28 @@
  * src/router.js
  * Manages view states and browser hash navigation.
  * Expects containers with ids: #view-<viewName> and class .view-container
+ *
+ * Besides the flat views (#deals), ROUTES maps parameterized hashes onto a
+ * view: #deals/:id opens the `record` detail view with { category: 'deals',
+ * id }. Views read them with getParams(). Every navigation is a hash change,
+ * so back/forward walk through list and detail pages alike.
+ *
+ * A query after the path (#properties?llc=abc&mincap=6.5) is view state such
+ * as filters: views read it with getQuery(view) on render and write it back
+ * with setQuery(view, values), which replaces the hash without a history step
+ * or a re-render. Opening a view without a query (nav links) brings back the
+ * one it had last, so filters survive moving around as well as a reload.
+ *
+ * setGuard(fn) vets every navigation (routeGuards.js): fn(view, params)
+ * returns true, false (fall back to the first allowed view of FALLBACK_VIEWS)
+ * or a hash to redirect to ('login', 'denied?reason=role'). The refused hash
+ * rides along as `from` and recheck() goes back there once the answer changes
+ * (signed in, new role). Redirects replace the history entry, so Back skips them.
+ *
+ * View code loads on first visit: setLoaders({ view: () => import(...) }).
+ * Until a view's module is in, its container shows a loading state (or a
+ * retry button when the import failed); view-changed fires once getModule()
+ * has it.
  */
 
 const views = [
@@ -26,19 +48,126 @@ const views = [
   'uploads',
   'calendar',
   'activity',
+  'trash',
 
   'tasks',
   'llcs',
-  'settings'
+  'settings',
+
+  // where guards send refused navigations
+  'login',
+  'denied'
+];
+
+// pattern -> view; `:name` segments become params, `params` are added as-is
+const ROUTES = [
+  { pattern: 'deals/:id', view: 'record', params: { category: 'deals' } },
+  { pattern: 'properties/:id', view: 'record', params: { category: 'properties' } },
+  { pattern: 'investors/:id', view: 'record', params: { category: 'investors' } },
+  { pattern: 'contacts/:id', view: 'record', params: { category: 'contacts' } },
+  { pattern: 'llcs/:id', view: 'record', params: { category: 'llcs' } },
+  { pattern: 'projects/:id', view: 'record', params: { category: 'projects' } },
+  { pattern: 'deal-analyzer/:id', view: 'deal-analyzer' },
+  { pattern: 'investor-portal/:id', view: 'investor-portal' }
 ];
 
 let currentView = 'dashboard';
+let currentParams = {};
+let currentPath = 'dashboard';
+let currentQuery = {};
+let currentHash = 'dashboard';  // path + '?' + query, as in the URL
+
+const lastQueries = new Map();  // view -> query string it was last shown with
+
+// (view, params) => true | false | redirect hash; null = every view allowed
+let guard = null;
+const FALLBACK_VIEWS = ['dashboard', 'settings'];
+
+const loaders = new Map();   // view -> () => Promise<module>
+const modules = new Map();   // view -> loaded module
+const pending = new Map();   // view -> Promise<module> while importing
+let navigations = 0;         // a slow import must not render over a later navigation
+
+function verdictFor(view, params = {}) {
+  return guard ? guard(view, params) : true;
+}
+
+function isAllowed(view, params = {}) {
+  return verdictFor(view, params) === true;
+}
 
 function normalizeView(v) {
   if (!v) return '';
   return String(v).trim().replace(/^#/, '');
 }
 
+function matchRoute(route, segments) {
+  const parts = route.pattern.split('/');
+  if (parts.length !== segments.length) return null;
+
+  const params = { ...(route.params || {}) };
+  for (let i = 0; i < parts.length; i += 1) {
+    if (parts[i].startsWith(':')) {
+      if (!segments[i]) return null;
+      params[parts[i].slice(1)] = segments[i];
+    } else if (parts[i] !== segments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+function parseQuery(search) {
+  const query = {};
+  new URLSearchParams(search || '').forEach((value, key) => {
+    if (value !== '') query[key] = value;
+  });
+  return query;
+}
+
+// Blank values are left out, so defaults never clutter the URL
+function queryString(values) {
+  const search = new URLSearchParams();
+  Object.entries(values || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && String(value) !== '') search.set(key, String(value));
+  });
+  return search.toString();
+}
+
+/**
+ * "deals", "deals/abc" or "properties?llc=x" -> { view, params, path, search }
+ * (null when nothing matches).
+ */
+function resolve(hash) {
+  const full = normalizeView(hash);
+  const at = full.indexOf('?');
+  const clean = at === -1 ? full : full.slice(0, at);
+  const search = at === -1 ? '' : queryString(parseQuery(full.slice(at + 1)));
+  if (views.includes(clean)) return { view: clean, params: {}, path: clean, search };
+
+  let segments;
+  try {
+    segments = clean.split('/').map(decodeURIComponent);
+  } catch (_) {
+    return null;
+  }
+
+  for (const route of ROUTES) {
+    const params = matchRoute(route, segments);
+    if (params) return { view: route.view, params, path: clean, search };
+  }
+  return null;
+}
+
+/**
+ * Builds a hash path from a pattern: pathFor('deals/:id', { id }) -> "deals/abc".
+ */
+function pathFor(pattern, params = {}) {
+  return pattern.split('/')
+    .map(part => (part.startsWith(':') ? encodeURIComponent(String(params[part.slice(1)] ?? '')) : part))
+    .join('/');
+}
+
 function hideAllViews() {
   document.querySelectorAll('.view-container').forEach((el) => {
     el.classList.add('hidden');
@@ -55,8 +184,35 @@ function showView(view) {
   return true;
 }
 
-function dispatchViewChanged(view) {
-  window.dispatchEvent(new CustomEvent('view-changed', { detail: { view } }));
+function fillView(view, html) {
+  const target = document.getElementById(`view-${view}`);
+  if (target) target.innerHTML = html;
+}
+
+function loadingHtml() {
+  return `
+    <div class="py-24 text-center">
+      <p class="text-[10px] font-black text-slate-400 uppercase tracking-widest">
+        <i class="fa fa-circle-notch fa-spin mr-2"></i>Loading…
+      </p>
+    </div>
+  `;
+}
+
+function loadFailedHtml() {
+  return `
+    <div class="py-24 text-center space-y-4">
+      <p class="text-sm font-semibold text-slate-600">This page could not be loaded. Check your connection and try again.</p>
+      <button type="button" data-action="view-retry"
+        class="px-5 py-2.5 rounded-xl bg-slate-900 text-white text-[10px] font-black uppercase tracking-widest hover:bg-slate-800">
+        <i class="fa fa-rotate-right mr-1"></i>Retry
+      </button>
+    </div>
+  `;
+}
+
+function dispatchViewChanged(view, params) {
+  window.dispatchEvent(new CustomEvent('view-changed', { detail: { view, params } }));
 }
 
 export const router = {
@@ -64,11 +220,12 @@ export const router = {
     // Back/forward + manual hash edits
     window.addEventListener('hashchange', () => {
       const hash = normalizeView(window.location.hash);
-      if (views.includes(hash)) {
+      if (hash && hash === currentHash) return; // our own navigate() set it
+      if (resolve(hash)) {
         this.navigate(hash, false);
       } else if (!hash) {
         // If hash cleared, return to default without pushing a new hash
-        this.navigate(currentView || 'dashboard', false);
+        this.navigate(currentHash || 'dashboard', false);
       } else {
         // Unknown hash: fall back
         console.warn(`router: unknown view "${hash}", redirecting to dashboard`);
@@ -76,42 +233,226 @@ export const router = {
       }
     });
 
-    // Initial route
-    const initialHash = normalizeView(window.location.hash);
-    if (views.includes(initialHash)) currentView = initialHash;
+    // Initial route (deep links included)
+    const initial = resolve(window.location.hash);
 
     // Ensure something is shown on first load
-    this.navigate(currentView, false);
+    this.navigate(initial ? normalizeView(window.location.hash) : currentView, false);
   },
 
-  navigate(view, pushState = true) {
-    const next = normalizeView(view);
-    if (!views.includes(next)) {
-      console.warn(`router.navigate: invalid view "${next}"`);
+  /**
+   * Opens a view ("deals"), a route path ("deals/abc") or either with a query
+   * ("properties?llc=x"). pushState = false when the hash already says so
+   * (back/forward, first load); `replace` swaps the history entry instead of
+   * adding one.
+   */
+  navigate(view, pushState = true, { replace = false } = {}) {
+    let next = resolve(view);
+    if (!next) {
+      console.warn(`router.navigate: invalid view "${normalizeView(view)}"`);
       return false;
     }
 
-    currentView = next;
+    const verdict = verdictFor(next.view, next.params);
+    if (verdict !== true) {
+      const refused = next.search ? `${next.path}?${next.search}` : next.path;
+      const redirect = resolve(typeof verdict === 'string' ? verdict : FALLBACK_VIEWS.find(v => isAllowed(v)) || '');
+      console.warn(`router: "${refused}" is not available here`);
+      if (!redirect || redirect.path === next.path || !isAllowed(redirect.view, redirect.params)) return false;
+
+      if (typeof verdict === 'string') redirect.search = queryString({ ...parseQuery(redirect.search), from: refused });
+      next = redirect;
+      pushState = true;
+      replace = true;
+    }
+
+    // A plain view link reopens the view as it was left
+    if (pushState && !next.search && !Object.keys(next.params).length) {
+      next.search = lastQueries.get(next.view) || '';
+    }
+
+    currentView = next.view;
+    currentParams = next.params;
+    currentPath = next.path;
+    currentQuery = parseQuery(next.search);
+    currentHash = next.search ? `${next.path}?${next.search}` : next.path;
+    lastQueries.set(next.view, next.search);
 
     // Update URL hash only for user-driven nav
     if (pushState) {
-      const desired = `#${next}`;
-      if (window.location.hash !== desired) window.location.hash = desired;
+      const desired = `#${currentHash}`;
+      if (window.location.hash !== desired) {
+        if (replace) window.location.replace(desired);
+        else window.location.hash = desired;
+      }
     }
 
     hideAllViews();
-    const shown = showView(next);
+    const shown = showView(next.view);
+    const navigation = ++navigations;
 
-    // Always dispatch so main.js can attempt to render
-    dispatchViewChanged(next);
+    if (!loaders.has(next.view) || modules.has(next.view)) {
+      // Always dispatch so main.js can attempt to render
+      dispatchViewChanged(next.view, next.params);
+      return shown;
+    }
+
+    fillView(next.view, loadingHtml());
+    this.load(next.view).then(
+      () => {
+        if (navigation === navigations) dispatchViewChanged(next.view, next.params);
+      },
+      (err) => {
+        console.error(`router: loading view "${next.view}" failed`, err);
+        if (navigation === navigations) fillView(next.view, loadFailedHtml());
+      }
+    );
 
     return shown;
   },
 
+  /**
+   * Registers how to import each view's module: { view: () => Promise<module> }.
+   */
+  setLoaders(map) {
+    Object.entries(map || {}).forEach(([view, load]) => loaders.set(view, load));
+  },
+
+  /**
+   * Imports `view`'s module (once; concurrent callers share the import).
+   */
+  load(view) {
+    if (modules.has(view)) return Promise.resolve(modules.get(view));
+    if (!loaders.has(view)) return Promise.reject(new Error(`No module registered for view "${view}".`));
+
+    if (!pending.has(view)) {
+      const importing = Promise.resolve()
+        .then(() => loaders.get(view)())
+        .then((module) => {
+          if (!module) throw new Error(`The module for view "${view}" is empty.`);
+          modules.set(view, module);
+          return module;
+        })
+        .finally(() => pending.delete(view));
+      pending.set(view, importing);
+    }
+    return pending.get(view);
+  },
+
+  /**
+   * `view`'s module once loaded, else null.
+   */
+  getModule(view) {
+    return modules.get(view) || null;
+  },
+
+  /**
+   * Reopens the current hash (the Retry button after a failed import).
+   */
+  retry() {
+    return this.navigate(currentHash, false);
+  },
+
   getCurrentView() {
     return currentView;
   },
 
+  /**
+   * Params of the current route ({} for flat views), e.g. { category, id } on a detail page.
+   */
+  getParams() {
+    return { ...currentParams };
+  },
+
+  /**
+   * The query `view` is shown with: the URL's while it is open, else the one
+   * it had last ({} when none). Values are strings.
+   */
+  getQuery(view = currentView) {
+    return view === currentView ? { ...currentQuery } : parseQuery(lastQueries.get(view));
+  },
+
+  /**
+   * Replaces `view`'s query (blank values dropped). Updates the URL in place
+   * when the view is open: no history entry, no view-changed.
+   */
+  setQuery(view, values = {}) {
+    const search = queryString(values);
+    lastQueries.set(view, search);
+    if (view !== currentView) return;
+
+    currentQuery = parseQuery(search);
+    currentHash = search ? `${currentPath}?${search}` : currentPath;
+    try {
+      window.history.replaceState(window.history.state, '', `#${currentHash}`);
+    } catch (_) {
+      // sandboxed frames may refuse; the in-app state is still updated
+    }
+  },
+
+  /**
+   * Hash link to a flat view with the query it was last shown with ('#properties?llc=abc').
+   */
+  viewHref(view) {
+    const search = lastQueries.get(view);
+    return search ? `#${view}?${search}` : `#${view}`;
+  },
+
+  /**
+   * Hash link to a record's detail page ('#deals/abc'), or null when the
+   * category has none.
+   */
+  recordHref(category, id) {
+    const route = ROUTES.find(r => r.view === 'record' && r.params?.category === category);
+    return route && id !== undefined && id !== null ? `#${pathFor(route.pattern, { id })}` : null;
+  },
+
+  /**
+   * Opens a record's detail page.
+   */
+  openRecord(category, id) {
+    const href = this.recordHref(category, id);
+    return href ? this.navigate(href) : false;
+  },
+
+  /**
+   * Opens a parameterized route: go('deal-analyzer/:id', { id }).
+   */
+  go(pattern, params = {}) {
+    return this.navigate(pathFor(pattern, params));
+  },
+
+  /**
+   * Installs the view guard and re-checks the current view against it.
+   */
+  setGuard(fn) {
+    guard = typeof fn === 'function' ? fn : null;
+    this.recheck();
+  },
+
+  /**
+   * Re-applies the guard (e.g. after sign-in or a role change). A redirect
+   * page goes back to its `from` hash when that would now land elsewhere.
+   */
+  recheck() {
+    const from = currentQuery.from ? resolve(currentQuery.from) : null;
+    if (from) {
+      const verdict = verdictFor(from.view, from.params);
+      const target = verdict === true ? null : resolve(typeof verdict === 'string' ? verdict : '');
+      if (verdict === true || (target && target.path !== currentPath)) {
+        this.navigate(currentQuery.from, true, { replace: true });
+        return;
+      }
+    }
+
+    if (!isAllowed(currentView, currentParams)) this.navigate(currentHash, true, { replace: true });
+  },
+
+  canNavigate(view) {
+    const next = resolve(view);
+    return !!next && isAllowed(next.view, next.params);
+  },
+
   getViews() {
     return [...views];
   }
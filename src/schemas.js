@@ -0,0 +1,234 @@
+/**
+ * src/schemas.js
+ * Declarative field schemas per collection, enforced by stateManager.add/update.
+ *
+ * A schema lists the fields we know about; anything else on a record is left
+ * alone. Each field can declare:
+ *   type      string | number | integer | boolean | enum | date (YYYY-MM-DD) | email | url | array
+ *   required  blank ('' / null / undefined) is an error
+ *   min, max  numeric range (inclusive); `percent: true` words it as a percentage of 0–1
+ *   values    allowed values for enum
+ *   pattern   RegExp for strings (+ `hint` for the message)
+ *   label     how the field is named in messages
+ *   sensitive encrypted at rest once the workspace has a key (fieldCrypto.js);
+ *             sealed values skip the other checks. `mask` picks the masked
+ *             display: 'last4' (default) or 'hidden' for free text
+ *
+ * validateRecord() returns structured errors ([{ field, message }]);
+ * stateManager throws them as a ValidationError, which modalManager shows
+ * inline next to the input carrying the matching data-field attribute.
+ */
+import { isSealed } from './fieldCrypto.js';
+
+export const DEAL_STAGES = [
+  'Sourced', 'Underwriting', 'LOI Sent', 'Counter Received', 'LOI Accepted', 'Awaiting DD Docs',
+  'Due Diligence Started', 'DD LOI Modifications Needed', 'Offer Accepted', 'Closing', 'Closed', 'Asset Mgmt'
+];
+
+export const SCHEMAS = {
+  deals: {
+    name: { type: 'string', required: true, label: 'Deal name' },
+    address: { type: 'string', label: 'Address' },
+    stage: { type: 'enum', values: DEAL_STAGES, label: 'Pipeline stage' },
+    purchase_price: { type: 'number', min: 0, label: 'Purchase price' },
+    total_capex: { type: 'number', min: 0, label: 'Rehab budget' },
+    closing_costs: { type: 'number', min: 0, label: 'Closing costs' },
+    loan_amount: { type: 'number', min: 0, label: 'Loan amount' },
+    units: { type: 'integer', min: 0, label: 'Units' },
+    proforma_noi: { type: 'number', label: 'Pro-forma NOI' },
+    annual_gross_income: { type: 'number', min: 0, label: 'Annual gross income' },
+    annual_expenses: { type: 'number', min: 0, label: 'Annual expenses' },
+    annual_debt_service: { type: 'number', min: 0, label: 'Annual debt service' }
+  },
+
+  properties: {
+    name: { type: 'string', required: true, label: 'Property name' },
+    llc_id: { type: 'string', label: 'Owning LLC' },
+    owning_llc: { type: 'string', label: 'Owning LLC' },
+    valuation: { type: 'number', min: 0, label: 'Valuation' },
+    loan_balance: { type: 'number', min: 0, label: 'Loan balance' },
+    units: { type: 'integer', min: 0, label: 'Units' },
+    occupancy: { type: 'number', min: 0, max: 100, label: 'Occupancy %' },
+    actual_noi: { type: 'number', label: 'Actual NOI' }
+  },
+
+  investors: {
+    name: { type: 'string', required: true, label: 'Investor name' },
+    email: { type: 'email', label: 'Email' },
+    phone: { type: 'string', label: 'Phone' },
+    type: { type: 'enum', values: ['LP', 'GP', 'JV'], label: 'Type' },
+    total_invested: { type: 'number', min: 0, label: 'Total invested' },
+    accredited: { type: 'boolean', label: 'Accredited' },
+    assumed_stake: { type: 'number', min: 0, max: 1, percent: true, label: 'Assumed stake' },
+    assumed_yield: { type: 'number', min: 0, max: 1, percent: true, label: 'Assumed yield' },
+    deal_count: { type: 'integer', min: 0, label: 'Deal count' },
+    tin: {
+      type: 'string', pattern: /^(\d{3}-?\d{2}-?\d{4}|\d{2}-?\d{7})$/,
+      hint: '9 digits (123-45-6789 or 12-3456789)', label: 'SSN / TIN', sensitive: true
+    },
+    bank_routing: { type: 'string', pattern: /^\d{9}$/, hint: '9 digits', label: 'Bank routing number', sensitive: true },
+    bank_account: { type: 'string', pattern: /^\d{4,17}$/, hint: '4 to 17 digits', label: 'Bank account number', sensitive: true },
+    notes: { type: 'string', label: 'Investor notes', sensitive: true, mask: 'hidden' }
+  },
+
+  contacts: {
+    name: { type: 'string', required: true, label: 'Name' },
+    company: { type: 'string', label: 'Company' },
+    category: {
+      type: 'enum',
+      values: ['Broker', 'Lender', 'Attorney', 'Property Manager', 'Contractor', 'Insurance', 'General'],
+      label: 'Category'
+    },
+    phone: { type: 'string', label: 'Phone' },
+    email: { type: 'email', label: 'Email' },
+    notes: { type: 'string', label: 'Notes' }
+  },
+
+  tasks: {
+    title: { type: 'string', required: true, label: 'Task title' },
+    due_date: { type: 'date', required: true, label: 'Deadline' },
+    priority: { type: 'enum', values: ['Low', 'Medium', 'High'], label: 'Priority' },
+    linked_deal: { type: 'string', label: 'Linked deal' },
+    completed: { type: 'boolean', label: 'Completed' }
+  },
+
+  llcs: {
+    name: { type: 'string', required: true, label: 'Entity name' },
+    state_of_inc: { type: 'string', pattern: /^[A-Z]{2}$/, hint: 'a two-letter state code', label: 'State of organization' },
+    ein: { type: 'string', pattern: /^\d{2}-?\d{7}$/, hint: 'in the form 12-3456789', label: 'EIN', sensitive: true },
+    manager: { type: 'string', label: 'Managing member' }
+  },
+
+  projects: {
+    name: { type: 'string', required: true, label: 'Project name' },
+    property: { type: 'string', label: 'Property' },
+    budget: { type: 'number', min: 0, label: 'Budget' },
+    spent: { type: 'number', min: 0, label: 'Spent' },
+    lead: { type: 'string', label: 'Lead' },
+    status: { type: 'enum', values: ['Active', 'Paused', 'Completed', 'Cancelled'], label: 'Status' },
+    percent_complete: { type: 'number', min: 0, max: 100, label: 'Percent complete' }
+  },
+
+  vault: {
+    name: { type: 'string', required: true, label: 'Document name' },
+    category: { type: 'enum', values: ['Due Diligence', 'Legal', 'Operations', 'Financial', 'General'], label: 'Category' },
+    linked_to: { type: 'string', label: 'Linked property' },
+    url: { type: 'url', required: true, label: 'Document URL' },
+    revisions: { type: 'array', label: 'Revisions' }
+  }
+};
+
+/**
+ * [[field, rule]] for the collection's sensitive fields.
+ */
+export function sensitiveFields(category) {
+  return Object.entries(SCHEMAS[category] || {}).filter(([, rule]) => rule.sensitive);
+}
+
+/**
+ * Thrown by stateManager.add/update when a record fails its schema.
+ * `errors` is [{ field, message }].
+ */
+export class ValidationError extends Error {
+  constructor(category, errors) {
+    super(errors.map(e => e.message).join(' '));
+    this.name = 'ValidationError';
+    this.category = category;
+    this.errors = errors;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isIsoDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!m) return false;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return d.getFullYear() === Number(m[1]) && d.getMonth() === Number(m[2]) - 1 && d.getDate() === Number(m[3]);
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+function rangeMessage(label, rule) {
+  const fmt = n => (rule.percent ? `${n * 100}%` : String(n));
+  const hasMin = rule.min !== undefined;
+  const hasMax = rule.max !== undefined;
+  if (hasMin && hasMax) return `${label} must be between ${fmt(rule.min)} and ${fmt(rule.max)}.`;
+  if (hasMin) return rule.min === 0 ? `${label} cannot be negative.` : `${label} must be at least ${fmt(rule.min)}.`;
+  return `${label} must be at most ${fmt(rule.max)}.`;
+}
+
+// One field against its rule; returns a message or null
+function checkField(rule, value, label) {
+  if (isBlank(value)) return rule.required ? `${label} is required.` : null;
+  // Checked before it was encrypted; the ciphertext matches no pattern
+  if (rule.sensitive && isSealed(value)) return null;
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${label} must be text.`;
+      if (rule.pattern && !rule.pattern.test(value.trim())) return `${label} must be ${rule.hint || 'in the expected format'}.`;
+      return null;
+
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number.`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${label} must be a whole number.`;
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return rangeMessage(label, rule);
+      }
+      return null;
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${label} must be yes or no.`;
+
+    case 'enum':
+      return rule.values.includes(value) ? null : `${label} must be one of: ${rule.values.join(', ')}.`;
+
+    case 'date':
+      return isIsoDate(value) ? null : `${label} must be a valid date.`;
+
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim()) ? null : `${label} must be a valid email address.`;
+
+    case 'url':
+      return isHttpUrl(value) ? null : `${label} must be a valid http(s) link.`;
+
+    case 'array':
+      return Array.isArray(value) ? null : `${label} must be a list.`;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validates `record` against the collection's schema.
+ * `{ fields: [...] }` limits the check to those keys (used for partial updates,
+ * so legacy values in untouched fields never block an edit).
+ * Returns [{ field, message }] (empty = valid; unknown collections always pass).
+ */
+export function validateRecord(category, record, opts = {}) {
+  const schema = SCHEMAS[category];
+  if (!schema) return [];
+
+  const keys = opts.fields ? opts.fields.filter(k => k in schema) : Object.keys(schema);
+
+  return keys
+    .map((field) => {
+      const rule = schema[field];
+      const message = checkField(rule, record?.[field], rule.label || field);
+      return message ? { field, message } : null;
+    })
+    .filter(Boolean);
+}
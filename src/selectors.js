@@ -0,0 +1,380 @@
+/**
+ * src/selectors.js
+ * Derived data the views share: portfolio totals, per-LLC rollups, the deal
+ * pipeline by stage, investor holdings, everything linked to one record
+ * (its detail page) and the command palette's search index, plus a
+ * declarative query over any collection.
+ *
+ * A selector declares the collections it reads (`deps`) and a pure
+ * compute(state, ...args). stateManager.select()/query() memoize each result
+ * per argument list and recompute only after one of those collections
+ * changed, so every view asking for "portfolio AUM" gets the same cached
+ * number instead of reducing the properties array on each render. Results are
+ * shared between callers: treat them as read-only.
+ *
+ * Query spec (all parts optional, must be JSON-serializable, it is the cache key):
+ *   where   { field: value | { eq, ne, in, gt, gte, lt, lte, contains } }
+ *   search  { text, fields: [...] }         case-insensitive substring on any field
+ *   sort    { field, dir: 'asc' | 'desc' }  or an array of those
+ *   limit   number
+ *   groupBy field                           -> [{ key, records }] instead of records
+ * Numeric operators compare numbers ("1,250" counts as 1250, blanks as 0).
+ * DERIVED_FIELDS adds computed fields (e.g. properties.cap_rate) usable anywhere a field is.
+ */
+import { RELATIONS, isLinked } from './relations.js';
+import { isSealed } from './fieldCrypto.js';
+
+export function num(value) {
+  const n = typeof value === 'string' ? Number(value.replace(/,/g, '').trim()) : Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function normalizeKey(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function list(state, category) {
+  return Array.isArray(state?.[category]) ? state[category] : [];
+}
+
+// Cap rate in percent; 0 when either side is missing
+function capRate(p) {
+  const valuation = num(p?.valuation);
+  const noi = num(p?.actual_noi);
+  return valuation > 0 && noi > 0 ? (noi / valuation) * 100 : 0;
+}
+
+export const DERIVED_FIELDS = {
+  properties: {
+    cap_rate: capRate,
+    equity: p => Math.max(num(p?.valuation) - num(p?.loan_balance), 0)
+  }
+};
+
+function fieldValue(category, record, field) {
+  const derived = DERIVED_FIELDS[category]?.[field];
+  return derived ? derived(record) : record?.[field];
+}
+
+const NUMERIC_OPS = { gt: (a, b) => a > b, gte: (a, b) => a >= b, lt: (a, b) => a < b, lte: (a, b) => a <= b };
+
+function matchesCondition(value, cond) {
+  if (cond === null || typeof cond !== 'object' || Array.isArray(cond)) {
+    return String(value ?? '') === String(cond ?? '');
+  }
+
+  return Object.entries(cond).every(([op, expected]) => {
+    if (expected === undefined) return true;
+    if (NUMERIC_OPS[op]) return NUMERIC_OPS[op](num(value), num(expected));
+    if (op === 'eq') return String(value ?? '') === String(expected ?? '');
+    if (op === 'ne') return String(value ?? '') !== String(expected ?? '');
+    if (op === 'in') return (expected || []).map(String).includes(String(value ?? ''));
+    if (op === 'contains') return normalizeKey(value).includes(normalizeKey(expected));
+    return true;
+  });
+}
+
+function compareBy(category, sorts) {
+  return (a, b) => {
+    for (const { field, dir } of sorts) {
+      const av = fieldValue(category, a, field);
+      const bv = fieldValue(category, b, field);
+      const numeric = typeof av === 'number' || typeof bv === 'number';
+      const diff = numeric ? num(av) - num(bv) : String(av ?? '').localeCompare(String(bv ?? ''));
+      if (diff !== 0) return dir === 'desc' ? -diff : diff;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Runs a query spec over `records` (see the header for the spec).
+ */
+export function runQuery(category, records, spec = {}) {
+  let out = Array.isArray(records) ? records : [];
+
+  const where = Object.entries(spec.where || {}).filter(([, cond]) => cond !== undefined);
+  if (where.length) {
+    out = out.filter(r => where.every(([field, cond]) => matchesCondition(fieldValue(category, r, field), cond)));
+  }
+
+  const text = normalizeKey(spec.search?.text);
+  if (text) {
+    const fields = spec.search.fields?.length ? spec.search.fields : ['name'];
+    out = out.filter(r => fields.some(f => normalizeKey(fieldValue(category, r, f)).includes(text)));
+  }
+
+  if (spec.sort) {
+    const sorts = Array.isArray(spec.sort) ? spec.sort : [spec.sort];
+    out = [...out].sort(compareBy(category, sorts));
+  }
+
+  if (Number.isFinite(spec.limit)) out = out.slice(0, Math.max(0, spec.limit));
+
+  if (spec.groupBy) {
+    const groups = new Map();
+    out.forEach((r) => {
+      const key = String(fieldValue(category, r, spec.groupBy) ?? '');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    });
+    return [...groups.entries()].map(([key, grouped]) => ({ key, records: grouped }));
+  }
+
+  return out;
+}
+
+// Sums over a set of properties
+function propertyTotals(properties) {
+  const count = properties.length;
+  const valuation = properties.reduce((sum, p) => sum + num(p?.valuation), 0);
+  const debt = properties.reduce((sum, p) => sum + num(p?.loan_balance), 0);
+  const equity = Math.max(valuation - debt, 0);
+  const caps = properties.map(capRate).filter(c => c > 0);
+
+  return {
+    count,
+    units: properties.reduce((sum, p) => sum + Math.trunc(num(p?.units)), 0),
+    valuation,
+    debt,
+    equity,
+    noi: properties.reduce((sum, p) => sum + num(p?.actual_noi), 0),
+    avgOccupancy: count ? properties.reduce((sum, p) => sum + num(p?.occupancy), 0) / count : 0,
+    avgCapRate: caps.length ? caps.reduce((a, b) => a + b, 0) / caps.length : 0,
+    debtToEquity: equity > 0 ? debt / equity : 0
+  };
+}
+
+/**
+ * True when property `p` is titled to `llc` (by llc_id, or by owning_llc name for older records).
+ */
+export function isOwnedBy(p, llc) {
+  const llcId = String(llc?.id ?? '');
+  if (llcId && String(p?.llc_id ?? '') === llcId) return true;
+
+  const owning = normalizeKey(p?.owning_llc);
+  return !!owning && owning === normalizeKey(llc?.name);
+}
+
+// "investors: John Smith | Mary Jones" in property notes
+function investorTags(notes) {
+  const m = String(notes ?? '').match(/investors\s*:\s*([^\n\r]+)/i);
+  if (!m) return [];
+  return m[1].split('|').map(x => x.trim()).filter(Boolean);
+}
+
+/**
+ * Property <-> investor matching, strongest signal first:
+ * 1) property.investors lists the investor's id or name
+ * 2) tagged in the property's notes
+ * 3) legacy: the name appears in notes or owning_llc
+ */
+export function isHeldBy(p, investor) {
+  const id = String(investor?.id ?? '').trim();
+  const name = normalizeKey(investor?.name);
+
+  if (Array.isArray(p?.investors)) {
+    const entries = p.investors.map(x => String(x ?? '').trim()).filter(Boolean);
+    if (id && entries.includes(id)) return true;
+    if (name && entries.some(x => normalizeKey(x) === name)) return true;
+  }
+
+  if (!name) return false;
+  if (investorTags(p?.notes).some(x => normalizeKey(x) === name)) return true;
+  return normalizeKey(p?.notes).includes(name) || normalizeKey(p?.owning_llc).includes(name);
+}
+
+// Which uploads `meta` key ties an upload to a record of each category
+const UPLOAD_LINKS = {
+  deals: 'dealId',
+  properties: 'propertyId',
+  investors: 'investorId',
+  llcs: 'llcId',
+  projects: 'projectId'
+};
+
+// Everything a detail page shows next to the record itself
+function recordLinks(state, category, id) {
+  const key = String(id ?? '');
+  const live = list(state, category).find(r => String(r?.id) === key) || null;
+  const trashed = live ? null
+    : list(state, 'trash').find(t => t?.category === category && String(t.record?.id) === key) || null;
+  const record = live || trashed?.record || null;
+
+  const out = { record, trashed, related: [], tasks: [], documents: [], uploads: [], activity: [] };
+  if (!record) return out;
+
+  const add = (label, cat, records) => {
+    if (cat === 'tasks') out.tasks.push(...records);
+    else if (cat === 'vault') out.documents.push(...records);
+    else if (records.length) out.related.push({ label, category: cat, records });
+  };
+
+  RELATIONS.forEach((relation) => {
+    if (relation.parent === category) {
+      add(relation.label, relation.child, list(state, relation.child).filter(c => isLinked(relation, c, record)));
+    }
+    if (relation.child === category) {
+      add(relation.parentLabel, relation.parent, list(state, relation.parent).filter(p => isLinked(relation, record, p)));
+    }
+  });
+
+  if (category === 'investors') {
+    add('Holdings', 'properties', list(state, 'properties').filter(p => isHeldBy(p, record)));
+  } else if (category === 'properties') {
+    add('Investors', 'investors', list(state, 'investors').filter(i => isHeldBy(record, i)));
+  }
+
+  const metaKey = UPLOAD_LINKS[category];
+  if (metaKey) out.uploads = list(state, 'uploads').filter(u => String(u?.meta?.[metaKey] ?? '') === key);
+
+  out.activity = list(state, 'activities').filter(a => a?.entity === category && String(a?.entityId ?? '') === key);
+  return out;
+}
+
+// Command palette search: collections and the fields matched besides the name
+const SEARCH_FIELDS = {
+  deals: { address: 'Address', stage: 'Stage', notes: 'Notes' },
+  properties: { address: 'Address', city: 'City', owning_llc: 'Owning LLC', notes: 'Notes' },
+  investors: { email: 'Email', phone: 'Phone', type: 'Type' },
+  contacts: { company: 'Company', email: 'Email', phone: 'Phone', category: 'Category', notes: 'Notes' },
+  llcs: { state_of_inc: 'State', manager: 'Managing member', notes: 'Notes' },
+  projects: { property: 'Property', lead: 'Lead', status: 'Status', notes: 'Notes' }
+};
+
+// Sensitive identifiers only match a query of the whole number (digits only),
+// so a search result never tells more than the masked value does
+const SEARCH_EXACT_FIELDS = {
+  investors: { tin: 'SSN / TIN' },
+  llcs: { ein: 'EIN' }
+};
+
+// One entry per record: { category, id, title, record, fields: [{ label, text, value }], exact: [{ label, digits }] }
+// (`text` is `value` lowercased; sealed values are left out)
+function searchIndex(state) {
+  const entries = [];
+
+  Object.entries(SEARCH_FIELDS).forEach(([category, labels]) => {
+    list(state, category).forEach((record) => {
+      if (record?.id === undefined || record?.id === null) return;
+      const title = String(record.name || record.title || 'Untitled');
+
+      const fields = [{ label: 'Name', text: title.toLowerCase(), value: title }];
+      Object.entries(labels).forEach(([field, label]) => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '' || typeof value === 'object') return;
+        fields.push({ label, text: String(value).toLowerCase(), value: String(value) });
+      });
+
+      const exact = [];
+      Object.entries(SEARCH_EXACT_FIELDS[category] || {}).forEach(([field, label]) => {
+        const value = record[field];
+        if (!value || isSealed(value)) return;
+        const digits = String(value).replace(/\D/g, '');
+        if (digits) exact.push({ label, digits });
+      });
+
+      entries.push({ category, id: String(record.id), title, record, fields, exact });
+    });
+  });
+
+  return entries;
+}
+
+export const SELECTORS = {
+  /**
+   * Totals over the properties matching `spec` (all of them by default).
+   */
+  propertyTotals: {
+    deps: ['properties'],
+    compute: (state, spec) => propertyTotals(runQuery('properties', list(state, 'properties'), spec))
+  },
+
+  /**
+   * Dashboard headline numbers: property totals plus pipeline and CapEx.
+   */
+  portfolio: {
+    deps: ['properties', 'deals', 'projects'],
+    compute: (state) => ({
+      ...propertyTotals(list(state, 'properties')),
+      dealCount: list(state, 'deals').length,
+      pipelineValue: list(state, 'deals').reduce((sum, d) => sum + num(d?.value), 0),
+      capexBudget: list(state, 'projects').reduce((sum, p) => sum + num(p?.budget), 0)
+    })
+  },
+
+  /**
+   * One row per LLC (registered entities first, then owning_llc names with no
+   * registered entity, then "Unassigned"), each with its properties and totals.
+   */
+  llcTotals: {
+    deps: ['properties', 'llcs'],
+    compute: (state, spec) => {
+      const properties = runQuery('properties', list(state, 'properties'), spec);
+      const rows = list(state, 'llcs').map(llc => ({ key: String(llc?.id ?? ''), name: String(llc?.name || 'Unnamed LLC'), llc, properties: [] }));
+      const extra = new Map();
+
+      properties.forEach((p) => {
+        const row = rows.find(r => isOwnedBy(p, r.llc));
+        if (row) {
+          row.properties.push(p);
+          return;
+        }
+        const name = String(p?.owning_llc || '').trim() || 'Unassigned';
+        const key = normalizeKey(name);
+        if (!extra.has(key)) extra.set(key, { key: `name:${key}`, name, llc: null, properties: [] });
+        extra.get(key).properties.push(p);
+      });
+
+      return [...rows, ...extra.values()].map(row => ({ ...row, ...propertyTotals(row.properties) }));
+    }
+  },
+
+  /**
+   * [{ stage, count, value }] by count desc, then stage name.
+   */
+  dealsByStage: {
+    deps: ['deals'],
+    compute: (state) => {
+      const byStage = new Map();
+      list(state, 'deals').forEach((d) => {
+        const stage = String(d?.stage || 'Unstaged').trim() || 'Unstaged';
+        const row = byStage.get(stage) || { stage, count: 0, value: 0 };
+        row.count += 1;
+        row.value += num(d?.value);
+        byStage.set(stage, row);
+      });
+      return [...byStage.values()].sort((a, b) => (b.count - a.count) || a.stage.localeCompare(b.stage));
+    }
+  },
+
+  /**
+   * { investor, properties, aum } for one investor (see isHeldBy).
+   */
+  investorHoldings: {
+    deps: ['investors', 'properties'],
+    compute: (state, investorId) => {
+      const investor = list(state, 'investors').find(i => String(i?.id) === String(investorId)) || null;
+      const properties = investor ? list(state, 'properties').filter(p => isHeldBy(p, investor)) : [];
+      return { investor, properties, aum: properties.reduce((sum, p) => sum + num(p?.valuation), 0) };
+    }
+  },
+
+  /**
+   * One record with what points at it, for its detail page:
+   * { record, trashed (its Trash entry when only there), related: [{ label, category, records }],
+   *   tasks, documents (vault), uploads, activity }. `record` is null when the id matches nothing.
+   */
+  recordLinks: {
+    deps: ['deals', 'properties', 'investors', 'contacts', 'llcs', 'projects', 'tasks', 'vault', 'uploads', 'activities', 'trash'],
+    compute: recordLinks
+  },
+
+  /**
+   * The records the command palette searches, with their searchable text (see searchIndex).
+   */
+  searchIndex: {
+    deps: Object.keys(SEARCH_FIELDS),
+    compute: searchIndex
+  }
+};
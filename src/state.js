@@ -1,15 +1,123 @@
 /**
  * src/state.js
  * The Single Source of Truth for the CRM.
- * Handles Local State, Activity Logs, and Firebase Firestore Sync.
+ * Handles Local State, Activity Logs, and Cloud Sync.
+ *
+ * Cloud layout (per-record, owned by the active workspace):
+ *   workspaces/{wsId}                     -> { name, members, ..., settings, _meta }
+ *   workspaces/{wsId}/{collection}/{id}   -> one document per record
+ *
+ * Mutations mark only the touched records dirty; the debounced push writes
+ * just those documents (plus the root meta), so no single document grows
+ * with the portfolio.
+ *
+ * Storage backend:
+ *   Documents and the signed-in user come from the active backend adapter
+ *   (backend.js): Firestore, or the local/in-memory one for demos and tests.
+ *   Paths and sync behave the same on each; "cloud" below means whichever
+ *   backend is active.
+ *
+ * Real-time sync:
+ *   Every collection (and the root doc) is watched with a live subscription. Remote
+ *   changes are three-way merged against the last cloud copy we saw (the
+ *   "base"): fields only the other device touched are taken, fields only we
+ *   touched are kept, and a conflict is raised only when both sides changed
+ *   the same field of the same record to different values.
+ *
+ * Offline-first:
+ *   State, cloud base copies and the queue of unacknowledged writes are saved
+ *   to IndexedDB (see offlineStore.js). On load the app hydrates from that
+ *   copy immediately, then connects to the backend and replays the queue. The
+ *   sidebar reads getSyncStatus()/onSyncStatus(): synced, pending, offline, error.
+ *   Signing out (clearSession) removes that copy, queue included, and empties
+ *   memory, so nothing stays behind on a shared machine.
+ *
+ * Undo/redo:
+ *   add/update/delete/updateSettings record before/after copies on an
+ *   in-memory history stack; undo()/redo() write those copies back as new
+ *   (stamped) changes, so they sync like any other edit.
+ *
+ * Trash:
+ *   delete() is a soft delete: the record moves into the `trash` collection
+ *   (with who/when + its original collection) until it is restored, purged,
+ *   or older than settings.trashRetentionDays.
+ *
+ * Schema migrations:
+ *   _meta.schemaVersion + _meta.migrations record which migrations (see
+ *   migrations.js) have run. Pending ones are applied on load, after the
+ *   device copy and again after the cloud copy arrive.
+ *
+ * Audit trail:
+ *   Every change to an audited record also queues a field-level audit entry
+ *   (before/after per field, user + device). Entries are written alongside
+ *   the records to workspaces/{wsId}/audit/{category}:{id}/entries/{entryId}, are
+ *   never trimmed, and are read back page by page (getRecordHistory).
+ *
+ * Referential integrity:
+ *   relations.js lists which records link to which (LLC -> properties,
+ *   deal -> tasks, property -> vault/projects) and whether a delete is
+ *   blocked, cascades, or clears the link. delete() applies that plan in one
+ *   undoable step; restoring the parent from Trash brings the dependents back.
+ *   scanOrphans()/repairOrphans() find and fix links that point at nothing.
+ *
+ * Validation:
+ *   add()/update() check records against schemas.js before touching state
+ *   and reject with a ValidationError ({ errors: [{ field, message }] }).
+ *   Updates only check the fields they change. Remote, undo and migration
+ *   writes are not re-validated.
+ *
+ * Workspaces + roles:
+ *   Data belongs to a workspace (see workspaces.js), not to a login. On
+ *   connect the member's workspace is resolved; accounts from before
+ *   workspaces have their users/{uid} data copied into a personal workspace
+ *   once (the old copy is left in place). Every mutation is checked against
+ *   the member's role (permissions.js) and rejects with a PermissionError;
+ *   the automatic migration/retention jobs only run on owners' devices.
+ *   A workspace that requires two-step verification (mfa.js) loads no
+ *   records for a member without it: only the root doc is watched, and the
+ *   rest syncs once the policy is met (the Firestore rules refuse it before).
+ *
+ * Bulk operations:
+ *   bulkAdd/bulkUpdate/bulkDelete validate (or check restrict rules) for the
+ *   whole batch before changing anything, then land as one push, one undo
+ *   step and one activity entry.
+ *
+ * Backup restore:
+ *   previewRestore()/restoreBackup() take a parsed JSON snapshot (see
+ *   backups.js) and merge it in or replace the live data with it (records
+ *   missing from the backup go to Trash), as one undoable step. Owners only.
+ *
+ * Field encryption:
+ *   Fields marked `sensitive` in schemas.js are sealed with the workspace
+ *   key (fieldCrypto.js) before they enter state, so the cloud, the device
+ *   copy, audit entries and backups only ever hold ciphertext. The key lives
+ *   in memory after unlockEncryption(); a locked device can still save
+ *   everything else. reveal() decrypts one value and logs that to the audit trail;
+ *   it needs a role that may edit the record.
+ *
+ * Account deletion:
+ *   deleteAccountData() removes the workspaces only this user belongs to
+ *   (records, audit trail, uploads, backups), leaves shared ones, and clears
+ *   users/{uid}, invitations to their address and the offline copy; the
+ *   sign-in account itself is deleted by auth.js afterwards.
+ *
+ * Derived data:
+ *   select()/query() serve the shared aggregates in selectors.js (portfolio
+ *   totals, per-LLC rollups, ...) memoized per collection version. Every
+ *   notify(category) bumps that collection's version ('all' bumps every
+ *   one), so a cached result lives exactly until its inputs change.
  */
-import { db, auth } from './firebase.js';
-import {
-  doc,
-  getDoc,
-  setDoc,
-  runTransaction
-} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { backend } from './backend.js';
+import { offlineStore } from './offlineStore.js';
+import { SCHEMA_VERSION, planMigrations } from './migrations.js';
+import { planDelete, scanOrphans } from './relations.js';
+import { validateRecord, ValidationError, sensitiveFields } from './schemas.js';
+import { workspaceManager, personalWorkspaceId, roleOf } from './workspaces.js';
+import { canView, canWrite, canManageWorkspace, roleLabel, PermissionError } from './permissions.js';
+import { SELECTORS, runQuery } from './selectors.js';
+import { planRestore } from './backups.js';
+import { EncryptionError, isSealed, sealValue, openValue, createKeyConfig, unlockKey } from './fieldCrypto.js';
+import { meetsMfaPolicy, requiresMfa } from './mfa.js';
 
 // ------------------------
 // 1) CLIENT INSTANCE ID
@@ -42,6 +150,36 @@ const clientInstanceId = getClientInstanceId();
 // ------------------------
 // 2) INITIAL STATE
 // ------------------------
+// Every array-valued collection below is stored as its own cloud subcollection.
+const COLLECTIONS = [
+  'deals',
+  'properties',
+  'investors',
+  'contacts',
+  'tasks',
+  'llcs',
+  'projects',
+  'vault',
+  'uploads',
+  'activities',
+  'crexiPresets',
+  'trash'
+];
+
+// Deletes from these skip the trash: activities are a log, trash purges are final,
+// and uploads have already lost their Storage file by the time the record goes.
+const HARD_DELETE = new Set(['activities', 'trash', 'uploads']);
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Collections whose changes get a field-level audit entry
+const AUDITED = new Set(['deals', 'properties', 'investors', 'contacts', 'tasks', 'llcs', 'projects', 'vault']);
+
+// Firestore caps a batch/transaction at 500 writes; stay under it.
+const MAX_WRITES_PER_COMMIT = 450;
+
+const ACTIVITY_LIMIT = 50;
+
 let state = {
   deals: [],
   properties: [],
@@ -51,12 +189,15 @@ let state = {
   llcs: [],
   projects: [],
   vault: [],
+  uploads: [],
   activities: [],
   crexiPresets: [],
+  trash: [],
   settings: {
     companyName: "Summit Capital",
     currency: "USD",
     theme: "light",
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
     // Crexi Search Launcher metadata (Option 1)
     crexiPlaceLabels: {}
   },
@@ -65,10 +206,15 @@ let state = {
   _meta: {
     clientInstanceId,   // the id of *this* device/browser
     lastUpdatedAt: null,
-    lastUpdatedBy: null
+    lastUpdatedBy: null,
+    schemaVersion: null, // set by the first migration run
+    migrations: []       // [{ id, version, appliedAt, appliedBy, records }]
   }
 };
 
+// What settings are before a workspace's load (and again after sign-out)
+const INITIAL_SETTINGS = JSON.parse(JSON.stringify(state.settings));
+
 let listeners = [];
 
 // Debounced cloud writes to reduce thrash + conflicts
@@ -78,12 +224,251 @@ const PUSH_DEBOUNCE_MS = 800;
 // Prevent writes before we've hydrated from cloud at least once
 let hydrated = false;
 
-// Track what cloud version we last pulled.
-// Used to detect "cloud newer than my local copy".
-let lastPulledCloudUpdatedAt = null;
+// Records waiting for the next push, keyed "category/id".
+// The value written is looked up at flush time: present -> set, missing -> delete.
+const dirtyRecords = new Map();
+let settingsDirty = false;
+
+// Root _meta changed on its own (e.g. a migration that touched no records)
+let metaDirty = false;
+
+// Audit entries waiting for / currently in a push
+let pendingAudit = [];
+let inFlightAudit = [];
+
+// Keys currently being committed (so a remote change arriving mid-push still merges)
+const inFlight = new Set();
+
+// Last cloud copy of each record/settings we have seen, keyed like dirtyRecords.
+// This is the common ancestor for three-way merges.
+const cloudBase = new Map();
+const SETTINGS_KEY = 'root/settings';
+
+// Unresolved same-field conflicts. Records with an open conflict are held out of pushes.
+let conflicts = [];
+let conflictListeners = [];
+
+// Active subscription unsubscribe handles
+let snapshotUnsubs = [];
+
+// Offline-first bookkeeping
+let currentUid = null;
+
+// { id, name, ownerUid, members, role } of the open workspace (null until known)
+let activeWorkspace = null;
+let workspaceListeners = [];
+let cloudReady = false;    // listeners attached + first snapshots received
+let mfaHold = false;       // records held back until the member meets the two-step policy
+let connecting = false;
+let connectivityBound = false;
+
+let persistTimer = null;
+const PERSIST_DEBOUNCE_MS = 250;
+
+// Failed pushes/connects retry with backoff (and immediately on `online`)
+let retryTimer = null;
+let retryDelayMs = 0;
+const RETRY_MIN_MS = 5000;
+const RETRY_MAX_MS = 60000;
+
+let lastSyncError = null;
+let lastSyncedAt = null;
+let syncStatusListeners = [];
+let syncStatusQueued = false;
+
+// Undo/redo history for this session (newest last)
+const HISTORY_LIMIT = 100;
+let undoStack = [];
+let redoStack = [];
+
+function recordKey(category, id) {
+  return `${category}/${id}`;
+}
+
+function parseKey(key) {
+  const [category, ...rest] = String(key).split('/');
+  return { category, id: rest.join('/') };
+}
+
+function markDirty(category, id) {
+  if (!COLLECTIONS.includes(category) || id === undefined || id === null) return;
+  dirtyRecords.set(recordKey(category, id), { category, id: String(id) });
+}
+
+function isLocallyChanged(key) {
+  if (key === SETTINGS_KEY) return settingsDirty || inFlight.has(key);
+  return dirtyRecords.has(key) || inFlight.has(key);
+}
+
+function isHeld(key) {
+  return conflicts.some(c => c.key === key);
+}
+
+// ------------------------
+// 3) CLOUD REFERENCES + SERIALIZATION
+// ------------------------
+// Backend paths (arrays of segments, see backend.js)
+function workspaceRootRef(wsId) {
+  return ["workspaces", wsId];
+}
+
+function recordRef(wsId, category, id) {
+  return ["workspaces", wsId, category, String(id)];
+}
+
+function auditEntriesRef(wsId, category, id) {
+  return ["workspaces", wsId, "audit", `${category}:${id}`, "entries"];
+}
+
+// Pre-workspace layout: everything lived under the user's own document
+function legacyUserRef(uid) {
+  return ["users", uid];
+}
+
+function legacyRecordRef(uid, category, id) {
+  return ["users", uid, category, String(id)];
+}
+
+function currentUser() {
+  return backend().currentUser();
+}
+
+// Firestore rejects `undefined`; a JSON round-trip drops those keys and
+// leaves the plain data shape the rest of the app already expects.
+function toCloudRecord(record) {
+  return JSON.parse(JSON.stringify(record ?? {}));
+}
+
+function findRecord(category, id) {
+  const list = Array.isArray(state[category]) ? state[category] : [];
+  return list.find(item => String(item?.id) === String(id)) || null;
+}
+
+function rootPayload() {
+  return {
+    settings: toCloudRecord(state.settings),
+    _meta: toCloudRecord(state._meta)
+  };
+}
+
+function ensureArrays() {
+  COLLECTIONS.forEach((key) => {
+    state[key] = Array.isArray(state[key]) ? state[key] : [];
+  });
+}
+
+// Who/when wrote a record last; shown in the conflict dialog
+function stampRecord(record) {
+  return {
+    ...record,
+    updatedAt: new Date().toISOString(),
+    updatedBy: clientInstanceId,
+    updatedByEmail: currentUser()?.email || null
+  };
+}
+
+function sortActivities() {
+  state.activities = [...state.activities]
+    .sort((a, b) => String(b?.at || '').localeCompare(String(a?.at || '')))
+    .slice(0, ACTIVITY_LIMIT);
+}
+
+// Subcollection reads come back in document-id order; keep newest-first like the old arrays
+function sortNewestFirst(category) {
+  if (category === 'activities') {
+    sortActivities();
+    return;
+  }
+  const created = (r) => String(r?.createdAt || r?.created_at || '');
+  state[category] = [...state[category]].sort((a, b) => created(b).localeCompare(created(a)));
+}
+
+/**
+ * One-time move from the legacy single-document layout (arrays stored on
+ * users/{uid}) to per-record subcollection documents.
+ */
+async function migrateLegacyRootDocument(uid, cloudData) {
+  const legacyKeys = COLLECTIONS.filter(key => Array.isArray(cloudData?.[key]));
+  if (legacyKeys.length === 0) return false;
+
+  const writes = [];
+  legacyKeys.forEach((category) => {
+    cloudData[category].forEach((item) => {
+      if (!item || typeof item !== 'object') return;
+      const id = item.id !== undefined && item.id !== null && String(item.id) !== ''
+        ? String(item.id)
+        : makeId(category);
+      writes.push({ ref: legacyRecordRef(uid, category, id), data: toCloudRecord({ ...item, id }) });
+    });
+  });
+
+  await commitWrites(writes);
+
+  // Strip the arrays off the root doc only after every record is safely written.
+  const strip = Object.fromEntries(legacyKeys.map(key => [key, backend().deleteField()]));
+  await backend().save(legacyUserRef(uid), strip, { merge: true });
+
+  console.log(`[State] Migrated ${writes.length} records to per-record storage.`);
+  return true;
+}
+
+async function commitWrites(writes) {
+  for (let i = 0; i < writes.length; i += MAX_WRITES_PER_COMMIT) {
+    await backend().transaction(writes.slice(i, i + MAX_WRITES_PER_COMMIT).map(w => ({ path: w.ref, data: w.data })));
+  }
+}
+
+/**
+ * One-time copy of a pre-workspace account (users/{uid} + its records and
+ * audit trail) into the user's personal workspace. users/{uid}.workspaceId
+ * marks it done; the old documents are left untouched as a fallback.
+ */
+async function moveLegacyUserData(user) {
+  const uid = user.uid;
+  const legacy = await backend().load(legacyUserRef(uid));
+  if (!legacy || legacy.workspaceId) return false;
+
+  // Oldest accounts still keep their arrays on the root doc
+  await migrateLegacyRootDocument(uid, legacy);
+
+  const workspace = await workspaceManager.createPersonal(user, { name: legacy.settings?.companyName });
+  const wsId = workspace.id;
+
+  const writes = [];
+  const audited = [];
+  for (const category of COLLECTIONS) {
+    const { docs } = await backend().query(["users", uid, category]);
+    docs.forEach((d) => {
+      const data = d.data;
+      writes.push({ ref: recordRef(wsId, category, d.id), data });
+      if (AUDITED.has(category)) audited.push([category, d.id]);
+      if (category === 'trash' && AUDITED.has(data.category) && data.record?.id !== undefined) {
+        audited.push([data.category, String(data.record.id)]);
+      }
+    });
+  }
+
+  for (const [category, id] of audited) {
+    const { docs: entries } = await backend().query(["users", uid, "audit", `${category}:${id}`, "entries"]);
+    entries.forEach((e) => {
+      writes.push({ ref: [...auditEntriesRef(wsId, category, id), e.id], data: e.data });
+    });
+  }
+
+  await commitWrites(writes);
+
+  const root = {};
+  if (legacy.settings) root.settings = legacy.settings;
+  if (legacy._meta) root._meta = legacy._meta;
+  if (Object.keys(root).length) await backend().save(workspaceRootRef(wsId), root, { merge: true });
+
+  await backend().save(legacyUserRef(uid), { workspaceId: wsId, workspaceMigratedAt: new Date().toISOString() }, { merge: true });
+  console.log(`[State] Moved ${writes.length} documents into workspace ${wsId}.`);
+  return true;
+}
 
 // ------------------------
-// 3) ACTIVITY LOGGING
+// 4) ACTIVITY LOGGING
 // ------------------------
 function addActivity({ text, type = 'info', entity = null, entityId = null }) {
   const activity = {
@@ -95,258 +480,2430 @@ function addActivity({ text, type = 'info', entity = null, entityId = null }) {
     entityId
   };
 
-  state.activities = [activity, ...(state.activities || [])].slice(0, 50);
+  const all = [activity, ...(state.activities || [])];
+  state.activities = all.slice(0, ACTIVITY_LIMIT);
+
+  // New entry is written; entries pushed past the cap are deleted in the cloud too.
+  markDirty('activities', activity.id);
+  all.slice(ACTIVITY_LIMIT).forEach(a => markDirty('activities', a?.id));
 }
 
 // ------------------------
-// 4) CONFLICT-SAFE PUSH
+// 5) AUDIT TRAIL
 // ------------------------
-async function pushToCloudTransactionSafe() {
-  const user = auth.currentUser;
-  if (!user) return;
-  if (!hydrated) return;
+function diffFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter(k => !SYNC_FIELDS.has(k) && !sameValue(before?.[k], after?.[k]))
+    .sort()
+    .map(field => ({ field, before: before?.[field], after: after?.[field] }));
+}
 
-  const userDocRef = doc(db, "users", user.uid);
+/**
+ * Queues one audit entry for a record change. `action` is add | update |
+ * delete | restore | revert | undo | redo | migrate (reveals: auditReveal).
+ */
+function auditChange(category, id, action, before, after) {
+  if (!AUDITED.has(category) || id === undefined || id === null) return;
 
-  try {
-    await runTransaction(db, async (tx) => {
-      const snap = await tx.get(userDocRef);
-
-      if (snap.exists()) {
-        const cloudData = snap.data() || {};
-        const cloudMeta = cloudData._meta || {};
-        const cloudUpdatedAt = cloudMeta.lastUpdatedAt || null;
-        const cloudUpdatedBy = cloudMeta.lastUpdatedBy || null;
-
-        // If cloud is newer than what we last pulled AND it was written by another client,
-        // block this write to avoid overwriting newer cloud data.
-        if (
-          cloudUpdatedAt &&
-          lastPulledCloudUpdatedAt &&
-          cloudUpdatedAt > lastPulledCloudUpdatedAt &&
-          cloudUpdatedBy &&
-          cloudUpdatedBy !== clientInstanceId
-        ) {
-          throw new Error(
-            `CONFLICT_BLOCKED: Cloud has newer data (updatedAt=${cloudUpdatedAt}, updatedBy=${cloudUpdatedBy}). ` +
-            `This client (${clientInstanceId}) last pulled ${lastPulledCloudUpdatedAt}.`
-          );
-        }
-      }
+  const changes = diffFields(before, after);
+  if (!changes.length) return;
 
-      // Stamp meta for this write
-      const nowIso = new Date().toISOString();
-      state._meta = {
-        ...state._meta,
-        clientInstanceId,
-        lastUpdatedAt: nowIso,
-        lastUpdatedBy: clientInstanceId
-      };
-
-      // Overwrite the doc with our state (transaction guarantees the conflict check above)
-      tx.set(userDocRef, state);
-    });
+  queueAuditEntry(category, id, action, after || before || {}, changes);
+}
 
-    // If the write succeeded, our local becomes the newest cloud baseline
-    lastPulledCloudUpdatedAt = state._meta.lastUpdatedAt;
-  } catch (error) {
-    // Conflict block is expected sometimes — do not crash app
-    if (String(error?.message || '').startsWith('CONFLICT_BLOCKED')) {
-      console.warn(
-        '[State] Push blocked to prevent overwriting newer cloud data.',
-        error.message
-      );
+// A reveal changes nothing; the entry names the field and who looked
+function auditReveal(category, id, field) {
+  if (!AUDITED.has(category)) return;
+  queueAuditEntry(category, id, 'reveal', findRecord(category, id) || {}, [{ field }]);
+}
+
+function queueAuditEntry(category, id, action, source, changes) {
+  const user = currentUser();
+
+  // JSON round-trip drops `undefined` (= field absent on that side)
+  pendingAudit.push(toCloudRecord({
+    id: makeId('audit'),
+    category,
+    recordId: String(id),
+    name: String(source.name || source.title || source.task || id),
+    action,
+    changes,
+    at: new Date().toISOString(),
+    by: clientInstanceId,
+    byEmail: user?.email || null,
+    byUid: user?.uid || null
+  }));
+}
+
+// ------------------------
+// 6) THREE-WAY MERGE
+// ------------------------
+// Fields that describe a write rather than the record itself never conflict.
+const SYNC_FIELDS = new Set(['id', 'updatedAt', 'updatedBy', 'updatedByEmail']);
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(k => value[k] !== undefined)
+      .sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+function sameRecordContent(a, b) {
+  const strip = (r) => {
+    const out = { ...(r || {}) };
+    SYNC_FIELDS.forEach(f => delete out[f]);
+    return out;
+  };
+  return sameValue(strip(a), strip(b));
+}
+
+function newerIso(a, b) {
+  return String(a || '') >= String(b || '') ? a : b;
+}
+
+/**
+ * Merges a remote record into the local one using `base` as the common ancestor.
+ * Any of base/local/remote may be null (record absent on that side).
+ * Returns { record, conflicts } where record is the merged value (null = deleted).
+ */
+function mergeRecord(base, local, remote) {
+  // Deletions are whole-record decisions
+  if (!local && !remote) return { record: null, conflicts: [] };
+
+  if (!remote) {
+    // Deleted in the cloud. If we edited it meanwhile, that is a conflict.
+    if (local && base && !sameRecordContent(local, base)) {
+      return { record: local, conflicts: [{ field: null, localValue: local, remoteValue: null, baseValue: base }] };
+    }
+    return { record: null, conflicts: [] };
+  }
+
+  if (!local) {
+    // Deleted here. If the other side edited it meanwhile, that is a conflict.
+    if (base && !sameRecordContent(remote, base)) {
+      return { record: null, conflicts: [{ field: null, localValue: null, remoteValue: remote, baseValue: base }] };
+    }
+    // Never seen before -> it is a new remote record
+    if (!base) return { record: remote, conflicts: [] };
+    return { record: null, conflicts: [] };
+  }
+
+  const merged = { ...local };
+  const found = [];
+  const fields = new Set([
+    ...Object.keys(base || {}),
+    ...Object.keys(local),
+    ...Object.keys(remote)
+  ]);
+
+  fields.forEach((field) => {
+    if (SYNC_FIELDS.has(field)) return;
+
+    const b = base ? base[field] : undefined;
+    const l = local[field];
+    const r = remote[field];
+
+    const localChanged = !sameValue(l, b);
+    const remoteChanged = !sameValue(r, b);
+
+    if (!remoteChanged) return;            // keep ours
+    if (!localChanged || sameValue(l, r)) { // take theirs
+      if (r === undefined) delete merged[field];
+      else merged[field] = r;
       return;
     }
-    console.error("Cloud Push Failed:", error);
+
+    found.push({ field, localValue: l, remoteValue: r, baseValue: b });
+  });
+
+  if (local.updatedAt || remote.updatedAt) merged.updatedAt = newerIso(local.updatedAt, remote.updatedAt);
+  return { record: merged, conflicts: found };
+}
+
+function putRecord(category, record) {
+  const list = Array.isArray(state[category]) ? state[category] : [];
+  const idx = list.findIndex(item => String(item?.id) === String(record.id));
+  if (idx === -1) {
+    state[category] = [record, ...list];
+  } else {
+    const next = [...list];
+    next[idx] = record;
+    state[category] = next;
   }
 }
 
-async function pushToCloudDebounced() {
-  if (!hydrated) return;
-  clearTimeout(pushTimer);
-  pushTimer = setTimeout(async () => {
-    await pushToCloudTransactionSafe();
-  }, PUSH_DEBOUNCE_MS);
+function removeRecord(category, id) {
+  const list = Array.isArray(state[category]) ? state[category] : [];
+  state[category] = list.filter(item => String(item?.id) !== String(id));
+}
+
+function raiseConflicts(key, category, id, found, remote, local) {
+  if (!found.length) return;
+
+  const detectedAt = new Date().toISOString();
+
+  // Replace any older open conflicts for the same record with the fresh comparison
+  conflicts = conflicts.filter(c => c.key !== key);
+  found.forEach((c) => {
+    conflicts.push({
+      id: makeId('conflict'),
+      key,
+      category,
+      recordId: id,
+      field: c.field,
+      localValue: c.localValue,
+      remoteValue: c.remoteValue,
+      baseValue: c.baseValue,
+      localUpdatedAt: local?.updatedAt || null,
+      localUpdatedBy: local?.updatedBy || clientInstanceId,
+      localUpdatedByEmail: local?.updatedByEmail || null,
+      remoteUpdatedAt: remote?.updatedAt || null,
+      remoteUpdatedBy: remote?.updatedBy || null,
+      remoteUpdatedByEmail: remote?.updatedByEmail || null,
+      detectedAt
+    });
+  });
+
+  console.warn(`[State] ${found.length} conflicting field(s) on ${key}; holding local changes until resolved.`);
+  conflictListeners.forEach(cb => cb([...conflicts]));
 }
 
 // ------------------------
-// 5) STATE MANAGER API
+// 7) REAL-TIME SUBSCRIPTIONS
 // ------------------------
-export const stateManager = {
-  /**
-   * Bootstraps the app state from Firestore upon login.
-   */
-  async init() {
-    const user = auth.currentUser;
-    if (!user) return;
+/**
+ * Applies one remote record change. Returns true when local state changed.
+ */
+function applyRemoteRecord(category, id, remote) {
+  const key = recordKey(category, id);
+  const local = findRecord(category, id);
+  const base = cloudBase.has(key) ? cloudBase.get(key) : null;
 
-    try {
-      const docRef = doc(db, "users", user.uid);
-      const docSnap = await getDoc(docRef);
-
-      if (docSnap.exists()) {
-        const cloudData = docSnap.data() || {};
-        const cloudMeta = cloudData._meta || {};
-
-        // Remember what cloud version we pulled so we can detect newer writes later
-        lastPulledCloudUpdatedAt = cloudMeta.lastUpdatedAt || null;
-
-        // Merge cloud data with our local skeleton to prevent errors from missing keys
-        // Deep-merge settings so defaults aren't lost
-        state = {
-          ...state,
-          ...cloudData,
-          settings: { ...state.settings, ...(cloudData.settings || {}) },
-          _meta: {
-            ...state._meta,
-            ...(cloudData._meta || {}),
-            clientInstanceId // always keep local client id
-          }
-        };
-
-        // Hard guard: ensure arrays are arrays
-        state.deals = Array.isArray(state.deals) ? state.deals : [];
-        state.properties = Array.isArray(state.properties) ? state.properties : [];
-        state.investors = Array.isArray(state.investors) ? state.investors : [];
-        state.contacts = Array.isArray(state.contacts) ? state.contacts : [];
-        state.tasks = Array.isArray(state.tasks) ? state.tasks : [];
-        state.llcs = Array.isArray(state.llcs) ? state.llcs : [];
-        state.projects = Array.isArray(state.projects) ? state.projects : [];
-        state.vault = Array.isArray(state.vault) ? state.vault : [];
-        state.activities = Array.isArray(state.activities) ? state.activities : [];
-        state.crexiPresets = Array.isArray(state.crexiPresets) ? state.crexiPresets : [];
-
-        console.log("State synchronized with Cloud.");
-      } else {
-        console.log("No cloud profile found. Creating initial record...");
-
-        // Mark hydrated first so the initial push is allowed
-        hydrated = true;
-
-        // Stamp meta for first write
-        const nowIso = new Date().toISOString();
-        state._meta = {
-          ...state._meta,
-          clientInstanceId,
-          lastUpdatedAt: nowIso,
-          lastUpdatedBy: clientInstanceId
-        };
-
-        await setDoc(docRef, state);
-        lastPulledCloudUpdatedAt = state._meta.lastUpdatedAt;
-      }
+  if (remote) cloudBase.set(key, remote);
+  else cloudBase.delete(key);
 
-      hydrated = true;
-      this.notify(state, 'all');
-    } catch (error) {
-      console.error("State Sync Error:", error);
+  // Nothing pending here -> the cloud wins outright. Timestamps are not
+  // compared: they come from each device's clock. A snapshot that repeats the
+  // base we already had brings nothing new and leaves the local copy alone.
+  if (!isLocallyChanged(key)) {
+    if (remote && local && base && sameValue(base, remote)) return false;
+    if (remote) {
+      if (local && sameValue(local, remote)) return false;
+      putRecord(category, remote);
+    } else {
+      if (!local) return false;
+      removeRecord(category, id);
     }
-  },
+    return true;
+  }
 
-  get() {
-    return state;
-  },
+  const { record, conflicts: found } = mergeRecord(base, local, remote);
 
-  /**
-   * Adds a new item to a category (deals, properties, etc.)
-   */
-  async add(category, data) {
-    const newItem = {
-      ...data,
-      id: makeId(category),
-      createdAt: new Date().toISOString()
-    };
+  if (record) putRecord(category, record);
+  else removeRecord(category, id);
 
-    state[category] = [newItem, ...(state[category] || [])];
+  if (found.length) {
+    raiseConflicts(key, category, id, found, remote, local);
+    markDirty(category, id);
+  } else if ((record && remote && sameRecordContent(record, remote)) || (!record && !remote)) {
+    // Merge converged on the cloud copy; nothing left to push
+    dirtyRecords.delete(key);
+  } else {
+    // The merged result (ours + theirs) still has to reach the cloud, even if
+    // our earlier version of this record is mid-push right now
+    markDirty(category, id);
+    pushToCloudDebounced();
+  }
 
-    addActivity({
-      text: `Added ${data?.name || 'New Item'} to ${category}`,
-      type: 'add',
-      entity: category,
-      entityId: newItem.id
-    });
+  return !sameValue(local, record);
+}
 
-    this.notify(state, category);
-    await pushToCloudDebounced();
-  },
+function applyRemoteSettings(remoteSettings) {
+  const local = state.settings;
+  const base = cloudBase.has(SETTINGS_KEY) ? cloudBase.get(SETTINGS_KEY) : null;
+  cloudBase.set(SETTINGS_KEY, remoteSettings);
 
-  /**
-   * Updates an existing item by ID
-   */
-  async update(category, id, updates) {
-    const list = Array.isArray(state[category]) ? state[category] : [];
-    const before = list.find(item => item.id === id);
+  if (!isLocallyChanged(SETTINGS_KEY)) {
+    if (sameValue(local, { ...local, ...remoteSettings })) return false;
+    state.settings = { ...local, ...remoteSettings };
+    return true;
+  }
 
-    state[category] = list.map(item =>
-      item.id === id
-        ? { ...item, ...updates, updatedAt: new Date().toISOString() }
-        : item
-    );
+  const { record, conflicts: found } = mergeRecord(base || {}, local, remoteSettings);
+  state.settings = record;
+  if (found.length) raiseConflicts(SETTINGS_KEY, 'settings', null, found, remoteSettings, local);
 
-    if (before) {
-      addActivity({
-        text: `Updated ${before?.name || 'Item'} in ${category}`,
-        type: 'update',
-        entity: category,
-        entityId: id
+  return !sameValue(local, record);
+}
+
+function watchCollection(wsId, category, onFirst) {
+  let first = true;
+
+  return backend().subscribe(
+    ["workspaces", wsId, category],
+    ({ docs, changes }) => {
+      let changed = false;
+
+      changes.forEach((change) => {
+        // Our own not-yet-acknowledged writes echo back immediately; skip them
+        if (change.pending) return;
+
+        const remote = change.type === 'removed' ? null : { ...change.data, id: change.id };
+        if (applyRemoteRecord(category, change.id, remote)) changed = true;
       });
+
+      if (first) {
+        // Cached records the cloud no longer has were deleted while we were away
+        const seen = new Set(docs.map(d => d.id));
+        (state[category] || []).map(r => String(r?.id)).filter(id => !seen.has(id)).forEach((id) => {
+          const key = recordKey(category, id);
+          if (!cloudBase.has(key) && isLocallyChanged(key)) return; // created offline, not pushed yet
+          if (applyRemoteRecord(category, id, null)) changed = true;
+        });
+      }
+
+      if (category === 'activities') sortActivities();
+
+      if (first) {
+        first = false;
+        onFirst();
+        return;
+      }
+
+      if (changed) stateManager.notify(state, category);
+    },
+    (error) => {
+      console.error(`[State] Live sync for ${category} failed:`, error);
+      lastSyncError = error;
+      emitSyncStatus();
+      if (first) {
+        first = false;
+        onFirst();
+      }
     }
+  );
+}
 
-    this.notify(state, category);
-    await pushToCloudDebounced();
-  },
+function watchRoot(wsId) {
+  return backend().subscribe(
+    workspaceRootRef(wsId),
+    ({ exists, data, pending }) => {
+      if (!exists || pending) return;
+      // Membership changes (role edits, removal) apply immediately
+      if (applyWorkspaceDoc(wsId, data)) stateManager.notify(state, 'all');
+      if (applyRemoteSettings(data.settings || {})) stateManager.notify(state, 'settings');
+      enforceMfaPolicy(wsId);
+    },
+    (error) => console.error('[State] Live sync for settings failed:', error)
+  );
+}
 
-  /**
-   * Specific handler for Global Application Settings
-   */
-  async updateSettings(updates) {
-    state.settings = { ...state.settings, ...updates };
+/**
+ * Drops the records and the device copy, and watches only the root doc, for
+ * a member who does not meet the workspace's two-step policy yet.
+ */
+function holdForMfa(wsId) {
+  stopRealtimeSync();
+  resetLocalData();
+  mfaHold = true;
+  if (currentUid) offlineStore.clear(currentUid).catch(error => console.warn('[State] Clearing the device copy failed:', error));
+  snapshotUnsubs.push(watchRoot(wsId));
+}
 
-    addActivity({
-      text: `Updated settings`,
-      type: 'update',
-      entity: 'settings',
-      entityId: null
+// The policy changed while connected. A hold only lifts with the policy:
+// a factor set up in this session does not count until the next sign-in
+// (the rules look for it on the session's token).
+function enforceMfaPolicy(wsId) {
+  if (!mfaHold && !meetsMfaPolicy(state.settings)) {
+    holdForMfa(wsId);
+    stateManager.notify(state, 'all');
+  } else if (mfaHold && !requiresMfa(state.settings)) {
+    mfaHold = false;
+    startRealtimeSync(wsId).then(() => {
+      ensureArrays();
+      COLLECTIONS.forEach(sortNewestFirst);
+      stateManager.notify(state, 'all');
     });
+  }
+}
 
-    this.notify(state, 'settings');
-    await pushToCloudDebounced();
-  },
+/**
+ * Opens one listener per collection and resolves once each has delivered its
+ * first snapshot (which doubles as the initial load).
+ */
+function startRealtimeSync(wsId) {
+  stopRealtimeSync();
 
-  /**
-   * Deletes an item from a category
-   */
-  async delete(category, id) {
-    const list = Array.isArray(state[category]) ? state[category] : [];
-    const before = list.find(item => item.id === id);
+  const ready = COLLECTIONS.map(category => new Promise((resolve) => {
+    snapshotUnsubs.push(watchCollection(wsId, category, resolve));
+  }));
+  snapshotUnsubs.push(watchRoot(wsId));
 
-    state[category] = list.filter(item => item.id !== id);
+  return Promise.all(ready);
+}
 
-    addActivity({
-      text: `Deleted ${before?.name || 'Item'} from ${category}`,
-      type: 'delete',
-      entity: category,
-      entityId: id
-    });
+function stopRealtimeSync() {
+  snapshotUnsubs.forEach((unsub) => {
+    try { unsub(); } catch (_) {}
+  });
+  snapshotUnsubs = [];
+}
 
-    this.notify(state, category);
-    await pushToCloudDebounced();
-  },
+// ------------------------
+// 8) CLOUD PUSH
+// ------------------------
+async function pushToCloud() {
+  const user = currentUser();
+  if (!user || !activeWorkspace?.id) return;
+  if (!hydrated || !cloudReady || mfaHold) return;
 
-  /**
-   * Observer Pattern: Allows modules to listen for state changes
-   */
-  subscribe(callback) {
-    listeners.push(callback);
-    // Immediate trigger so the module can render its initial view
-    callback(state, 'all');
+  // Records with an unresolved conflict wait for the user's decision
+  const pending = [...dirtyRecords.values()].filter(p => !isHeld(recordKey(p.category, p.id)));
+  const pendingSettings = settingsDirty && !isHeld(SETTINGS_KEY);
+  const pendingMeta = metaDirty;
+  if (pending.length === 0 && !pendingSettings && !pendingMeta && !pendingAudit.length) return;
+  metaDirty = false;
+
+  const audit = pendingAudit;
+  pendingAudit = [];
+  inFlightAudit = [...inFlightAudit, ...audit];
+
+  // Move to in-flight; anything marked during the await lands in the next push.
+  pending.forEach((p) => {
+    const key = recordKey(p.category, p.id);
+    dirtyRecords.delete(key);
+    inFlight.add(key);
+  });
+  if (pendingSettings) {
+    settingsDirty = false;
+    inFlight.add(SETTINGS_KEY);
+  }
+
+  // The root meta write counts against the per-commit limit as well.
+  const writes = [
+    ...pending.map(p => ({ kind: 'record', ...p })),
+    ...audit.map(entry => ({ kind: 'audit', entry }))
+  ];
+  const chunks = [];
+  for (let i = 0; i < writes.length; i += MAX_WRITES_PER_COMMIT - 1) {
+    chunks.push(writes.slice(i, i + MAX_WRITES_PER_COMMIT - 1));
+  }
+  if (chunks.length === 0) chunks.push([]);
+
+  emitSyncStatus();
+
+  try {
+    for (const chunk of chunks) {
+      await commitChunk(activeWorkspace.id, chunk, pendingSettings);
+    }
+    lastSyncError = null;
+    lastSyncedAt = new Date().toISOString();
+    retryDelayMs = 0;
+  } catch (error) {
+    // Put the unwritten records back so the next push retries them
+    pending.forEach(p => markDirty(p.category, p.id));
+    if (pendingSettings) settingsDirty = true;
+    if (pendingMeta) metaDirty = true;
+    // Entry ids are fixed, so re-writing ones that did land is harmless
+    pendingAudit = [...audit, ...pendingAudit];
+    lastSyncError = error;
+    scheduleRetry();
+    console.error("Cloud Push Failed:", error);
+  } finally {
+    pending.forEach(p => inFlight.delete(recordKey(p.category, p.id)));
+    inFlight.delete(SETTINGS_KEY);
+    inFlightAudit = inFlightAudit.filter(e => !audit.includes(e));
+    persistLocalDebounced();
+  }
+}
+
+async function commitChunk(wsId, chunk, pendingSettings) {
+  const writes = [];
+  const written = [];
+
+  // Stamp meta for this write
+  const nowIso = new Date().toISOString();
+  state._meta = {
+    ...state._meta,
+    clientInstanceId,
+    lastUpdatedAt: nowIso,
+    lastUpdatedBy: clientInstanceId
+  };
+
+  // Write only the touched records (+ their audit entries)
+  chunk.forEach(({ kind, category, id, entry }) => {
+    if (kind === 'audit') {
+      writes.push({ path: [...auditEntriesRef(wsId, entry.category, entry.recordId), entry.id], data: entry });
+      return;
+    }
+
+    const record = findRecord(category, id);
+    const ref = recordRef(wsId, category, id);
+    const data = record ? toCloudRecord(record) : null;
+    writes.push(data ? { path: ref, data } : { path: ref, remove: true });
+    written.push([recordKey(category, id), data]);
+  });
+
+  // Root doc carries only meta (+ settings when they changed)
+  const rootUpdate = pendingSettings ? rootPayload() : { _meta: toCloudRecord(state._meta) };
+  writes.push({ path: workspaceRootRef(wsId), data: rootUpdate, merge: true });
+
+  await backend().transaction(writes);
+
+  // What we wrote is now the cloud copy other devices will merge against
+  written.forEach(([key, data]) => {
+    if (data) cloudBase.set(key, data);
+    else cloudBase.delete(key);
+  });
+  if (pendingSettings) cloudBase.set(SETTINGS_KEY, rootUpdate.settings);
+}
+
+async function pushToCloudDebounced() {
+  if (!hydrated) return;
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(async () => {
+    await pushToCloud();
+  }, PUSH_DEBOUNCE_MS);
+}
+
+// ------------------------
+// 9) OFFLINE PERSISTENCE + SYNC STATUS
+// ------------------------
+function isOnline() {
+  if (!backend().needsNetwork) return true;
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+// Everything written locally that the backend has not acknowledged yet
+function pendingKeys() {
+  const keys = new Set([...dirtyRecords.keys(), ...inFlight]);
+  if (settingsDirty) keys.add(SETTINGS_KEY);
+  return keys;
+}
+
+function getSyncStatus() {
+  const pending = pendingKeys().size;
+
+  let status = 'synced';
+  if (!isOnline()) status = 'offline';
+  else if (lastSyncError) status = 'error';
+  else if (pending > 0 || !cloudReady) status = 'pending';
+
+  return {
+    status,
+    pending,
+    lastSyncedAt,
+    error: lastSyncError ? String(lastSyncError.message || lastSyncError) : null
+  };
+}
+
+// Coalesced: many records can be marked in one tick
+function emitSyncStatus() {
+  if (syncStatusQueued) return;
+  syncStatusQueued = true;
+  queueMicrotask(() => {
+    syncStatusQueued = false;
+    const status = getSyncStatus();
+    syncStatusListeners.forEach(cb => cb(status));
+  });
+}
+
+function persistLocal() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  if (!currentUid) return Promise.resolve(false);
+
+  const snapshot = { settings: state.settings, _meta: state._meta, workspace: activeWorkspace };
+  COLLECTIONS.forEach((category) => { snapshot[category] = state[category]; });
+
+  const records = [...pendingKeys()]
+    .filter(key => key !== SETTINGS_KEY)
+    .map(parseKey);
+
+  return offlineStore.save(currentUid, {
+    state: toCloudRecord(snapshot),
+    base: toCloudRecord([...cloudBase.entries()]),
+    records,
+    settings: pendingKeys().has(SETTINGS_KEY),
+    audit: [...inFlightAudit, ...pendingAudit]
+  });
+}
+
+function persistLocalDebounced() {
+  emitSyncStatus();
+  if (!currentUid) return;
+  clearTimeout(persistTimer);
+  persistTimer = setTimeout(persistLocal, PERSIST_DEBOUNCE_MS);
+}
+
+/**
+ * Loads the device copy saved by persistLocal(). Returns true when one existed.
+ * A copy of a different workspace than `workspaceId` is ignored.
+ */
+async function hydrateFromDisk(uid, workspaceId) {
+  const { snapshot, queue } = await offlineStore.load(uid);
+  if (!snapshot?.state) return false;
+
+  const cached = snapshot.state;
+  if (workspaceId && cached.workspace?.id && cached.workspace.id !== workspaceId) return false;
+  // Cached before the workspace required two-step verification
+  if (!meetsMfaPolicy(cached.settings)) {
+    await offlineStore.clear(uid);
+    return false;
+  }
+
+  // Copies saved before workspaces existed belong to the account's own (owner) data
+  setActiveWorkspace(cached.workspace || { id: null, name: null, ownerUid: uid, members: {}, role: 'owner' });
+  COLLECTIONS.forEach((category) => {
+    if (Array.isArray(cached[category])) state[category] = cached[category];
+  });
+  state.settings = { ...state.settings, ...(cached.settings || {}) };
+  state._meta = { ...state._meta, ...(cached._meta || {}), clientInstanceId };
+
+  cloudBase.clear();
+  (snapshot.base || []).forEach(([key, value]) => cloudBase.set(key, value));
+
+  // The durable write queue: these go out as soon as we are connected
+  (queue?.records || []).forEach(r => markDirty(r.category, r.id));
+  if (queue?.settings) settingsDirty = true;
+  if (Array.isArray(queue?.audit)) pendingAudit = [...queue.audit, ...pendingAudit];
+
+  ensureArrays();
+  COLLECTIONS.forEach(sortNewestFirst);
+  if (canManageWorkspace(activeWorkspace?.role)) runMigrations();
+  return true;
+}
+
+/**
+ * Finds the workspace to open (moving a pre-workspace account's data first)
+ * and makes it active. Local data of a different workspace is dropped.
+ */
+async function openWorkspace(user) {
+  await moveLegacyUserData(user);
+
+  const { workspace, role } = await workspaceManager.resolve(user, {
+    preferredId: readPreferredWorkspace(user.uid)
+  });
+
+  if (activeWorkspace?.id && activeWorkspace.id !== workspace.id) resetLocalData();
+  setActiveWorkspace({ ...workspace, role });
+  writePreferredWorkspace(user.uid, workspace.id);
+  return workspace;
+}
+
+/**
+ * Loads the workspace root doc and attaches live listeners.
+ */
+async function connectCloud(wsId) {
+  const docRef = workspaceRootRef(wsId);
+  const cloudData = await backend().load(docRef) || {};
+  applyWorkspaceDoc(wsId, cloudData);
+
+  if (cloudData.settings || cloudData._meta) {
+    // Cloud settings merge over defaults (and over cached ones unless we have queued edits)
+    applyRemoteSettings(cloudData.settings || {});
+    state._meta = {
+      ...state._meta,
+      ...(cloudData._meta || {}),
+      clientInstanceId // always keep local client id
+    };
+  } else {
+    console.log("New workspace. Writing initial settings...");
+
+    // Stamp meta for first write
+    const nowIso = new Date().toISOString();
+    state._meta = {
+      ...state._meta,
+      clientInstanceId,
+      lastUpdatedAt: nowIso,
+      lastUpdatedBy: clientInstanceId
+    };
+
+    // Merge: the doc already carries the workspace name + members
+    await backend().save(docRef, rootPayload(), { merge: true });
+    cloudBase.set(SETTINGS_KEY, toCloudRecord(state.settings));
+  }
+
+  if (!meetsMfaPolicy(state.settings)) {
+    holdForMfa(wsId);
+    return;
+  }
+  mfaHold = false;
+
+  // First snapshot of every collection is the initial load; later ones stream in live
+  await startRealtimeSync(wsId);
+
+  // Hard guard: ensure arrays are arrays
+  ensureArrays();
+  COLLECTIONS.forEach(sortNewestFirst);
+}
+
+/**
+ * Connects to the backend (if not already) and replays queued writes.
+ */
+async function goOnline() {
+  if (!currentUid || cloudReady || connecting) return;
+  if (!isOnline()) {
+    emitSyncStatus();
+    return;
+  }
+
+  const uid = currentUid;
+  connecting = true;
+  emitSyncStatus();
+
+  try {
+    const workspace = await openWorkspace(currentUser());
+    if (uid !== currentUid) return; // signed out meanwhile
+
+    await connectCloud(workspace.id);
+    if (uid !== currentUid) return;
+
+    cloudReady = true;
+    hydrated = true;
+    lastSyncError = null;
+    lastSyncedAt = new Date().toISOString();
+    retryDelayMs = 0;
+    console.log("State synchronized with Cloud.");
+
+    // Shared data: one owner's device does the housekeeping writes
+    if (canManageWorkspace(activeWorkspace?.role) && !mfaHold) {
+      runMigrations();
+      purgeExpiredTrash();
+    }
+    stateManager.notify(state, 'all');
+
+    // Replay anything queued while offline / before the reload
+    await pushToCloud();
+  } catch (error) {
+    console.error("State Sync Error:", error);
+    stopRealtimeSync();
+    lastSyncError = error;
+    scheduleRetry();
+  } finally {
+    connecting = false;
+    emitSyncStatus();
+  }
+}
+
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  if (!currentUid) return;
+  retryDelayMs = Math.min(retryDelayMs ? retryDelayMs * 2 : RETRY_MIN_MS, RETRY_MAX_MS);
+  retryTimer = setTimeout(() => {
+    if (cloudReady) pushToCloud();
+    else goOnline();
+  }, retryDelayMs);
+}
+
+function bindConnectivityEvents() {
+  if (connectivityBound || typeof window === 'undefined') return;
+  connectivityBound = true;
+
+  window.addEventListener('online', () => {
+    if (cloudReady) pushToCloudDebounced();
+    else goOnline();
+    emitSyncStatus();
+  });
+  window.addEventListener('offline', emitSyncStatus);
+
+  // Last chance to flush the debounced save before the tab goes away
+  window.addEventListener('pagehide', () => { persistLocal(); });
+}
+
+// ------------------------
+// 10) TRASH
+// ------------------------
+/**
+ * `dependents` (optional) remembers what the delete did to linked records:
+ * { trashIds: [cascaded trash entry ids], unlinked: [{ category, id, fields }] }
+ */
+function makeTrashEntry(category, record, dependents = null) {
+  const nowIso = new Date().toISOString();
+  return stampRecord({
+    id: makeId('trash'),
+    category,
+    recordId: record.id,
+    name: String(record.name || record.title || record.task || record.id),
+    record: toCloudRecord(record),
+    ...(dependents ? { dependents } : {}),
+    deletedAt: nowIso,
+    deletedBy: clientInstanceId,
+    deletedByEmail: currentUser()?.email || null,
+    createdAt: nowIso
+  });
+}
+
+function trashRetentionDays() {
+  const days = Number(state.settings?.trashRetentionDays);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// Permanently removes trash entries older than the retention window
+function purgeExpiredTrash() {
+  const cutoff = Date.now() - trashRetentionDays() * 24 * 60 * 60 * 1000;
+  const expired = (state.trash || []).filter((t) => {
+    const at = new Date(t?.deletedAt).getTime();
+    return Number.isFinite(at) && at < cutoff;
+  });
+  return dropTrashEntries(expired.map(t => t.id));
+}
+
+function dropTrashEntries(ids) {
+  const drop = new Set(ids.map(String));
+  if (!drop.size) return 0;
+  state.trash = (state.trash || []).filter(t => !drop.has(String(t?.id)));
+  drop.forEach(id => markDirty('trash', id));
+  return drop.size;
+}
+
+// Puts one trash entry's record back; pushes the history changes it made
+function restoreTrashEntry(entry, changes) {
+  const existing = findRecord(entry.category, entry.record.id);
+  const restored = stampRecord({ ...entry.record });
+
+  putRecord(entry.category, restored);
+  markDirty(entry.category, restored.id);
+  dropTrashEntries([entry.id]);
+
+  changes.push(
+    { category: entry.category, id: restored.id, before: existing, after: restored },
+    { category: 'trash', id: entry.id, before: entry, after: null }
+  );
+  auditChange(entry.category, restored.id, 'restore', existing, restored);
+  return restored;
+}
+
+// ------------------------
+// 11) REFERENTIAL INTEGRITY
+// ------------------------
+// Error for a delete stopped by a restrict rule; `.blocked` lists the dependents
+function blockedError(label, blocked) {
+  const parts = blocked.map(({ relation, records }) => `${records.length} ${relation.child}`);
+  const error = new Error(`Cannot delete ${label}: ${parts.join(' and ')} still linked. Reassign or remove them first.`);
+  error.blocked = blocked;
+  return error;
+}
+
+/**
+ * Moves the cascade set to Trash (or drops it when `permanent`) and clears
+ * nullified links. Returns the `dependents` record for the parent's trash entry.
+ */
+function applyDeletePlan(plan, changes, permanent) {
+  const trashIds = [];
+  const unlinked = [];
+  const touched = new Set();
+
+  plan.cascade.forEach(({ category, record }) => {
+    removeRecord(category, record.id);
+    markDirty(category, record.id);
+    changes.push({ category, id: record.id, before: record, after: null });
+    auditChange(category, record.id, 'delete', record, null);
+
+    if (!permanent && !HARD_DELETE.has(category)) {
+      const entry = makeTrashEntry(category, record);
+      state.trash = [entry, ...(state.trash || [])];
+      markDirty('trash', entry.id);
+      changes.push({ category: 'trash', id: entry.id, before: null, after: entry });
+      trashIds.push(entry.id);
+    }
+  });
+
+  plan.nullify.forEach(({ category, record, patch, previous }) => {
+    const after = stampRecord({ ...record, ...patch });
+    putRecord(category, after);
+    markDirty(category, record.id);
+    changes.push({ category, id: record.id, before: record, after });
+    auditChange(category, record.id, 'unlink', record, after);
+    unlinked.push({ category, id: record.id, fields: previous });
+    touched.add(category);
+  });
+
+  touched.forEach(sortNewestFirst);
+  return trashIds.length || unlinked.length ? { trashIds, unlinked } : null;
+}
+
+/**
+ * Removes one record plus whatever its delete plan cascades to / unlinks,
+ * trashing it unless `permanent`. Pushes the history changes; returns how many
+ * linked records were touched. Callers check restrict rules first.
+ */
+function deleteWithDependents(category, record, permanent, changes) {
+  const plan = planDelete(state, category, record.id);
+
+  removeRecord(category, record.id);
+  markDirty(category, record.id);
+  changes.push({ category, id: record.id, before: record, after: null });
+
+  const dependents = applyDeletePlan(plan, changes, permanent);
+
+  if (!permanent) {
+    const entry = makeTrashEntry(category, record, dependents);
+    state.trash = [entry, ...(state.trash || [])];
+    markDirty('trash', entry.id);
+    changes.push({ category: 'trash', id: entry.id, before: null, after: entry });
+  }
+
+  auditChange(category, record.id, 'delete', record, null);
+  return plan.cascade.length + plan.nullify.length;
+}
+
+// Undoes a delete's side effects on restore: cascaded entries come back, cleared links are re-set
+function restoreDependents(dependents, changes) {
+  const touched = new Set();
+
+  (dependents?.trashIds || []).forEach((trashId) => {
+    const entry = findRecord('trash', trashId);
+    if (!entry?.record || !COLLECTIONS.includes(entry.category)) return;
+    restoreTrashEntry(entry, changes);
+    touched.add(entry.category);
+  });
+
+  (dependents?.unlinked || []).forEach(({ category, id, fields }) => {
+    const current = findRecord(category, id);
+    if (!current || !fields) return;
+    // Only re-link when nobody has pointed the record somewhere else since
+    if (Object.keys(fields).some(f => String(current[f] ?? '').trim() !== '')) return;
+
+    const after = stampRecord({ ...current, ...fields });
+    putRecord(category, after);
+    markDirty(category, id);
+    changes.push({ category, id, before: current, after });
+    auditChange(category, id, 'relink', current, after);
+    touched.add(category);
+  });
+
+  touched.forEach(sortNewestFirst);
+}
+
+// ------------------------
+// 12) SCHEMA MIGRATIONS
+// ------------------------
+/**
+ * Applies pending migrations to state (records + trashed copies) and records
+ * them in _meta. Returns the plan that was applied.
+ */
+function runMigrations(opts = {}) {
+  const plan = planMigrations(state, opts);
+  if (!plan.pending.length) return plan;
+
+  const touched = new Set();
+  plan.changes.forEach((change) => {
+    putRecord(change.category, stampRecord(change.after));
+    markDirty(change.category, change.id);
+    if (!change.inTrash) auditChange(change.category, change.id, 'migrate', change.before, change.after);
+    touched.add(change.category);
+  });
+  touched.forEach(sortNewestFirst);
+
+  const nowIso = new Date().toISOString();
+  const recorded = new Set((state._meta.migrations || []).map(m => m?.id));
+  const newlyApplied = plan.pending
+    .filter(m => !recorded.has(m.id))
+    .map(m => ({
+      id: m.id,
+      version: m.version,
+      appliedAt: nowIso,
+      appliedBy: clientInstanceId,
+      records: plan.changes.filter(c => c.migrationIds.includes(m.id)).length
+    }));
+
+  state._meta = {
+    ...state._meta,
+    schemaVersion: Math.max(Number(state._meta.schemaVersion) || 0, plan.toVersion),
+    migrations: [...(state._meta.migrations || []), ...newlyApplied]
+  };
+  metaDirty = true;
+
+  if (plan.changes.length) {
+    addActivity({
+      text: `Migrated ${plan.changes.length} record${plan.changes.length === 1 ? '' : 's'} to schema v${plan.toVersion}`,
+      type: 'update',
+      entity: 'schema',
+      entityId: null
+    });
+  }
+
+  console.log(`[State] Schema v${plan.toVersion}: ran ${plan.pending.map(m => m.id).join(', ')} (${plan.changes.length} records changed).`);
+  pushToCloudDebounced();
+  return plan;
+}
+
+// ------------------------
+// 13) UNDO / REDO
+// ------------------------
+/**
+ * changes: [{ category, id, before, after }]; before/after are full record
+ * copies (null = absent). Settings use category 'settings'.
+ */
+function recordHistory(label, changes) {
+  undoStack.push({ id: makeId('hist'), label, changes, at: new Date().toISOString() });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+}
+
+// Writes one side of a history entry back into state; returns the touched category (or 'all')
+function applyHistory(entry, side) {
+  const action = side === 'before' ? 'undo' : 'redo';
+
+  const categories = new Set();
+
+  entry.changes.forEach((change) => {
+    const value = change[side];
+    categories.add(change.category);
+
+    if (change.category === 'settings') {
+      state.settings = { ...value };
+      settingsDirty = true;
+      return;
+    }
+
+    const current = findRecord(change.category, change.id);
+    const next = value ? stampRecord(value) : null;
+    if (next) putRecord(change.category, next);
+    else removeRecord(change.category, change.id);
+    markDirty(change.category, change.id);
+    auditChange(change.category, change.id, action, current, next);
+  });
+
+  categories.forEach((category) => {
+    if (category !== 'settings') sortNewestFirst(category);
+  });
+
+  return categories.size === 1 ? [...categories][0] : 'all';
+}
+
+function historySummary(entry) {
+  return entry ? { id: entry.id, label: entry.label, at: entry.at } : null;
+}
+
+// ------------------------
+// 14) WORKSPACE + PERMISSIONS
+// ------------------------
+// Which workspace this device opens; the account-wide default lives on users/{uid}
+const WORKSPACE_KEY_PREFIX = 'summitcrm_workspace_';
+
+function readPreferredWorkspace(uid) {
+  try {
+    return localStorage.getItem(`${WORKSPACE_KEY_PREFIX}${uid}`) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function writePreferredWorkspace(uid, wsId) {
+  try {
+    localStorage.setItem(`${WORKSPACE_KEY_PREFIX}${uid}`, wsId);
+  } catch (_) {}
+}
+
+function workspaceSummary() {
+  if (!activeWorkspace) return null;
+  const { id, name, ownerUid, members, role } = activeWorkspace;
+  return { id, name, ownerUid, members: { ...members }, role, roleLabel: roleLabel(role) };
+}
+
+function emitWorkspace() {
+  const summary = workspaceSummary();
+  workspaceListeners.forEach(cb => cb(summary));
+}
+
+function setActiveWorkspace(workspace) {
+  if (workspace?.id !== activeWorkspace?.id) lockEncryption();
+  activeWorkspace = workspace ? { ...workspace } : null;
+  emitWorkspace();
+}
+
+/**
+ * Applies the workspace doc (name, members) from the cloud. Returns true when
+ * the signed-in member's role changed (views and permissions need a refresh).
+ */
+function applyWorkspaceDoc(wsId, data) {
+  if (!activeWorkspace || activeWorkspace.id !== wsId) return false;
+
+  const uid = currentUser()?.uid;
+  const members = data?.members && typeof data.members === 'object' ? data.members : activeWorkspace.members;
+  const next = {
+    ...activeWorkspace,
+    name: data?.name || activeWorkspace.name,
+    ownerUid: data?.ownerUid || activeWorkspace.ownerUid,
+    members,
+    role: data?.members ? roleOf({ members }, uid) : activeWorkspace.role
+  };
+
+  const roleChanged = next.role !== activeWorkspace.role;
+  setActiveWorkspace(next);
+  return roleChanged;
+}
+
+// Switching workspaces: nothing from the previous one may leak into the next
+function resetLocalData() {
+  COLLECTIONS.forEach((category) => { state[category] = []; });
+  cloudBase.clear();
+  dirtyRecords.clear();
+  settingsDirty = false;
+  metaDirty = false;
+  pendingAudit = [];
+  conflicts = [];
+  undoStack = [];
+  redoStack = [];
+}
+
+function assertCan(category, action) {
+  const role = activeWorkspace?.role || null;
+  if (!canWrite(role, category, action)) throw new PermissionError(role, category, action);
+}
+
+function assertCanManage() {
+  const role = activeWorkspace?.role || null;
+  if (!canManageWorkspace(role)) throw new PermissionError(role, 'workspace', 'manage');
+}
+
+// A delete also trashes its cascades and edits the records it unlinks
+function assertCanDelete(category, plan) {
+  assertCan(category, 'delete');
+  (plan?.cascade || []).forEach(c => assertCan(c.category, 'delete'));
+  (plan?.nullify || []).forEach(n => assertCan(n.category, 'update'));
+}
+
+// Sensitive values are for members who may edit the record
+function assertCanReveal(category) {
+  const role = activeWorkspace?.role || null;
+  if (!canWrite(role, category, 'update')) throw new PermissionError(role, category, 'reveal');
+}
+
+// Undo/redo rewrites every record the entry touched (trash entries count as deletes)
+function assertCanApply(entry) {
+  entry.changes.forEach((c) => {
+    if (c.category === 'trash') assertCan((c.after || c.before)?.category, 'delete');
+    else assertCan(c.category, 'update');
+  });
+}
+
+// ------------------------
+// 15) FIELD ENCRYPTION
+// ------------------------
+// Derived on this device from the passphrase, never stored or synced
+let encryptionKey = null;
+let encryptionKeySalt = null; // settings.encryption.salt the key belongs to
+
+function encryptionConfig() {
+  const config = state.settings?.encryption;
+  return config && config.salt && config.check ? config : null;
+}
+
+function currentKey() {
+  const config = encryptionConfig();
+  return config && config.salt === encryptionKeySalt ? encryptionKey : null;
+}
+
+function lockEncryption() {
+  encryptionKey = null;
+  encryptionKeySalt = null;
+}
+
+function plaintextSensitive(category, data) {
+  return sensitiveFields(category).filter(([field]) => {
+    const value = data?.[field];
+    return typeof value === 'string' && value.trim() !== '' && !isSealed(value);
+  });
+}
+
+// Copy of `data` with its plaintext sensitive fields sealed with `key`
+async function sealWith(key, category, data) {
+  const out = { ...data };
+  for (const [field, rule] of plaintextSensitive(category, data)) {
+    out[field] = await sealValue(key, out[field].trim(), rule.mask);
+  }
+  return out;
+}
+
+/**
+ * Seals the sensitive fields of a record or patch on their way into state.
+ * Without an encryption setup values are kept as typed; with one, a locked
+ * device cannot save new sensitive values (ValidationError on those fields).
+ */
+async function sealSensitive(category, data) {
+  const fields = plaintextSensitive(category, data);
+  if (!fields.length || !encryptionConfig()) return data;
+
+  const key = currentKey();
+  if (!key) {
+    throw new ValidationError(category, fields.map(([field, rule]) => ({
+      field,
+      message: `Unlock encrypted fields (Settings) to save the ${rule.label || field}.`
+    })));
+  }
+  return sealWith(key, category, data);
+}
+
+// sealSensitive, but a value equal to what `live` already holds keeps
+// live's ciphertext (a fresh IV would otherwise count as a change)
+async function sealLike(category, data, live) {
+  const key = currentKey();
+  const out = { ...data };
+  if (key && live) {
+    for (const [field] of plaintextSensitive(category, data)) {
+      if (!isSealed(live[field])) continue;
+      try {
+        if (await openValue(key, live[field]) === out[field].trim()) out[field] = live[field];
+      } catch (_) {}
+    }
+  }
+  return sealSensitive(category, out);
+}
+
+// ------------------------
+// 16) DERIVED DATA (memoized selectors)
+// ------------------------
+const SELECTOR_CACHE_LIMIT = 200;
+
+const collectionVersions = new Map(); // category -> bumped on every notify(category)
+let versionEpoch = 0;                 // bumped on notify('all')
+const selectorCache = new Map();      // `${name}|${args}` -> { stamp, inputs, value }
+
+function bumpVersion(category) {
+  if (!category || category === 'all') versionEpoch += 1;
+  else collectionVersions.set(category, (collectionVersions.get(category) || 0) + 1);
+}
+
+function versionStamp(deps) {
+  return `${versionEpoch}:${deps.map(c => collectionVersions.get(c) || 0).join(',')}`;
+}
+
+// Collections are replaced (never mutated) on change, so the arrays themselves
+// double as a guard for changes that have not been notified yet
+function memoized(key, deps, compute) {
+  const stamp = versionStamp(deps);
+  const inputs = deps.map(c => state[c]);
+  const hit = selectorCache.get(key);
+  if (hit && hit.stamp === stamp && hit.inputs.every((ref, i) => ref === inputs[i])) return hit.value;
+
+  const value = compute();
+  selectorCache.delete(key);
+  selectorCache.set(key, { stamp, inputs, value });
+  // Map keeps insertion order, so the first key is the least recently computed
+  if (selectorCache.size > SELECTOR_CACHE_LIMIT) selectorCache.delete(selectorCache.keys().next().value);
+  return value;
+}
+
+// ------------------------
+// 17) ACCOUNT DELETION
+// ------------------------
+// Every document under `base` (a workspace or a pre-workspace users/{uid}):
+// its records and their audit entries, in commit-sized batches
+async function purgeRecords(base) {
+  const removes = [];
+  for (const category of COLLECTIONS) {
+    const { docs } = await backend().query([...base, category]);
+    for (const d of docs) {
+      removes.push([...base, category, d.id]);
+
+      const audited = AUDITED.has(category) ? [category, d.id]
+        : category === 'trash' && AUDITED.has(d.data?.category) && d.data.record?.id !== undefined ? [d.data.category, String(d.data.record.id)]
+          : null;
+      if (!audited) continue;
+
+      const entriesRef = [...base, 'audit', `${audited[0]}:${audited[1]}`, 'entries'];
+      const { docs: entries } = await backend().query(entriesRef);
+      entries.forEach(e => removes.push([...entriesRef, e.id]));
+    }
+  }
+
+  for (let i = 0; i < removes.length; i += MAX_WRITES_PER_COMMIT) {
+    await backend().transaction(removes.slice(i, i + MAX_WRITES_PER_COMMIT).map(path => ({ path, remove: true })));
+  }
+  return removes.length;
+}
+
+// Uploads and backups of a workspace: every file below `folder`, recursively
+async function purgeFiles(folder) {
+  const files = backend().files;
+  if (!files) return 0;
+
+  const { items, prefixes } = await files.listAll(typeof folder === 'string' ? files.ref(files.storage, folder) : folder);
+  await Promise.all(items.map(item => files.deleteObject(item)));
+
+  let count = items.length;
+  for (const prefix of prefixes) count += await purgeFiles(prefix);
+  return count;
+}
+
+// Which workspaces go with the account: { remove: [...], leave: [...], blocked: [...] }
+// remove  owned with no other member;  leave  another owner stays behind;
+// blocked its last owner, with members who would lose it
+async function planAccountDeletion(uid) {
+  const plan = { remove: [], leave: [], blocked: [] };
+  const workspaces = await workspaceManager.listMine(uid);
+
+  workspaces.forEach((ws) => {
+    const others = Object.entries(ws.members).filter(([memberUid]) => memberUid !== uid);
+    if (!others.length) plan.remove.push(ws);
+    else if (ws.members[uid]?.role !== 'owner' || others.some(([, m]) => m?.role === 'owner')) plan.leave.push(ws);
+    else plan.blocked.push(ws);
+  });
+
+  return plan;
+}
+
+// ------------------------
+// 18) STATE MANAGER API
+// ------------------------
+export const stateManager = {
+  /**
+   * Bootstraps the app state upon login: the IndexedDB copy first (instant),
+   * then the backend, replaying any writes queued while offline.
+   */
+  async init() {
+    const user = currentUser();
+    if (!user) return;
+
+    currentUid = user.uid;
+    bindConnectivityEvents();
+
+    if (await hydrateFromDisk(user.uid, readPreferredWorkspace(user.uid))) {
+      hydrated = true;
+      this.notify(state, 'all');
+    }
+
+    await goOnline();
+  },
+
+  /**
+   * Stops live listeners (e.g. on sign-out).
+   */
+  stopSync() {
+    stopRealtimeSync();
+    clearTimeout(retryTimer);
+    persistLocal();
+    cloudReady = false;
+    currentUid = null;
+    setActiveWorkspace(null);
+  },
+
+  /**
+   * Sign-out: stops sync and forgets the user's data on this device, both
+   * the offline copy in IndexedDB (records and queued writes) and what is
+   * held in memory. Writes that have not reached the cloud are lost; callers
+   * check getSyncStatus().pending first.
+   */
+  async clearSession() {
+    const uid = currentUid;
+    stopRealtimeSync();
+    clearTimeout(retryTimer);
+    clearTimeout(pushTimer);
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    cloudReady = false;
+    hydrated = false;
+    mfaHold = false;
+    currentUid = null;
+    setActiveWorkspace(null);
+    lockEncryption();
+
+    resetLocalData();
+    inFlight.clear();
+    inFlightAudit = [];
+    state.settings = JSON.parse(JSON.stringify(INITIAL_SETTINGS));
+    state._meta = { clientInstanceId, lastUpdatedAt: null, lastUpdatedBy: null, schemaVersion: null, migrations: [] };
+
+    if (uid) await offlineStore.clear(uid);
+    this.notify(state, 'all');
+  },
+
+  /**
+   * { status: 'synced' | 'pending' | 'offline' | 'error', pending, lastSyncedAt, error }
+   */
+  getSyncStatus() {
+    return getSyncStatus();
+  },
+
+  /**
+   * Registers a sync status listener (called immediately, then on every change).
+   */
+  onSyncStatus(callback) {
+    syncStatusListeners.push(callback);
+    callback(getSyncStatus());
+  },
+
+  /**
+   * Manual retry (e.g. clicking the sidebar indicator after an error).
+   */
+  async syncNow() {
+    clearTimeout(retryTimer);
+    if (cloudReady) await pushToCloud();
+    else await goOnline();
+  },
+
+  get() {
+    return state;
+  },
+
+  /**
+   * The id of this browser/device (matches `updatedBy` on records it wrote).
+   */
+  getClientInstanceId() {
+    return clientInstanceId;
+  },
+
+  /**
+   * The open workspace: { id, name, ownerUid, members, role, roleLabel },
+   * or null before one is known.
+   */
+  getWorkspace() {
+    return workspaceSummary();
+  },
+
+  /**
+   * True while the workspace requires two-step verification and the member
+   * has not met it: no records are loaded or pushed until then.
+   */
+  isHeldForMfa() {
+    return mfaHold;
+  },
+
+  /**
+   * Registers a workspace listener (called immediately, then on every switch,
+   * rename or change to the members' roles).
+   */
+  onWorkspace(callback) {
+    workspaceListeners.push(callback);
+    callback(workspaceSummary());
+  },
+
+  /**
+   * True when the member's role allows `action` ('add' | 'update' | 'delete') on `category`.
+   */
+  can(category, action) {
+    return canWrite(activeWorkspace?.role || null, category, action);
+  },
+
+  /**
+   * True when the member's role can open `view`. Nothing is hidden until the
+   * workspace is known; a removed member keeps only Settings (to switch away).
+   */
+  canView(view) {
+    if (!activeWorkspace) return true;
+    if (!activeWorkspace.role) return view === 'settings';
+    return canView(activeWorkspace.role, view);
+  },
+
+  canManageWorkspace() {
+    return canManageWorkspace(activeWorkspace?.role || null);
+  },
+
+  /**
+   * Every workspace the signed-in user belongs to.
+   */
+  async listWorkspaces() {
+    const user = currentUser();
+    return user ? workspaceManager.listMine(user.uid) : [];
+  },
+
+  /**
+   * Opens another workspace in place. Refuses while local changes are unsynced,
+   * since they belong to the workspace being left.
+   */
+  async switchWorkspace(wsId) {
+    const user = currentUser();
+    if (!user || !wsId || wsId === activeWorkspace?.id) return false;
+    if (!isOnline()) throw new Error('Switching workspaces needs a connection.');
+
+    await this.syncNow();
+    if (pendingKeys().size || pendingAudit.length) {
+      throw new Error('Some changes have not synced yet. Try again once the sidebar shows "All changes synced".');
+    }
+
+    writePreferredWorkspace(user.uid, wsId);
+    await workspaceManager.setActive(user.uid, wsId);
+
+    stopRealtimeSync();
+    cloudReady = false;
+    resetLocalData();
+    this.notify(state, 'all');
+
+    await goOnline();
+    return activeWorkspace?.id === wsId;
+  },
+
+  /**
+   * Owner: invites `email` to the open workspace with `role`.
+   */
+  async inviteMember(email, role) {
+    assertCanManage();
+    const invitation = await workspaceManager.invite(activeWorkspace, currentUser(), email, role);
+
+    addActivity({ text: `Invited ${invitation.email} as ${roleLabel(role)}`, type: 'add', entity: 'workspace', entityId: null });
+    this.notify(state, 'activities');
+    await pushToCloudDebounced();
+    return invitation;
+  },
+
+  async listInvitations() {
+    assertCanManage();
+    return workspaceManager.listInvitations(activeWorkspace.id);
+  },
+
+  async revokeInvitation(invitation) {
+    assertCanManage();
+    await workspaceManager.revokeInvitation(invitation);
+  },
+
+  /**
+   * Owner: changes a member's role (the last owner cannot be demoted).
+   */
+  async setMemberRole(uid, role) {
+    assertCanManage();
+    await workspaceManager.setMemberRole(activeWorkspace, uid, role);
+
+    const email = activeWorkspace.members?.[uid]?.email || 'a member';
+    addActivity({ text: `Changed ${email} to ${roleLabel(role)}`, type: 'update', entity: 'workspace', entityId: null });
+    this.notify(state, 'activities');
+    await pushToCloudDebounced();
+  },
+
+  /**
+   * Owner: removes a member. Anyone may remove themselves (leave), except the last owner.
+   */
+  async removeMember(uid) {
+    const self = uid === currentUser()?.uid;
+    if (!self) assertCanManage();
+
+    const email = activeWorkspace?.members?.[uid]?.email || 'a member';
+    await workspaceManager.removeMember(activeWorkspace, uid);
+
+    // Leaving: this device has no access any more, so go back to the personal workspace
+    if (self) {
+      await this.switchWorkspace(personalWorkspaceId(uid));
+      return;
+    }
+
+    addActivity({ text: `Removed ${email} from the workspace`, type: 'delete', entity: 'workspace', entityId: null });
+    this.notify(state, 'activities');
+    await pushToCloudDebounced();
+  },
+
+  /**
+   * What deleting the signed-in account would do to each of its workspaces
+   * (see planAccountDeletion).
+   */
+  async getAccountDeletionPlan() {
+    const user = currentUser();
+    if (!user) throw new Error('Sign in first.');
+    return planAccountDeletion(user.uid);
+  },
+
+  /**
+   * Erases the signed-in user's data ahead of deleting the account (auth.js):
+   * workspaces they alone belong to go with every record, audit entry, upload
+   * and backup; they leave shared ones. Then their profile (and the
+   * pre-workspace copy), invitations to their address and this device's
+   * offline copy. Refused while they are the last owner of a shared workspace.
+   */
+  async deleteAccountData() {
+    const user = currentUser();
+    if (!user) throw new Error('Sign in first.');
+    if (!isOnline()) throw new Error('Deleting your account needs a connection.');
+
+    const plan = await planAccountDeletion(user.uid);
+    if (plan.blocked.length) {
+      throw new Error(`Make someone else an owner of ${plan.blocked.map(ws => `"${ws.name}"`).join(', ')} first, or remove its other members.`);
+    }
+
+    // Nothing may write back into what is about to be deleted
+    this.stopSync();
+
+    for (const ws of plan.leave) await workspaceManager.removeMember(ws, user.uid);
+
+    for (const ws of plan.remove) {
+      const invitations = await workspaceManager.listInvitations(ws.id);
+      for (const invitation of invitations) await workspaceManager.revokeInvitation(invitation);
+      await purgeFiles(`workspaces/${ws.id}`);
+      await purgeRecords(workspaceRootRef(ws.id));
+      await backend().remove(workspaceRootRef(ws.id));
+    }
+
+    if (user.email) {
+      const mine = await workspaceManager.listMyInvitations(user.email);
+      for (const invitation of mine) await workspaceManager.revokeInvitation(invitation);
+    }
+
+    await purgeRecords(legacyUserRef(user.uid));
+    await backend().remove(legacyUserRef(user.uid));
+
+    await offlineStore.clear(user.uid);
+    try {
+      localStorage.removeItem(`${WORKSPACE_KEY_PREFIX}${user.uid}`);
+    } catch (_) {}
+
+    resetLocalData();
+    this.notify(state, 'all');
+    return plan;
+  },
+
+  /**
+   * Adds a new item to a category (deals, properties, etc.)
+   * Rejects with a ValidationError when the record fails its schema.
+   */
+  async add(category, data) {
+    assertCan(category, 'add');
+    const errors = validateRecord(category, data);
+    if (errors.length) throw new ValidationError(category, errors);
+    const sealed = await sealSensitive(category, data);
+
+    const newItem = stampRecord({
+      ...sealed,
+      id: makeId(category),
+      createdAt: new Date().toISOString()
+    });
+
+    state[category] = [newItem, ...(state[category] || [])];
+    markDirty(category, newItem.id);
+
+    const text = `Added ${data?.name || 'New Item'} to ${category}`;
+    recordHistory(text, [{ category, id: newItem.id, before: null, after: newItem }]);
+    auditChange(category, newItem.id, 'add', null, newItem);
+
+    addActivity({
+      text,
+      type: 'add',
+      entity: category,
+      entityId: newItem.id
+    });
+
+    this.notify(state, category);
+    await pushToCloudDebounced();
+  },
+
+  /**
+   * Updates an existing item by ID (changed fields are schema-checked)
+   */
+  async update(category, id, updates) {
+    assertCan(category, 'update');
+    const errors = validateRecord(category, { ...findRecord(category, id), ...updates }, { fields: Object.keys(updates || {}) });
+    if (errors.length) throw new ValidationError(category, errors);
+    const patch = await sealSensitive(category, updates);
+
+    const list = Array.isArray(state[category]) ? state[category] : [];
+    const before = list.find(item => String(item?.id) === String(id));
+
+    state[category] = list.map(item =>
+      String(item?.id) === String(id)
+        ? stampRecord({ ...item, ...patch })
+        : item
+    );
+
+    if (before) {
+      markDirty(category, id);
+
+      const text = `Updated ${before?.name || 'Item'} in ${category}`;
+      const after = findRecord(category, id);
+      recordHistory(text, [{ category, id, before, after }]);
+      auditChange(category, id, 'update', before, after);
+
+      addActivity({
+        text,
+        type: 'update',
+        entity: category,
+        entityId: id
+      });
+    }
+
+    this.notify(state, category);
+    await pushToCloudDebounced();
+  },
+
+  /**
+   * Specific handler for Global Application Settings
+   */
+  async updateSettings(updates) {
+    assertCan('settings', 'update');
+    const before = { ...state.settings };
+    state.settings = { ...state.settings, ...updates };
+    settingsDirty = true;
+
+    recordHistory('Updated settings', [{ category: 'settings', id: null, before, after: { ...state.settings } }]);
+
+    addActivity({
+      text: `Updated settings`,
+      type: 'update',
+      entity: 'settings',
+      entityId: null
+    });
+
+    this.notify(state, 'settings');
+    await pushToCloudDebounced();
+  },
+
+  /**
+   * Deletes an item from a category.
+   * Moves it to the trash unless the category is in HARD_DELETE or
+   * `{ permanent: true }` is passed. Linked records are handled per
+   * relations.js: a restrict rule rejects with an Error (`.blocked` lists the
+   * dependents), cascades go to Trash too, nullified links are cleared.
+   */
+  async delete(category, id, opts = {}) {
+    const list = Array.isArray(state[category]) ? state[category] : [];
+    const before = list.find(item => String(item?.id) === String(id));
+    const permanent = !!opts.permanent || HARD_DELETE.has(category);
+
+    const plan = before ? planDelete(state, category, id) : null;
+    assertCanDelete(category, plan);
+    if (plan?.blocked.length) throw blockedError(before.name || 'this item', plan.blocked);
+
+    const changes = [];
+    let linked = 0;
+    if (before) {
+      linked = deleteWithDependents(category, before, permanent, changes);
+    } else {
+      state[category] = list.filter(item => String(item?.id) !== String(id));
+      markDirty(category, id);
+    }
+
+    const text = `Deleted ${before?.name || 'Item'} from ${category}${linked ? ` (+${linked} linked record${linked === 1 ? '' : 's'})` : ''}`;
+    if (before) recordHistory(text, changes);
+
+    addActivity({
+      text,
+      type: 'delete',
+      entity: category,
+      entityId: id
+    });
+
+    this.notify(state, linked ? 'all' : category);
+    await pushToCloudDebounced();
+  },
+
+  /**
+   * What deleting a record would do to the records linked to it
+   * (see relations.planDelete): { blocked, cascade, nullify }.
+   */
+  getDeletePlan(category, id) {
+    return planDelete(state, category, id);
+  },
+
+  /**
+   * Adds several records at once: every item is validated first (nothing is
+   * written if any fails), then all land in one push, one undo step and one
+   * activity entry. Returns the created records.
+   */
+  async bulkAdd(category, items) {
+    const list = Array.isArray(items) ? items : [];
+    if (!list.length) return [];
+    assertCan(category, 'add');
+
+    const errors = list.flatMap((data, i) =>
+      validateRecord(category, data).map(e => ({ ...e, index: i, message: `Item ${i + 1}: ${e.message}` })));
+    if (errors.length) throw new ValidationError(category, errors);
+
+    const sealed = [];
+    for (const data of list) sealed.push(await sealSensitive(category, data));
+
+    const nowIso = new Date().toISOString();
+    const created = sealed.map(data => stampRecord({ ...data, id: makeId(category), createdAt: nowIso }));
+
+    state[category] = [...created, ...(state[category] || [])];
+    created.forEach((item) => {
+      markDirty(category, item.id);
+      auditChange(category, item.id, 'add', null, item);
+    });
+
+    const text = `Added ${created.length} item${created.length === 1 ? '' : 's'} to ${category}`;
+    recordHistory(text, created.map(item => ({ category, id: item.id, before: null, after: item })));
+
+    addActivity({
+      text,
+      type: 'add',
+      entity: category,
+      entityId: null
+    });
+
+    this.notify(state, category);
+    await pushToCloudDebounced();
+    return created;
+  },
+
+  /**
+   * Applies the same `updates` to every id (missing ids are skipped).
+   * Validated up front like update(); one push, one undo step, one activity entry.
+   * Returns the number of records changed.
+   */
+  async bulkUpdate(category, ids, updates) {
+    const wanted = [...new Set((ids || []).map(String))];
+    if (!wanted.some(id => findRecord(category, id))) return 0;
+    assertCan(category, 'update');
+
+    const fields = Object.keys(updates || {});
+    const seen = new Set();
+    const errors = wanted.map(id => findRecord(category, id)).filter(Boolean)
+      .flatMap(r => validateRecord(category, { ...r, ...updates }, { fields }))
+      .filter((e) => {
+        const key = `${e.field}:${e.message}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    if (errors.length) throw new ValidationError(category, errors);
+    const patch = await sealSensitive(category, updates);
+
+    const records = wanted.map(id => findRecord(category, id)).filter(Boolean);
+    const changes = records.map((before) => {
+      const after = stampRecord({ ...before, ...patch });
+      putRecord(category, after);
+      markDirty(category, before.id);
+      auditChange(category, before.id, 'update', before, after);
+      return { category, id: before.id, before, after };
+    });
+
+    const text = `Updated ${fields.join(', ') || 'fields'} on ${changes.length} item${changes.length === 1 ? '' : 's'} in ${category}`;
+    recordHistory(text, changes);
+
+    addActivity({
+      text,
+      type: 'update',
+      entity: category,
+      entityId: null
+    });
+
+    this.notify(state, category);
+    await pushToCloudDebounced();
+    return changes.length;
+  },
+
+  /**
+   * Deletes several records with the same rules as delete(): restrict rules
+   * are checked for the whole batch first (rejects with `.blocked`), then
+   * everything moves to Trash in one push, one undo step and one activity entry.
+   * Returns the number of records deleted.
+   */
+  async bulkDelete(category, ids, opts = {}) {
+    const records = [...new Set((ids || []).map(String))].map(id => findRecord(category, id)).filter(Boolean);
+    if (!records.length) return 0;
+
+    const permanent = !!opts.permanent || HARD_DELETE.has(category);
+    const plans = records.map(r => planDelete(state, category, r.id));
+    plans.forEach(plan => assertCanDelete(category, plan));
+    const blocked = plans.flatMap(plan => plan.blocked);
+    if (blocked.length) {
+      const label = records.length === 1
+        ? (records[0].name || records[0].title || 'this record')
+        : `${records.length} ${category}`;
+      throw blockedError(label, blocked);
+    }
+
+    const changes = [];
+    let linked = 0;
+    records.forEach((record) => {
+      // An earlier record in the batch may have cascaded to this one already
+      if (!findRecord(category, record.id)) return;
+      linked += deleteWithDependents(category, record, permanent, changes);
+    });
+
+    const text = `Deleted ${records.length} item${records.length === 1 ? '' : 's'} from ${category}${linked ? ` (+${linked} linked record${linked === 1 ? '' : 's'})` : ''}`;
+    recordHistory(text, changes);
+
+    addActivity({
+      text,
+      type: 'delete',
+      entity: category,
+      entityId: null
+    });
+
+    this.notify(state, linked ? 'all' : category);
+    await pushToCloudDebounced();
+    return records.length;
+  },
+
+  /**
+   * What restoreBackup(backup, mode) would change right now (see backups.js planRestore).
+   */
+  previewRestore(backup, mode = 'merge') {
+    return planRestore(state, backup, mode);
+  },
+
+  /**
+   * Restores a parsed backup (backups.js parseBackup) in 'merge' or 'replace'
+   * mode. The plan is recomputed against the current data, so edits made
+   * while the preview was open are accounted for. Returns the applied plan.
+   */
+  async restoreBackup(backup, mode = 'merge') {
+    assertCanManage();
+
+    // Snapshots from before encryption was set up carry plaintext sensitive values
+    const sealedBackup = { ...backup, collections: { ...(backup?.collections || {}) } };
+    for (const [category, records] of Object.entries(sealedBackup.collections)) {
+      if (!sensitiveFields(category).length) continue;
+      try {
+        const sealed = [];
+        for (const record of records) sealed.push(await sealLike(category, record, findRecord(category, record.id)));
+        sealedBackup.collections[category] = sealed;
+      } catch (err) {
+        if (err?.name !== 'ValidationError') throw err;
+        throw new EncryptionError('This backup has unencrypted sensitive fields. Unlock encrypted fields in Settings, then restore again.');
+      }
+    }
+
+    const plan = planRestore(state, sealedBackup, mode);
+    if (!plan.total) return plan;
+
+    const changes = [];
+    plan.collections.forEach(({ category, added, changed, deleted }) => {
+      [...added.map(after => ({ before: null, after })), ...changed].forEach(({ before, after }) => {
+        const next = stampRecord({ ...after });
+        putRecord(category, next);
+        markDirty(category, next.id);
+        auditChange(category, next.id, 'backup', before, next);
+        changes.push({ category, id: next.id, before, after: next });
+      });
+
+      deleted.forEach((record) => {
+        removeRecord(category, record.id);
+        markDirty(category, record.id);
+        auditChange(category, record.id, 'delete', record, null);
+        changes.push({ category, id: record.id, before: record, after: null });
+        if (HARD_DELETE.has(category)) return;
+
+        const entry = makeTrashEntry(category, record);
+        state.trash = [entry, ...(state.trash || [])];
+        markDirty('trash', entry.id);
+        changes.push({ category: 'trash', id: entry.id, before: null, after: entry });
+      });
+
+      sortNewestFirst(category);
+    });
+
+    if (plan.settings) {
+      const before = { ...state.settings };
+      state.settings = { ...plan.settings.after };
+      settingsDirty = true;
+      changes.push({ category: 'settings', id: null, before, after: { ...state.settings } });
+    }
+
+    const counts = plan.collections.reduce((acc, c) => ({
+      added: acc.added + c.added.length,
+      changed: acc.changed + c.changed.length,
+      deleted: acc.deleted + c.deleted.length
+    }), { added: 0, changed: 0, deleted: 0 });
+    const text = `Restored backup (${mode}): ${counts.added} added, ${counts.changed} updated`
+      + (mode === 'replace' ? `, ${counts.deleted} moved to Trash` : '');
+    recordHistory(text, changes);
+
+    addActivity({
+      text,
+      type: 'restore',
+      entity: 'backup',
+      entityId: null
+    });
+
+    this.notify(state, 'all');
+    await pushToCloudDebounced();
+    return plan;
+  },
+
+  /**
+   * Puts a trashed record back into its original collection, along with
+   * anything its delete cascaded to or unlinked.
+   */
+  async restoreFromTrash(trashId) {
+    const entry = findRecord('trash', trashId);
+    if (!entry?.record || !COLLECTIONS.includes(entry.category)) return null;
+    assertCan(entry.category, 'add');
+
+    const changes = [];
+    const restored = restoreTrashEntry(entry, changes);
+    sortNewestFirst(entry.category);
+    restoreDependents(entry.dependents, changes);
+
+    const text = `Restored ${entry.name || 'Item'} to ${entry.category}`;
+    recordHistory(text, changes);
+
+    addActivity({
+      text,
+      type: 'restore',
+      entity: entry.category,
+      entityId: restored.id
+    });
+
+    this.notify(state, 'all');
+    await pushToCloudDebounced();
+    return restored;
+  },
+
+  /**
+   * Permanently removes trash entries (one id or an array). Not undoable.
+   */
+  async purgeFromTrash(trashIds) {
+    const ids = Array.isArray(trashIds) ? trashIds : [trashIds];
+    ids.forEach(id => assertCan(findRecord('trash', id)?.category, 'delete'));
+    const count = dropTrashEntries(ids.filter(id => findRecord('trash', id)));
+    if (!count) return 0;
+
+    addActivity({
+      text: `Permanently deleted ${count} item${count === 1 ? '' : 's'} from Trash`,
+      type: 'delete',
+      entity: 'trash',
+      entityId: null
+    });
+
+    this.notify(state, 'trash');
+    await pushToCloudDebounced();
+    return count;
+  },
+
+  async emptyTrash() {
+    return this.purgeFromTrash((state.trash || []).map(t => t.id));
+  },
+
+  /**
+   * Applies the retention window now (also runs on every cloud connect).
+   */
+  async purgeExpiredTrash() {
+    assertCanManage();
+    const count = purgeExpiredTrash();
+    if (!count) return 0;
+    this.notify(state, 'trash');
+    await pushToCloudDebounced();
+    return count;
+  },
+
+  getTrashRetentionDays() {
+    return trashRetentionDays();
+  },
+
+  /**
+   * { enabled, unlocked, createdAt, createdByEmail } for the open workspace.
+   */
+  getEncryptionStatus() {
+    const config = encryptionConfig();
+    return {
+      enabled: !!config,
+      unlocked: !!currentKey(),
+      createdAt: config?.createdAt || null,
+      createdByEmail: config?.createdByEmail || null
+    };
+  },
+
+  /**
+   * Owner: turns on field encryption with `passphrase` and seals every
+   * plaintext sensitive value already stored (Trash included). Not undoable;
+   * earlier undo steps are dropped since they hold plaintext copies.
+   * Returns how many values were sealed.
+   */
+  async setupEncryption(passphrase) {
+    assertCanManage();
+    if (encryptionConfig()) throw new EncryptionError('Field encryption is already set up for this workspace.');
+    if (!cloudReady) throw new Error('Setting up encryption needs a connection.');
+
+    const { config, key } = await createKeyConfig(passphrase, { createdByEmail: currentUser()?.email || null });
+
+    const sealedRecords = [];
+    let count = 0;
+    for (const category of COLLECTIONS) {
+      for (const record of state[category] || []) {
+        // Trash entries carry a full copy of the deleted record
+        const inTrash = category === 'trash';
+        const inner = inTrash ? record.record : record;
+        const innerCategory = inTrash ? record.category : category;
+        const fields = plaintextSensitive(innerCategory, inner);
+        if (!fields.length) continue;
+
+        const sealed = await sealWith(key, innerCategory, inner);
+        sealedRecords.push({ category, record: inTrash ? { ...record, record: sealed } : sealed });
+        count += fields.length;
+      }
+    }
+
+    sealedRecords.forEach(({ category, record }) => {
+      putRecord(category, stampRecord(record));
+      markDirty(category, record.id);
+    });
+
+    state.settings = { ...state.settings, encryption: config };
+    settingsDirty = true;
+    encryptionKey = key;
+    encryptionKeySalt = config.salt;
+    undoStack = [];
+    redoStack = [];
+
+    addActivity({
+      text: `Turned on field encryption (${count} value${count === 1 ? '' : 's'} encrypted)`,
+      type: 'update',
+      entity: 'settings',
+      entityId: null
+    });
+
+    this.notify(state, 'all');
+    await pushToCloudDebounced();
+    return count;
+  },
+
+  /**
+   * Derives the workspace key from `passphrase` for this session; rejects
+   * with an EncryptionError when it is wrong.
+   */
+  async unlockEncryption(passphrase) {
+    const config = encryptionConfig();
+    if (!config) throw new EncryptionError('Field encryption is not set up for this workspace.');
+    encryptionKey = await unlockKey(config, passphrase);
+    encryptionKeySalt = config.salt;
+    return true;
+  },
+
+  lockEncryption() {
+    lockEncryption();
+  },
+
+  /**
+   * The readable value of one sensitive field; logged to the record's audit trail.
+   * Rejects with a PermissionError for roles that cannot edit the record, and
+   * with an EncryptionError while the value is sealed and the key is locked.
+   */
+  async reveal(category, id, field) {
+    assertCanReveal(category);
+    const record = findRecord(category, id);
+    if (!record) return null;
+
+    const value = record[field];
+    if (isSealed(value) && !currentKey()) {
+      throw new EncryptionError('Encrypted fields are locked. Unlock them with the workspace passphrase to see this value.');
+    }
+    const plain = isSealed(value) ? await openValue(currentKey(), value) : value;
+
+    auditReveal(category, id, field);
+    await pushToCloudDebounced();
+    return plain ?? null;
+  },
+
+  /**
+   * Links that point at a missing (or trashed) record; see relations.scanOrphans.
+   */
+  scanOrphans() {
+    return scanOrphans(state);
+  },
+
+  /**
+   * Applies the repair from scanOrphans(): re-links where the other half of an
+   * id/name pair still resolves, clears the link otherwise. One undo step.
+   */
+  async repairOrphans() {
+    const orphans = scanOrphans(state);
+    if (!orphans.length) return 0;
+    orphans.forEach(o => assertCan(o.category, 'update'));
+
+    const changes = [];
+    const touched = new Set();
+
+    orphans.forEach(({ category, id, patch }) => {
+      const before = findRecord(category, id);
+      if (!before) return;
+      const after = stampRecord({ ...before, ...patch });
+      putRecord(category, after);
+      markDirty(category, id);
+      changes.push({ category, id, before, after });
+      auditChange(category, id, 'repair', before, after);
+      touched.add(category);
+    });
+    touched.forEach(sortNewestFirst);
+
+    const text = `Repaired ${changes.length} broken link${changes.length === 1 ? '' : 's'}`;
+    recordHistory(text, changes);
+
+    addActivity({
+      text,
+      type: 'update',
+      entity: 'integrity',
+      entityId: null
+    });
+
+    this.notify(state, 'all');
+    await pushToCloudDebounced();
+    return changes.length;
+  },
+
+  /**
+   * { schemaVersion, targetVersion, migrations } for the Settings panel.
+   */
+  getSchemaInfo() {
+    return {
+      schemaVersion: Number(state._meta?.schemaVersion) || null,
+      targetVersion: SCHEMA_VERSION,
+      migrations: [...(state._meta?.migrations || [])]
+    };
+  },
+
+  /**
+   * Dry run: what the migrations would change, without changing anything.
+   * `{ all: true }` re-checks already recorded migrations too (catches data
+   * written in a legacy shape since, e.g. by an older client).
+   */
+  planMigrations(opts = {}) {
+    return planMigrations(state, opts);
+  },
+
+  /**
+   * Applies migrations now (normally automatic on load). Same options as planMigrations.
+   */
+  async runMigrations(opts = {}) {
+    assertCanManage();
+    const plan = runMigrations(opts);
+    if (plan.changes.length) this.notify(state, 'all');
+    await pushToCloudDebounced();
+    return plan;
+  },
+
+  /**
+   * Reverts the most recent change. With `entryId`, only if that entry is
+   * still the most recent one (so a stale "Undo" button can't undo something else).
+   * Returns { id, label, at } of the undone entry, or null.
+   */
+  async undo(entryId) {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry || (entryId && entry.id !== entryId)) return null;
+    assertCanApply(entry);
+
+    undoStack.pop();
+    const category = applyHistory(entry, 'before');
+    redoStack.push(entry);
+
+    addActivity({ text: `Undid: ${entry.label}`, type: 'undo', entity: category, entityId: entry.changes[0]?.id ?? null });
+
+    this.notify(state, category);
+    await pushToCloudDebounced();
+    return historySummary(entry);
+  },
+
+  /**
+   * Re-applies the most recently undone change. Returns its summary, or null.
+   */
+  async redo() {
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) return null;
+    assertCanApply(entry);
+    redoStack.pop();
+
+    const category = applyHistory(entry, 'after');
+    undoStack.push(entry);
+
+    addActivity({ text: `Redid: ${entry.label}`, type: 'redo', entity: category, entityId: entry.changes[0]?.id ?? null });
+
+    this.notify(state, category);
+    await pushToCloudDebounced();
+    return historySummary(entry);
+  },
+
+  peekUndo() {
+    return historySummary(undoStack[undoStack.length - 1]);
+  },
+
+  peekRedo() {
+    return historySummary(redoStack[redoStack.length - 1]);
+  },
+
+  /**
+   * One page of a record's audit trail, newest first.
+   * Pass the returned `cursor` back in to get the next (older) page.
+   * Entries not yet pushed are included on the first page.
+   * Returns { entries, cursor, hasMore, error }.
+   */
+  async getRecordHistory(category, id, opts = {}) {
+    const pageSize = Math.max(1, Number(opts.pageSize) || 20);
+    const cursor = opts.cursor || null;
+
+    const isThisRecord = e => e.category === category && String(e.recordId) === String(id);
+    const local = cursor
+      ? []
+      : [...inFlightAudit, ...pendingAudit].filter(isThisRecord).sort((a, b) => String(b.at).localeCompare(String(a.at)));
+
+    const wsId = activeWorkspace?.id;
+    if (!currentUser() || !wsId) return { entries: local, cursor: null, hasMore: false, error: null };
+
+    try {
+      const page = await backend().query(auditEntriesRef(wsId, category, id), {
+        orderBy: ['at', 'desc'],
+        limit: pageSize,
+        after: cursor
+      });
+
+      const localIds = new Set(local.map(e => e.id));
+      const remote = page.docs.map(d => ({ ...d.data, id: d.id })).filter(e => !localIds.has(e.id));
+      const next = page.docs.length === pageSize ? page.cursor : null;
+
+      return { entries: [...local, ...remote], cursor: next, hasMore: !!next, error: null };
+    } catch (error) {
+      console.error('[State] Audit history load failed:', error);
+      return { entries: local, cursor: null, hasMore: false, error };
+    }
+  },
+
+  /**
+   * Sets one field back to an earlier value (undefined removes the field).
+   */
+  async revertField(category, id, field, value) {
+    const before = findRecord(category, id);
+    if (!before || !field || field === 'id' || SYNC_FIELDS.has(field)) return null;
+    assertCan(category, 'update');
+
+    const next = { ...before };
+    if (value === undefined) delete next[field];
+    else Object.assign(next, await sealSensitive(category, { [field]: value }));
+
+    const after = stampRecord(next);
+    putRecord(category, after);
+    markDirty(category, id);
+
+    const text = `Reverted ${field} on ${before.name || 'Item'} in ${category}`;
+    recordHistory(text, [{ category, id, before, after }]);
+    auditChange(category, id, 'revert', before, after);
+
+    addActivity({
+      text,
+      type: 'update',
+      entity: category,
+      entityId: id
+    });
+
+    this.notify(state, category);
+    await pushToCloudDebounced();
+    return after;
+  },
+
+  /**
+   * Open same-field conflicts between this device and the cloud.
+   */
+  getConflicts() {
+    return [...conflicts];
+  },
+
+  /**
+   * Registers a callback that receives the full open-conflict list whenever it grows.
+   */
+  onConflict(callback) {
+    conflictListeners.push(callback);
+    if (conflicts.length) callback([...conflicts]);
+  },
+
+  /**
+   * Resolves open conflicts.
+   * `decisions` is either 'local' | 'remote' (applied to every open conflict)
+   * or a map of { [conflictId]: 'local' | 'remote' }. Undecided conflicts stay open.
+   */
+  async resolveConflicts(decisions) {
+    const pick = (c) => (typeof decisions === 'string' ? decisions : decisions?.[c.id]);
+
+    const decided = conflicts.filter(c => pick(c) === 'local' || pick(c) === 'remote');
+    if (!decided.length) return;
+
+    const touched = new Set();
+
+    decided.forEach((c) => {
+      touched.add(c.key);
+      if (pick(c) !== 'remote') return;
+
+      if (c.key === SETTINGS_KEY) {
+        const next = { ...state.settings };
+        if (c.remoteValue === undefined) delete next[c.field];
+        else next[c.field] = c.remoteValue;
+        state.settings = next;
+        return;
+      }
+
+      if (c.field === null) {
+        if (c.remoteValue) putRecord(c.category, c.remoteValue);
+        else removeRecord(c.category, c.recordId);
+        return;
+      }
+
+      const current = findRecord(c.category, c.recordId);
+      if (!current) return;
+      const next = { ...current };
+      if (c.remoteValue === undefined) delete next[c.field];
+      else next[c.field] = c.remoteValue;
+      putRecord(c.category, next);
+    });
+
+    const decidedIds = new Set(decided.map(c => c.id));
+    conflicts = conflicts.filter(c => !decidedIds.has(c.id));
+
+    // Anything that still differs from the cloud copy goes out on the next push
+    touched.forEach((key) => {
+      if (isHeld(key)) return;
+
+      if (key === SETTINGS_KEY) {
+        settingsDirty = !sameValue(state.settings, { ...state.settings, ...(cloudBase.get(SETTINGS_KEY) || {}) });
+        return;
+      }
+
+      const { category, id } = parseKey(key);
+      const local = findRecord(category, id);
+      const base = cloudBase.get(key) || null;
+      if ((local && base && sameRecordContent(local, base)) || (!local && !base)) dirtyRecords.delete(key);
+      else markDirty(category, id);
+    });
+
+    this.notify(state, 'all');
+    await pushToCloudDebounced();
+  },
+
+  /**
+   * Named derived value from selectors.js, e.g. select('portfolio'),
+   * select('llcTotals'), select('investorHoldings', investorId).
+   * Memoized until one of the selector's collections changes.
+   */
+  select(name, ...args) {
+    const selector = SELECTORS[name];
+    if (!selector) throw new Error(`Unknown selector: ${name}`);
+    return memoized(`${name}|${JSON.stringify(args)}`, selector.deps, () => selector.compute(state, ...args));
+  },
+
+  /**
+   * Filtered/sorted/grouped records of one collection (spec: see selectors.js).
+   * Memoized per spec until the collection changes.
+   */
+  query(category, spec = {}) {
+    return memoized(`query:${category}|${JSON.stringify(spec)}`, [category], () => runQuery(category, state[category], spec));
+  },
+
+  /**
+   * Observer Pattern: Allows modules to listen for state changes.
+   * subscribe(callback) hears everything; subscribe(categories, callback)
+   * only hears notify() calls for those categories (plus 'all').
+   * Returns an unsubscribe function.
+   */
+  subscribe(categories, callback) {
+    if (typeof categories === 'function') {
+      callback = categories;
+      categories = null;
+    }
+
+    const wanted = categories ? new Set([].concat(categories)) : null;
+    const listener = (newState, category) => {
+      if (!wanted || category === 'all' || wanted.has(category)) callback(newState, category);
+    };
+    listeners.push(listener);
+
+    // Immediate trigger so the module can render its initial view
+    callback(state, 'all');
+    return () => {
+      listeners = listeners.filter(l => l !== listener);
+    };
   },
 
   /**
    * Alerts all subscribers that data has changed
    */
   notify(newState, category = 'all') {
+    bumpVersion(category);
     listeners.forEach(callback => callback(newState, category));
+    persistLocalDebounced();
   }
 };
@@ -0,0 +1,118 @@
+/**
+ * src/totp.js
+ * Time-based one-time passwords (RFC 6238), with WebCrypto only.
+ *
+ * Secrets are base32 strings, the form authenticator apps and Firebase's
+ * TotpSecret use. The local backends check codes with verifyTotp; mfa.js
+ * computes codes itself for recovery codes (see there).
+ */
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = { digits: 6, period: 30, algorithm: 'SHA1' };
+
+// Codes one step either side of now still count (clock drift)
+const DRIFT_STEPS = 1;
+
+export function toBase32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  new Uint8Array(bytes).forEach((b) => {
+    value = (value << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/**
+ * Base32 -> bytes; spaces, dashes, padding and case are ignored.
+ * Throws on any other character.
+ */
+export function fromBase32(text) {
+  const clean = String(text ?? '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const index = BASE32.indexOf(ch);
+    if (index < 0) throw new Error('Not a valid key.');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(out);
+}
+
+/**
+ * A new random secret (160 bits, the RFC's recommended length).
+ */
+export function generateSecret() {
+  return toBase32(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+// 'SHA1' (Firebase, otpauth URIs) -> 'SHA-1' (WebCrypto)
+function hashName(algorithm) {
+  return String(algorithm || TOTP_DEFAULTS.algorithm).toUpperCase().replace(/^SHA-?/, 'SHA-');
+}
+
+async function hotp(secret, counter, { digits, algorithm }) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    fromBase32(secret),
+    { name: 'HMAC', hash: hashName(algorithm) },
+    false,
+    ['sign']
+  );
+
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 2 ** 32));
+  message.setUint32(4, counter >>> 0);
+
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+  const offset = mac[mac.length - 1] & 15;
+  const binary = ((mac[offset] & 127) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * The code for `secret` at `at` (ms, default now).
+ * options = { digits, period, algorithm } (TOTP_DEFAULTS when missing)
+ */
+export async function totpCode(secret, options = {}, at = Date.now()) {
+  const { digits, period, algorithm } = { ...TOTP_DEFAULTS, ...options };
+  return hotp(secret, Math.floor(at / 1000 / period), { digits, algorithm });
+}
+
+/**
+ * True when `code` matches now, or one period before or after.
+ */
+export async function verifyTotp(secret, code, options = {}, at = Date.now()) {
+  const { period } = { ...TOTP_DEFAULTS, ...options };
+  const typed = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d+$/.test(typed)) return false;
+
+  for (let step = -DRIFT_STEPS; step <= DRIFT_STEPS; step++) {
+    if (await totpCode(secret, options, at + step * period * 1000) === typed) return true;
+  }
+  return false;
+}
+
+/**
+ * otpauth:// link for authenticator apps (as a QR code or tapped on a phone).
+ */
+export function otpauthUri(secret, { accountName, issuer, ...options } = {}) {
+  const { digits, period, algorithm } = { ...TOTP_DEFAULTS, ...options };
+  const label = encodeURIComponent(issuer ? `${issuer}:${accountName}` : accountName);
+  const params = new URLSearchParams({ secret, digits: String(digits), period: String(period), algorithm });
+  if (issuer) params.set('issuer', issuer);
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,227 @@
+/**
+ * src/utils/backupManager.js
+ * Automatic versioned backups of the open workspace to Firebase Storage.
+ *
+ * Each snapshot is the same JSON as Settings > Download Snapshot, stored at
+ *   workspaces/{wsId}/backups/backup_{UTC time}.json
+ * with its record counts, schema version and trigger as custom metadata, so
+ * the Backups card can list them without downloading any.
+ *
+ * When: once a day (checked whenever the device is synced, at most hourly)
+ * and after every settings.backupEveryChanges changes to the workspace
+ * (0 = daily only). Every new snapshot prunes the older ones per
+ * backups.js planRetention (7 daily, 4 weekly, 12 monthly).
+ * Only owners' devices write, prune or restore backups, and only on the
+ * cloud backend (the local ones have no file storage).
+ */
+import { backend } from '../backend.js';
+import { stateManager } from '../state.js';
+import { SCHEMA_VERSION } from '../migrations.js';
+import { recordCounts, snapshotFileName, snapshotDate, planRetention } from '../backups.js';
+import { restoreDialog } from './restoreDialog.js';
+
+export const DEFAULT_BACKUP_EVERY_CHANGES = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_CHECK_MS = 60 * 60 * 1000;
+const TICK_MS = 15 * 60 * 1000;
+
+let started = false;
+let workspaceId = null;
+let changesSinceBackup = 0;
+let changeBackupDue = false;
+let lastDailyCheckAt = 0;
+let running = null; // the snapshot being written, if any
+
+function backupsFolder(wsId) {
+  return `workspaces/${wsId}/backups`;
+}
+
+function everyChanges() {
+  const n = Number(stateManager.get().settings?.backupEveryChanges);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n) : DEFAULT_BACKUP_EVERY_CHANGES;
+}
+
+function assertOwner() {
+  if (!backend().files) throw new Error('Automatic backups need the cloud backend (Settings > Storage Backend).');
+  if (!stateManager.getWorkspace()?.id) throw new Error('Workspace not loaded yet');
+  if (!stateManager.canManageWorkspace()) throw new Error('Only workspace owners can manage backups.');
+}
+
+// Storage helpers of the cloud backend (assertOwner() checked they exist)
+function files() {
+  return backend().files;
+}
+
+function parseCounts(raw) {
+  try {
+    const counts = JSON.parse(raw || '{}');
+    return counts && typeof counts === 'object' ? counts : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function toSnapshot(item, meta) {
+  const custom = meta?.customMetadata || {};
+  const counts = parseCounts(custom.counts);
+  const created = snapshotDate(item.name) || new Date(meta?.timeCreated || 0);
+
+  return {
+    name: item.name,
+    path: item.fullPath,
+    createdAt: created.toISOString(),
+    size: Number(meta?.size) || 0,
+    counts,
+    records: Object.values(counts).reduce((sum, n) => sum + (Number(n) || 0), 0),
+    trigger: custom.trigger || 'manual',
+    schemaVersion: Number(custom.schemaVersion) || null,
+    createdByEmail: custom.createdByEmail || null
+  };
+}
+
+/**
+ * Snapshots of the open workspace, newest first.
+ */
+async function listSnapshots() {
+  assertOwner();
+  const { storage, ref: storageRef, listAll, getMetadata } = files();
+  const folder = storageRef(storage, backupsFolder(stateManager.getWorkspace().id));
+  const { items } = await listAll(folder);
+
+  const snapshots = await Promise.all(items.map(async (item) => {
+    let meta = null;
+    try {
+      meta = await getMetadata(item);
+    } catch (e) {
+      console.warn('[Backups] Metadata read failed (listing without it):', e);
+    }
+    return toSnapshot(item, meta);
+  }));
+
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Deletes the snapshots the retention rules no longer keep; returns how many.
+ */
+async function pruneSnapshots() {
+  const { drop } = planRetention(await listSnapshots());
+  const { storage, ref: storageRef, deleteObject } = files();
+  await Promise.all(drop.map(async (s) => {
+    try {
+      await deleteObject(storageRef(storage, s.path));
+    } catch (e) {
+      console.warn('[Backups] Prune failed (kept for now):', s.name, e);
+    }
+  }));
+  return drop.length;
+}
+
+async function writeSnapshot(trigger) {
+  assertOwner();
+  const wsId = stateManager.getWorkspace().id;
+  const state = stateManager.get();
+  const name = snapshotFileName(new Date());
+
+  // Changes made while this uploads count towards the next one
+  changesSinceBackup = 0;
+  changeBackupDue = false;
+
+  const { storage, ref: storageRef, uploadString } = files();
+  await uploadString(storageRef(storage, `${backupsFolder(wsId)}/${name}`), JSON.stringify(state), 'raw', {
+    contentType: 'application/json',
+    customMetadata: {
+      counts: JSON.stringify(recordCounts(state)),
+      schemaVersion: String(state._meta?.schemaVersion ?? SCHEMA_VERSION),
+      trigger,
+      createdByEmail: backend().currentUser()?.email || ''
+    }
+  });
+
+  try {
+    await pruneSnapshots();
+  } catch (e) {
+    console.warn('[Backups] Retention pass failed:', e);
+  }
+  return name;
+}
+
+function takeSnapshot(trigger) {
+  if (!running) running = writeSnapshot(trigger).finally(() => { running = null; });
+  return running;
+}
+
+// Runs whichever automatic backup is due; only on an owner's synced device
+async function checkDue() {
+  if (running || !backend().files || !stateManager.canManageWorkspace() || !stateManager.getWorkspace()?.id) return;
+  if (stateManager.getSyncStatus().status !== 'synced') return;
+
+  try {
+    if (changeBackupDue) {
+      await takeSnapshot('changes');
+      return;
+    }
+
+    if (Date.now() - lastDailyCheckAt < DAILY_CHECK_MS) return;
+    lastDailyCheckAt = Date.now();
+
+    const [newest] = await listSnapshots();
+    if (!newest || Date.now() - Date.parse(newest.createdAt) >= DAY_MS) await takeSnapshot('daily');
+  } catch (e) {
+    console.warn('[Backups] Automatic backup failed:', e);
+  }
+}
+
+function countChange(_state, category) {
+  if (category === 'all') return;
+  const every = everyChanges();
+  if (!every) return;
+  changesSinceBackup += 1;
+  if (changesSinceBackup >= every) changeBackupDue = true;
+}
+
+export const backupManager = {
+  /**
+   * Starts the automatic schedule (once, after sign-in wiring in main.js).
+   */
+  start() {
+    if (started) return;
+    started = true;
+
+    stateManager.onWorkspace((workspace) => {
+      if (workspace?.id === workspaceId) return;
+      workspaceId = workspace?.id || null;
+      changesSinceBackup = 0;
+      changeBackupDue = false;
+      lastDailyCheckAt = 0;
+    });
+    stateManager.subscribe(countChange);
+    stateManager.onSyncStatus(({ status }) => {
+      if (status === 'synced') checkDue();
+    });
+    setInterval(checkDue, TICK_MS);
+  },
+
+  list: listSnapshots,
+  prune: pruneSnapshots,
+  everyChanges,
+
+  /**
+   * Writes a snapshot now; resolves with its file name.
+   */
+  async createNow() {
+    assertOwner();
+    return takeSnapshot('manual');
+  },
+
+  /**
+   * Downloads `snapshot` (from list()) and opens the restore preview for it.
+   */
+  async restore(snapshot) {
+    assertOwner();
+    const { storage, ref: storageRef, getBytes } = files();
+    const bytes = await getBytes(storageRef(storage, snapshot.path));
+    restoreDialog.openText(new TextDecoder().decode(bytes), snapshot.name);
+  }
+};
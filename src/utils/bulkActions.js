@@ -0,0 +1,162 @@
+/**
+ * src/utils/bulkActions.js
+ * Multi-select + bulk-action bar shared by the list views.
+ *
+ * Each view keeps its own Set of selected ids and uses action names with its
+ * usual prefix (deal-, prop-, contact-, investor-, task-):
+ *   <prefix>-select        checkbox on a card/row (data-id)
+ *   <prefix>-select-all    toggles every visible record
+ *   <prefix>-select-clear  clears the selection
+ * plus whatever bulk actions the view passes to bulkBarHtml().
+ *
+ * The writes themselves go through stateManager.bulkUpdate/bulkDelete, so a
+ * bulk change is one push, one undo step and one activity entry.
+ */
+import { stateManager } from '../state.js';
+import { modalManager } from './modals.js';
+import { escapeHtml } from './formatters.js';
+import { showUndoToast } from './toast.js';
+import { deleteImpactHtml, showDeleteBlocked } from './deleteImpact.js';
+
+/**
+ * Checkbox for one card/row.
+ */
+export function selectBoxHtml(prefix, id, checked) {
+  return `
+    <input type="checkbox" data-action="${prefix}-select" data-id="${escapeHtml(id)}" ${checked ? 'checked' : ''}
+      class="w-4 h-4 rounded border-slate-300 accent-slate-900 cursor-pointer" title="Select">
+  `;
+}
+
+/**
+ * Select-all row + (when something is selected) the action bar.
+ * actions: [{ action, label, icon, danger }]
+ */
+export function bulkBarHtml({ prefix, count, total, actions = [] }) {
+  if (!total) return '';
+  const allChecked = count > 0 && count === total;
+
+  return `
+    <div class="flex flex-wrap items-center gap-3 mb-4 ${count ? 'p-3 rounded-xl bg-slate-900 text-white shadow-lg sticky top-2 z-20' : 'px-1'}">
+      <label class="flex items-center gap-2 text-[10px] font-black uppercase tracking-widest ${count ? 'text-slate-300' : 'text-slate-400'} cursor-pointer">
+        <input type="checkbox" data-action="${prefix}-select-all" ${allChecked ? 'checked' : ''}
+          class="w-4 h-4 rounded border-slate-300 accent-orange-500 cursor-pointer">
+        ${count ? `${count} of ${total} selected` : `Select all (${total})`}
+      </label>
+
+      ${count ? `
+        <div class="flex flex-wrap items-center gap-2 ml-auto">
+          ${actions.map(a => `
+            <button type="button" data-action="${escapeHtml(a.action)}"
+              class="px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest ${a.danger ? 'bg-red-600 hover:bg-red-700' : 'bg-white/10 hover:bg-white/20'}">
+              ${a.icon ? `<i class="fa ${escapeHtml(a.icon)} mr-1"></i>` : ''}${escapeHtml(a.label)}
+            </button>
+          `).join('')}
+          <button type="button" data-action="${prefix}-select-clear"
+            class="px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest text-slate-300 hover:text-white">
+            Clear
+          </button>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Handles the three selection actions for a view. Returns true when `action`
+ * was one of them (the caller should then re-render).
+ */
+export function handleSelectAction(prefix, action, id, selected, visibleIds) {
+  if (action === `${prefix}-select`) {
+    const key = String(id);
+    if (selected.has(key)) selected.delete(key);
+    else selected.add(key);
+    return true;
+  }
+
+  if (action === `${prefix}-select-all`) {
+    const ids = visibleIds.map(String);
+    const all = ids.length > 0 && ids.every(v => selected.has(v));
+    selected.clear();
+    if (!all) ids.forEach(v => selected.add(v));
+    return true;
+  }
+
+  if (action === `${prefix}-select-clear`) {
+    selected.clear();
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Drops ids that are no longer in the list (deleted elsewhere, filtered out).
+ */
+export function pruneSelection(selected, visibleIds) {
+  const keep = new Set(visibleIds.map(String));
+  [...selected].forEach((id) => {
+    if (!keep.has(id)) selected.delete(id);
+  });
+}
+
+/**
+ * Modal with one <select>; onApply(value) does the bulkUpdate.
+ * options: [{ value, label }]
+ */
+export function showBulkFieldModal({ title, label, options, submitLabel = 'Apply', onApply }) {
+  modalManager.show(
+    escapeHtml(title),
+    `
+      <div>
+        <label class="block text-xs font-bold text-gray-400 uppercase mb-1">${escapeHtml(label)}</label>
+        <select id="bulk-field-value"
+          class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-orange-500 outline-none">
+          ${options.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`).join('')}
+        </select>
+      </div>
+    `,
+    async () => {
+      const value = document.getElementById('bulk-field-value')?.value ?? '';
+      await onApply(value);
+      return true;
+    },
+    { submitLabel, cancelLabel: 'Cancel' }
+  );
+}
+
+/**
+ * Delete confirmation for a selection: restrict rules block it (with the
+ * dependents listed), otherwise cascades/unlinks are summarised before the
+ * single bulkDelete.
+ */
+export function confirmBulkDelete({ category, ids, noun, plural = `${noun}s`, onDone }) {
+  const count = ids.length;
+  if (!count) return;
+
+  const plans = ids.map(id => stateManager.getDeletePlan(category, id));
+  const plan = {
+    blocked: plans.flatMap(p => p.blocked),
+    cascade: plans.flatMap(p => p.cascade),
+    nullify: plans.flatMap(p => p.nullify)
+  };
+  const label = `${count} ${count === 1 ? noun : plural}`;
+
+  if (plan.blocked.length) {
+    showDeleteBlocked(`the selected ${label}`, plan);
+    return;
+  }
+
+  modalManager.show(
+    `Delete ${escapeHtml(label)}`,
+    `<p class="text-sm font-semibold text-slate-700">Delete ${escapeHtml(label)}? They move to Trash, where you can restore them.</p>
+    ${deleteImpactHtml(plan)}`,
+    async () => {
+      await stateManager.bulkDelete(category, ids);
+      showUndoToast(`Deleted ${label}`);
+      onDone?.();
+      return true;
+    },
+    { submitLabel: 'Delete All', cancelLabel: 'Cancel', danger: true }
+  );
+}
@@ -0,0 +1,343 @@
+/**
+ * src/utils/commandPalette.js
+ * Ctrl+K / Cmd+K: one search box over every record and command.
+ *
+ * - Records: deals, properties, investors, contacts, entities and projects by
+ *   name, address, email, phone, company, notes... (selectors.searchIndex),
+ *   grouped by type with a few key numbers; Enter opens the record's page
+ * - EINs and SSN/TINs match only when the whole number is typed
+ * - Commands: "Go to" every sidebar page the member may open, plus the
+ *   actions main.js passes to open() (Add deal, Export backup, ...)
+ *
+ * Matching is fuzzy: every word of the query has to appear in some field
+ * (word starts rank first); the name also matches its letters in order, so
+ * "mpl ct" finds "Maple Court". Arrow keys move, Enter runs, Esc closes.
+ */
+import { stateManager } from '../state.js';
+import { router } from '../router.js';
+import { DERIVED_FIELDS } from '../selectors.js';
+import { escapeHtml, formatters } from './formatters.js';
+
+const PER_GROUP = 5;
+const MAX_COMMANDS = 8;
+
+const GROUPS = {
+  deals: { label: 'Deals', icon: 'fa-rocket' },
+  properties: { label: 'Properties', icon: 'fa-building-user' },
+  investors: { label: 'Investors', icon: 'fa-users-viewfinder' },
+  contacts: { label: 'Contacts', icon: 'fa-address-book' },
+  llcs: { label: 'Entities', icon: 'fa-scale-balanced' },
+  projects: { label: 'Projects', icon: 'fa-helmet-safety' }
+};
+
+let root = null;
+let actions = [];
+let items = [];       // what Enter / click can run, in display order
+let active = 0;
+let returnFocus = null;
+
+function tokenize(query) {
+  return String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Letters of `token` appear in `text` in order ("mpl" in "maple")
+function isSubsequence(text, token) {
+  let i = 0;
+  for (const ch of text) {
+    if (ch === token[i]) i += 1;
+    if (i === token.length) return true;
+  }
+  return false;
+}
+
+function tokenScore(text, token, fuzzy) {
+  const at = text.indexOf(token);
+  if (at === 0) return 3;
+  if (at > 0) return /[\s,.\-@/#(]/.test(text[at - 1]) ? 2.5 : 2;
+  return fuzzy && token.length > 1 && isSubsequence(text, token) ? 1 : 0;
+}
+
+// { score, matched } for one index entry, or null; `matched` is the first
+// non-name field a word was found in (shown under the title)
+function scoreEntry(entry, tokens, digits) {
+  if (digits) {
+    const hit = entry.exact.find(x => x.digits === digits);
+    if (hit) return { score: 10, matched: { label: hit.label, value: null } };
+  }
+
+  let score = 0;
+  let matched = null;
+  for (const token of tokens) {
+    let best = 0;
+    let bestField = null;
+    entry.fields.forEach((field, i) => {
+      const s = tokenScore(field.text, token, i === 0) * (i === 0 ? 1.5 : 1);
+      if (s > best) {
+        best = s;
+        bestField = field;
+      }
+    });
+    if (!best) return null;
+    score += best;
+    if (!matched && bestField && bestField !== entry.fields[0]) matched = bestField;
+  }
+  return { score, matched };
+}
+
+function scoreCommand(command, tokens) {
+  const text = `${command.label} ${command.keywords || ''}`.toLowerCase();
+  let score = 0;
+  for (const token of tokens) {
+    const s = tokenScore(text, token, true);
+    if (!s) return 0;
+    score += s;
+  }
+  return score;
+}
+
+function metricsFor(category, r) {
+  switch (category) {
+    case 'deals':
+      return [r.stage, (r.purchase_price ?? r.price) ? formatters.dollars(r.purchase_price ?? r.price) : null, r.units ? `${r.units} units` : null];
+    case 'properties': {
+      const cap = DERIVED_FIELDS.properties.cap_rate(r);
+      return [r.valuation ? formatters.dollars(r.valuation) : null, cap ? `${formatters.percent(cap, 1)} cap` : null, r.units ? `${r.units} units` : null];
+    }
+    case 'investors':
+      return [r.type, r.total_invested ? `${formatters.dollars(r.total_invested)} invested` : null];
+    case 'contacts':
+      return [r.category, r.company];
+    case 'llcs':
+      return [r.state_of_inc, r.manager];
+    case 'projects':
+      return [r.status, r.budget ? `${formatters.dollars(r.budget)} budget` : null];
+    default:
+      return [];
+  }
+}
+
+// "Go to ..." for every sidebar page this member may open
+function navCommands() {
+  return [...document.querySelectorAll('#sidebar [data-action="nav-link"][data-view]')]
+    .filter(link => router.canNavigate(link.dataset.view))
+    .map(link => ({
+      id: `go:${link.dataset.view}`,
+      label: `Go to ${link.textContent.trim()}`,
+      icon: [...(link.querySelector('i')?.classList || [])].find(c => c.startsWith('fa-')) || 'fa-arrow-right',
+      keywords: link.dataset.view.replace(/-/g, ' '),
+      run: () => router.navigate(link.dataset.view)
+    }));
+}
+
+function search(query) {
+  const tokens = tokenize(query);
+  const commands = [...navCommands(), ...actions];
+
+  if (!tokens.length) return { groups: [], commands: commands.slice(0, MAX_COMMANDS * 2) };
+
+  const digits = /^[\d\s-]+$/.test(query.trim()) ? query.replace(/\D/g, '') : '';
+  const byCategory = new Map();
+
+  stateManager.select('searchIndex').forEach((entry) => {
+    if (!router.canNavigate(`${entry.category}/${entry.id}`)) return;
+    const hit = scoreEntry(entry, tokens, digits.length >= 9 ? digits : '');
+    if (!hit) return;
+    if (!byCategory.has(entry.category)) byCategory.set(entry.category, []);
+    byCategory.get(entry.category).push({ entry, ...hit });
+  });
+
+  const groups = [...byCategory.entries()]
+    .map(([category, hits]) => {
+      hits.sort((a, b) => (b.score - a.score) || a.entry.title.localeCompare(b.entry.title));
+      return { category, hits: hits.slice(0, PER_GROUP), total: hits.length, best: hits[0].score };
+    })
+    .sort((a, b) => b.best - a.best);
+
+  const scored = commands
+    .map(command => ({ command, score: scoreCommand(command, tokens) }))
+    .filter(x => x.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_COMMANDS)
+    .map(x => x.command);
+
+  return { groups, commands: scored };
+}
+
+function itemHtml(index, icon, title, detail) {
+  return `
+    <li id="palette-item-${index}" role="option" data-palette-index="${index}" aria-selected="${index === active}"
+      class="flex items-center gap-3 px-4 py-2.5 rounded-xl cursor-pointer ${index === active ? 'bg-slate-100' : ''}">
+      <i class="fa ${escapeHtml(icon)} w-5 text-center text-slate-400"></i>
+      <div class="min-w-0 flex-1">
+        <p class="text-sm font-bold text-slate-800 truncate">${title}</p>
+        ${detail ? `<p class="text-[11px] text-slate-400 truncate">${detail}</p>` : ''}
+      </div>
+    </li>
+  `;
+}
+
+function headingHtml(label, extra = '') {
+  return `
+    <li class="px-4 pt-3 pb-1 text-[10px] font-black text-slate-400 uppercase tracking-[0.15em]" role="presentation">
+      ${escapeHtml(label)}${extra}
+    </li>
+  `;
+}
+
+function renderResults() {
+  const input = root.querySelector('#palette-input');
+  const list = root.querySelector('#palette-results');
+  const { groups, commands } = search(input.value);
+
+  items = [];
+  let html = '';
+
+  groups.forEach(({ category, hits, total }) => {
+    const group = GROUPS[category];
+    html += headingHtml(group.label, total > hits.length ? ` <span class="text-slate-300">· ${hits.length} of ${total}</span>` : '');
+    hits.forEach(({ entry, matched }) => {
+      const index = items.length;
+      items.push(() => router.openRecord(entry.category, entry.id));
+      const metrics = metricsFor(category, entry.record).filter(Boolean).map(m => escapeHtml(m)).join(' · ');
+      const detail = matched
+        ? `${escapeHtml(matched.label)}${matched.value ? `: ${escapeHtml(matched.value.length > 80 ? `${matched.value.slice(0, 80)}…` : matched.value)}` : ' matches'}`
+        : '';
+      html += itemHtml(index, group.icon, escapeHtml(entry.title), [detail, metrics].filter(Boolean).join(' — '));
+    });
+  });
+
+  if (commands.length) {
+    html += headingHtml(input.value.trim() ? 'Commands' : 'Jump to or run');
+    commands.forEach((command) => {
+      const index = items.length;
+      items.push(command.run);
+      html += itemHtml(index, command.icon || 'fa-bolt', escapeHtml(command.label), command.hint ? escapeHtml(command.hint) : '');
+    });
+  }
+
+  if (!items.length) {
+    html = `<li class="px-4 py-8 text-center text-[10px] font-black text-slate-400 uppercase tracking-widest">No matches for “${escapeHtml(input.value.trim())}”</li>`;
+  }
+
+  list.innerHTML = html;
+  input.setAttribute('aria-activedescendant', items.length ? `palette-item-${active}` : '');
+}
+
+function setActive(index) {
+  if (!items.length) return;
+  active = (index + items.length) % items.length;
+  root.querySelectorAll('[data-palette-index]').forEach((el) => {
+    const on = Number(el.dataset.paletteIndex) === active;
+    el.classList.toggle('bg-slate-100', on);
+    el.setAttribute('aria-selected', String(on));
+    if (on) el.scrollIntoView?.({ block: 'nearest' });
+  });
+  root.querySelector('#palette-input')?.setAttribute('aria-activedescendant', `palette-item-${active}`);
+}
+
+function runItem(index) {
+  const run = items[index];
+  if (!run) return;
+  commandPalette.close();
+  Promise.resolve()
+    .then(run)
+    .catch(err => console.error('command palette: command failed', err));
+}
+
+function build() {
+  root = document.createElement('div');
+  root.id = 'command-palette';
+  root.className = 'fixed inset-0 z-[105] bg-slate-900/60 flex items-start justify-center p-4 pt-[12vh]';
+  root.innerHTML = `
+    <div role="dialog" aria-modal="true" aria-label="Search and commands"
+      class="bg-white rounded-2xl shadow-2xl w-full max-w-2xl overflow-hidden">
+      <div class="flex items-center gap-3 px-5 border-b border-slate-100">
+        <i class="fa fa-magnifying-glass text-slate-400"></i>
+        <input id="palette-input" type="text" autocomplete="off" spellcheck="false"
+          role="combobox" aria-expanded="true" aria-controls="palette-results"
+          placeholder="Search deals, properties, investors, contacts, entities… or type a command"
+          class="flex-1 py-4 text-sm font-semibold text-slate-800 outline-none bg-transparent">
+        <kbd class="text-[10px] font-black text-slate-400 border border-slate-200 rounded px-1.5 py-0.5">Esc</kbd>
+      </div>
+      <ul id="palette-results" role="listbox" class="max-h-[60vh] overflow-y-auto p-2"></ul>
+    </div>
+  `;
+
+  const input = root.querySelector('#palette-input');
+  const list = root.querySelector('#palette-results');
+
+  root.addEventListener('mousedown', (e) => {
+    if (e.target === root) commandPalette.close();
+  });
+
+  input.addEventListener('input', () => {
+    active = 0;
+    renderResults();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(active + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(active - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runItem(active);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      commandPalette.close();
+    }
+  });
+
+  list.addEventListener('mousemove', (e) => {
+    const el = e.target.closest('[data-palette-index]');
+    if (el && Number(el.dataset.paletteIndex) !== active) setActive(Number(el.dataset.paletteIndex));
+  });
+
+  list.addEventListener('click', (e) => {
+    const el = e.target.closest('[data-palette-index]');
+    if (el) runItem(Number(el.dataset.paletteIndex));
+  });
+
+  document.body.appendChild(root);
+}
+
+export const commandPalette = {
+  /**
+   * Opens the palette. `actions`: [{ id, label, icon, hint, keywords, run }],
+   * listed with the "Go to" commands.
+   */
+  open({ actions: extra = [] } = {}) {
+    actions = extra;
+    if (this.isOpen()) return;
+
+    returnFocus = document.activeElement;
+    if (!root) build();
+    root.classList.remove('hidden');
+
+    const input = root.querySelector('#palette-input');
+    input.value = '';
+    active = 0;
+    renderResults();
+    input.focus();
+  },
+
+  close() {
+    if (!this.isOpen()) return;
+    root.classList.add('hidden');
+    items = [];
+    returnFocus?.focus?.();
+    returnFocus = null;
+  },
+
+  toggle(opts) {
+    if (this.isOpen()) this.close();
+    else this.open(opts);
+  },
+
+  isOpen() {
+    return !!root && !root.classList.contains('hidden');
+  }
+};
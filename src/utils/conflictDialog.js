@@ -0,0 +1,170 @@
+/**
+ * src/utils/conflictDialog.js
+ * Sync conflict resolution dialog.
+ *
+ * Shows every open conflict from stateManager grouped by record: the field,
+ * my value vs the cloud value, and which device (clientInstanceId / email)
+ * wrote each side and when. The user picks a side per field, or uses
+ * "Keep all mine" / "Keep all theirs".
+ */
+import { stateManager } from '../state.js';
+import { modalManager } from './modals.js';
+import { escapeHtml } from './formatters.js';
+
+const CATEGORY_LABELS = {
+  deals: 'Deal',
+  properties: 'Property',
+  investors: 'Investor',
+  contacts: 'Contact',
+  tasks: 'Task',
+  llcs: 'LLC',
+  projects: 'Project',
+  vault: 'Document',
+  uploads: 'Upload',
+  activities: 'Activity',
+  crexiPresets: 'Crexi Preset',
+  settings: 'Settings'
+};
+
+function safeDate(value) {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function formatWhen(value) {
+  const d = safeDate(value);
+  return d ? d.toLocaleString() : 'unknown time';
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '<span class="italic text-slate-400">(empty)</span>';
+  if (typeof value === 'object') {
+    const json = JSON.stringify(value);
+    return escapeHtml(json.length > 160 ? `${json.slice(0, 160)}…` : json);
+  }
+  return escapeHtml(value);
+}
+
+function recordLabel(c) {
+  if (c.category === 'settings') return 'Workspace settings';
+
+  const list = stateManager.get()?.[c.category];
+  const current = Array.isArray(list) ? list.find(r => String(r?.id) === String(c.recordId)) : null;
+  const source = current || (c.field === null ? (c.localValue || c.remoteValue) : null) || {};
+  return String(source.name || source.title || source.task || source.address || c.recordId);
+}
+
+function authorLabel(clientId, email) {
+  const mine = clientId && clientId === stateManager.getClientInstanceId();
+  const who = email ? `${escapeHtml(email)} · ` : '';
+  const device = mine ? 'this device' : escapeHtml(clientId || 'unknown device');
+  return `${who}<span class="font-mono">${device}</span>`;
+}
+
+function renderSide(c, side) {
+  const isLocal = side === 'local';
+  const value = isLocal ? c.localValue : c.remoteValue;
+  const by = isLocal ? authorLabel(c.localUpdatedBy, c.localUpdatedByEmail) : authorLabel(c.remoteUpdatedBy, c.remoteUpdatedByEmail);
+  const at = isLocal ? c.localUpdatedAt : c.remoteUpdatedAt;
+
+  // Record-level conflicts: one side deleted, the other edited
+  const shown = c.field === null
+    ? (value ? '<span class="font-bold text-emerald-700">Edited record</span>' : '<span class="font-bold text-red-600">Deleted</span>')
+    : formatValue(value);
+
+  return `
+    <label class="block p-3 rounded-xl border border-slate-200 hover:border-slate-400 cursor-pointer has-[:checked]:border-slate-900 has-[:checked]:bg-slate-50">
+      <div class="flex items-center gap-2 mb-1">
+        <input type="radio" name="conflict-${escapeHtml(c.id)}" id="conflict-${side}-${escapeHtml(c.id)}" data-conflict-side="${side}" ${isLocal ? 'checked' : ''}>
+        <span class="text-[10px] font-black uppercase tracking-widest ${isLocal ? 'text-blue-600' : 'text-orange-600'}">
+          ${isLocal ? 'Mine' : 'Cloud'}
+        </span>
+      </div>
+      <div class="text-sm text-slate-800 break-words">${shown}</div>
+      <div class="mt-1 text-[10px] text-slate-400">${by} · ${escapeHtml(formatWhen(at))}</div>
+    </label>
+  `;
+}
+
+function renderGroups(list) {
+  const groups = new Map();
+  list.forEach((c) => {
+    if (!groups.has(c.key)) groups.set(c.key, []);
+    groups.get(c.key).push(c);
+  });
+
+  return [...groups.values()].map((items) => {
+    const first = items[0];
+    const type = CATEGORY_LABELS[first.category] || first.category;
+
+    const rows = items.map(c => `
+      <div class="space-y-2">
+        <p class="text-xs font-black text-slate-600">${c.field === null ? 'Whole record' : escapeHtml(c.field)}</p>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          ${renderSide(c, 'local')}
+          ${renderSide(c, 'remote')}
+        </div>
+      </div>
+    `).join('');
+
+    return `
+      <div class="rounded-2xl border border-slate-200 p-4 space-y-3">
+        <div class="flex items-center justify-between gap-2">
+          <p class="text-sm font-black text-slate-900 truncate">${escapeHtml(recordLabel(first))}</p>
+          <span class="text-[10px] font-black uppercase tracking-widest text-slate-400">${escapeHtml(type)}</span>
+        </div>
+        ${rows}
+      </div>
+    `;
+  }).join('');
+}
+
+export const conflictDialog = {
+  show(list = stateManager.getConflicts()) {
+    if (!list?.length) return;
+
+    const fieldCount = list.length;
+
+    modalManager.show(
+      'Sync conflict',
+      `
+        <div class="space-y-4">
+          <p class="text-sm font-semibold text-slate-700">
+            Another device changed the same ${fieldCount === 1 ? 'field' : `${fieldCount} fields`} you edited.
+            Your changes on these records are on hold until you choose.
+          </p>
+          <div class="flex gap-2">
+            <button type="button" data-conflict-all="local"
+              class="px-3 py-2 rounded-xl bg-blue-50 text-blue-700 text-xs font-black hover:bg-blue-100">
+              Keep all mine
+            </button>
+            <button type="button" data-conflict-all="remote"
+              class="px-3 py-2 rounded-xl bg-orange-50 text-orange-700 text-xs font-black hover:bg-orange-100">
+              Keep all theirs
+            </button>
+          </div>
+          <div class="space-y-3">${renderGroups(list)}</div>
+        </div>
+      `,
+      async (form) => {
+        const decisions = {};
+        list.forEach((c) => {
+          decisions[c.id] = form[`conflict-remote-${c.id}`] ? 'remote' : 'local';
+        });
+        await stateManager.resolveConflicts(decisions);
+        return true;
+      },
+      { submitLabel: 'Apply choices', cancelLabel: 'Decide later' }
+    );
+
+    // Bulk pickers just flip every radio; "Apply choices" commits them
+    document.querySelectorAll('#modal-content [data-conflict-all]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const side = btn.dataset.conflictAll;
+        document.querySelectorAll(`#modal-content input[data-conflict-side="${side}"]`).forEach((el) => {
+          el.checked = true;
+        });
+      });
+    });
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * src/utils/deleteImpact.js
+ * Shared pieces for delete confirmations that touch linked records.
+ *
+ * - deleteImpactHtml(plan): "also moves N tasks to Trash" / "unlinks N documents" lists
+ * - showDeleteBlocked(label, plan): explains a restrict rule instead of deleting
+ *
+ * `plan` comes from stateManager.getDeletePlan(category, id).
+ */
+import { modalManager } from './modals.js';
+import { escapeHtml } from './formatters.js';
+
+const MAX_LISTED = 8;
+
+function recordName(record) {
+  return record?.name || record?.title || record?.id || 'Untitled';
+}
+
+function groupList(heading, tone, records) {
+  const shown = records.slice(0, MAX_LISTED);
+  const more = records.length - shown.length;
+
+  return `
+    <div class="rounded-xl border ${tone === 'danger' ? 'border-red-100 bg-red-50' : 'border-amber-100 bg-amber-50'} p-3">
+      <p class="text-[10px] font-black uppercase tracking-widest ${tone === 'danger' ? 'text-red-700' : 'text-amber-700'} mb-1.5">${escapeHtml(heading)}</p>
+      <ul class="text-xs font-semibold text-slate-700 space-y-0.5">
+        ${shown.map(r => `<li class="truncate">• ${escapeHtml(recordName(r))}</li>`).join('')}
+        ${more > 0 ? `<li class="text-slate-400">…and ${more} more</li>` : ''}
+      </ul>
+    </div>
+  `;
+}
+
+// Groups plan rows by relation so each gets one heading
+function byRelation(rows) {
+  const groups = new Map();
+  rows.forEach(({ relation, record }) => {
+    if (!groups.has(relation.id)) groups.set(relation.id, { relation, records: [] });
+    groups.get(relation.id).records.push(record);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Warning block for the delete modal; '' when nothing else is affected.
+ */
+export function deleteImpactHtml(plan) {
+  if (!plan) return '';
+
+  const cascade = byRelation(plan.cascade || []).map(({ relation, records }) =>
+    groupList(`${relation.label} · also moved to Trash (${records.length})`, 'warn', records));
+  const nullify = byRelation(plan.nullify || []).map(({ relation, records }) =>
+    groupList(`${relation.label} · link will be cleared (${records.length})`, 'warn', records));
+
+  if (!cascade.length && !nullify.length) return '';
+  return `<div class="mt-4 space-y-2">${[...cascade, ...nullify].join('')}</div>`;
+}
+
+/**
+ * Shown instead of the delete confirmation when a restrict rule applies.
+ */
+export function showDeleteBlocked(label, plan) {
+  const subject = String(label || 'this record');
+
+  modalManager.show(
+    'Cannot delete yet',
+    `
+      <p class="text-sm font-semibold text-slate-700">
+        Linked records still point at ${escapeHtml(subject)}. Reassign or remove them first.
+      </p>
+      <div class="mt-4 space-y-2">
+        ${(plan?.blocked || []).map(({ relation, records }) => groupList(`${relation.label} (${records.length})`, 'danger', records)).join('')}
+      </div>
+    `,
+    () => true,
+    { submitLabel: 'OK', hideCancel: true }
+  );
+}
@@ -0,0 +1,180 @@
+/**
+ * src/utils/historyPanel.js
+ * Per-record change history (audit trail) in a modal.
+ *
+ * - Loads pages from stateManager.getRecordHistory() ("Load older" for the next page)
+ * - Shows each field's before → after, who (email / device) and when
+ * - "Revert" puts a single field back to its earlier value
+ * - Encrypted values show masked; reveals of sensitive fields are listed too
+ */
+import { stateManager } from '../state.js';
+import { modalManager } from './modals.js';
+import { escapeHtml } from './formatters.js';
+import { toast } from './toast.js';
+import { isSealed, maskValue } from '../fieldCrypto.js';
+
+const PAGE_SIZE = 20;
+
+const ACTION_LABELS = {
+  add: 'Created',
+  update: 'Edited',
+  delete: 'Deleted',
+  restore: 'Restored from trash',
+  backup: 'Restored from backup',
+  revert: 'Field reverted',
+  undo: 'Undo',
+  redo: 'Redo',
+  migrate: 'Schema migration',
+  unlink: 'Link cleared',
+  relink: 'Link restored',
+  repair: 'Broken link repaired',
+  reveal: 'Sensitive value revealed'
+};
+
+function formatWhen(value) {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? '—' : d.toLocaleString();
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '<span class="italic text-slate-400">(empty)</span>';
+  if (isSealed(value)) return `<span class="font-mono">${escapeHtml(maskValue(value))}</span> <i class="fa fa-lock text-[9px] text-slate-300"></i>`;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return escapeHtml(text.length > 120 ? `${text.slice(0, 120)}…` : text);
+}
+
+function authorLabel(entry) {
+  const mine = entry?.by && entry.by === stateManager.getClientInstanceId();
+  const device = mine ? 'this device' : (entry?.by || 'unknown device');
+  return entry?.byEmail ? `${entry.byEmail} · ${device}` : device;
+}
+
+function renderEntry(entry, index, canRevert) {
+  const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+  const reveal = entry?.action === 'reveal';
+
+  return `
+    <div class="rounded-2xl border border-slate-200 p-4 space-y-2">
+      <div class="flex items-center justify-between gap-2">
+        <span class="text-[10px] font-black uppercase tracking-widest text-slate-900">${escapeHtml(ACTION_LABELS[entry?.action] || entry?.action || 'Change')}</span>
+        <span class="text-[10px] font-bold text-slate-400">${escapeHtml(formatWhen(entry?.at))}</span>
+      </div>
+      <p class="text-[10px] text-slate-400 font-mono truncate">${escapeHtml(authorLabel(entry))}</p>
+      <div class="space-y-1.5">
+        ${changes.map((c, ci) => `
+          <div class="flex items-start gap-2 text-xs">
+            <span class="font-black text-slate-600 w-28 flex-shrink-0 truncate" title="${escapeHtml(c.field)}">${escapeHtml(c.field)}</span>
+            <span class="flex-1 min-w-0 break-words">
+              ${reveal ? '<span class="text-slate-500">viewed in plain text</span>' : `
+                <span class="text-red-600 line-through decoration-red-300">${formatValue(c.before)}</span>
+                <i class="fa fa-arrow-right mx-1 text-[9px] text-slate-300"></i>
+                <span class="text-emerald-700">${formatValue(c.after)}</span>
+              `}
+            </span>
+            ${canRevert && !reveal ? `
+              <button type="button" data-history-revert="${index}:${ci}" title="Set ${escapeHtml(c.field)} back to the earlier value"
+                class="px-2 py-1 rounded-lg text-[9px] font-black uppercase tracking-widest text-slate-500 hover:bg-slate-100 hover:text-slate-900 flex-shrink-0">
+                Revert
+              </button>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+export const historyPanel = {
+  /**
+   * Opens the history modal for one record.
+   */
+  async show(category, id, title = '') {
+    const record = (stateManager.get()?.[category] || []).find(r => String(r?.id) === String(id));
+    const label = title || record?.name || record?.title || 'Record';
+
+    let entries = [];
+    let cursor = null;
+    let hasMore = false;
+
+    modalManager.show(
+      `History · ${escapeHtml(label)}`,
+      `
+        <div class="space-y-3">
+          <div id="history-list" class="space-y-3">
+            <p class="text-xs font-bold text-slate-400 uppercase tracking-widest text-center py-6">
+              <i class="fa fa-circle-notch fa-spin mr-2"></i>Loading history…
+            </p>
+          </div>
+          <button type="button" id="history-more"
+            class="hidden w-full py-2.5 rounded-xl bg-slate-100 text-slate-700 text-[10px] font-black uppercase tracking-widest hover:bg-slate-200">
+            Load older changes
+          </button>
+        </div>
+      `,
+      () => true,
+      { submitLabel: 'Close', hideCancel: true }
+    );
+
+    const list = document.getElementById('history-list');
+    const moreBtn = document.getElementById('history-more');
+    if (!list) return;
+
+    // Reverting only makes sense while the record still exists
+    const canRevert = () => (stateManager.get()?.[category] || []).some(r => String(r?.id) === String(id));
+
+    const paint = (error) => {
+      if (!document.body.contains(list)) return;
+
+      if (!entries.length) {
+        list.innerHTML = `
+          <p class="text-xs font-bold text-slate-400 uppercase tracking-widest text-center py-6">
+            ${error ? 'History is unavailable offline.' : 'No recorded changes yet.'}
+          </p>`;
+      } else {
+        const revertable = canRevert();
+        list.innerHTML = entries.map((e, i) => renderEntry(e, i, revertable && e.action !== 'delete')).join('');
+      }
+
+      if (moreBtn) moreBtn.classList.toggle('hidden', !hasMore);
+    };
+
+    const load = async (reset) => {
+      const page = await stateManager.getRecordHistory(category, id, {
+        pageSize: PAGE_SIZE,
+        cursor: reset ? null : cursor
+      });
+      entries = reset ? page.entries : [...entries, ...page.entries];
+      cursor = page.cursor;
+      hasMore = page.hasMore;
+      paint(page.error);
+    };
+
+    if (moreBtn) {
+      moreBtn.onclick = async () => {
+        moreBtn.disabled = true;
+        try {
+          await load(false);
+        } finally {
+          moreBtn.disabled = false;
+        }
+      };
+    }
+
+    list.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-history-revert]');
+      if (!btn) return;
+
+      const [ei, ci] = btn.dataset.historyRevert.split(':').map(Number);
+      const change = entries[ei]?.changes?.[ci];
+      if (!change) return;
+
+      const reverted = await stateManager.revertField(category, id, change.field, change.before);
+      if (!reverted) return;
+
+      toast.show(`Reverted ${change.field}`, { tone: 'success' });
+      await load(true);
+    });
+
+    await load(true);
+  }
+};
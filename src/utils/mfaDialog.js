@@ -0,0 +1,179 @@
+/**
+ * src/utils/mfaDialog.js
+ * Two-step verification dialogs (Settings > Two-Step Verification).
+ *
+ * setup(): current password -> QR code and key for the authenticator app ->
+ * its first code -> the recovery codes. newRecoveryCodes() replaces the codes.
+ * The QR code is drawn by qrcode-generator from the CDN, loaded on first use;
+ * without it the key is still there to type in.
+ */
+import { authModule } from '../modules/auth.js';
+import { mfaStatus, RECOVERY_CODE_COUNT } from '../mfa.js';
+import { modalManager } from './modals.js';
+import { escapeHtml } from './formatters.js';
+import { toast } from './toast.js';
+
+const QR_LIBRARY = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/+esm';
+
+const INPUT_CLASS = 'w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none';
+
+async function qrSvg(text) {
+  try {
+    const { default: qrcode } = await import(QR_LIBRARY);
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    return qr.createSvgTag(4, 0);
+  } catch (e) {
+    console.warn('[MFA] QR code unavailable; showing the key only:', e);
+    return '';
+  }
+}
+
+// "ABCDEFGH..." -> "ABCD EFGH ..." for typing into an app by hand
+function spacedKey(key) {
+  return String(key).match(/.{1,4}/g).join(' ');
+}
+
+function codeInput(id, placeholder) {
+  return `
+    <input type="text" id="${id}" data-field="code" autocomplete="one-time-code" spellcheck="false" placeholder="${escapeHtml(placeholder)}"
+      class="${INPUT_CLASS} text-center font-bold tracking-[0.2em]">
+  `;
+}
+
+/**
+ * The app's code field, for dialogs that re-authenticate; empty when
+ * two-step verification is off.
+ */
+export function mfaCodeField(id) {
+  return mfaStatus().enabled ? codeInput(id, 'Authenticator or recovery code') : '';
+}
+
+function downloadCodes(codes) {
+  const text = [
+    'Summit CRM recovery codes',
+    `Created ${new Date().toLocaleString()}`,
+    'Each code signs you in once when your authenticator app is not at hand.',
+    '',
+    ...codes
+  ].join('\n');
+
+  const a = document.createElement('a');
+  a.setAttribute('href', `data:text/plain;charset=utf-8,${encodeURIComponent(text)}`);
+  a.setAttribute('download', 'summit_recovery_codes.txt');
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+function showRecoveryCodes(codes, onDone) {
+  modalManager.show(
+    'Save your recovery codes',
+    `
+      <div class="space-y-4">
+        <p class="text-sm font-semibold text-slate-700">
+          If your phone is lost, each of these signs you in once instead of an app code.
+          Keep them somewhere safe: this is the only time they are shown.
+        </p>
+        <ol class="grid grid-cols-1 gap-2 p-4 rounded-xl bg-slate-50 border border-slate-200 font-mono text-xs font-bold text-slate-800 list-decimal list-inside">
+          ${codes.map(code => `<li class="break-all">${escapeHtml(code)}</li>`).join('')}
+        </ol>
+        <button type="button" id="mfa-download-codes"
+          class="w-full py-2.5 rounded-xl border border-slate-200 text-slate-600 text-[10px] font-black uppercase tracking-widest hover:border-orange-500 hover:text-orange-600">
+          <i class="fa fa-download mr-1"></i>Download as text
+        </button>
+      </div>
+    `,
+    () => {
+      onDone?.();
+      return true;
+    },
+    { submitLabel: 'I Saved Them', hideCancel: true }
+  );
+
+  const downloadBtn = document.getElementById('mfa-download-codes');
+  if (downloadBtn) downloadBtn.onclick = () => downloadCodes(codes);
+}
+
+async function showSecret(pending, onDone) {
+  modalManager.show(
+    'Add to your authenticator app',
+    `
+      <div class="space-y-4">
+        <p class="text-sm font-semibold text-slate-700">
+          Scan the code with Google Authenticator, 1Password, Authy or a similar app, or enter the key by hand.
+        </p>
+        <div id="mfa-qr" class="flex justify-center empty:hidden"></div>
+        <div class="p-3 rounded-xl bg-slate-50 border border-slate-200 text-center">
+          <p class="text-[10px] font-black text-slate-400 uppercase tracking-widest">Key</p>
+          <p class="mt-1 font-mono text-sm font-bold text-slate-800 break-all select-all">${escapeHtml(spacedKey(pending.secretKey))}</p>
+        </div>
+        ${codeInput('mfa-setup-code', '6-digit code from the app')}
+      </div>
+    `,
+    async (data) => {
+      const codes = await authModule.finishMfaSetup(pending, data['mfa-setup-code']);
+      toast.show('Two-step verification is on', { tone: 'success' });
+      showRecoveryCodes(codes, () => authModule.mfaSetupDone(onDone));
+      return false;
+    },
+    { submitLabel: 'Turn On', cancelLabel: 'Cancel' }
+  );
+
+  const svg = await qrSvg(pending.uri);
+  const holder = document.getElementById('mfa-qr');
+  if (holder && svg) holder.innerHTML = svg;
+}
+
+export const mfaDialog = {
+  /**
+   * Walks through turning on two-step verification; `onDone` after the
+   * recovery codes were acknowledged.
+   */
+  setup(onDone) {
+    modalManager.show(
+      'Turn on two-step verification',
+      `
+        <div class="space-y-4">
+          <p class="text-sm font-semibold text-slate-700">
+            After your password, signing in will also ask for a code from an authenticator app on your phone.
+          </p>
+          <input type="password" id="mfa-setup-password" data-field="password" autocomplete="current-password" placeholder="Current password"
+            class="${INPUT_CLASS}">
+        </div>
+      `,
+      async (data) => {
+        const pending = await authModule.startMfaSetup(data['mfa-setup-password']);
+        await showSecret(pending, onDone);
+        return false;
+      },
+      { submitLabel: 'Continue', cancelLabel: 'Cancel' }
+    );
+  },
+
+  /**
+   * Replaces the recovery codes (the old ones stop working).
+   */
+  newRecoveryCodes(onDone) {
+    modalManager.show(
+      'New recovery codes',
+      `
+        <div class="space-y-4">
+          <p class="text-sm font-semibold text-slate-700">
+            Creates ${RECOVERY_CODE_COUNT} new codes. Any you have now stop working.
+          </p>
+          <input type="password" id="mfa-codes-password" data-field="password" autocomplete="current-password" placeholder="Current password"
+            class="${INPUT_CLASS}">
+          ${codeInput('mfa-codes-code', 'Authenticator or recovery code')}
+        </div>
+      `,
+      async (data) => {
+        const codes = await authModule.newRecoveryCodes(data['mfa-codes-password'], data['mfa-codes-code']);
+        showRecoveryCodes(codes, onDone);
+        return false;
+      },
+      { submitLabel: 'Create Codes', cancelLabel: 'Cancel' }
+    );
+  }
+};
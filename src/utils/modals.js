@@ -3,7 +3,15 @@
  * Standardized modal system (works with both:
  *  - separate siblings: #modal-backdrop + #modal-content (your current index.html)
  *  - nested content inside backdrop
+ *
+ * Errors thrown from onSave are shown in the modal instead of only the console:
+ *  - err.errors = [{ field, message }] (ValidationError) -> inline under the input
+ *    with data-field="<field>"
+ *  - anything else (or fields with no matching input) -> banner above the form
  */
+import { escapeHtml } from './formatters.js';
+
+const INVALID_CLASSES = ['border-red-400', 'ring-2', 'ring-red-200'];
 
 function ensureModalDom() {
   let backdrop = document.getElementById('modal-backdrop');
@@ -60,6 +68,11 @@ export const modalManager = {
     hideLayer(backdrop, content);
   },
 
+  isOpen() {
+    const content = document.getElementById('modal-content');
+    return !!content && !content.classList.contains('hidden');
+  },
+
   show(title, htmlContent, onSave, opts = {}) {
     const { backdrop, content } = ensureModalDom();
 
@@ -74,7 +87,8 @@ export const modalManager = {
           </button>
         </div>
 
-        <div class="p-6 overflow-y-auto flex-1 min-h-0">
+        <div class="p-6 overflow-y-auto flex-1 min-h-0" data-modal-body>
+          <div data-modal-error class="hidden mb-4 p-3 rounded-xl bg-red-50 border border-red-100 text-sm font-semibold text-red-700"></div>
           ${htmlContent || ''}
         </div>
 
@@ -122,6 +136,8 @@ export const modalManager = {
         e.preventDefault();
         const formData = this.getFormData(content);
 
+        this.clearErrors(content);
+
         try {
           const res = (typeof onSave === 'function') ? await onSave(formData) : true;
           // If explicitly returns false, keep modal open
@@ -129,11 +145,18 @@ export const modalManager = {
           hideLayer(backdrop, content);
         } catch (err) {
           console.error('modal save failed', err);
-          // keep open
+          // keep open, explain why
+          this.showErrors(content, err);
         }
       });
     }
 
+    // Editing a flagged input clears its message
+    content.oninput = (e) => {
+      const field = e.target?.closest?.('[data-field]');
+      if (field) this.clearFieldError(content, field.dataset.field);
+    };
+
     // ESC closes
     const onEsc = (ev) => {
       if (ev.key === 'Escape') {
@@ -170,11 +193,69 @@ export const modalManager = {
     return this.show(title, html, () => true, { submitLabel: 'OK', hideCancel: true });
   },
 
+  /**
+   * Shows a thrown error inside the open modal (see header).
+   */
+  showErrors(container, err) {
+    const general = [];
+    let firstInput = null;
+
+    const fieldErrors = Array.isArray(err?.errors) ? err.errors : [];
+    fieldErrors.forEach(({ field, message }) => {
+      const input = field ? container.querySelector(`[data-field="${CSS.escape(field)}"]`) : null;
+      if (!input) {
+        general.push(message);
+        return;
+      }
+
+      input.classList.add(...INVALID_CLASSES);
+      input.setAttribute('aria-invalid', 'true');
+      input.insertAdjacentHTML(
+        'afterend',
+        `<p data-field-error="${escapeHtml(field)}" class="mt-1 text-[11px] font-bold text-red-600">${escapeHtml(message)}</p>`
+      );
+      firstInput = firstInput || input;
+    });
+
+    if (!fieldErrors.length && err?.message) general.push(err.message);
+
+    const banner = container.querySelector('[data-modal-error]');
+    if (banner && general.length) {
+      banner.innerHTML = general.map(m => `<div>${escapeHtml(m)}</div>`).join('');
+      banner.classList.remove('hidden');
+      if (!firstInput) banner.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    firstInput?.focus?.();
+  },
+
+  clearFieldError(container, field) {
+    const input = container.querySelector(`[data-field="${CSS.escape(field)}"]`);
+    if (input) {
+      input.classList.remove(...INVALID_CLASSES);
+      input.removeAttribute('aria-invalid');
+    }
+    container.querySelectorAll(`[data-field-error="${CSS.escape(field)}"]`).forEach(el => el.remove());
+  },
+
+  clearErrors(container) {
+    container.querySelectorAll('[data-field-error]').forEach(el => el.remove());
+    container.querySelectorAll('[aria-invalid="true"]').forEach((el) => {
+      el.classList.remove(...INVALID_CLASSES);
+      el.removeAttribute('aria-invalid');
+    });
+    const banner = container.querySelector('[data-modal-error]');
+    if (banner) {
+      banner.innerHTML = '';
+      banner.classList.add('hidden');
+    }
+  },
+
   getFormData(container) {
     const data = {};
     container.querySelectorAll('input, select, textarea').forEach(el => {
       if (!el.id) return;
-      if (el.type === 'checkbox') data[el.id] = !!el.checked;
+      if (el.type === 'checkbox' || el.type === 'radio') data[el.id] = !!el.checked;
       else data[el.id] = el.value;
     });
     return data;
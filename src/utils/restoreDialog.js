@@ -0,0 +1,157 @@
+/**
+ * src/utils/restoreDialog.js
+ * Restore-from-backup dialog (Settings > Restore Snapshot, and the Backups card).
+ *
+ * Reads the chosen JSON file, checks + migrates it (backups.js parseBackup),
+ * then previews per collection what merge or replace would do: new records,
+ * changed records, and (replace only) records that would go to Trash.
+ * Switching the mode redraws the preview; Restore applies it through
+ * stateManager.restoreBackup() as one undoable step.
+ */
+import { stateManager } from '../state.js';
+import { parseBackup } from '../backups.js';
+import { modalManager } from './modals.js';
+import { escapeHtml } from './formatters.js';
+import { showUndoToast } from './toast.js';
+
+const MAX_LISTED = 8;
+
+const MODES = {
+  merge: {
+    label: 'Merge',
+    hint: 'Add new records and overwrite changed ones. Nothing here is removed.'
+  },
+  replace: {
+    label: 'Replace',
+    hint: 'Make the workspace match the backup. Records not in the backup move to Trash.'
+  }
+};
+
+function recordName(record) {
+  return String(record?.name || record?.title || record?.task || record?.id || 'Untitled');
+}
+
+function nameList(records) {
+  const shown = records.slice(0, MAX_LISTED);
+  const more = records.length - shown.length;
+  return `
+    <ul class="mt-1 text-xs font-semibold text-slate-600 space-y-0.5">
+      ${shown.map(r => `<li class="truncate">• ${escapeHtml(recordName(r))}</li>`).join('')}
+      ${more > 0 ? `<li class="text-slate-400">…and ${more} more</li>` : ''}
+    </ul>
+  `;
+}
+
+function collectionRow({ category, added, changed, deleted, unchanged }) {
+  const parts = [
+    added.length ? `<span class="text-emerald-700">${added.length} new</span>` : '',
+    changed.length ? `<span class="text-amber-700">${changed.length} changed</span>` : '',
+    deleted.length ? `<span class="text-red-700">${deleted.length} to Trash</span>` : '',
+    unchanged ? `<span class="text-slate-400">${unchanged} unchanged</span>` : ''
+  ].filter(Boolean);
+
+  const touched = added.length + changed.length + deleted.length;
+
+  return `
+    <details class="rounded-xl border border-slate-100 p-3" ${touched && touched <= MAX_LISTED ? 'open' : ''}>
+      <summary class="cursor-pointer flex items-center justify-between gap-3 text-sm">
+        <span class="font-black text-slate-900">${escapeHtml(category)}</span>
+        <span class="text-[11px] font-bold">${parts.length ? parts.join(' · ') : '<span class="text-slate-400">empty</span>'}</span>
+      </summary>
+      ${added.length ? `<p class="mt-2 text-[10px] font-black uppercase tracking-widest text-emerald-700">New</p>${nameList(added)}` : ''}
+      ${changed.length ? `<p class="mt-2 text-[10px] font-black uppercase tracking-widest text-amber-700">Changed</p>${nameList(changed.map(c => c.after))}` : ''}
+      ${deleted.length ? `<p class="mt-2 text-[10px] font-black uppercase tracking-widest text-red-700">Moves to Trash</p>${nameList(deleted)}` : ''}
+    </details>
+  `;
+}
+
+function previewHtml(plan) {
+  if (!plan.total) {
+    return `<p class="text-sm font-semibold text-slate-500">Nothing to restore: the workspace already matches this backup.</p>`;
+  }
+
+  return `
+    <div class="space-y-2">
+      ${plan.collections.map(collectionRow).join('')}
+      ${plan.settings ? `
+        <div class="rounded-xl border border-slate-100 p-3 text-sm">
+          <span class="font-black text-slate-900">settings</span>
+          <span class="text-[11px] font-bold text-amber-700 ml-2">${plan.settings.fields.map(escapeHtml).join(', ')}</span>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function showDialog(backup, fileName) {
+  let mode = 'merge';
+
+  const modeButtons = Object.entries(MODES).map(([id, m]) => `
+    <label class="flex-1 cursor-pointer">
+      <input type="radio" name="restore-mode" value="${id}" class="peer sr-only" ${id === mode ? 'checked' : ''}>
+      <span class="block p-3 rounded-xl border-2 border-slate-100 peer-checked:border-slate-900">
+        <span class="block text-xs font-black uppercase tracking-widest text-slate-900">${m.label}</span>
+        <span class="block text-[11px] font-semibold text-slate-500 mt-1">${m.hint}</span>
+      </span>
+    </label>
+  `).join('');
+
+  modalManager.show(
+    'Restore Snapshot',
+    `
+      <div class="space-y-4">
+        <p class="text-xs font-semibold text-slate-500">
+          ${escapeHtml(fileName)} · schema v${backup.schemaVersion}${backup.migrated ? ` · ${backup.migrated} record${backup.migrated === 1 ? '' : 's'} updated to the current format` : ''}
+        </p>
+        ${backup.warnings.length ? `
+          <div class="rounded-xl border border-amber-100 bg-amber-50 p-3 text-xs font-semibold text-amber-800 space-y-1">
+            ${backup.warnings.map(w => `<p>${escapeHtml(w)}</p>`).join('')}
+          </div>
+        ` : ''}
+        <div class="flex gap-2" id="restore-modes">${modeButtons}</div>
+        <div id="restore-preview">${previewHtml(stateManager.previewRestore(backup, mode))}</div>
+      </div>
+    `,
+    async () => {
+      const plan = await stateManager.restoreBackup(backup, mode);
+      if (plan.total) showUndoToast(`Restored ${fileName}`);
+      return true;
+    },
+    { submitLabel: 'Restore', cancelLabel: 'Cancel' }
+  );
+
+  document.getElementById('restore-modes')?.addEventListener('change', (e) => {
+    if (e.target?.name !== 'restore-mode') return;
+    mode = e.target.value;
+    const preview = document.getElementById('restore-preview');
+    if (preview) preview.innerHTML = previewHtml(stateManager.previewRestore(backup, mode));
+  });
+}
+
+export const restoreDialog = {
+  /**
+   * Reads `file` and opens the preview; an unusable file gets an explanation instead.
+   */
+  async open(file) {
+    if (!file) return;
+    this.openText(await file.text(), file.name || 'backup.json');
+  },
+
+  /**
+   * Same for backup JSON already in hand (e.g. a snapshot downloaded from Storage).
+   */
+  openText(text, fileName = 'backup.json') {
+    let backup;
+    try {
+      backup = parseBackup(text);
+    } catch (err) {
+      modalManager.alert({
+        title: 'Backup not restored',
+        message: err?.name === 'BackupError' ? escapeHtml(err.message) : 'This file could not be read.'
+      });
+      return;
+    }
+
+    showDialog(backup, fileName);
+  }
+};
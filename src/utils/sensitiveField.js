@@ -0,0 +1,104 @@
+/**
+ * src/utils/sensitiveField.js
+ * Masked display of sensitive fields (schemas.js `sensitive: true`) with a
+ * Reveal button.
+ *
+ * Views render sensitiveValueHtml(); main.js routes the `reveal-field` action
+ * to revealField(). Revealing asks for the workspace passphrase first when the
+ * value is encrypted and this device is locked, goes through
+ * stateManager.reveal() (which writes the audit entry) and masks the value
+ * again after REVEAL_MS or on the next render.
+ */
+import { stateManager } from '../state.js';
+import { SCHEMAS } from '../schemas.js';
+import { isSealed, maskValue } from '../fieldCrypto.js';
+import { modalManager } from './modals.js';
+import { escapeHtml } from './formatters.js';
+import { toast } from './toast.js';
+
+const REVEAL_MS = 30000;
+
+/**
+ * Masked value + Reveal button for `record[field]`; `empty` when blank. The
+ * button is left out for roles that cannot edit the record (stateManager.reveal
+ * would refuse them).
+ */
+export function sensitiveValueHtml(category, record, field, { empty = '—' } = {}) {
+  const value = record?.[field];
+  const rule = SCHEMAS[category]?.[field] || {};
+  const masked = maskValue(value, rule.mask);
+  if (!masked) return escapeHtml(empty);
+  if (!stateManager.can(category, 'update')) return `<span data-sensitive-value class="font-mono">${escapeHtml(masked)}</span>`;
+
+  return `
+    <span class="inline-flex items-center gap-1.5 align-middle">
+      <span data-sensitive-value class="font-mono">${escapeHtml(masked)}</span>
+      <button type="button" data-action="reveal-field" data-category="${escapeHtml(category)}" data-id="${escapeHtml(record?.id)}" data-field="${escapeHtml(field)}"
+        title="Reveal ${escapeHtml(rule.label || field)} (logged)" class="text-slate-400 hover:text-slate-900">
+        <i class="fa fa-eye text-[10px]"></i>
+      </button>
+    </span>
+  `;
+}
+
+/**
+ * Asks for the workspace passphrase; runs `onUnlocked` once this device is unlocked.
+ */
+export function promptUnlock(onUnlocked) {
+  modalManager.show(
+    'Unlock encrypted fields',
+    `
+      <div class="space-y-3">
+        <p class="text-sm font-semibold text-slate-700">Enter the workspace passphrase. It stays unlocked on this device until you sign out or reload.</p>
+        <input type="password" id="unlock-passphrase" data-field="passphrase" autocomplete="current-password"
+          class="w-full p-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+      </div>
+    `,
+    async () => {
+      await stateManager.unlockEncryption(document.getElementById('unlock-passphrase')?.value || '');
+      onUnlocked?.();
+      return true;
+    },
+    { submitLabel: 'Unlock', cancelLabel: 'Cancel' }
+  );
+  document.getElementById('unlock-passphrase')?.focus();
+}
+
+/**
+ * Handles a `reveal-field` button: shows the readable value in place for a while.
+ */
+export async function revealField(button) {
+  const { category, id, field } = button.dataset;
+  const holder = button.parentElement?.querySelector('[data-sensitive-value]');
+  const record = (stateManager.get()?.[category] || []).find(r => String(r?.id) === String(id));
+  if (!holder || !record) return;
+
+  if (holder.dataset.revealed) {
+    holder.textContent = holder.dataset.masked;
+    delete holder.dataset.revealed;
+    return;
+  }
+
+  if (isSealed(record[field]) && !stateManager.getEncryptionStatus().unlocked) {
+    promptUnlock(() => showValue(holder, category, id, field));
+    return;
+  }
+
+  await showValue(holder, category, id, field);
+}
+
+async function showValue(holder, category, id, field) {
+  try {
+    const value = await stateManager.reveal(category, id, field);
+    holder.dataset.masked = holder.textContent;
+    holder.dataset.revealed = '1';
+    holder.textContent = value ?? '';
+    setTimeout(() => {
+      if (!holder.dataset.revealed) return;
+      holder.textContent = holder.dataset.masked;
+      delete holder.dataset.revealed;
+    }, REVEAL_MS);
+  } catch (err) {
+    toast.show(err?.message || 'That value could not be revealed.', { tone: 'error' });
+  }
+}
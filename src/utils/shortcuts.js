@@ -0,0 +1,160 @@
+/**
+ * src/utils/shortcuts.js
+ * Single-key and sequence shortcuts ("n", "/", "g d") with a cheat sheet on "?".
+ *
+ * register({ keys, label, group, view, run }) adds one; `view` (a view name or
+ * a list) limits it to those views, and a view's own binding wins over a
+ * global one with the same keys. Entries without `run` are only listed on the
+ * cheat sheet (Ctrl+K, Ctrl+Z: handled elsewhere).
+ *
+ * Nothing fires while typing in a field, with a modal, the command palette
+ * or the sign-in screen open, or with Ctrl/Cmd/Alt held. A sequence's keys
+ * must follow each other within SEQUENCE_MS.
+ */
+import { router } from '../router.js';
+import { modalManager } from './modals.js';
+import { escapeHtml } from './formatters.js';
+
+const SEQUENCE_MS = 1000;
+
+const GROUP_ORDER = ['Navigation', 'This page', 'Anywhere'];
+
+let bindings = [];
+let pending = null;   // { keys, at } while a sequence is half typed
+let started = false;
+
+function viewsOf(binding) {
+  return binding.view ? [].concat(binding.view) : null;
+}
+
+function appliesTo(binding, view) {
+  const views = viewsOf(binding);
+  return !views || views.includes(view);
+}
+
+// View-scoped first, so they shadow a global binding of the same keys
+function activeBindings(view = router.getCurrentView()) {
+  return bindings
+    .filter(b => appliesTo(b, view))
+    .sort((a, b) => Number(!!b.view) - Number(!!a.view));
+}
+
+function isTyping(target) {
+  return !!target?.closest?.('input, textarea, select, [contenteditable="true"], [contenteditable=""]');
+}
+
+function overlayOpen() {
+  const palette = document.getElementById('command-palette');
+  return modalManager.isOpen()
+    || (!!palette && !palette.classList.contains('hidden'))
+    || !!document.getElementById('auth-overlay');
+}
+
+function onKeydown(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (isTyping(e.target) || overlayOpen()) return;
+
+  const key = e.key;
+  if (!key || key.length !== 1) return;
+
+  const now = Date.now();
+  const typed = pending && now - pending.at <= SEQUENCE_MS ? `${pending.keys} ${key}` : key;
+  pending = null;
+
+  const active = activeBindings().filter(b => typeof b.run === 'function');
+  const match = active.find(b => b.keys === typed);
+  if (match) {
+    e.preventDefault();
+    Promise.resolve()
+      .then(() => match.run())
+      .catch(err => console.error(`shortcut "${match.keys}" failed`, err));
+    return;
+  }
+
+  // First key of a sequence: wait for the next one
+  if (active.some(b => b.keys.startsWith(`${typed} `))) {
+    e.preventDefault();
+    pending = { keys: typed, at: now };
+  }
+}
+
+function keysHtml(keys) {
+  return keys.split(' ').map(k => `
+    <kbd class="inline-block min-w-[1.5rem] text-center px-1.5 py-0.5 rounded-md border border-slate-200 bg-slate-50 text-[11px] font-black text-slate-700">${escapeHtml(k)}</kbd>
+  `).join('<span class="text-[10px] text-slate-300 mx-0.5">then</span>');
+}
+
+/**
+ * Focuses (and selects) a view's search box; for `/` bindings.
+ */
+export function focusField(id) {
+  const input = document.getElementById(id);
+  if (!input) return;
+  input.focus();
+  input.select?.();
+}
+
+export const shortcuts = {
+  /**
+   * Listens for shortcuts (once).
+   */
+  start() {
+    if (started) return;
+    started = true;
+    document.addEventListener('keydown', onKeydown);
+  },
+
+  /**
+   * Adds a shortcut; returns a function that removes it. Re-registering the
+   * same keys for the same view replaces the earlier one.
+   */
+  register({ keys, label, group = null, view = null, run = null }) {
+    const binding = { keys: String(keys).trim(), label, group, view, run };
+    const scope = String(viewsOf(binding) || '');
+    bindings = bindings.filter(b => !(b.keys === binding.keys && String(viewsOf(b) || '') === scope));
+    bindings.push(binding);
+    return () => {
+      bindings = bindings.filter(b => b !== binding);
+    };
+  },
+
+  /**
+   * The shortcuts usable on the open view, for the cheat sheet:
+   * [{ group, items: [{ keys, label }] }].
+   */
+  list() {
+    const seen = new Set();
+    const groups = new Map();
+
+    activeBindings().forEach((b) => {
+      if (seen.has(b.keys)) return;
+      seen.add(b.keys);
+      const group = b.group || (b.view ? 'This page' : 'Anywhere');
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push({ keys: b.keys, label: b.label });
+    });
+
+    const rank = g => (GROUP_ORDER.includes(g) ? GROUP_ORDER.indexOf(g) : GROUP_ORDER.length);
+    return [...groups.entries()]
+      .sort((a, b) => rank(a[0]) - rank(b[0]))
+      .map(([group, items]) => ({ group, items }));
+  },
+
+  showCheatSheet() {
+    const html = this.list().map(({ group, items }) => `
+      <div class="mb-5 last:mb-0">
+        <h4 class="text-[10px] font-black text-slate-400 uppercase tracking-[0.15em] mb-2">${escapeHtml(group)}</h4>
+        <ul class="space-y-1.5">
+          ${items.map(item => `
+            <li class="flex items-center justify-between gap-4 text-sm">
+              <span class="font-semibold text-slate-700">${escapeHtml(item.label)}</span>
+              <span class="shrink-0">${keysHtml(item.keys)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+
+    modalManager.show('Keyboard shortcuts', html, () => true, { submitLabel: 'Close', hideCancel: true });
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * src/utils/snapshotDownload.js
+ * "Download Snapshot": the whole workspace state as a dated JSON file, the
+ * format Restore Snapshot (backups.js) reads back.
+ */
+import { stateManager } from '../state.js';
+
+export function downloadSnapshot() {
+  const json = JSON.stringify(stateManager.get(), null, 2);
+  const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(json);
+
+  const a = document.createElement('a');
+  a.setAttribute('href', dataStr);
+  a.setAttribute('download', `summit_backup_${new Date().toISOString().split('T')[0]}.json`);
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
@@ -0,0 +1,88 @@
+/**
+ * src/utils/toast.js
+ * Lightweight, non-blocking notifications (bottom-right), with an optional action button.
+ *
+ * Used for "Undo" after destructive actions: showUndoToast() binds the button
+ * to the history entry that was just recorded, so a late click never undoes
+ * some newer change instead.
+ */
+import { stateManager } from '../state.js';
+import { escapeHtml } from './formatters.js';
+
+const DEFAULT_DURATION_MS = 6000;
+const MAX_VISIBLE = 3;
+
+function ensureRoot() {
+  let root = document.getElementById('toast-root');
+  if (!root) {
+    root = document.createElement('div');
+    root.id = 'toast-root';
+    root.className = 'fixed bottom-4 right-4 z-[110] flex flex-col items-end gap-2 pointer-events-none';
+    document.body.appendChild(root);
+  }
+  return root;
+}
+
+export const toast = {
+  /**
+   * show('Deleted “Maple Court”', { actionLabel: 'Undo', onAction: () => ... })
+   */
+  show(message, opts = {}) {
+    const root = ensureRoot();
+    const tone = opts.tone || 'info';
+    const icon =
+      tone === 'error' ? 'fa-triangle-exclamation text-red-400'
+        : tone === 'success' ? 'fa-circle-check text-emerald-400'
+          : 'fa-circle-info text-slate-400';
+
+    const el = document.createElement('div');
+    el.className = 'pointer-events-auto flex items-center gap-3 pl-4 pr-2 py-2 rounded-xl bg-slate-900 text-white shadow-2xl text-sm font-semibold max-w-sm';
+    el.innerHTML = `
+      <i class="fa ${icon}"></i>
+      <span class="flex-1">${escapeHtml(message)}</span>
+      ${opts.actionLabel ? `
+        <button type="button" data-toast-action
+          class="px-3 py-1.5 rounded-lg text-xs font-black uppercase tracking-widest text-amber-300 hover:bg-slate-800">
+          ${escapeHtml(opts.actionLabel)}
+        </button>
+      ` : ''}
+      <button type="button" data-toast-close class="w-7 h-7 rounded-lg text-slate-400 hover:bg-slate-800 hover:text-white">
+        <i class="fa fa-xmark"></i>
+      </button>
+    `;
+
+    const dismiss = () => {
+      clearTimeout(timer);
+      el.remove();
+    };
+    const timer = setTimeout(dismiss, opts.duration || DEFAULT_DURATION_MS);
+
+    el.querySelector('[data-toast-close]')?.addEventListener('click', dismiss);
+    el.querySelector('[data-toast-action]')?.addEventListener('click', async () => {
+      dismiss();
+      try {
+        await opts.onAction?.();
+      } catch (err) {
+        console.error('toast action failed', err);
+      }
+    });
+
+    root.appendChild(el);
+    while (root.children.length > MAX_VISIBLE) root.firstElementChild.remove();
+
+    return dismiss;
+  }
+};
+
+/**
+ * Call right after a stateManager mutation: offers to undo exactly that change.
+ */
+export function showUndoToast(message) {
+  const entry = stateManager.peekUndo();
+  if (!entry) return toast.show(message);
+
+  return toast.show(message, {
+    actionLabel: 'Undo',
+    onAction: () => stateManager.undo(entry.id)
+  });
+}
@@ -1,11 +1,5 @@
-import { auth, storage } from '../firebase.js';
+import { backend } from '../backend.js';
 import { stateManager } from '../state.js';
-import {
-  ref as storageRef,
-  uploadBytesResumable,
-  getDownloadURL,
-  deleteObject
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
 
 function makeId(prefix = 'upl') {
   try {
@@ -14,6 +8,13 @@ function makeId(prefix = 'upl') {
   return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
 }
 
+// Firebase Storage helpers; the local backends have no file storage
+function cloudFiles() {
+  const files = backend().files;
+  if (!files) throw new Error('File uploads need the cloud backend (Settings > Storage Backend)');
+  return files;
+}
+
 function safeFileName(name) {
   const base = String(name || 'file').trim();
   return base.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 120);
@@ -56,7 +57,7 @@ function contextLabel(ctx) {
   return parts.length ? parts.join(' / ') : 'Global';
 }
 
-function buildStoragePath(userId, uploadId, fileName, ctx) {
+function buildStoragePath(workspaceId, uploadId, fileName, ctx) {
   const safe = safeFileName(fileName);
   const ctxParts = [];
   if (ctx?.dealId) ctxParts.push(`deal_${ctx.dealId}`);
@@ -66,7 +67,7 @@ function buildStoragePath(userId, uploadId, fileName, ctx) {
   if (ctx?.projectId) ctxParts.push(`project_${ctx.projectId}`);
   const ctxFolder = ctxParts.length ? ctxParts.join('__') : 'global';
 
-  return `users/${userId}/uploads/${ctxFolder}/${uploadId}__${safe}`;
+  return `workspaces/${workspaceId}/uploads/${ctxFolder}/${uploadId}__${safe}`;
 }
 
 function addProgressRow(host, file) {
@@ -114,12 +115,17 @@ function addProgressRow(host, file) {
 }
 
 async function uploadFile(file, ctx, progress) {
-  const user = auth.currentUser;
+  const user = backend().currentUser();
   if (!user) throw new Error('Not signed in');
   if (!file) throw new Error('No file');
+  const { storage, ref: storageRef, uploadBytesResumable, getDownloadURL } = cloudFiles();
+
+  const workspaceId = stateManager.getWorkspace()?.id;
+  if (!workspaceId) throw new Error('Workspace not loaded yet');
+  if (!stateManager.can('uploads', 'add')) throw new Error('Your role cannot upload files in this workspace');
 
   const uploadId = makeId('upl');
-  const path = buildStoragePath(user.uid, uploadId, file.name, ctx);
+  const path = buildStoragePath(workspaceId, uploadId, file.name, ctx);
   const refObj = storageRef(storage, path);
 
   const metadata = {
@@ -156,7 +162,7 @@ async function uploadFile(file, ctx, progress) {
           type: file.type,
           url,
           path,
-          created_at: new Date().toISOString(),
+          createdAt: new Date().toISOString(),
           meta: {
             dealId: ctx?.dealId || null,
             propertyId: ctx?.propertyId || null,
@@ -181,9 +187,10 @@ async function deleteUpload(id) {
   const list = Array.isArray(s.uploads) ? s.uploads : [];
   const u = list.find(x => String(x?.id) === String(id));
 
-  if (u?.path) {
+  const files = backend().files;
+  if (u?.path && files) {
     try {
-      await deleteObject(storageRef(storage, u.path));
+      await files.deleteObject(files.ref(files.storage, u.path));
     } catch (e) {
       console.warn('[Uploads] Storage delete failed (continuing):', e);
     }
@@ -0,0 +1,43 @@
+/**
+ * src/utils/urlFilters.js
+ * A view's filter row <-> its hash query (router.getQuery/setQuery), so a
+ * filtered list is a link: #properties?llc=abc&mincap=6.5.
+ *
+ * `params` maps each filter key to its name in the URL. Values equal to the
+ * default stay out of the URL; a number filter reads back as a number (a
+ * value that is not one falls back to the default).
+ */
+import { router } from '../router.js';
+
+/**
+ * The filters `view` is shown with: `defaults` overlaid with the query.
+ */
+export function readFilters(view, defaults, params) {
+  const query = router.getQuery(view);
+  const filters = { ...defaults };
+
+  Object.entries(params).forEach(([key, name]) => {
+    if (query[name] === undefined) return;
+    if (typeof defaults[key] === 'number') {
+      const n = Number(query[name]);
+      if (Number.isFinite(n)) filters[key] = n;
+      return;
+    }
+    filters[key] = query[name];
+  });
+
+  return filters;
+}
+
+/**
+ * Puts `filters` into `view`'s query (replacing the URL, not adding history).
+ */
+export function writeFilters(view, filters, defaults, params) {
+  const query = {};
+  Object.entries(params).forEach(([key, name]) => {
+    const value = filters?.[key];
+    if (value === undefined || value === null || String(value) === String(defaults[key] ?? '')) return;
+    query[name] = value;
+  });
+  router.setQuery(view, query);
+}
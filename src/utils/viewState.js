@@ -0,0 +1,83 @@
+/**
+ * src/utils/viewState.js
+ * Keeps what the user was doing across a data-driven re-render of the view
+ * they are looking at: page + inner scroll positions, the focused field (its
+ * typed value and caret) and which <details> blocks are open.
+ *
+ * Views rebuild themselves with innerHTML, so elements are matched up again
+ * afterwards: the focused field by id, scroll boxes and <details> by their
+ * order in the view. Navigating to a view is not a re-render; main.js scrolls
+ * to the top for that.
+ */
+const SCROLL_BOXES = '[class*="overflow-"]';
+
+function snapshot(host) {
+  const wrapper = document.getElementById('view-container-wrapper');
+  const active = document.activeElement;
+  const focused = active && active.id && host.contains(active) ? active : null;
+
+  let selection = null;
+  try {
+    if (focused && typeof focused.selectionStart === 'number') {
+      selection = [focused.selectionStart, focused.selectionEnd];
+    }
+  } catch (_) {
+    // number/email inputs have no selection API
+  }
+
+  return {
+    pageTop: wrapper?.scrollTop ?? 0,
+    boxes: [...host.querySelectorAll(SCROLL_BOXES)].map(el => [el.scrollTop, el.scrollLeft]),
+    open: [...host.querySelectorAll('details')].map(el => el.open),
+    focus: focused
+      ? { id: focused.id, value: 'value' in focused ? focused.value : null, selection }
+      : null
+  };
+}
+
+function restoreScroll(host, snap) {
+  const wrapper = document.getElementById('view-container-wrapper');
+  if (wrapper) wrapper.scrollTop = snap.pageTop;
+
+  const boxes = host.querySelectorAll(SCROLL_BOXES);
+  if (boxes.length !== snap.boxes.length) return;
+  boxes.forEach((el, i) => {
+    el.scrollTop = snap.boxes[i][0];
+    el.scrollLeft = snap.boxes[i][1];
+  });
+}
+
+function restoreFocus(host, focus) {
+  const el = focus ? document.getElementById(focus.id) : null;
+  if (!el || !host.contains(el)) return;
+
+  // A debounced filter may not have stored the last keystrokes yet
+  if (focus.value !== null && el.value !== focus.value && el.type !== 'file') el.value = focus.value;
+  el.focus({ preventScroll: true });
+
+  try {
+    if (focus.selection) el.setSelectionRange(focus.selection[0], focus.selection[1]);
+  } catch (_) {}
+}
+
+/**
+ * Runs render() (which rebuilds `host`) and puts scroll, focus and open
+ * <details> back the way they were.
+ */
+export function preserveViewState(host, render) {
+  if (!host) {
+    render();
+    return;
+  }
+
+  const snap = snapshot(host);
+  render();
+
+  const details = host.querySelectorAll('details');
+  if (details.length === snap.open.length) details.forEach((el, i) => { el.open = snap.open[i]; });
+
+  restoreFocus(host, snap.focus);
+  restoreScroll(host, snap);
+  // Charts draw on the next frame and can change the page height
+  requestAnimationFrame(() => restoreScroll(host, snap));
+}
@@ -0,0 +1,219 @@
+/**
+ * src/workspaces.js
+ * Team workspaces: the workspace document, its members and email invitations.
+ *
+ * Cloud layout:
+ *   workspaces/{wsId}                  -> { name, ownerUid, members: { uid: { role, email, joinedAt } },
+ *                                           memberUids, createdAt, settings, _meta }
+ *   workspaces/{wsId}/{collection}/{id} -> records (read/written by stateManager)
+ *   invitations/{wsId}__{email}        -> { workspaceId, workspaceName, email, role, invitedBy..., status }
+ *   users/{uid}                        -> { workspaceId (personal), activeWorkspaceId }
+ *
+ * Every account gets a personal workspace (`ws_{uid}`) it owns; invitations
+ * add it to others. An invitation is keyed by workspace + lowercased email so
+ * it can only be accepted by someone signed in with that address.
+ *
+ * This module only touches workspace/invitation documents; moving records and
+ * enforcing roles on mutations is stateManager's job (see permissions.js).
+ */
+import { backend } from './backend.js';
+import { ROLES } from './permissions.js';
+
+function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+function workspaceRef(wsId) {
+  return ['workspaces', String(wsId)];
+}
+
+function invitationRef(wsId, email) {
+  return ['invitations', `${wsId}__${normalizeEmail(email)}`];
+}
+
+function profileRef(uid) {
+  return ['users', uid];
+}
+
+// Workspace doc -> the summary the app works with (settings/_meta stay with stateManager)
+function toWorkspace(id, data) {
+  return {
+    id,
+    name: String(data?.name || 'Workspace'),
+    ownerUid: data?.ownerUid || null,
+    members: data?.members && typeof data.members === 'object' ? data.members : {}
+  };
+}
+
+export function roleOf(workspace, uid) {
+  const role = workspace?.members?.[uid]?.role;
+  return ROLES[role] ? role : null;
+}
+
+export function personalWorkspaceId(uid) {
+  return `ws_${uid}`;
+}
+
+function ownerCount(workspace) {
+  return Object.values(workspace?.members || {}).filter(m => m?.role === 'owner').length;
+}
+
+export const workspaceManager = {
+  /**
+   * Workspaces the user belongs to.
+   */
+  async listMine(uid) {
+    const { docs } = await backend().query(['workspaces'], { where: [['memberUids', 'array-contains', uid]] });
+    return docs.map(d => toWorkspace(d.id, d.data));
+  },
+
+  /**
+   * Creates (or returns) the user's personal workspace. Safe to call twice.
+   */
+  async createPersonal(user, { name } = {}) {
+    const id = personalWorkspaceId(user.uid);
+    const existing = await backend().load(workspaceRef(id));
+    if (existing) return toWorkspace(id, existing);
+
+    const data = {
+      name: String(name || '').trim() || `${user.email || 'My'} workspace`,
+      ownerUid: user.uid,
+      members: { [user.uid]: { role: 'owner', email: user.email || null, joinedAt: new Date().toISOString() } },
+      memberUids: [user.uid],
+      createdAt: new Date().toISOString()
+    };
+    await backend().save(workspaceRef(id), data, { merge: true });
+    return toWorkspace(id, data);
+  },
+
+  /**
+   * Picks the workspace to open: `preferredId` (this device), then the
+   * account's last active one, then the personal one. A brand-new account
+   * gets its personal workspace here.
+   * Returns { workspace, role, workspaces }.
+   */
+  async resolve(user, { preferredId = null } = {}) {
+    const profile = await backend().load(profileRef(user.uid)) || {};
+
+    let workspaces = await this.listMine(user.uid);
+    if (!workspaces.length) {
+      workspaces = [await this.createPersonal(user)];
+      await backend().save(profileRef(user.uid), { workspaceId: workspaces[0].id }, { merge: true });
+    }
+
+    const byId = id => (id ? workspaces.find(w => w.id === id) : null);
+    const workspace = byId(preferredId)
+      || byId(profile.activeWorkspaceId)
+      || byId(personalWorkspaceId(user.uid))
+      || workspaces[0];
+
+    return { workspace, role: roleOf(workspace, user.uid), workspaces };
+  },
+
+  /**
+   * Remembers the workspace the account opens by default (all devices).
+   */
+  async setActive(uid, wsId) {
+    await backend().save(profileRef(uid), { activeWorkspaceId: wsId }, { merge: true });
+  },
+
+  /**
+   * Invites `email` with `role`. Re-inviting the same address replaces the pending invitation.
+   */
+  async invite(workspace, inviter, email, role) {
+    const address = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new Error('Enter a valid email address.');
+    if (!ROLES[role]) throw new Error('Pick a role for the invitation.');
+
+    const already = Object.values(workspace?.members || {}).some(m => normalizeEmail(m?.email) === address);
+    if (already) throw new Error(`${address} is already a member of this workspace.`);
+
+    const invitation = {
+      workspaceId: workspace.id,
+      workspaceName: workspace.name,
+      email: address,
+      role,
+      invitedBy: inviter?.uid || null,
+      invitedByEmail: inviter?.email || null,
+      createdAt: new Date().toISOString(),
+      status: 'pending'
+    };
+    await backend().save(invitationRef(workspace.id, address), invitation);
+    return invitation;
+  },
+
+  /**
+   * Pending invitations sent from a workspace (owners only).
+   */
+  async listInvitations(wsId) {
+    const { docs } = await backend().query(['invitations'], {
+      where: [['workspaceId', '==', wsId], ['status', '==', 'pending']]
+    });
+    return docs.map(d => ({ id: d.id, ...d.data }));
+  },
+
+  /**
+   * Pending invitations addressed to the signed-in user.
+   */
+  async listMyInvitations(email) {
+    const address = normalizeEmail(email);
+    if (!address) return [];
+    const { docs } = await backend().query(['invitations'], {
+      where: [['email', '==', address], ['status', '==', 'pending']]
+    });
+    return docs.map(d => ({ id: d.id, ...d.data }));
+  },
+
+  async revokeInvitation(invitation) {
+    await backend().remove(invitationRef(invitation.workspaceId, invitation.email));
+  },
+
+  /**
+   * Joins the invitation's workspace with its role, then marks it accepted.
+   */
+  async acceptInvitation(user, invitation) {
+    if (normalizeEmail(user?.email) !== normalizeEmail(invitation?.email)) {
+      throw new Error('This invitation was sent to a different email address.');
+    }
+
+    await backend().update(workspaceRef(invitation.workspaceId), {
+      [`members.${user.uid}`]: { role: invitation.role, email: user.email || null, joinedAt: new Date().toISOString() },
+      memberUids: backend().arrayUnion(user.uid)
+    });
+    await backend().update(invitationRef(invitation.workspaceId, invitation.email), {
+      status: 'accepted',
+      acceptedBy: user.uid,
+      acceptedAt: new Date().toISOString()
+    });
+  },
+
+  async declineInvitation(invitation) {
+    await backend().update(invitationRef(invitation.workspaceId, invitation.email), { status: 'declined' });
+  },
+
+  /**
+   * Changes a member's role. A workspace always keeps at least one owner.
+   */
+  async setMemberRole(workspace, uid, role) {
+    if (!ROLES[role]) throw new Error('Unknown role.');
+    if (!workspace?.members?.[uid]) throw new Error('That person is not a member of this workspace.');
+    if (workspace.members[uid].role === 'owner' && role !== 'owner' && ownerCount(workspace) <= 1) {
+      throw new Error('A workspace needs at least one owner. Make someone else an owner first.');
+    }
+    await backend().update(workspaceRef(workspace.id), { [`members.${uid}.role`]: role });
+  },
+
+  /**
+   * Removes a member (or leaves, when `uid` is yourself). The last owner cannot leave.
+   */
+  async removeMember(workspace, uid) {
+    if (!workspace?.members?.[uid]) return;
+    if (workspace.members[uid].role === 'owner' && ownerCount(workspace) <= 1) {
+      throw new Error('The last owner cannot leave. Make someone else an owner first.');
+    }
+    await backend().update(workspaceRef(workspace.id), {
+      [`members.${uid}`]: backend().deleteField(),
+      memberUids: backend().arrayRemove(uid)
+    });
+  }
+};
@@ -0,0 +1,11 @@
+/**
+ * tests/esm-hooks.mjs
+ * The browser loads src/ as ES modules, while package.json stays "commonjs"
+ * for the Tailwind tooling; this tells Node to do what the browser does.
+ */
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && url.includes('/src/') && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,66 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLocalBackend } from '../src/backends/localBackend.js';
+
+// One localStorage shared by two "tabs"; no storage events reach them, as
+// when a tab writes before the other tab's event has arrived
+function fakeStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+let tabA;
+let tabB;
+
+beforeEach(() => {
+  globalThis.localStorage = fakeStorage();
+  tabA = createLocalBackend({ persist: true });
+  tabB = createLocalBackend({ persist: true });
+});
+
+test('writes from two tabs to different documents are both kept', async () => {
+  await tabA.save(['workspaces', 'ws_1', 'deals', 'd1'], { name: 'Alpha' });
+  await tabB.save(['workspaces', 'ws_1', 'deals', 'd2'], { name: 'Beta' });
+
+  const reloaded = createLocalBackend({ persist: true });
+  assert.deepEqual(await reloaded.load(['workspaces', 'ws_1', 'deals', 'd1']), { name: 'Alpha' });
+  assert.deepEqual(await reloaded.load(['workspaces', 'ws_1', 'deals', 'd2']), { name: 'Beta' });
+});
+
+test('merges and array unions apply on top of the other tab\'s write', async () => {
+  const ref = ['workspaces', 'ws_1', 'settings', 'main'];
+  await tabA.save(ref, { tags: ['a'] });
+  await tabB.save(ref, { tags: tabB.arrayUnion('b'), theme: 'dark' }, { merge: true });
+  await tabA.save(ref, { tags: tabA.arrayUnion('c') }, { merge: true });
+
+  assert.deepEqual(await createLocalBackend({ persist: true }).load(ref), { tags: ['a', 'b', 'c'], theme: 'dark' });
+});
+
+test('the other tab\'s writes reach listeners as remote changes', async () => {
+  const heard = [];
+  tabB.subscribe(['workspaces', 'ws_1', 'deals'], snap => heard.push(...snap.changes), () => {});
+
+  await tabA.save(['workspaces', 'ws_1', 'deals', 'd1'], { name: 'Alpha' });
+  await tabB.save(['workspaces', 'ws_1', 'deals', 'd2'], { name: 'Beta' });
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.deepEqual(
+    heard.map(c => [c.id, c.type, c.pending]),
+    [['d1', 'added', false], ['d2', 'added', true]]
+  );
+});
+
+test('a new account does not overwrite the other tab\'s documents', async () => {
+  await tabA.save(['workspaces', 'ws_1', 'deals', 'd1'], { name: 'Alpha' });
+  await tabB.signUp('b@x.com', 'secret1');
+
+  const reloaded = createLocalBackend({ persist: true });
+  assert.deepEqual(await reloaded.load(['workspaces', 'ws_1', 'deals', 'd1']), { name: 'Alpha' });
+  await reloaded.signIn('b@x.com', 'secret1');
+  assert.equal(reloaded.currentUser().email, 'b@x.com');
+});
@@ -0,0 +1,151 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { useBackend } from '../src/backend.js';
+import { createLocalBackend } from '../src/backends/localBackend.js';
+import { totpCode, toBase32 } from '../src/totp.js';
+import {
+  mfaStatus,
+  startAuthenticatorSetup,
+  finishAuthenticatorSetup,
+  createRecoveryCodes,
+  resolveChallenge,
+  turnOffMfa,
+  meetsMfaPolicy
+} from '../src/mfa.js';
+
+let mem;
+let appKey;
+let codes;
+
+async function challenge() {
+  await mem.signOut();
+  try {
+    await mem.signIn('a@x.com', 'secret1');
+  } catch (error) {
+    assert.equal(error.code, 'auth/multi-factor-auth-required');
+    return error.mfa;
+  }
+  assert.fail('sign-in did not ask for a second factor');
+}
+
+function factorUids() {
+  return mem.mfaFactors().map(f => f.uid);
+}
+
+// Firebase can end the session when the factor it signed in with is unenrolled
+function revokeOnUnenroll(shouldRevoke) {
+  const unenroll = mem.unenrollFactor;
+  mem.unenrollFactor = async (uid) => {
+    await unenroll(uid);
+    if (shouldRevoke(uid)) {
+      await mem.signOut();
+      throw Object.assign(new Error('token expired'), { code: 'auth/user-token-expired' });
+    }
+  };
+}
+
+beforeEach(async () => {
+  mem = useBackend(createLocalBackend());
+  await mem.signUp('a@x.com', 'secret1');
+  const pending = await startAuthenticatorSetup();
+  appKey = pending.secretKey;
+  codes = await finishAuthenticatorSetup(pending, await totpCode(appKey));
+});
+
+test('totpCode matches the RFC 6238 SHA-1 vectors', async () => {
+  const secret = toBase32(new TextEncoder().encode('12345678901234567890'));
+  assert.equal(await totpCode(secret, { digits: 8 }, 59000), '94287082');
+  assert.equal(await totpCode(secret, { digits: 8 }, 1111111109000), '07081804');
+});
+
+test('setup enrolls the app and four recovery codes', () => {
+  const status = mfaStatus();
+  assert.equal(status.enabled, true);
+  assert.equal(status.recoveryLeft, 4);
+  assert.equal(codes.length, 4);
+});
+
+test('the workspace policy is met only with a factor enrolled', async () => {
+  const required = { security: { requireMfa: true } };
+  assert.equal(meetsMfaPolicy(required), true);
+
+  await mem.signOut();
+  await mem.signUp('b@x.com', 'secret1');
+  assert.equal(meetsMfaPolicy(required), false);
+  assert.equal(meetsMfaPolicy({ security: { requireMfa: false } }), true);
+  assert.equal(meetsMfaPolicy({}), true);
+});
+
+test('a recovery code signs in once, and the backend refuses it after', async () => {
+  const before = factorUids();
+  const mfa = await challenge();
+
+  assert.deepEqual(await resolveChallenge(mfa, codes[0].toLowerCase()), { usedRecoveryCode: true });
+  assert.equal(mem.currentUser()?.email, 'a@x.com');
+  assert.equal(mfaStatus().recoveryLeft, 3);
+
+  // Its factor is gone from the account, so not even the raw resolver takes it
+  const [usedUid] = before.filter(uid => !factorUids().includes(uid));
+  await mem.signOut();
+  await assert.rejects(mfa.resolve(usedUid, await totpCode(codes[0])), { code: 'auth/invalid-verification-code' });
+  await assert.rejects(resolveChallenge(await challenge(), codes[0]), /not valid/);
+});
+
+test('a session the backend ends while removing the code reports signedOut', async () => {
+  revokeOnUnenroll(() => true);
+
+  await assert.rejects(resolveChallenge(await challenge(), codes[1]), { signedOut: true });
+  assert.equal(mem.currentUser(), null);
+  await assert.rejects(resolveChallenge(await challenge(), codes[1]), /not valid/);
+});
+
+test('a code whose removal fails signs out and stays usable', async () => {
+  const unenroll = mem.unenrollFactor;
+  mem.unenrollFactor = async () => {
+    throw Object.assign(new Error('offline'), { code: 'auth/network-request-failed' });
+  };
+
+  await assert.rejects(resolveChallenge(await challenge(), codes[2]), { signedOut: true });
+  assert.equal(mem.currentUser(), null);
+
+  mem.unenrollFactor = unenroll;
+  assert.deepEqual(await resolveChallenge(await challenge(), codes[2]), { usedRecoveryCode: true });
+});
+
+test('re-authenticating with a recovery code keeps the session and uses the code', async () => {
+  await resolveChallenge(await challenge(), await totpCode(appKey));
+  let mfa;
+  try {
+    await mem.reauthenticate('secret1');
+  } catch (error) {
+    mfa = error.mfa;
+  }
+
+  await resolveChallenge(mfa, codes[2]);
+  assert.equal(mem.currentUser()?.email, 'a@x.com');
+  assert.equal(mfaStatus().recoveryLeft, 3);
+});
+
+test('new recovery codes replace the old ones', async () => {
+  await resolveChallenge(await challenge(), codes[0]);
+
+  const fresh = await createRecoveryCodes();
+  assert.equal(mfaStatus().recoveryLeft, 4);
+  assert.equal(mem.mfaFactors().length, 5);
+  await assert.rejects(resolveChallenge(await challenge(), codes[3]), /not valid/);
+  await resolveChallenge(await challenge(), fresh[3]);
+});
+
+test('turning off reports a session that ended with the app factor', async () => {
+  await resolveChallenge(await challenge(), await totpCode(appKey));
+  const appUid = mfaStatus().authenticator.uid;
+  revokeOnUnenroll(uid => uid === appUid);
+
+  await assert.rejects(turnOffMfa({ security: { requireMfa: true } }), /requires two-step/);
+  assert.deepEqual(await turnOffMfa({}), { signedOut: true });
+  assert.equal(mem.currentUser(), null);
+
+  await mem.signIn('a@x.com', 'secret1');
+  assert.equal(mfaStatus().enabled, false);
+});
@@ -0,0 +1,7 @@
+/**
+ * tests/setup.mjs
+ * Preloaded by `npm test` (node --import): registers esm-hooks.mjs.
+ */
+import { register } from 'node:module';
+
+register('./esm-hooks.mjs', import.meta.url);